@@ -89,42 +89,39 @@ end
 println("\n\n=== Complex Workflow Example ===")
 println("Creating parallel auction branches that converge...\n")
 
-# Create workflow graph manually for more control
+# Create workflow graph with explicit steps and edges
 graph = WorkflowGraph{Float64}()
 
 # Create parallel auctions
-node1 = WorkflowNode{Float64}(
-    auction_config = Dict{Symbol, Any}(
-        :auction_type => :first_price,
-        :reserve_price => 100.0,
-        :duration_seconds => 0,
-        :initial_bids => [
-            Dict(:bidder_id => uuid4(), :amount => 120.0, :quantity => 1),
-            Dict(:bidder_id => uuid4(), :amount => 150.0, :quantity => 1)
-        ]
-    )
-)
-
-node2 = WorkflowNode{Float64}(
-    auction_config = Dict{Symbol, Any}(
-        :auction_type => :first_price,
-        :reserve_price => 200.0,
-        :duration_seconds => 0,
-        :initial_bids => [
-            Dict(:bidder_id => uuid4(), :amount => 220.0, :quantity => 1),
-            Dict(:bidder_id => uuid4(), :amount => 250.0, :quantity => 1)
-        ]
-    )
-)
+node1 = addWorkflowStep(graph, :east, Dict{Symbol, Any}(
+    :auction_type => :first_price,
+    :reserve_price => 100.0,
+    :duration_seconds => 0,
+    :initial_bids => [
+        Dict(:bidder_id => uuid4(), :amount => 120.0, :quantity => 1),
+        Dict(:bidder_id => uuid4(), :amount => 150.0, :quantity => 1)
+    ]
+))
+
+node2 = addWorkflowStep(graph, :west, Dict{Symbol, Any}(
+    :auction_type => :first_price,
+    :reserve_price => 200.0,
+    :duration_seconds => 0,
+    :initial_bids => [
+        Dict(:bidder_id => uuid4(), :amount => 220.0, :quantity => 1),
+        Dict(:bidder_id => uuid4(), :amount => 250.0, :quantity => 1)
+    ]
+))
 
 # Convergence node that depends on both parallel auctions
-node3 = WorkflowNode{Float64}(
-    auction_config = Dict{Symbol, Any}(
+node3 = addWorkflowStep(
+    graph,
+    :merge,
+    Dict{Symbol, Any}(
         :auction_type => :vickrey,
         :reserve_price => 300.0,
         :duration_seconds => 0
-    ),
-    dependencies = [node1.id, node2.id],
+    );
     transformation = function(config, inputs)
         # Combine winners from both parallel auctions
         all_winners = UUID[]
@@ -142,14 +139,17 @@ node3 = WorkflowNode{Float64}(
     end
 )
 
-# Add nodes to graph
-graph.nodes[node1.id] = node1
-graph.nodes[node2.id] = node2
-graph.nodes[node3.id] = node3
+# Fan in: the merge auction runs after both parallel auctions
+connectWorkflowSteps(graph, :east, :merge)
+connectWorkflowSteps(graph, :west, :merge)
 
-# Add edges
-push!(graph.edges, (node1.id, node3.id))
-push!(graph.edges, (node2.id, node3.id))
+# Conditional branch: a Dutch fallback only if the merge cleared below reserve
+addWorkflowStep(graph, :fallback, Dict{Symbol, Any}(
+    :auction_type => :dutch,
+    :reserve_price => 250.0,
+    :duration_seconds => 0
+))
+connectWorkflowSteps(graph, :merge, :fallback; condition = clearedBelowReserve)
 
 println("Executing complex workflow with parallel branches...")
 complex_result = executeWorkflow(controller, graph)
@@ -159,6 +159,7 @@ println("- Parallel Auction 1: \$$(complex_result.node_results[node1.id].clearin
 println("- Parallel Auction 2: \$$(complex_result.node_results[node2.id].clearing_price)")
 println("- Convergence Auction: \$$(complex_result.node_results[node3.id].clearing_price)")
 println("- Total auctions executed: $(length(complex_result.node_results))")
+println("- Fallback auction: $(getWorkflowStatus(controller, graph.id, :fallback))")
 
 # Clean up
 stopController(controller)
@@ -21,14 +21,17 @@ export
     AbstractController, AbstractWorkflow,
     
     # Core types
-    Bid, Bidder, AuctionResult, AuctionState,
+    Bid, Bidder, AuctionResult, AuctionState, AntiSnipingRule, ProxyBidder,
     AuctionActor, AuctionController,
     WorkflowNode, WorkflowGraph, WorkflowResult,
     
     # Event types
     AuctionEvent, ImmutableEvent, CentralizedEventLog,
+    EventStorage, InMemoryEventStorage, FileEventStorage,
     BidSubmittedEvent, BidRejectedEvent, AuctionStartedEvent,
-    AuctionFinalizedEvent, AuctionCancelledEvent,
+    AuctionFinalizedEvent, AuctionCancelledEvent, AuctionExtendedEvent,
+    PriceUpdatedEvent, BidCancelledEvent, BidAmendedEvent,
+    TradeExecutedEvent, TradingPhaseChangedEvent,
     
     # Auction mechanisms
     FirstPriceAuction, VickreyAuction, DutchAuction, EnglishAuction,
@@ -37,20 +40,30 @@ export
     
     # Interfaces
     DirectBidInterface, RPCBidInterface,
+    BidderRegistry, RateLimiter, RateLimit,
+    registerBidder, revokeBidder, signBidRequest,
     
     # Actor messages
-    ActorMessage, BidMessage, FinalizeMessage,
+    ActorMessage, BidMessage, FinalizeMessage, PriceTickMessage,
+    CancelBidMessage, AmendBidMessage, RegisterProxyMessage,
+    OpenContinuousTradingMessage,
     QueryMessage, UpdateConfigMessage, StateSnapshotMessage,
     BidResponse,
     
     # Core functions
     create_auction_actor, send_message_to_actor, stop_actor_gracefully,
+    rebuildAuctionState, rebuildAuctionActor, getAuctionStateAtTime, applyEventToState,
     createAuctionDirect, submitDirectBid, finalizeAuctionDirect,
-    startRPCServer, stopRPCServer, submitRPCBid,
+    cancelDirectBid, amendDirectBid, registerDirectProxy,
+    bidWithdrawalRule, bidAmendmentRule, bidVisibilityRule,
+    startRPCServer, stopRPCServer, submitRPCBid, submitRPCBundleBid, cancelRPCBid, amendRPCBid,
+    streamRPCEvents,
     
     # Event log functions
     append_event_to_log, queryEventsByAuction, queryEventsByType,
-    verifyLogIntegrity, replayEventsFromLog,
+    verifyLogIntegrity, replayEventsFromLog, getEventsAfterTimestamp,
+    openEventLog, closeEventLog, registerEventType,
+    subscribeToEventLog, unsubscribeFromEventLog, getEventsAfterSequence,
     
     # Mechanism functions
     determineClearingPrice, allocateWinners, calculatePayments,
@@ -63,7 +76,8 @@ export
     # Controller functions
     executeWorkflow, chainAuctions, propagateResults,
     createWorkflowGraph, validateDAGStructure, topologicalSortWorkflow,
-    getWorkflowStatus, stopController,
+    addWorkflowStep, connectWorkflowSteps, clearedBelowReserve, getWorkflowStepStatuses,
+    getWorkflowStatus, stopController, resumeAuctionsFromLog, scheduleAuction,
     
     # Utility functions
     filterValidBids, sortBidsByPrice, sortBidsByTimestamp,
@@ -75,7 +89,10 @@ export
     analyze_auction_performance, recommend_auction_type,
     
     # Additional types
-    BundleBid, Order,
+    BundleBid, Order, CoreConstraint, CombinatorialOutcome, solveCombinatorialAuction,
+    AtomicBid, CombinatorialBid, xorBid, parseCombinatorialBid, encodeCombinatorialBid,
+    expandCombinatorialBid, LimitOrderBook, RestingOrder, BookTrade,
+    submitBookOrder!, cancelBookOrder!, uncrossOrderBook!, bestBookPrices, orderBookDepth,
     
     # Internal auction functions (for testing)
     updateCurrentPrice, acceptEnglishBid
@@ -85,6 +102,8 @@ export
 include("actors/abstract.jl")
 include("actors/state.jl")  # Define AuctionState before mechanisms
 include("events/abstract.jl")
+include("events/serialization.jl")
+include("events/storage.jl")
 include("events/event_log.jl")
 include("actors/messages.jl")
 include("mechanisms/abstract.jl")
@@ -93,15 +112,25 @@ include("mechanisms/vickrey.jl")
 include("mechanisms/dutch.jl")
 include("mechanisms/english.jl")
 include("mechanisms/combinatorial.jl")
+include("mechanisms/bidding_language.jl")
 include("mechanisms/double.jl")
+include("mechanisms/order_book.jl")
 include("mechanisms/all_pay.jl")
 include("mechanisms/japanese.jl")
 include("mechanisms/candle.jl")
 include("mechanisms/penny.jl")
 include("mechanisms/unified_interface.jl")
 include("actors/auction_actor.jl")
+include("actors/proxy_bidding.jl")
+include("actors/order_book_trading.jl")
+include("actors/replay.jl")
 include("controller/abstract.jl")
+include("controller/workflow.jl")
+include("controller/scheduler.jl")
 include("controller/auction_controller.jl")
+include("interfaces/event_stream.jl")
+include("interfaces/rate_limit.jl")
+include("interfaces/bidder_auth.jl")
 include("interfaces/bid_submission.jl")
 
 end # module AuctionKit
\ No newline at end of file
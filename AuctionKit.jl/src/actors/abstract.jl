@@ -49,6 +49,12 @@ struct Bid{T}
                  metadata::MetadataDict=MetadataDict()) where T
         new{T}(uuid4(), bidder_id, amount, quantity, now(), metadata)
     end
+    
+    # Restore a previously accepted bid, e.g. when replaying the event log
+    function Bid(id::UUID, bidder_id::UUID, amount::T, quantity::Int,
+                 timestamp::DateTime, metadata::MetadataDict) where T
+        new{T}(id, bidder_id, amount, quantity, timestamp, metadata)
+    end
 end
 
 """
@@ -13,10 +13,14 @@ mutable struct AuctionActor{T} <: AbstractActor{T}
     event_log::Union{Nothing, CentralizedEventLog}
     task::Task
     running::Atomic{Bool}
+    closed::Base.Event  # Notified once the auction completes or is cancelled
+    proxies::ProxyBook{T}
+    order_book::Union{Nothing, LimitOrderBook{T}}  # Set for double auctions trading on a book
     
     function AuctionActor{T}(
         state::AuctionState{T},
-        event_log::Union{Nothing, CentralizedEventLog}=nothing
+        event_log::Union{Nothing, CentralizedEventLog}=nothing;
+        order_book::Union{Nothing, LimitOrderBook{T}}=nothing
     ) where T
         actor = new{T}(
             state.auction_id,
@@ -24,7 +28,10 @@ mutable struct AuctionActor{T} <: AbstractActor{T}
             Channel{ActorMessage}(1000),
             event_log,
             Task(() -> nothing),
-            Atomic{Bool}(true)
+            Atomic{Bool}(true),
+            Base.Event(),
+            ProxyBook{T}(),
+            order_book
         )
         
         # Start actor task
@@ -37,12 +44,35 @@ end
 function create_auction_actor(
     auction_type::Symbol,
     params::Dict{Symbol, Any};
-    event_log::Union{Nothing, CentralizedEventLog}=nothing
+    event_log::Union{Nothing, CentralizedEventLog}=nothing,
+    log_start::Bool=true
 )::AuctionActor
     T = get(params, :numeric_type, Float64)
+    state = buildInitialAuctionState(uuid4(), auction_type, params)
+    actor = AuctionActor{T}(state, event_log; order_book=buildOrderBook(auction_type, params))
     
-    state = AuctionState{T}(
-        uuid4(),
+    # Log auction creation; scheduled auctions log it when they open instead
+    if !isnothing(event_log) && log_start
+        event = AuctionStartedEvent(
+            uuid4(),
+            state.auction_id,
+            auction_type,
+            state.start_time,
+            state.end_time,
+            params
+        )
+        append_event_to_log(event_log, state.auction_id, event)
+    end
+    
+    return actor
+end
+
+# A/HC/LC: build + Initial + AuctionState
+function buildInitialAuctionState(auction_id::UUID, auction_type::Symbol, params::AbstractDict{Symbol})
+    T = get(params, :numeric_type, Float64)
+    
+    return AuctionState{T}(
+        auction_id,
         auction_type,
         :pending,
         Vector{Bid{T}}(),
@@ -55,25 +85,22 @@ function create_auction_actor(
         get(params, :clearing_rule, :first_price),
         get(params, :tie_breaking, :random),
         get(params, :max_quantity, typemax(Int)),
-        nothing
+        nothing,
+        buildAntiSnipingRule(params)
     )
+end
+
+# A/HC/LC: build + AntiSniping + Rule
+# Enabled by :anti_sniping_window and :anti_sniping_extension, both in seconds
+function buildAntiSnipingRule(params::AbstractDict{Symbol})::Union{Nothing, AntiSnipingRule}
+    haskey(params, :anti_sniping_window) || return nothing
     
-    actor = AuctionActor{T}(state, event_log)
-    
-    # Log auction creation
-    if !isnothing(event_log)
-        event = AuctionStartedEvent(
-            uuid4(),
-            state.auction_id,
-            auction_type,
-            state.start_time,
-            state.end_time,
-            params
-        )
-        append_event_to_log(event_log, state.auction_id, event)
-    end
-    
-    return actor
+    to_millis(seconds) = Millisecond(round(Int, seconds * 1000))
+    return AntiSnipingRule(
+        to_millis(params[:anti_sniping_window]),
+        to_millis(get(params, :anti_sniping_extension, params[:anti_sniping_window])),
+        get(params, :max_extensions, typemax(Int))
+    )
 end
 
 # A/HC/LC: run + Actor + Loop
@@ -95,9 +122,20 @@ end
 function process_actor_message(actor::AuctionActor, msg::ActorMessage)
     lock(actor.state.mutex) do
         if msg isa BidMessage
-            handle_bid_submission(actor, msg)
+            response = handle_bid_submission(actor, msg)
+            isnothing(msg.response_channel) || put!(msg.response_channel, response)
         elseif msg isa FinalizeMessage
             handle_auction_finalization(actor, msg)
+        elseif msg isa PriceTickMessage
+            handle_price_tick(actor, msg)
+        elseif msg isa CancelBidMessage
+            handle_bid_cancellation(actor, msg)
+        elseif msg isa AmendBidMessage
+            handle_bid_amendment(actor, msg)
+        elseif msg isa RegisterProxyMessage
+            handle_proxy_registration(actor, msg)
+        elseif msg isa OpenContinuousTradingMessage
+            handle_trading_open(actor, msg)
         elseif msg isa QueryMessage
             handle_state_query(actor, msg)
         elseif msg isa UpdateConfigMessage
@@ -105,6 +143,11 @@ function process_actor_message(actor::AuctionActor, msg::ActorMessage)
         elseif msg isa StateSnapshotMessage
             handle_snapshot_request(actor, msg)
         end
+        
+        # Proxies answer whatever moved the price
+        if msg isa Union{BidMessage, AmendBidMessage, PriceTickMessage}
+            runProxyBidders(actor, msg.timestamp)
+        end
     end
 end
 
@@ -120,16 +163,17 @@ function handle_bid_submission(actor::AuctionActor, msg::BidMessage)
                 state.auction_id,
                 msg.bidder_id,
                 "Auction not active (status: $(state.status))",
-                now()
+                now(),
+                :auction_not_active
             )
             append_event_to_log(actor.event_log, state.auction_id, event)
         end
-        return BidResponse(false, uuid4(), "Auction not active", now())
+        return BidResponse(false, uuid4(), "Auction not active", now(), :auction_not_active)
     end
     
-    # Check time constraints
-    current_time = now()
-    if current_time > state.end_time
+    # Check time constraints; bids count by submission time so that
+    # mailbox latency around the close does not reject them
+    if msg.timestamp > state.end_time
         state.status = :finalizing
         if !isnothing(actor.event_log)
             event = BidRejectedEvent(
@@ -137,13 +181,17 @@ function handle_bid_submission(actor::AuctionActor, msg::BidMessage)
                 state.auction_id,
                 msg.bidder_id,
                 "Auction has ended",
-                now()
+                now(),
+                :auction_ended
             )
             append_event_to_log(actor.event_log, state.auction_id, event)
         end
-        return BidResponse(false, uuid4(), "Auction has ended", now())
+        return BidResponse(false, uuid4(), "Auction has ended", now(), :auction_ended)
     end
     
+    # Orders on a book trade as they arrive instead of waiting for the close
+    isnothing(actor.order_book) || return handle_book_order(actor, msg)
+    
     # Validate bid amount
     if msg.amount < state.reserve_price
         if !isnothing(actor.event_log)
@@ -152,31 +200,40 @@ function handle_bid_submission(actor::AuctionActor, msg::BidMessage)
                 state.auction_id,
                 msg.bidder_id,
                 "Bid below reserve price",
-                now()
+                now(),
+                :below_reserve
             )
             append_event_to_log(actor.event_log, state.auction_id, event)
         end
-        return BidResponse(false, uuid4(), "Bid below reserve price", now())
+        return BidResponse(false, uuid4(), "Bid below reserve price", now(), :below_reserve)
     end
     
     # Create and store bid
+    previous_high = isempty(state.current_bids) ? nothing : maximum(b -> b.amount, state.current_bids)
     bid = Bid(msg.bidder_id, msg.amount, msg.quantity; metadata=msg.metadata)
     push!(state.current_bids, bid)
     
-    # Log bid submission
+    # Log bid submission under the bid's own id so replay restores the same bid
     if !isnothing(actor.event_log)
         event = BidSubmittedEvent(
-            uuid4(),
+            bid.id,
             state.auction_id,
             msg.bidder_id,
             msg.amount,
             msg.quantity,
-            msg.timestamp,
+            bid.timestamp,
             msg.metadata
         )
         append_event_to_log(actor.event_log, state.auction_id, event)
     end
     
+    # An English auction's asking price moves with each new high bid
+    if state.auction_type == :english && (isnothing(previous_high) || bid.amount > previous_high)
+        logPriceUpdate(actor, bid.amount, length(state.current_bids))
+    end
+    
+    extendEndTimeForLateBid(actor, msg.timestamp)
+    
     # Check if immediate clearing needed (e.g., Dutch auction)
     if should_clear_immediately(state)
         trigger_auction_clearing(actor)
@@ -185,6 +242,117 @@ function handle_bid_submission(actor::AuctionActor, msg::BidMessage)
     return BidResponse(true, bid.id, "Bid accepted", now())
 end
 
+# A/HC/LC: handle + Bid + Cancellation
+function handle_bid_cancellation(actor::AuctionActor, msg::CancelBidMessage)
+    state = actor.state
+    bid, code, reason = findChangeableBid(state, msg.bid_id, msg.bidder_id, msg.timestamp)
+    isnothing(bid) && return respondToBidChange(actor, msg, code, reason)
+    
+    rule = bidWithdrawalRule(auctionMechanismType(state.auction_type))
+    if rule == :never || (rule == :unless_leading && isLeadingBid(state, bid))
+        reason = rule == :never ? "Bids cannot be withdrawn in $(state.auction_type) auctions" :
+                                  "The leading bid cannot be withdrawn"
+        return respondToBidChange(actor, msg, :withdrawal_not_allowed, reason)
+    end
+    
+    filter!(b -> b.id != bid.id, state.current_bids)
+    isnothing(actor.order_book) || cancelBookOrder!(actor.order_book, bid.id)
+    
+    if !isnothing(actor.event_log)
+        event = BidCancelledEvent(uuid4(), state.auction_id, bid.id, bid.bidder_id, now())
+        append_event_to_log(actor.event_log, state.auction_id, event)
+    end
+    
+    return respondToBidChange(actor, msg, :ok, "Bid cancelled")
+end
+
+# A/HC/LC: handle + Bid + Amendment
+function handle_bid_amendment(actor::AuctionActor{T}, msg::AmendBidMessage) where T
+    state = actor.state
+    bid, code, reason = findChangeableBid(state, msg.bid_id, msg.bidder_id, msg.timestamp)
+    isnothing(bid) && return respondToBidChange(actor, msg, code, reason)
+    
+    rule = bidAmendmentRule(auctionMechanismType(state.auction_type))
+    if !isnothing(actor.order_book)
+        # An amended order would have to give up its time priority; that is a cancel and a new order
+        return respondToBidChange(actor, msg, :amendment_not_allowed,
+                                  "Orders on the book must be cancelled and resubmitted")
+    elseif rule == :never
+        return respondToBidChange(actor, msg, :amendment_not_allowed,
+                                  "Bids cannot be amended in $(state.auction_type) auctions")
+    elseif rule == :increase_only && (msg.amount <= bid.amount || msg.quantity != bid.quantity)
+        return respondToBidChange(actor, msg, :amendment_not_allowed,
+                                  "Bids in $(state.auction_type) auctions can only be raised")
+    elseif msg.quantity < 1
+        return respondToBidChange(actor, msg, :invalid_bid, "Quantity must be positive")
+    elseif msg.amount < state.reserve_price
+        return respondToBidChange(actor, msg, :below_reserve, "Bid below reserve price")
+    end
+    
+    previous_high = maximum(b -> b.amount, state.current_bids)
+    amended = Bid(bid.id, bid.bidder_id, T(msg.amount), msg.quantity, now(), bid.metadata)
+    state.current_bids[findfirst(b -> b.id == bid.id, state.current_bids)] = amended
+    
+    if !isnothing(actor.event_log)
+        event = BidAmendedEvent(
+            uuid4(),
+            state.auction_id,
+            amended.id,
+            amended.bidder_id,
+            msg.amount,
+            msg.quantity,
+            amended.timestamp
+        )
+        append_event_to_log(actor.event_log, state.auction_id, event)
+    end
+    
+    if state.auction_type == :english && amended.amount > previous_high
+        logPriceUpdate(actor, amended.amount, length(state.current_bids))
+    end
+    extendEndTimeForLateBid(actor, msg.timestamp)
+    
+    return respondToBidChange(actor, msg, :ok, "Bid amended")
+end
+
+# A/HC/LC: find + Changeable + Bid
+# The bid a cancellation or amendment refers to, if it may still be changed
+function findChangeableBid(state::AuctionState, bid_id::UUID, bidder_id::UUID, timestamp::DateTime)
+    state.status == :active || return (nothing, :auction_not_active, "Auction not active (status: $(state.status))")
+    timestamp <= state.end_time || return (nothing, :auction_ended, "Auction has ended")
+    
+    index = findfirst(b -> b.id == bid_id, state.current_bids)
+    isnothing(index) && return (nothing, :bid_not_found, "Bid not found")
+    
+    bid = state.current_bids[index]
+    bid.bidder_id == bidder_id || return (nothing, :not_bid_owner, "Bid belongs to another bidder")
+    return (bid, :ok, "")
+end
+
+# A/HC/LC: is + Leading + Bid
+# The bid that would win now: highest amount, earliest on ties
+function isLeadingBid(state::AuctionState, bid::Bid)::Bool
+    leader = first(sort(state.current_bids, by = b -> (-b.amount, b.timestamp)))
+    return leader.id == bid.id
+end
+
+# A/HC/LC: respond + To + BidChange
+function respondToBidChange(
+    actor::AuctionActor,
+    msg::Union{CancelBidMessage, AmendBidMessage},
+    code::Symbol,
+    reason::String
+)
+    success = code == :ok
+    if !success && !isnothing(actor.event_log)
+        event = BidRejectedEvent(uuid4(), actor.state.auction_id, msg.bidder_id, reason, now(), code)
+        append_event_to_log(actor.event_log, actor.state.auction_id, event)
+    end
+    
+    response = BidResponse(success, msg.bid_id, reason, now(), code)
+    isnothing(msg.response_channel) || put!(msg.response_channel, response)
+    return response
+end
+
 # A/HC/LC: handle + Auction + Finalization
 function handle_auction_finalization(actor::AuctionActor, msg::FinalizeMessage)
     state = actor.state
@@ -195,8 +363,9 @@ function handle_auction_finalization(actor::AuctionActor, msg::FinalizeMessage)
     
     state.status = :finalizing
     
-    # Finalize based on auction type
-    result = finalize_auction_by_type(state)
+    # Finalize based on auction type; an order book has traded already
+    result = isnothing(actor.order_book) ? finalize_auction_by_type(state) :
+                                           finalizeOrderBookTrading(state, actor.order_book)
     state.result = result
     state.status = :completed
     
@@ -214,9 +383,73 @@ function handle_auction_finalization(actor::AuctionActor, msg::FinalizeMessage)
         append_event_to_log(actor.event_log, state.auction_id, event)
     end
     
+    # Only wake whoever removes the actor once the close is in the log
+    notify(actor.closed)
     return result
 end
 
+# A/HC/LC: handle + Price + Tick
+function handle_price_tick(actor::AuctionActor, msg::PriceTickMessage)
+    state = actor.state
+    state.status == :active || return
+    
+    actor.proxies.clock_tick = msg.tick
+    logPriceUpdate(actor, clockAuctionPrice(state, msg.tick), msg.tick)
+end
+
+# A/HC/LC: clock + Auction + Price
+"""
+    clockAuctionPrice(state, tick) -> price
+
+Asking price after `tick` clock ticks. Dutch auctions descend from twice the
+reserve to the reserve and Japanese auctions ascend from the reserve, moving
+by `state.increment` per tick, matching how they are finalized.
+"""
+function clockAuctionPrice(state::AuctionState{T}, tick::Int) where T
+    if state.auction_type == :dutch
+        return max(state.reserve_price, state.reserve_price * T(2) - state.increment * tick)
+    elseif state.auction_type == :japanese
+        return state.reserve_price + state.increment * tick
+    end
+    throw(ArgumentError("Auction type $(state.auction_type) has no price clock"))
+end
+
+# A/HC/LC: log + Price + Update
+function logPriceUpdate(actor::AuctionActor, price::Real, tick::Int)
+    isnothing(actor.event_log) && return
+    
+    state = actor.state
+    event = PriceUpdatedEvent(uuid4(), state.auction_id, Float64(price), tick, now())
+    append_event_to_log(actor.event_log, state.auction_id, event)
+end
+
+# A/HC/LC: extend + EndTime + ForLateBid
+function extendEndTimeForLateBid(actor::AuctionActor, bid_time::DateTime)
+    state = actor.state
+    rule = state.anti_sniping
+    
+    isnothing(rule) && return
+    rule.extensions < rule.max_extensions || return
+    bid_time >= state.end_time - rule.window || return
+    
+    new_end_time = bid_time + rule.extension
+    new_end_time > state.end_time || return
+    
+    state.end_time = new_end_time
+    rule.extensions += 1
+    
+    if !isnothing(actor.event_log)
+        event = AuctionExtendedEvent(
+            uuid4(),
+            state.auction_id,
+            new_end_time,
+            rule.extensions,
+            now()
+        )
+        append_event_to_log(actor.event_log, state.auction_id, event)
+    end
+end
+
 # A/HC/LC: should + Clear + Immediately
 function should_clear_immediately(state::AuctionState)::Bool
     # Dutch auction clears when sufficient demand at current price
@@ -243,6 +476,8 @@ function finalize_auction_by_type(state::AuctionState{T}) where T
         return finalizeDutchAuction(state)
     elseif state.auction_type == :english
         return finalizeEnglishAuction(state)
+    elseif state.auction_type == :japanese
+        return finalizeJapaneseAuction(state)
     else
         throw(ArgumentError("Unknown auction type: $(state.auction_type)"))
     end
@@ -279,6 +514,7 @@ function handle_actor_error(actor::AuctionActor, error::Exception)
         end
     end
     
-    # Update state
+    # Update state, and wake whoever removes the actor now the cancellation is logged
     actor.state.status = :cancelled
+    notify(actor.closed)
 end
\ No newline at end of file
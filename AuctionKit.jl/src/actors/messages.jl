@@ -7,10 +7,27 @@ using ..Actors: MetadataValue, MetadataDict
 const ResponseValue = Union{Bool, Int64, Float64, String, AuctionResult, Vector{Bid}, MetadataDict, Nothing}
 const ResponseChannel = Channel{ResponseValue}
 
+"""
+    BidResponse
+
+Response to a bid submission.
+"""
+struct BidResponse
+    success::Bool
+    bid_id::UUID
+    message::String
+    timestamp::DateTime
+    code::Symbol  # :ok, or the rejection reason code
+end
+
+BidResponse(success::Bool, bid_id::UUID, message::String, timestamp::DateTime) =
+    BidResponse(success, bid_id, message, timestamp, success ? :ok : :rejected)
+
 """
     BidMessage
 
-Message for bid submission to an auction actor.
+Message for bid submission to an auction actor. The actor's verdict is put
+on `response_channel` if given.
 """
 struct BidMessage <: ActorMessage
     bidder_id::UUID
@@ -19,8 +36,12 @@ struct BidMessage <: ActorMessage
     quantity::Int
     metadata::MetadataDict
     timestamp::DateTime
+    response_channel::Union{Nothing, Channel{BidResponse}}
 end
 
+BidMessage(bidder_id::UUID, auction_id::UUID, amount::Real, quantity::Integer, metadata, timestamp::DateTime) =
+    BidMessage(bidder_id, auction_id, amount, quantity, metadata, timestamp, nothing)
+
 """
     FinalizeMessage
 
@@ -31,6 +52,16 @@ struct FinalizeMessage <: ActorMessage
     timestamp::DateTime
 end
 
+"""
+    PriceTickMessage
+
+Message advancing the price clock of a Dutch or Japanese auction.
+"""
+struct PriceTickMessage <: ActorMessage
+    tick::Int
+    timestamp::DateTime
+end
+
 """
     QueryMessage
 
@@ -64,13 +95,64 @@ struct StateSnapshotMessage <: ActorMessage
 end
 
 """
-    BidResponse
+    CancelBidMessage
 
-Response to a bid submission.
+Message withdrawing one of a bidder's bids, if the mechanism allows it (see
+`bidWithdrawalRule`). The outcome is put on `response_channel` if given.
 """
-struct BidResponse
-    success::Bool
+struct CancelBidMessage <: ActorMessage
     bid_id::UUID
-    message::String
+    bidder_id::UUID
+    timestamp::DateTime
+    response_channel::Union{Nothing, Channel{BidResponse}}
+end
+
+CancelBidMessage(bid_id::UUID, bidder_id::UUID, timestamp::DateTime) =
+    CancelBidMessage(bid_id, bidder_id, timestamp, nothing)
+
+"""
+    AmendBidMessage
+
+Message changing the amount and quantity of one of a bidder's bids, if the
+mechanism allows it (see `bidAmendmentRule`). The outcome is put on
+`response_channel` if given.
+"""
+struct AmendBidMessage <: ActorMessage
+    bid_id::UUID
+    bidder_id::UUID
+    amount::Float64
+    quantity::Int
     timestamp::DateTime
-end
\ No newline at end of file
+    response_channel::Union{Nothing, Channel{BidResponse}}
+end
+
+AmendBidMessage(bid_id::UUID, bidder_id::UUID, amount::Real, quantity::Int, timestamp::DateTime) =
+    AmendBidMessage(bid_id, bidder_id, amount, quantity, timestamp, nothing)
+
+"""
+    RegisterProxyMessage
+
+Message handing bidding for `bidder_id` over to a proxy that bids up to
+`limit` (see `ProxyBidder`), replacing any proxy the bidder already has. The
+outcome is put on `response_channel` if given.
+"""
+struct RegisterProxyMessage <: ActorMessage
+    bidder_id::UUID
+    limit::Float64
+    quantity::Int
+    timestamp::DateTime
+    response_channel::Union{Nothing, Channel{BidResponse}}
+end
+
+RegisterProxyMessage(bidder_id::UUID, limit::Real, quantity::Int, timestamp::DateTime) =
+    RegisterProxyMessage(bidder_id, limit, quantity, timestamp, nothing)
+
+"""
+    OpenContinuousTradingMessage
+
+Message ending the call phase of a double auction's order book: crossing
+orders are uncrossed at a single price and continuous trading begins.
+"""
+struct OpenContinuousTradingMessage <: ActorMessage
+    timestamp::DateTime
+end
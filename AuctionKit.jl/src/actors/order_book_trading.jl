@@ -0,0 +1,228 @@
+# Order book trading for double auction actors
+# Following A/HC/LC naming pattern
+
+# A/HC/LC: build + Order + Book
+"""
+    buildOrderBook(auction_type, params) -> Union{Nothing, LimitOrderBook}
+
+The order book a double auction trades on, if `params[:trading_mode]` asks
+for one: `:continuous` trades from the first order, `:call_then_continuous`
+collects orders for an opening call auction first. Without a trading mode a
+double auction stays sealed-bid. `:max_quantity` (call auction only),
+`:price_rule` and `:min_spread` configure the underlying
+`SealedBidDoubleAuction`.
+"""
+function buildOrderBook(auction_type::Symbol, params::AbstractDict{Symbol})
+    mode = get(params, :trading_mode, nothing)
+    isnothing(mode) && return nothing
+    auction_type == :double || throw(ArgumentError("Only double auctions can trade on an order book"))
+    mode in (:continuous, :call_then_continuous) || throw(ArgumentError("Invalid trading mode: $mode"))
+
+    T = get(params, :numeric_type, Float64)
+    mechanism = SealedBidDoubleAuction(
+        max_quantity = get(params, :max_quantity, typemax(Int)),
+        price_rule = get(params, :price_rule, :uniform),
+        min_spread = T(get(params, :min_spread, 0))
+    )
+    return LimitOrderBook(mechanism; phase = mode == :continuous ? :continuous : :call)
+end
+
+# A/HC/LC: handle + Book + Order
+"""
+    handle_book_order(actor, msg)
+
+Trade a bid on the actor's order book. `msg.metadata[:is_buy]` gives the side
+(buy by default) and `msg.metadata[:order_type]` one of `:limit` (default),
+`:market`, `:ioc` or `:fok`. Accepted orders are logged as
+`BidSubmittedEvent`s, each fill as a `TradeExecutedEvent`, and the dropped
+remainder of a market or IOC order as a `BidCancelledEvent`, so
+`state.current_bids` always holds the unfilled part of the resting orders.
+"""
+function handle_book_order(actor::AuctionActor{T}, msg::BidMessage) where T
+    state = actor.state
+    book = actor.order_book
+
+    function reject(code::Symbol, reason::String)
+        if !isnothing(actor.event_log)
+            event = BidRejectedEvent(uuid4(), state.auction_id, msg.bidder_id, reason, now(), code)
+            append_event_to_log(actor.event_log, state.auction_id, event)
+        end
+        return BidResponse(false, uuid4(), reason, now(), code)
+    end
+
+    is_buy = get(msg.metadata, :is_buy, true)
+    order_type = Symbol(get(msg.metadata, :order_type, :limit))
+    if !(is_buy isa Bool) || !(order_type in (:limit, :market, :ioc, :fok))
+        return reject(:invalid_bid, "Orders need a boolean :is_buy and a :limit, :market, :ioc or :fok order type")
+    elseif msg.quantity < 1 || (order_type != :market && msg.amount <= 0)
+        return reject(:invalid_bid, "Order quantity and limit price must be positive")
+    end
+
+    metadata = copy(msg.metadata)
+    metadata[:is_buy] = is_buy
+    metadata[:order_type] = order_type
+    bid = Bid(msg.bidder_id, T(msg.amount), msg.quantity; metadata=metadata)
+
+    outcome = submitBookOrder!(book, Order(bid, is_buy, order_type); timestamp = bid.timestamp)
+    if outcome.status == :rejected
+        return reject(:order_type_not_allowed, "Only limit orders are accepted before continuous trading opens")
+    elseif outcome.status == :killed
+        return reject(:fill_or_kill_unfilled, "Fill-or-kill order could not be filled in full")
+    end
+
+    push!(state.current_bids, bid)
+    if !isnothing(actor.event_log)
+        event = BidSubmittedEvent(
+            bid.id,
+            state.auction_id,
+            msg.bidder_id,
+            msg.amount,
+            msg.quantity,
+            bid.timestamp,
+            metadata
+        )
+        append_event_to_log(actor.event_log, state.auction_id, event)
+    end
+
+    recordBookTrades(actor, outcome.trades)
+
+    # Market and IOC orders never rest; what they could not fill is dropped
+    if outcome.status == :cancelled
+        filter!(b -> b.id != bid.id, state.current_bids)
+        if !isnothing(actor.event_log)
+            event = BidCancelledEvent(uuid4(), state.auction_id, bid.id, bid.bidder_id, now())
+            append_event_to_log(actor.event_log, state.auction_id, event)
+        end
+    end
+
+    return BidResponse(true, bid.id, "Order $(replace(string(outcome.status), '_' => ' '))", now())
+end
+
+# A/HC/LC: record + Book + Trades
+function recordBookTrades(actor::AuctionActor, trades::Vector{<:BookTrade})
+    state = actor.state
+    for trade in trades
+        reduceTradedOrder!(state, trade.buy_order_id, trade.quantity)
+        reduceTradedOrder!(state, trade.sell_order_id, trade.quantity)
+
+        if !isnothing(actor.event_log)
+            event = TradeExecutedEvent(
+                uuid4(),
+                state.auction_id,
+                trade.buy_order_id,
+                trade.sell_order_id,
+                trade.buyer_id,
+                trade.seller_id,
+                Float64(trade.price),
+                trade.quantity,
+                trade.aggressor,
+                trade.timestamp
+            )
+            append_event_to_log(actor.event_log, state.auction_id, event)
+        end
+    end
+end
+
+# A/HC/LC: reduce + Traded + Order
+# Take a fill off an order's bid, dropping the bid once the order is filled
+function reduceTradedOrder!(state::AuctionState, order_id::UUID, quantity::Int)
+    index = findfirst(b -> b.id == order_id, state.current_bids)
+    isnothing(index) && return state
+
+    bid = state.current_bids[index]
+    if bid.quantity > quantity
+        state.current_bids[index] = Bid(
+            bid.id, bid.bidder_id, bid.amount, bid.quantity - quantity, bid.timestamp, bid.metadata
+        )
+    else
+        deleteat!(state.current_bids, index)
+    end
+    return state
+end
+
+# A/HC/LC: handle + Trading + Open
+function handle_trading_open(actor::AuctionActor, msg::OpenContinuousTradingMessage)
+    state = actor.state
+    book = actor.order_book
+    state.status == :active && !isnothing(book) && book.phase == :call || return
+
+    recordBookTrades(actor, uncrossOrderBook!(book; timestamp = now()))
+    if !isnothing(actor.event_log)
+        event = TradingPhaseChangedEvent(uuid4(), state.auction_id, book.phase, now())
+        append_event_to_log(actor.event_log, state.auction_id, event)
+    end
+end
+
+# A/HC/LC: finalize + OrderBook + Trading
+"""
+    finalizeOrderBookTrading(state, book) -> AuctionResult
+
+Summarize the trades of an order book auction: every trader is a winner,
+allocated the quantity it traded, paying for what it bought and receiving
+(a negative payment) for what it sold, as `finalizeDoubleAuction` does.
+Orders still resting at the close expire. The clearing price is that of the
+last trade.
+"""
+function finalizeOrderBookTrading(state::AuctionState{T}, book::LimitOrderBook{T}) where T
+    winners = UUID[]
+    allocations = Dict{UUID, T}()
+    payments = Dict{UUID, T}()
+
+    for trade in book.trades
+        for trader in (trade.buyer_id, trade.seller_id)
+            trader in winners || push!(winners, trader)
+            allocations[trader] = get(allocations, trader, zero(T)) + T(trade.quantity)
+        end
+        value = trade.price * T(trade.quantity)
+        payments[trade.buyer_id] = get(payments, trade.buyer_id, zero(T)) + value
+        payments[trade.seller_id] = get(payments, trade.seller_id, zero(T)) - value
+    end
+
+    return AuctionResult{T}(
+        state.auction_id,
+        isempty(book.trades) ? zero(T) : last(book.trades).price,
+        winners,
+        allocations,
+        payments,
+        now(),
+        MetadataDict(
+            :auction_type => :double,
+            :trades => length(book.trades),
+            :total_volume => sum(trade.quantity for trade in book.trades; init = 0),
+            :expired_orders => length(book.bids) + length(book.asks)
+        )
+    )
+end
+
+# A/HC/LC: restore + Order + Book
+"""
+    restoreOrderBook(log, state) -> Union{Nothing, LimitOrderBook}
+
+The order book of a replayed double auction: built from the logged start
+parameters, in the phase the log last recorded and with its logged trades,
+so finalization still counts them. The unfilled orders in
+`state.current_bids` rest again in their original time priority.
+"""
+function restoreOrderBook(log::CentralizedEventLog, state::AuctionState{T}) where T
+    events = replayEventsFromLog(log, state.auction_id)
+    start_index = findfirst(e -> e.wrapped_event isa AuctionStartedEvent, events)
+    isnothing(start_index) && return nothing
+
+    book = buildOrderBook(state.auction_type, events[start_index].wrapped_event.parameters)
+    isnothing(book) && return nothing
+
+    for event in map(e -> e.wrapped_event, events)
+        if event isa TradingPhaseChangedEvent
+            book.phase = event.phase
+        elseif event isa TradeExecutedEvent
+            push!(book.trades, BookTrade{T}(
+                event.buy_order_id, event.sell_order_id, event.buyer_id, event.seller_id,
+                T(event.price), event.quantity, event.aggressor, event.timestamp
+            ))
+        end
+    end
+    for bid in sort(state.current_bids, by = b -> b.timestamp)
+        restBookOrder!(book, Order(bid, get(bid.metadata, :is_buy, true)), bid.quantity)
+    end
+    return book
+end
@@ -0,0 +1,129 @@
+# Proxy bidding on behalf of absent bidders in open-outcry auctions
+# Following A/HC/LC naming pattern
+
+# A/HC/LC: supports + Proxy + Bidding
+supportsProxyBidding(auction_type::Symbol)::Bool = auction_type in (:english, :japanese, :dutch)
+
+# A/HC/LC: handle + Proxy + Registration
+"""
+    handle_proxy_registration(actor, msg)
+
+Register a proxy for `msg.bidder_id`. The proxy bids through the same path as
+the bidder would, so its bids are validated and logged as `BidSubmittedEvent`s
+(with `:proxy => true` in their metadata). Limits themselves are not logged,
+since the log is streamed to other bidders, so a replayed actor has no
+proxies.
+"""
+function handle_proxy_registration(actor::AuctionActor{T}, msg::RegisterProxyMessage) where T
+    state = actor.state
+    existing = get(actor.proxies.proxies, msg.bidder_id, nothing)
+
+    code, reason = if !supportsProxyBidding(state.auction_type)
+        (:proxy_not_supported, "Proxy bidding is not available in $(state.auction_type) auctions")
+    elseif state.status != :active
+        (:auction_not_active, "Auction not active (status: $(state.status))")
+    elseif msg.timestamp > state.end_time
+        (:auction_ended, "Auction has ended")
+    elseif msg.quantity < 1 || msg.limit <= 0
+        (:invalid_bid, "Proxy limit and quantity must be positive")
+    elseif msg.limit < state.reserve_price
+        (:below_reserve, "Proxy limit below reserve price")
+    elseif state.auction_type == :japanese && actor.proxies.clock_tick > 0 &&
+           (isnothing(existing) || !existing.active)
+        (:auction_started, "Cannot join after auction has started")
+    else
+        (:ok, "Proxy registered")
+    end
+
+    if code == :ok
+        proxy = ProxyBidder{T}(msg.bidder_id, msg.limit, msg.quantity, now())
+        # A replacement does not bid again at a clock price its predecessor already took
+        isnothing(existing) || (proxy.last_tick = existing.last_tick)
+        actor.proxies.proxies[msg.bidder_id] = proxy
+        runProxyBidders(actor, msg.timestamp)  # Bid at once if the price allows
+    elseif !isnothing(actor.event_log)
+        event = BidRejectedEvent(uuid4(), state.auction_id, msg.bidder_id, reason, now(), code)
+        append_event_to_log(actor.event_log, state.auction_id, event)
+    end
+
+    response = BidResponse(code == :ok, uuid4(), reason, now(), code)
+    isnothing(msg.response_channel) || put!(msg.response_channel, response)
+    return response
+end
+
+# A/HC/LC: run + Proxy + Bidders
+# Let every proxy react to the auction's current price; called with the state locked
+function runProxyBidders(actor::AuctionActor, timestamp::DateTime)
+    state = actor.state
+    isempty(actor.proxies.proxies) && return
+
+    if state.auction_type == :english
+        # Each proxy bid strictly raises the high bid, so this ends
+        while state.status == :active
+            next_bid = nextEnglishProxyBid(state, actor.proxies)
+            isnothing(next_bid) && break
+            proxy, amount = next_bid
+            placeProxyBid(actor, proxy, amount, timestamp).success || break
+        end
+    elseif state.auction_type in (:japanese, :dutch)
+        tick = actor.proxies.clock_tick
+        price = clockAuctionPrice(state, tick)
+        for proxy in collect(values(actor.proxies.proxies))
+            state.status == :active || break
+            proxy.active && proxy.last_tick < tick || continue
+
+            if proxy.limit < price
+                # Past its threshold a Japanese proxy drops out; a Dutch one keeps waiting
+                state.auction_type == :japanese && (proxy.active = false)
+                continue
+            end
+
+            proxy.last_tick = tick
+            placeProxyBid(actor, proxy, price, timestamp)
+            state.auction_type == :dutch && (proxy.active = false)
+        end
+    end
+end
+
+# A/HC/LC: next + English + ProxyBid
+"""
+    nextEnglishProxyBid(state, book) -> Union{Nothing, Tuple{ProxyBidder, price}}
+
+The proxy that should bid next in an English auction and its bid, eBay-style.
+Proxies whose bidder does not lead and whose limit reaches the asking price
+(the reserve, then the high bid plus `state.increment`) may bid; the one with
+the highest limit, earliest registered on ties, goes. It bids just enough to
+beat the best rival proxy, capped at its own limit, so two proxies settle in
+a couple of bids rather than one bid per increment.
+"""
+function nextEnglishProxyBid(state::AuctionState{T}, book::ProxyBook{T}) where T
+    leader = isempty(state.current_bids) ? nothing :
+             first(sort(state.current_bids, by = b -> (-b.amount, b.timestamp)))
+    ask = isnothing(leader) ? state.reserve_price : leader.amount + state.increment
+    isnothing(leader) || ask > leader.amount || return nothing
+
+    able = sort(
+        [p for p in values(book.proxies) if p.active && p.limit >= ask],
+        by = p -> (-p.limit, p.registered)
+    )
+    contenders = filter(p -> isnothing(leader) || p.bidder_id != leader.bidder_id, able)
+    isempty(contenders) && return nothing
+
+    proxy = first(contenders)
+    rivals = filter(p -> p.bidder_id != proxy.bidder_id, able)
+    amount = isempty(rivals) ? ask : min(proxy.limit, max(ask, first(rivals).limit + state.increment))
+    return (proxy, amount)
+end
+
+# A/HC/LC: place + Proxy + Bid
+function placeProxyBid(actor::AuctionActor, proxy::ProxyBidder, amount::Real, timestamp::DateTime)
+    msg = BidMessage(
+        proxy.bidder_id,
+        actor.state.auction_id,
+        Float64(amount),
+        proxy.quantity,
+        MetadataDict(:proxy => true),
+        timestamp
+    )
+    return handle_bid_submission(actor, msg)
+end
@@ -0,0 +1,162 @@
+# Event-sourced reconstruction of auction actors
+# Following A/HC/LC naming pattern
+
+# A/HC/LC: apply + Event + ToState
+"""
+    applyEventToState(state, event) -> AuctionState
+
+Fold one logged event into `state`. Events that do not change actor state,
+such as rejected bids, are ignored. Add methods for custom event types that
+should take part in replay.
+"""
+applyEventToState(state::AuctionState, event::AuctionEvent) = state
+
+# A logged start means the auction was opened for bidding
+function applyEventToState(state::AuctionState, event::AuctionStartedEvent)
+    state.status = :active
+    return state
+end
+
+function applyEventToState(state::AuctionState{T}, event::BidSubmittedEvent) where T
+    bid = Bid(
+        event.id,
+        event.bidder_id,
+        T(event.amount),
+        event.quantity,
+        event.timestamp,
+        restoreBidMetadata(event.metadata)
+    )
+    push!(state.current_bids, bid)
+    return state
+end
+
+function applyEventToState(state::AuctionState{T}, event::AuctionFinalizedEvent) where T
+    state.result = AuctionResult{T}(
+        state.auction_id,
+        T(event.clearing_price),
+        copy(event.winners),
+        Dict{UUID, T}(id => T(amount) for (id, amount) in event.allocations),
+        Dict{UUID, T}(id => T(amount) for (id, amount) in event.payments),
+        event.timestamp,
+        MetadataDict()
+    )
+    state.status = :completed
+    return state
+end
+
+function applyEventToState(state::AuctionState, event::AuctionExtendedEvent)
+    state.end_time = event.new_end_time
+    if !isnothing(state.anti_sniping)
+        state.anti_sniping.extensions = event.extension_count
+    end
+    return state
+end
+
+function applyEventToState(state::AuctionState, event::BidCancelledEvent)
+    filter!(bid -> bid.id != event.bid_id, state.current_bids)
+    return state
+end
+
+function applyEventToState(state::AuctionState{T}, event::BidAmendedEvent) where T
+    index = findfirst(bid -> bid.id == event.bid_id, state.current_bids)
+    isnothing(index) && return state
+
+    bid = state.current_bids[index]
+    state.current_bids[index] = Bid(
+        bid.id, bid.bidder_id, T(event.amount), event.quantity, event.timestamp, bid.metadata
+    )
+    return state
+end
+
+function applyEventToState(state::AuctionState, event::TradeExecutedEvent)
+    reduceTradedOrder!(state, event.buy_order_id, event.quantity)
+    reduceTradedOrder!(state, event.sell_order_id, event.quantity)
+    return state
+end
+
+function applyEventToState(state::AuctionState, event::AuctionCancelledEvent)
+    state.status = :cancelled
+    return state
+end
+
+# A/HC/LC: restore + Bid + Metadata
+# Values decoded from a persistent log may have widened types; narrow them
+# back into MetadataValue, falling back to their string form
+function restoreBidMetadata(metadata::AbstractDict)::MetadataDict
+    restored = MetadataDict()
+    for (key, value) in metadata
+        restored[Symbol(key)] = if value isa MetadataValue
+            value
+        elseif value isa AbstractVector && all(v -> v isa Integer, value)
+            Vector{Int64}(value)
+        elseif value isa AbstractVector && all(v -> v isa Real, value)
+            Vector{Float64}(value)
+        else
+            string(value)
+        end
+    end
+    return restored
+end
+
+# A/HC/LC: rebuild + AuctionState + FromLog
+"""
+    rebuildAuctionState(log, auction_id; as_of = nothing) -> Union{Nothing, AuctionState}
+
+Rebuild an auction's state by folding its logged events in order, starting
+from the parameters recorded in its `AuctionStartedEvent`. With `as_of`, only
+events logged at or before that time are applied, giving the state the
+auction had at that moment, or `nothing` if it had not started yet.
+"""
+function rebuildAuctionState(
+    log::CentralizedEventLog,
+    auction_id::UUID;
+    as_of::Union{Nothing, DateTime} = nothing
+)
+    events = replayEventsFromLog(log, auction_id)
+    if !isnothing(as_of)
+        filter!(e -> e.timestamp <= as_of, events)
+    end
+
+    start_index = findfirst(e -> e.wrapped_event isa AuctionStartedEvent, events)
+    if isnothing(start_index)
+        isnothing(as_of) || return nothing
+        throw(ArgumentError("No AuctionStartedEvent logged for auction $auction_id"))
+    end
+
+    started = events[start_index].wrapped_event
+    state = buildInitialAuctionState(auction_id, started.auction_type, started.parameters)
+    state.start_time = started.start_time
+    state.end_time = started.end_time
+
+    for event in events[start_index:end]
+        applyEventToState(state, event.wrapped_event)
+    end
+
+    return state
+end
+
+# A/HC/LC: get + AuctionState + AtTime
+"""
+    getAuctionStateAtTime(log, auction_id, timestamp) -> Union{Nothing, AuctionState}
+
+Time-travel query: the state of `auction_id` as of `timestamp`.
+"""
+function getAuctionStateAtTime(log::CentralizedEventLog, auction_id::UUID, timestamp::DateTime)
+    return rebuildAuctionState(log, auction_id; as_of = timestamp)
+end
+
+# A/HC/LC: rebuild + AuctionActor + FromLog
+"""
+    rebuildAuctionActor(log, auction_id) -> AuctionActor
+
+Start a live actor for `auction_id` from its replayed state. The actor keeps
+appending to `log`, so its history continues where the previous actor left
+off.
+"""
+function rebuildAuctionActor(log::CentralizedEventLog, auction_id::UUID)::AuctionActor
+    return startActorFromState(rebuildAuctionState(log, auction_id), log)
+end
+
+function startActorFromState(state::AuctionState{T}, log::CentralizedEventLog) where T
+    return AuctionActor{T}(state, log; order_book=restoreOrderBook(log, state))
+end
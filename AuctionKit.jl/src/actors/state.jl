@@ -1,6 +1,62 @@
 # Auction state definition
 # Following A/HC/LC naming pattern
 
+"""
+    AntiSnipingRule
+
+Pushes an auction's end time back when a bid lands within `window` of the
+close: the auction then ends `extension` after that bid, at most
+`max_extensions` times.
+"""
+mutable struct AntiSnipingRule
+    window::Millisecond
+    extension::Millisecond
+    max_extensions::Int
+    extensions::Int  # Extensions granted so far
+    
+    function AntiSnipingRule(window::Millisecond, extension::Millisecond, max_extensions::Int = typemax(Int))
+        window > Millisecond(0) || throw(ArgumentError("Anti-sniping window must be positive"))
+        extension > Millisecond(0) || throw(ArgumentError("Anti-sniping extension must be positive"))
+        max_extensions >= 0 || throw(ArgumentError("Max extensions must be non-negative"))
+        new(window, extension, max_extensions, 0)
+    end
+end
+
+"""
+    ProxyBidder{T}
+
+Standing instruction to bid for `bidder_id` up to `limit`: the maximum price
+in an English auction, the stay-in threshold in a Japanese auction and the
+accept-at price in a Dutch auction.
+"""
+mutable struct ProxyBidder{T}
+    bidder_id::UUID
+    limit::T
+    quantity::Int
+    registered::DateTime
+    active::Bool  # Cleared once a Dutch proxy has accepted or a Japanese proxy has dropped out
+    last_tick::Int  # Clock tick of the proxy's latest bid, -1 before its first
+    
+    function ProxyBidder{T}(bidder_id::UUID, limit::Real, quantity::Int = 1, registered::DateTime = now()) where T
+        limit > 0 || throw(ArgumentError("Proxy limit must be positive"))
+        quantity >= 1 || throw(ArgumentError("Proxy quantity must be positive"))
+        new{T}(bidder_id, T(limit), quantity, registered, true, -1)
+    end
+end
+
+"""
+    ProxyBook{T}
+
+The proxy bidders of one auction, keyed by bidder, and the price clock tick
+they last saw.
+"""
+mutable struct ProxyBook{T}
+    proxies::OrderedDict{UUID, ProxyBidder{T}}
+    clock_tick::Int
+    
+    ProxyBook{T}() where T = new{T}(OrderedDict{UUID, ProxyBidder{T}}(), 0)
+end
+
 """
     AuctionState{T}
 
@@ -25,4 +81,18 @@ mutable struct AuctionState{T} <: ActorState{T}
     
     # Results (populated after finalization)
     result::Union{Nothing, AuctionResult{T}}
+    
+    # End-time extension on late bids, if enabled
+    anti_sniping::Union{Nothing, AntiSnipingRule}
+end
+
+# States built without anti-sniping
+function AuctionState{T}(
+    auction_id, auction_type, status, current_bids, participants, start_time, end_time, mutex,
+    reserve_price, increment, clearing_rule, tie_breaking, max_quantity, result
+) where T
+    return AuctionState{T}(
+        auction_id, auction_type, status, current_bids, participants, start_time, end_time, mutex,
+        reserve_price, increment, clearing_rule, tie_breaking, max_quantity, result, nothing
+    )
 end
\ No newline at end of file
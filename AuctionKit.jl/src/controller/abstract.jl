@@ -15,32 +15,47 @@ Abstract type for auction workflow definitions.
 """
 abstract type AbstractWorkflow{T} end
 
+# Defaults for workflow steps that pass configs and results through unchanged
+keepWorkflowConfig(config, inputs) = config
+keepWorkflowResult(result, inputs) = result
+
 """
     WorkflowNode{T}
 
-Represents a single node in an auction workflow graph.
+Represents a single node in an auction workflow graph. `join` decides when a
+node with several upstream edges runs: `:all` needs every incoming edge to be
+taken, `:any` needs at least one (merging the arms of a conditional branch).
 """
 struct WorkflowNode{T}
     id::UUID
+    name::Symbol
     auction_config::Dict{Symbol, Any}
     dependencies::Vector{UUID}  # IDs of upstream nodes
-    transformation::Function  # Function to transform inputs before auction
-    aggregation::Function  # Function to aggregate results for downstream
+    transformation::Function  # (config, inputs) -> config, run before the auction
+    aggregation::Function  # (result, inputs) -> result, passed downstream
+    join::Symbol  # :all, :any
     metadata::Dict{Symbol, Any}
     
     function WorkflowNode{T}(;
         auction_config::Dict{Symbol, Any},
+        name::Union{Nothing, Symbol} = nothing,
         dependencies::Vector{UUID} = UUID[],
-        transformation::Function = identity,
-        aggregation::Function = identity,
+        transformation::Function = keepWorkflowConfig,
+        aggregation::Function = keepWorkflowResult,
+        join::Symbol = :all,
         metadata::Dict{Symbol, Any} = Dict{Symbol, Any}()
     ) where T
+        join in (:all, :any) || throw(ArgumentError("Join must be :all or :any"))
+        
+        id = uuid4()
         new{T}(
-            uuid4(),
+            id,
+            isnothing(name) ? Symbol(string(id)) : name,
             auction_config,
             dependencies,
             transformation,
             aggregation,
+            join,
             metadata
         )
     end
@@ -49,14 +64,26 @@ end
 """
     WorkflowGraph{T}
 
-Directed acyclic graph of auction workflows.
+Directed acyclic graph of auction workflows. Edges may carry a condition on
+the upstream `AuctionResult`; an edge whose condition fails is not taken.
 """
 struct WorkflowGraph{T}
+    id::UUID
     nodes::Dict{UUID, WorkflowNode{T}}
     edges::Vector{Tuple{UUID, UUID}}  # (from, to) pairs
+    conditions::Dict{Tuple{UUID, UUID}, Function}  # edge -> predicate on the upstream result
+    names::Dict{Symbol, UUID}
+    order::Vector{UUID}  # Insertion order, for deterministic execution
     
     function WorkflowGraph{T}() where T
-        new{T}(Dict{UUID, WorkflowNode{T}}(), Vector{Tuple{UUID, UUID}}())
+        new{T}(
+            uuid4(),
+            Dict{UUID, WorkflowNode{T}}(),
+            Vector{Tuple{UUID, UUID}}(),
+            Dict{Tuple{UUID, UUID}, Function}(),
+            Dict{Symbol, UUID}(),
+            UUID[]
+        )
     end
 end
 
@@ -86,6 +113,7 @@ mutable struct ControllerState{T}
     active_actors::Dict{UUID, AuctionActor{T}}
     event_log::Union{Nothing, CentralizedEventLog}
     mutex::ReentrantLock
+    workflow_steps::Dict{UUID, Dict{Symbol, Symbol}}  # workflow -> step name -> status
 end
 
 # Required interface functions
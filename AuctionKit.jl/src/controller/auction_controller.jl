@@ -9,6 +9,7 @@ Main controller for orchestrating auction workflows and chaining.
 """
 mutable struct AuctionController{T} <: AbstractController{T}
     state::ControllerState{T}
+    scheduler::AuctionScheduler
     executor::Task
     running::Atomic{Bool}
     
@@ -21,11 +22,13 @@ mutable struct AuctionController{T} <: AbstractController{T}
             Dict{UUID, WorkflowResult{T}}(),
             Dict{UUID, AuctionActor{T}}(),
             event_log,
-            ReentrantLock()
+            ReentrantLock(),
+            Dict{UUID, Dict{Symbol, Symbol}}()
         )
         
         controller = new{T}(
             state,
+            AuctionScheduler(),
             Task(() -> nothing),
             Atomic{Bool}(true)
         )
@@ -38,35 +41,40 @@ mutable struct AuctionController{T} <: AbstractController{T}
 end
 
 # A/HC/LC: create + Workflow + Graph
+"""
+    createWorkflowGraph(controller, configs) -> WorkflowGraph
+
+Build a workflow from step configs. Each config may set `:name` (default
+`:step_<i>`), `:dependencies` naming upstream steps by name, 1-based config
+index or node id, a `:condition` applied to every incoming edge, `:join`,
+`:transformation`, `:aggregation` and `:metadata`.
+"""
 function createWorkflowGraph(controller::AuctionController{T}, configs::Vector{Dict{Symbol, Any}}) where T
     graph = WorkflowGraph{T}()
     
     # Create nodes from configs
     node_ids = UUID[]
-    for config in configs
-        node = WorkflowNode{T}(
-            auction_config = config,
-            dependencies = get(config, :dependencies, UUID[]),
-            transformation = get(config, :transformation, identity),
-            aggregation = get(config, :aggregation, identity),
+    for (i, config) in enumerate(configs)
+        node_id = addWorkflowStep(
+            graph,
+            get(config, :name, Symbol("step_$i")),
+            config;
+            transformation = get(config, :transformation, keepWorkflowConfig),
+            aggregation = get(config, :aggregation, keepWorkflowResult),
+            join = get(config, :join, :all),
             metadata = get(config, :metadata, Dict{Symbol, Any}())
         )
-        graph.nodes[node.id] = node
-        push!(node_ids, node.id)
+        push!(node_ids, node_id)
     end
     
     # Build edges based on dependencies
-    for node in values(graph.nodes)
-        for dep_id in node.dependencies
-            push!(graph.edges, (dep_id, node.id))
+    for (config, node_id) in zip(configs, node_ids)
+        for dependency in get(config, :dependencies, [])
+            from = dependency isa Integer ? node_ids[dependency] : dependency
+            connectWorkflowSteps(graph, from, node_id; condition = get(config, :condition, nothing))
         end
     end
     
-    # Validate DAG structure
-    if !validateDAGStructure(graph)
-        throw(ArgumentError("Workflow graph contains cycles"))
-    end
-    
     return graph
 end
 
@@ -103,8 +111,9 @@ function topologicalSortWorkflow(graph::WorkflowGraph{T}) where T
     # Build adjacency information
     in_degree = Dict{UUID, Int}()
     adjacency = Dict{UUID, Vector{UUID}}()
+    node_order = workflowNodeOrder(graph)
     
-    for node_id in keys(graph.nodes)
+    for node_id in node_order
         in_degree[node_id] = 0
         adjacency[node_id] = UUID[]
     end
@@ -114,13 +123,8 @@ function topologicalSortWorkflow(graph::WorkflowGraph{T}) where T
         push!(adjacency[from_id], to_id)
     end
     
-    # Kahn's algorithm
-    queue = UUID[]
-    for (node_id, degree) in in_degree
-        if degree == 0
-            push!(queue, node_id)
-        end
-    end
+    # Kahn's algorithm, seeded in insertion order so runs are reproducible
+    queue = filter(node_id -> in_degree[node_id] == 0, node_order)
     
     sorted_order = UUID[]
     while !isempty(queue)
@@ -143,44 +147,88 @@ function topologicalSortWorkflow(graph::WorkflowGraph{T}) where T
 end
 
 # A/HC/LC: execute + Workflow
+"""
+    executeWorkflow(controller, workflow) -> WorkflowResult
+
+Run every step of `workflow` once its upstream steps have settled. Steps
+whose upstreams are all done run concurrently. A step runs when its incoming
+edges are taken according to its `join`; otherwise it is skipped. Step
+progress (`:pending`, `:running`, `:completed`, `:skipped`, `:failed`) is
+visible through `getWorkflowStatus` while the workflow runs and afterwards.
+"""
 function executeWorkflow(controller::AuctionController{T}, workflow::WorkflowGraph{T}) where T
-    workflow_id = uuid4()
+    workflow_id = workflow.id
+    order = topologicalSortWorkflow(workflow)
+    step_status = Dict{Symbol, Symbol}(workflow.nodes[id].name => :pending for id in order)
     
     lock(controller.state.mutex) do
         controller.state.active_workflows[workflow_id] = workflow
+        controller.state.workflow_steps[workflow_id] = step_status
     end
     
-    # Get execution order
-    execution_order = topologicalSortWorkflow(workflow)
+    setStatus(node_id, status) = lock(controller.state.mutex) do
+        step_status[workflow.nodes[node_id].name] = status
+    end
+    statusOf(node_id) = lock(controller.state.mutex) do
+        step_status[workflow.nodes[node_id].name]
+    end
     
-    # Execute nodes in topological order
     node_results = Dict{UUID, AuctionResult{T}}()
+    execution_order = UUID[]
+    failure = nothing
     start_time = now()
     
-    for node_id in execution_order
-        node = workflow.nodes[node_id]
+    remaining = copy(order)
+    while !isempty(remaining) && isnothing(failure)
+        # Steps whose upstreams have all completed or been skipped
+        ready = filter(remaining) do node_id
+            all(dep -> statusOf(dep) in (:completed, :skipped), workflow.nodes[node_id].dependencies)
+        end
+        filter!(node_id -> !(node_id in ready), remaining)
         
-        # Gather inputs from dependencies
-        inputs = Dict{UUID, AuctionResult{T}}()
-        for dep_id in node.dependencies
-            if haskey(node_results, dep_id)
-                inputs[dep_id] = node_results[dep_id]
+        runnable = UUID[]
+        for node_id in ready
+            if isWorkflowStepTaken(workflow, node_id, node_results)
+                push!(runnable, node_id)
+            else
+                setStatus(node_id, :skipped)
             end
         end
         
-        # Transform inputs
-        transformed_config = node.transformation(node.auction_config, inputs)
-        
-        # Execute auction
-        result = executeAuctionNode(controller, node, transformed_config)
-        
-        # Aggregate results
-        aggregated_result = node.aggregation(result, inputs)
-        node_results[node_id] = aggregated_result
+        @sync for node_id in runnable
+            node = workflow.nodes[node_id]
+            
+            # Inputs come from the upstream steps whose edges were taken
+            inputs = Dict{UUID, AuctionResult{T}}(
+                dep_id => node_results[dep_id]
+                for dep_id in node.dependencies if isWorkflowEdgeTaken(workflow, (dep_id, node_id), node_results)
+            )
+            setStatus(node_id, :running)
+            push!(execution_order, node_id)
+            
+            @async try
+                config = node.transformation(copy(node.auction_config), inputs)
+                result = executeAuctionNode(controller, node, config)
+                node_results[node_id] = node.aggregation(result, inputs)
+                setStatus(node_id, :completed)
+            catch e
+                setStatus(node_id, :failed)
+                failure = something(failure, e)
+            end
+        end
     end
     
     end_time = now()
     
+    if !isnothing(failure)
+        lock(controller.state.mutex) do
+            delete!(controller.state.active_workflows, workflow_id)
+        end
+        throw(failure)
+    end
+    
+    skipped = [name for (name, status) in step_status if status == :skipped]
+    
     # Store workflow result
     workflow_result = WorkflowResult{T}(
         workflow_id,
@@ -189,7 +237,8 @@ function executeWorkflow(controller::AuctionController{T}, workflow::WorkflowGra
         start_time,
         end_time,
         Dict{Symbol, Any}(
-            :total_nodes => length(execution_order),
+            :total_nodes => length(order),
+            :skipped_steps => skipped,
             :total_duration => (end_time - start_time).value / 1000.0
         )
     )
@@ -202,56 +251,61 @@ function executeWorkflow(controller::AuctionController{T}, workflow::WorkflowGra
     return workflow_result
 end
 
+# A/HC/LC: is + WorkflowEdge + Taken
+# An edge is taken when its upstream completed and its condition (if any) holds
+function isWorkflowEdgeTaken(workflow::WorkflowGraph, edge::Tuple{UUID, UUID}, node_results::AbstractDict)::Bool
+    haskey(node_results, edge[1]) || return false
+    condition = get(workflow.conditions, edge, nothing)
+    return isnothing(condition) || condition(node_results[edge[1]])
+end
+
+# A/HC/LC: is + WorkflowStep + Taken
+function isWorkflowStepTaken(workflow::WorkflowGraph, node_id::UUID, node_results::AbstractDict)::Bool
+    node = workflow.nodes[node_id]
+    isempty(node.dependencies) && return true
+    
+    taken = [isWorkflowEdgeTaken(workflow, (dep_id, node_id), node_results) for dep_id in node.dependencies]
+    return node.join == :any ? any(taken) : all(taken)
+end
+
 # A/HC/LC: execute + Auction + Node
 function executeAuctionNode(
     controller::AuctionController{T},
     node::WorkflowNode{T},
     config::Dict{Symbol, Any}
 ) where T
+    # Bidding window: explicit times win, otherwise start now for :duration_seconds
+    start_time = get(config, :start_time, now())
+    duration = Millisecond(round(Int, get(config, :duration_seconds, 60) * 1000))
+    config = merge(config, Dict{Symbol, Any}(
+        :start_time => start_time,
+        :end_time => get(config, :end_time, start_time + duration)
+    ))
+    
     # Create auction actor
     auction_type = get(config, :auction_type, :first_price)
-    actor = create_auction_actor(auction_type, config; event_log=controller.state.event_log)
+    actor = create_auction_actor(auction_type, config; event_log=controller.state.event_log, log_start=false)
     
     lock(controller.state.mutex) do
         controller.state.active_actors[actor.id] = actor
     end
     
-    # Start auction
-    actor.state.status = :active
-    
-    # Submit any initial bids from config
-    initial_bids = get(config, :initial_bids, [])
-    for bid_data in initial_bids
-        msg = BidMessage(
+    # Initial bids from config are delivered as the auction opens
+    initial_bids = BidMessage[
+        BidMessage(
             get(bid_data, :bidder_id, uuid4()),
             actor.state.auction_id,
             T(get(bid_data, :amount, 0)),
             get(bid_data, :quantity, 1),
             get(bid_data, :metadata, Dict{Symbol, Any}()),
-            now()
+            start_time
         )
-        send_message_to_actor(actor, msg)
-    end
-    
-    # Wait for auction duration or immediate finalization
-    auction_duration = get(config, :duration_seconds, 60)
-    if auction_duration > 0
-        sleep(auction_duration)
-    end
-    
-    # Finalize auction
-    finalize_msg = FinalizeMessage(false, now())
-    send_message_to_actor(actor, finalize_msg)
+        for bid_data in get(config, :initial_bids, [])
+    ]
     
-    # Wait for result
-    max_wait = 10.0  # seconds
-    start_wait = now()
-    while actor.state.status != :completed
-        if (now() - start_wait).value / 1000.0 > max_wait
-            throw(ErrorException("Auction finalization timeout"))
-        end
-        sleep(0.1)
-    end
+    # The scheduler opens and closes the auction; wait for it to close
+    scheduleAuction(controller, actor, config; initial_bids = initial_bids)
+    wait(actor.closed)
     
     result = actor.state.result
     
@@ -261,50 +315,194 @@ function executeAuctionNode(
         delete!(controller.state.active_actors, actor.id)
     end
     
+    actor.state.status == :completed || throw(ErrorException("Auction $(actor.id) was cancelled"))
     return result
 end
 
-# A/HC/LC: chain + Auctions
-function chainAuctions(
+# A/HC/LC: schedule + Auction
+"""
+    scheduleAuction(controller, actor, params; initial_bids = BidMessage[])
+
+Hand a pending actor to the controller's scheduler. The auction opens at its
+`start_time` (immediately if that has passed), logging `AuctionStartedEvent`
+and delivering `initial_bids`, and is finalized at its `end_time`, including
+any anti-sniping extensions granted meanwhile. A double auction with
+`:trading_mode => :call_then_continuous` and `:call_seconds` ends its opening
+call auction that long after opening. The actor must already be registered in
+the controller's active actors.
+"""
+function scheduleAuction(
     controller::AuctionController{T},
-    configs::Vector{Dict{Symbol, Any}}
+    actor::AuctionActor{T},
+    params::Dict{Symbol, Any};
+    initial_bids::Vector{BidMessage} = BidMessage[]
 ) where T
-    # Build workflow graph with sequential dependencies
-    for i in 2:length(configs)
-        if !haskey(configs[i], :dependencies)
-            configs[i][:dependencies] = UUID[]
+    if actor.state.start_time <= now()
+        openScheduledAuction(controller, actor, params, initial_bids)
+    else
+        pushScheduledTransition(
+            controller.scheduler,
+            actor.state.start_time,
+            actor.id,
+            :open;
+            parameters = params,
+            initial_bids = initial_bids
+        )
+    end
+end
+
+# A/HC/LC: open + Scheduled + Auction
+function openScheduledAuction(
+    controller::AuctionController,
+    actor::AuctionActor,
+    params::Dict{Symbol, Any},
+    initial_bids::Vector{BidMessage}
+)
+    state = actor.state
+    opened = lock(state.mutex) do
+        state.status == :pending || return false
+        state.status = :active
+        
+        if !isnothing(actor.event_log)
+            event = AuctionStartedEvent(
+                uuid4(),
+                state.auction_id,
+                state.auction_type,
+                state.start_time,
+                state.end_time,
+                params
+            )
+            append_event_to_log(actor.event_log, state.auction_id, event)
         end
-        # Each auction depends on the previous one
-        # This creates a chain structure
+        return true
+    end
+    opened || return
+    
+    # Queued ahead of the close, so the mailbox sees them before finalization
+    for msg in initial_bids
+        send_message_to_actor(actor, msg)
     end
     
-    workflow = createWorkflowGraph(controller, configs)
+    pushScheduledTransition(controller.scheduler, state.end_time, actor.id, :close)
     
-    # Set up result propagation
-    for i in 2:length(configs)
-        node_ids = collect(keys(workflow.nodes))
-        if i <= length(node_ids)
-            prev_node = node_ids[i-1]
-            curr_node = node_ids[i]
-            
-            # Update transformation function to use previous result
-            workflow.nodes[curr_node].transformation = function(config, inputs)
-                if !isempty(inputs)
-                    prev_result = first(values(inputs))
-                    # Propagate winners as new bidders
-                    new_bidders = []
-                    for winner_id in prev_result.winners
-                        push!(new_bidders, Dict(
-                            :bidder_id => winner_id,
-                            :amount => prev_result.clearing_price * T(1.1),  # Bid 10% higher
-                            :quantity => 1
-                        ))
-                    end
-                    config[:initial_bids] = new_bidders
-                end
-                return config
-            end
+    # Clock auctions move their price every :tick_seconds while open
+    if state.auction_type in (:dutch, :japanese) && haskey(params, :tick_seconds)
+        pushScheduledPriceTick(controller, actor, 1, Float64(params[:tick_seconds]))
+    end
+    
+    # An opening call auction gives way to continuous trading after :call_seconds
+    if get(params, :trading_mode, nothing) == :call_then_continuous && haskey(params, :call_seconds)
+        due = state.start_time + Millisecond(round(Int, params[:call_seconds] * 1000))
+        due < state.end_time && pushScheduledTransition(controller.scheduler, due, actor.id, :open_trading)
+    end
+end
+
+# A/HC/LC: push + Scheduled + PriceTick
+function pushScheduledPriceTick(controller::AuctionController, actor::AuctionActor, tick::Int, tick_seconds::Float64)
+    due = actor.state.start_time + Millisecond(round(Int, tick * tick_seconds * 1000))
+    due < actor.state.end_time || return
+    
+    pushScheduledTransition(
+        controller.scheduler,
+        due,
+        actor.id,
+        :tick;
+        parameters = Dict{Symbol, Any}(:tick => tick, :tick_seconds => tick_seconds)
+    )
+end
+
+# A/HC/LC: tick + Scheduled + Auction
+function tickScheduledAuction(controller::AuctionController, transition::ScheduledTransition)
+    actor = lock(controller.state.mutex) do
+        get(controller.state.active_actors, transition.auction_id, nothing)
+    end
+    isnothing(actor) && return
+    actor.state.status == :active || return
+    
+    tick = transition.parameters[:tick]
+    send_message_to_actor(actor, PriceTickMessage(tick, now()))
+    pushScheduledPriceTick(controller, actor, tick + 1, transition.parameters[:tick_seconds])
+end
+
+# A/HC/LC: close + Scheduled + Auction
+function closeScheduledAuction(controller::AuctionController, auction_id::UUID)
+    actor = lock(controller.state.mutex) do
+        get(controller.state.active_actors, auction_id, nothing)
+    end
+    isnothing(actor) && return
+    
+    end_time, status = lock(actor.state.mutex) do
+        actor.state.end_time, actor.state.status
+    end
+    status in (:completed, :cancelled) && return
+    
+    # A late bid pushed the end back; check again then
+    if end_time > now()
+        pushScheduledTransition(controller.scheduler, end_time, auction_id, :close)
+        return
+    end
+    
+    send_message_to_actor(actor, FinalizeMessage(false, now()))
+end
+
+# A/HC/LC: apply + Scheduled + Transition
+function applyScheduledTransition(controller::AuctionController, transition::ScheduledTransition)
+    if transition.kind == :open
+        actor = lock(controller.state.mutex) do
+            get(controller.state.active_actors, transition.auction_id, nothing)
+        end
+        isnothing(actor) || openScheduledAuction(controller, actor, transition.parameters, transition.initial_bids)
+    elseif transition.kind == :close
+        closeScheduledAuction(controller, transition.auction_id)
+    elseif transition.kind == :tick
+        tickScheduledAuction(controller, transition)
+    elseif transition.kind == :open_trading
+        actor = lock(controller.state.mutex) do
+            get(controller.state.active_actors, transition.auction_id, nothing)
         end
+        isnothing(actor) || send_message_to_actor(actor, OpenContinuousTradingMessage(now()))
+    end
+end
+
+# A/HC/LC: chain + Auctions
+"""
+    chainAuctions(controller, configs) -> WorkflowResult
+
+Run `configs` as a linear chain in the given order. Each auction after the
+first is seeded with the previous auction's winners, bidding 10% above its
+clearing price.
+"""
+function chainAuctions(
+    controller::AuctionController{T},
+    configs::Vector{Dict{Symbol, Any}}
+) where T
+    # Propagate winners as new bidders
+    function bidFromPreviousWinners(config, inputs)
+        isempty(inputs) && return config
+        
+        prev_result = first(values(inputs))
+        config[:initial_bids] = [
+            Dict(
+                :bidder_id => winner_id,
+                :amount => prev_result.clearing_price * T(1.1),  # Bid 10% higher
+                :quantity => 1
+            )
+            for winner_id in prev_result.winners
+        ]
+        return config
+    end
+    
+    workflow = WorkflowGraph{T}()
+    previous = nothing
+    for (i, config) in enumerate(configs)
+        step = addWorkflowStep(
+            workflow,
+            get(config, :name, Symbol("step_$i")),
+            config;
+            transformation = isnothing(previous) ? keepWorkflowConfig : bidFromPreviousWinners
+        )
+        isnothing(previous) || connectWorkflowSteps(workflow, previous, step)
+        previous = step
     end
     
     return executeWorkflow(controller, workflow)
@@ -343,19 +541,56 @@ function propagateResults(
     return merged_config
 end
 
+# A/HC/LC: resume + Auctions + FromLog
+"""
+    resumeAuctionsFromLog(controller) -> Vector{UUID}
+
+Rebuild an actor for every auction in the controller's event log that was
+still open (started, not finalized or cancelled), register it with the
+controller and schedule its close. Auctions that already have a live actor
+are left alone. Returns the ids of the resumed auctions.
+"""
+function resumeAuctionsFromLog(controller::AuctionController{T}) where T
+    event_log = controller.state.event_log
+    isnothing(event_log) && throw(ArgumentError("Controller has no event log to resume from"))
+    
+    resumed = UUID[]
+    for started in queryEventsByType(event_log, AuctionStartedEvent)
+        auction_id = started.auction_id
+        already_live = lock(controller.state.mutex) do
+            haskey(controller.state.active_actors, auction_id)
+        end
+        already_live && continue
+        
+        state = rebuildAuctionState(event_log, auction_id)
+        state.status == :active || continue
+        if !(state isa AuctionState{T})
+            @warn "Skipping auction with a different numeric type" auction_id numeric_type=typeof(state)
+            continue
+        end
+        
+        actor = startActorFromState(state, event_log)
+        lock(controller.state.mutex) do
+            controller.state.active_actors[auction_id] = actor
+        end
+        pushScheduledTransition(controller.scheduler, state.end_time, auction_id, :close)
+        push!(resumed, auction_id)
+    end
+    
+    return resumed
+end
+
 # A/HC/LC: run + Controller + Executor
 function runControllerExecutor(controller::AuctionController)
-    while controller.running[]
-        # Process any pending workflow executions
-        sleep(0.1)  # Polling interval
-        
-        # Could add queue-based workflow scheduling here
+    runAuctionScheduler(controller.scheduler, controller.running) do transition
+        applyScheduledTransition(controller, transition)
     end
 end
 
 # A/HC/LC: stop + Controller
 function stopController(controller::AuctionController)
     controller.running[] = false
+    signalSchedulerWakeup(controller.scheduler)
     
     # Stop all active actors
     lock(controller.state.mutex) do
@@ -374,8 +609,31 @@ function getWorkflowStatus(controller::AuctionController, workflow_id::UUID)
             return :active
         elseif haskey(controller.state.workflow_results, workflow_id)
             return :completed
+        elseif haskey(controller.state.workflow_steps, workflow_id)
+            return :failed
         else
             return :not_found
         end
     end
-end
\ No newline at end of file
+end
+
+"""
+    getWorkflowStatus(controller, workflow_id, step) -> Symbol
+
+Status of one step, by name: `:pending`, `:running`, `:completed`,
+`:skipped`, `:failed`, or `:not_found`.
+"""
+function getWorkflowStatus(controller::AuctionController, workflow_id::UUID, step::Symbol)
+    lock(controller.state.mutex) do
+        steps = get(controller.state.workflow_steps, workflow_id, nothing)
+        isnothing(steps) && return :not_found
+        return get(steps, step, :not_found)
+    end
+end
+
+# A/HC/LC: get + WorkflowStep + Statuses
+function getWorkflowStepStatuses(controller::AuctionController, workflow_id::UUID)::Dict{Symbol, Symbol}
+    lock(controller.state.mutex) do
+        return copy(get(controller.state.workflow_steps, workflow_id, Dict{Symbol, Symbol}()))
+    end
+end
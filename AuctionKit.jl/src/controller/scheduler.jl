@@ -0,0 +1,101 @@
+# Timer-driven auction lifecycle scheduling
+# Following A/HC/LC naming pattern
+
+"""
+    ScheduledTransition
+
+A pending lifecycle step for one auction: `:open` at its start time,
+`:close` at its end time or a price-clock `:tick` in between. Bids queued
+for delivery when the auction opens travel with the `:open` step.
+"""
+struct ScheduledTransition
+    due::DateTime
+    sequence::Int  # Tie-breaker keeping same-time transitions in FIFO order
+    auction_id::UUID
+    kind::Symbol  # :open, :close, :tick, :open_trading
+    parameters::Dict{Symbol, Any}
+    initial_bids::Vector{BidMessage}
+end
+
+Base.isless(a::ScheduledTransition, b::ScheduledTransition) = (a.due, a.sequence) < (b.due, b.sequence)
+
+"""
+    AuctionScheduler
+
+Min-heap of pending transitions for every scheduled auction. A single
+controller task sleeps until the earliest one is due, so the number of
+auctions does not change the number of waiting tasks.
+"""
+mutable struct AuctionScheduler
+    queue::BinaryMinHeap{ScheduledTransition}
+    sequence::Int
+    lock::ReentrantLock
+    wakeup::Channel{Nothing}  # Signalled when the earliest due time may have changed
+
+    AuctionScheduler() = new(BinaryMinHeap{ScheduledTransition}(), 0, ReentrantLock(), Channel{Nothing}(Inf))
+end
+
+# A/HC/LC: signal + Scheduler + Wakeup
+signalSchedulerWakeup(scheduler::AuctionScheduler) = put!(scheduler.wakeup, nothing)
+
+# A/HC/LC: push + Scheduled + Transition
+function pushScheduledTransition(
+    scheduler::AuctionScheduler,
+    due::DateTime,
+    auction_id::UUID,
+    kind::Symbol;
+    parameters::Dict{Symbol, Any} = Dict{Symbol, Any}(),
+    initial_bids::Vector{BidMessage} = BidMessage[]
+)
+    lock(scheduler.lock) do
+        scheduler.sequence += 1
+        push!(scheduler.queue, ScheduledTransition(due, scheduler.sequence, auction_id, kind, parameters, initial_bids))
+    end
+    signalSchedulerWakeup(scheduler)
+end
+
+# A/HC/LC: pop + Due + Transitions
+function popDueTransitions(scheduler::AuctionScheduler, current_time::DateTime)::Vector{ScheduledTransition}
+    lock(scheduler.lock) do
+        due = ScheduledTransition[]
+        while !isempty(scheduler.queue) && first(scheduler.queue).due <= current_time
+            push!(due, pop!(scheduler.queue))
+        end
+        return due
+    end
+end
+
+# A/HC/LC: next + Transition + Time
+function nextTransitionTime(scheduler::AuctionScheduler)::Union{Nothing, DateTime}
+    lock(scheduler.lock) do
+        return isempty(scheduler.queue) ? nothing : first(scheduler.queue).due
+    end
+end
+
+# A/HC/LC: run + Auction + Scheduler
+function runAuctionScheduler(apply_transition::Function, scheduler::AuctionScheduler, running::Atomic{Bool})
+    while running[]
+        for transition in popDueTransitions(scheduler, now())
+            try
+                apply_transition(transition)
+            catch e
+                @error "Scheduled transition failed" auction_id=transition.auction_id kind=transition.kind exception=e
+            end
+        end
+
+        # Sleep until the next transition is due or the schedule changes
+        next_due = nextTransitionTime(scheduler)
+        timer = if isnothing(next_due)
+            nothing
+        else
+            delay = max(0.0, Dates.value(next_due - now()) / 1000.0)
+            Timer(_ -> signalSchedulerWakeup(scheduler), delay)
+        end
+
+        take!(scheduler.wakeup)
+        while isready(scheduler.wakeup)
+            take!(scheduler.wakeup)
+        end
+        isnothing(timer) || close(timer)
+    end
+end
@@ -0,0 +1,100 @@
+# Workflow graph construction DSL
+# Following A/HC/LC naming pattern
+
+# A/HC/LC: add + Workflow + Step
+"""
+    addWorkflowStep(graph, name, config; transformation, aggregation, join = :all, metadata) -> UUID
+
+Add an auction step to `graph` under a unique `name` and return its node id.
+Connect steps with `connectWorkflowSteps`.
+"""
+function addWorkflowStep(
+    graph::WorkflowGraph{T},
+    name::Symbol,
+    config::Dict{Symbol, Any};
+    transformation::Function = keepWorkflowConfig,
+    aggregation::Function = keepWorkflowResult,
+    join::Symbol = :all,
+    metadata::Dict{Symbol, Any} = Dict{Symbol, Any}()
+)::UUID where T
+    haskey(graph.names, name) && throw(ArgumentError("Workflow already has a step named $name"))
+
+    node = WorkflowNode{T}(
+        auction_config = config,
+        name = name,
+        transformation = transformation,
+        aggregation = aggregation,
+        join = join,
+        metadata = metadata
+    )
+    graph.nodes[node.id] = node
+    graph.names[name] = node.id
+    push!(graph.order, node.id)
+
+    return node.id
+end
+
+# A/HC/LC: resolve + Workflow + Step
+function resolveWorkflowStep(graph::WorkflowGraph, step::Union{UUID, Symbol})::UUID
+    if step isa Symbol
+        haskey(graph.names, step) || throw(ArgumentError("Workflow has no step named $step"))
+        return graph.names[step]
+    end
+
+    haskey(graph.nodes, step) || throw(ArgumentError("Workflow has no step with id $step"))
+    return step
+end
+
+# A/HC/LC: connect + Workflow + Steps
+"""
+    connectWorkflowSteps(graph, from, to; condition = nothing)
+
+Add an edge so that `to` runs after `from` and receives its result. With a
+`condition`, a predicate on `from`'s `AuctionResult`, the edge is only taken
+when it returns `true`; otherwise `to` (and whatever depends on it alone) is
+skipped. Steps are referenced by name or node id.
+"""
+function connectWorkflowSteps(
+    graph::WorkflowGraph,
+    from::Union{UUID, Symbol},
+    to::Union{UUID, Symbol};
+    condition::Union{Nothing, Function} = nothing
+)
+    from_id = resolveWorkflowStep(graph, from)
+    to_id = resolveWorkflowStep(graph, to)
+    edge = (from_id, to_id)
+
+    from_id == to_id && throw(ArgumentError("A workflow step cannot depend on itself"))
+    edge in graph.edges && throw(ArgumentError("Workflow steps are already connected"))
+
+    push!(graph.edges, edge)
+    if !validateDAGStructure(graph)
+        pop!(graph.edges)
+        throw(ArgumentError("Connecting these steps would create a cycle"))
+    end
+
+    push!(graph.nodes[to_id].dependencies, from_id)
+    isnothing(condition) || (graph.conditions[edge] = condition)
+
+    return edge
+end
+
+# A/HC/LC: cleared + Below + Reserve
+"""
+    clearedBelowReserve(result) -> Bool
+
+Branch condition that holds when an auction produced no winner at or above
+its reserve, e.g. to route into a fallback auction.
+"""
+function clearedBelowReserve(result::AuctionResult)::Bool
+    return isempty(result.winners) || !get(result.metadata, :reserve_met, true)
+end
+
+# Node ids in insertion order, followed by any added to `nodes` directly
+function workflowNodeOrder(graph::WorkflowGraph)::Vector{UUID}
+    ordered = filter(id -> haskey(graph.nodes, id), graph.order)
+    for id in keys(graph.nodes)
+        id in ordered || push!(ordered, id)
+    end
+    return ordered
+end
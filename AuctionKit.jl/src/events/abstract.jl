@@ -29,12 +29,23 @@ struct ImmutableEvent
         id = uuid4()
         timestamp = now()
         
-        # Create hash of event content
-        event_data = string(auction_id, timestamp, event)
-        event_hash = sha256(event_data * string(previous_hash))
+        # Hash the canonical encoding so the chain can be re-verified from disk
+        event_hash = computeEventHash(id, auction_id, timestamp, encodeEventPayload(event), previous_hash)
         
         new(id, auction_id, timestamp, event_hash, previous_hash, event)
     end
+    
+    # Rebuild a stored event as written; verifyLogIntegrity checks its hash
+    function ImmutableEvent(
+        id::UUID,
+        auction_id::UUID,
+        timestamp::DateTime,
+        event_hash::Vector{UInt8},
+        previous_hash::Vector{UInt8},
+        event::AuctionEvent
+    )
+        new(id, auction_id, timestamp, event_hash, previous_hash, event)
+    end
 end
 
 # Event types
@@ -55,8 +66,12 @@ struct BidRejectedEvent <: AuctionEvent
     bidder_id::UUID
     reason::String
     timestamp::DateTime
+    code::Symbol  # Machine-readable reason, e.g. :below_reserve, :rate_limited
 end
 
+BidRejectedEvent(id, auction_id, bidder_id, reason, timestamp) =
+    BidRejectedEvent(id, auction_id, bidder_id, reason, timestamp, :rejected)
+
 struct AuctionStartedEvent <: AuctionEvent
     id::UUID
     auction_id::UUID
@@ -81,4 +96,58 @@ struct AuctionCancelledEvent <: AuctionEvent
     auction_id::UUID
     reason::String
     timestamp::DateTime
-end
\ No newline at end of file
+end
+
+struct AuctionExtendedEvent <: AuctionEvent
+    id::UUID
+    auction_id::UUID
+    new_end_time::DateTime
+    extension_count::Int
+    timestamp::DateTime
+end
+
+struct BidCancelledEvent <: AuctionEvent
+    id::UUID
+    auction_id::UUID
+    bid_id::UUID
+    bidder_id::UUID
+    timestamp::DateTime
+end
+
+struct BidAmendedEvent <: AuctionEvent
+    id::UUID
+    auction_id::UUID
+    bid_id::UUID
+    bidder_id::UUID
+    amount::Float64
+    quantity::Int
+    timestamp::DateTime  # Also the amended bid's new timestamp
+end
+
+struct PriceUpdatedEvent <: AuctionEvent
+    id::UUID
+    auction_id::UUID
+    price::Float64
+    tick::Int  # Clock tick for Dutch/Japanese auctions, bid count for English
+    timestamp::DateTime
+end
+
+struct TradeExecutedEvent <: AuctionEvent
+    id::UUID
+    auction_id::UUID
+    buy_order_id::UUID
+    sell_order_id::UUID
+    buyer_id::UUID
+    seller_id::UUID
+    price::Float64
+    quantity::Int
+    aggressor::Symbol  # :buy, :sell, or :auction for a call auction uncross
+    timestamp::DateTime
+end
+
+struct TradingPhaseChangedEvent <: AuctionEvent
+    id::UUID
+    auction_id::UUID
+    phase::Symbol  # Order book phase now in force, e.g. :continuous
+    timestamp::DateTime
+end
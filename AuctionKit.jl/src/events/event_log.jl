@@ -2,72 +2,112 @@
 # Following A/HC/LC naming pattern
 
 """
-    CentralizedEventLog
+    CentralizedEventLog(storage = InMemoryEventStorage())
 
 An immutable, append-only event log with chain hashing for audit trail.
+Events are kept by `storage`; use `openEventLog` for a durable log on disk.
+Each event's sequence number is its 1-based position in the log.
 """
 mutable struct CentralizedEventLog
-    events::Vector{ImmutableEvent}
-    index::Dict{UUID, Vector{Int}}  # auction_id -> event indices
-    type_index::Dict{DataType, Vector{Int}}  # event type -> event indices
+    storage::EventStorage
     lock::ReentrantLock
     checkpoints::Vector{Tuple{DateTime, Int}}  # (timestamp, event_index)
+    listeners::OrderedDict{UUID, Function}  # Called with (sequence, event) on append
     
-    function CentralizedEventLog()
+    function CentralizedEventLog(storage::EventStorage = InMemoryEventStorage())
         new(
-            Vector{ImmutableEvent}(),
-            Dict{UUID, Vector{Int}}(),
-            Dict{DataType, Vector{Int}}(),
+            storage,
             ReentrantLock(),
-            Vector{Tuple{DateTime, Int}}()
+            Vector{Tuple{DateTime, Int}}(),
+            OrderedDict{UUID, Function}()
         )
     end
 end
 
+# A/HC/LC: open + Event + Log
+"""
+    openEventLog(directory; max_segment_bytes = 64 MiB, sync = true) -> CentralizedEventLog
+
+Open the file-backed log in `directory`, creating it if needed. Re-opening an
+existing directory restores its events, indexes and chain head.
+"""
+function openEventLog(directory::AbstractString; kwargs...)::CentralizedEventLog
+    return CentralizedEventLog(FileEventStorage(directory; kwargs...))
+end
+
+# A/HC/LC: close + Event + Log
+function closeEventLog(log::CentralizedEventLog)
+    lock(log.lock) do
+        closeStorage(log.storage)
+    end
+end
 
 # A/HC/LC: append + Event + ToLog
 function append_event_to_log(log::CentralizedEventLog, auction_id::UUID, event::AuctionEvent)::UUID
     lock(log.lock) do
         # Get previous hash
-        previous_hash = isempty(log.events) ? UInt8[] : log.events[end].event_hash
+        previous_hash = lastStoredHash(log.storage)
         
         # Create immutable event
         immutable_event = ImmutableEvent(auction_id, event, previous_hash)
         
-        # Append to log
-        push!(log.events, immutable_event)
-        event_index = length(log.events)
-        
-        # Update indices
-        if !haskey(log.index, auction_id)
-            log.index[auction_id] = Int[]
-        end
-        push!(log.index[auction_id], event_index)
-        
-        # Update type index
-        event_type = typeof(event)
-        if !haskey(log.type_index, event_type)
-            log.type_index[event_type] = Int[]
-        end
-        push!(log.type_index[event_type], event_index)
+        # Append to storage, which updates the indices
+        appendToStorage(log.storage, immutable_event)
+        notifyEventLogListeners(log, storedEventCount(log.storage), immutable_event)
         
         return immutable_event.id
     end
 end
 
+# A/HC/LC: subscribe + To + EventLog
+"""
+    subscribeToEventLog(callback, log) -> UUID
+
+Call `callback(sequence, event)` for every event appended from now on.
+Callbacks run in append order while the log is locked, so they should hand
+events off (e.g. to a `Channel`) rather than block. Returns an id for
+`unsubscribeFromEventLog`.
+"""
+function subscribeToEventLog(callback::Function, log::CentralizedEventLog)::UUID
+    lock(log.lock) do
+        listener_id = uuid4()
+        log.listeners[listener_id] = callback
+        return listener_id
+    end
+end
+
+# A/HC/LC: unsubscribe + From + EventLog
+function unsubscribeFromEventLog(log::CentralizedEventLog, listener_id::UUID)
+    lock(log.lock) do
+        delete!(log.listeners, listener_id)
+    end
+end
+
+# A/HC/LC: notify + EventLog + Listeners
+# A failing listener is logged and skipped; the event is already stored
+function notifyEventLogListeners(log::CentralizedEventLog, sequence::Int, event::ImmutableEvent)
+    for (listener_id, callback) in log.listeners
+        try
+            callback(sequence, event)
+        catch e
+            @error "Event log listener failed" listener_id=listener_id exception=e
+        end
+    end
+end
+
 # A/HC/LC: query + Events + ByAuction
 function queryEventsByAuction(log::CentralizedEventLog, auction_id::UUID)::Vector{ImmutableEvent}
     lock(log.lock) do
-        indices = get(log.index, auction_id, Int[])
-        return [log.events[i] for i in indices]
+        positions = get(log.storage.index.by_auction, auction_id, Int[])
+        return loadStoredEvents(log.storage, positions)
     end
 end
 
 # A/HC/LC: query + Events + ByType
 function queryEventsByType(log::CentralizedEventLog, event_type::DataType)::Vector{ImmutableEvent}
     lock(log.lock) do
-        indices = get(log.type_index, event_type, Int[])
-        return [log.events[i] for i in indices]
+        positions = get(log.storage.index.by_type, nameof(event_type), Int[])
+        return loadStoredEvents(log.storage, positions)
     end
 end
 
@@ -76,41 +116,54 @@ function replayEventsFromLog(log::CentralizedEventLog, auction_id::UUID)::Vector
     return queryEventsByAuction(log, auction_id)
 end
 
+# A/HC/LC: get + Events + AfterSequence
+"""
+    getEventsAfterSequence(log, auction_id, sequence) -> Vector{Tuple{Int, ImmutableEvent}}
+
+Events for `auction_id` with a sequence number greater than `sequence`, paired
+with their sequence numbers, for resuming a stream where a client left off.
+"""
+function getEventsAfterSequence(
+    log::CentralizedEventLog,
+    auction_id::UUID,
+    sequence::Int
+)::Vector{Tuple{Int, ImmutableEvent}}
+    lock(log.lock) do
+        positions = get(log.storage.index.by_auction, auction_id, Int[])
+        positions = positions[searchsortedlast(positions, sequence) + 1:end]
+        return collect(zip(positions, loadStoredEvents(log.storage, positions)))
+    end
+end
+
+# A/HC/LC: latest + Event + Sequence
+latestEventSequence(log::CentralizedEventLog)::Int = lock(() -> storedEventCount(log.storage), log.lock)
+
 # A/HC/LC: get + Events + AfterTimestamp
 function getEventsAfterTimestamp(log::CentralizedEventLog, timestamp::DateTime)::Vector{ImmutableEvent}
     lock(log.lock) do
-        return filter(e -> e.timestamp > timestamp, log.events)
+        return loadStoredEvents(log.storage, positionsAfterTimestamp(log.storage.index, timestamp))
     end
 end
 
 # A/HC/LC: verify + Log + Integrity
+"""
+    verifyLogIntegrity(log) -> Bool
+
+Recompute every event hash from its content and check that each event links
+to the one before it. File-backed logs are checked against the records on
+disk, so tampering with a segment is detected.
+"""
 function verifyLogIntegrity(log::CentralizedEventLog)::Bool
     lock(log.lock) do
-        if isempty(log.events)
-            return true
-        end
-        
-        # First event should have empty previous hash
-        if !isempty(log.events[1].previous_hash)
-            return false
-        end
-        
-        # Verify chain integrity
-        for i in 2:length(log.events)
-            if log.events[i].previous_hash != log.events[i-1].event_hash
-                return false
-            end
-        end
-        
-        return true
+        return verifyStoredChain(log.storage)
     end
 end
 
 # A/HC/LC: create + Checkpoint + AtIndex
 function createCheckpointAtIndex(log::CentralizedEventLog, index::Int)
     lock(log.lock) do
-        if index > 0 && index <= length(log.events)
-            timestamp = log.events[index].timestamp
+        if index > 0 && index <= storedEventCount(log.storage)
+            timestamp = log.storage.index.timestamps[index]
             push!(log.checkpoints, (timestamp, index))
         end
     end
@@ -123,16 +176,10 @@ function restoreFromCheckpoint(log::CentralizedEventLog, checkpoint_index::Int):
             checkpoint = log.checkpoints[checkpoint_index]
             event_index = checkpoint[2]
             
-            # Create new log with events up to checkpoint
+            # Create new in-memory log with events up to checkpoint
             new_log = CentralizedEventLog()
-            new_log.events = log.events[1:event_index]
-            
-            # Rebuild indices
-            for (i, event) in enumerate(new_log.events)
-                if !haskey(new_log.index, event.auction_id)
-                    new_log.index[event.auction_id] = Int[]
-                end
-                push!(new_log.index[event.auction_id], i)
+            for event in loadStoredEvents(log.storage, collect(1:event_index))
+                appendToStorage(new_log.storage, event)
             end
             
             return new_log
@@ -146,7 +193,7 @@ end
 function exportEventsToJSON(log::CentralizedEventLog, filepath::String)
     lock(log.lock) do
         events_data = []
-        for event in log.events
+        for event in loadStoredEvents(log.storage, collect(1:storedEventCount(log.storage)))
             push!(events_data, Dict(
                 :id => string(event.id),
                 :auction_id => string(event.auction_id),
@@ -0,0 +1,148 @@
+# Canonical event encoding shared by chain hashing and persistent storage
+# Following A/HC/LC naming pattern
+
+"""
+    OpaqueEventValue
+
+Stand-in for a metadata value whose type has no JSON encoding. It keeps the
+original type name and `repr` so re-encoding reproduces the stored bytes.
+"""
+struct OpaqueEventValue
+    type_name::String
+    repr::String
+end
+
+# Event types that can be decoded by name when a log is re-opened
+const EVENT_TYPE_REGISTRY = Dict{Symbol, DataType}()
+
+# A/HC/LC: register + Event + Type
+"""
+    registerEventType(T)
+
+Make `T` decodable from persistent storage. Types are registered automatically
+when first appended; custom events must be registered before re-opening a log
+that contains them.
+"""
+function registerEventType(event_type::DataType)
+    event_type <: AuctionEvent || throw(ArgumentError("$event_type is not an AuctionEvent"))
+    EVENT_TYPE_REGISTRY[nameof(event_type)] = event_type
+    return event_type
+end
+
+for event_type in (BidSubmittedEvent, BidRejectedEvent, AuctionStartedEvent,
+                   AuctionFinalizedEvent, AuctionCancelledEvent, AuctionExtendedEvent,
+                   PriceUpdatedEvent, BidCancelledEvent, BidAmendedEvent, TradeExecutedEvent,
+                   TradingPhaseChangedEvent)
+    registerEventType(event_type)
+end
+
+# A/HC/LC: tag + Encoded + Value
+tagEncodedValue(type_name::String, value) = OrderedDict{String, Any}("__type__" => type_name, "value" => value)
+
+# A/HC/LC: encode + Event + Value
+function encodeEventValue(value)
+    if value === nothing || value isa Bool || value isa Int64 || value isa String
+        return value
+    elseif value isa Float64
+        return isfinite(value) ? value : tagEncodedValue("Float64", string(value))
+    elseif value isa AbstractString
+        return String(value)
+    elseif value isa Symbol
+        return tagEncodedValue("Symbol", String(value))
+    elseif value isa UUID
+        return tagEncodedValue("UUID", string(value))
+    elseif value isa DateTime
+        return tagEncodedValue("DateTime", string(value))
+    elseif value isa DataType
+        return tagEncodedValue("Type", string(value))
+    elseif value isa Tuple
+        return tagEncodedValue("Tuple", Any[encodeEventValue(v) for v in value])
+    elseif value isa AbstractVector
+        return Any[encodeEventValue(v) for v in value]
+    elseif value isa AbstractDict
+        # Entries sorted by encoded key so equal dicts always hash the same
+        entries = [Any[encodeEventValue(k), encodeEventValue(v)] for (k, v) in value]
+        sort!(entries, by = entry -> JSON3.write(entry[1]))
+        return tagEncodedValue("Dict", entries)
+    elseif value isa OpaqueEventValue
+        return OrderedDict{String, Any}("__type__" => "Opaque", "type" => value.type_name, "value" => value.repr)
+    end
+
+    return OrderedDict{String, Any}("__type__" => "Opaque", "type" => string(typeof(value)), "value" => repr(value))
+end
+
+# A/HC/LC: decode + Event + Value
+function decodeEventValue(value)
+    if value isa AbstractVector
+        return [decodeEventValue(v) for v in value]
+    elseif !(value isa AbstractDict)
+        return value
+    end
+
+    tag = value[:__type__]
+    if tag == "Float64"
+        return parse(Float64, value[:value])
+    elseif tag == "Symbol"
+        return Symbol(value[:value])
+    elseif tag == "UUID"
+        return UUID(value[:value])
+    elseif tag == "DateTime"
+        return DateTime(value[:value])
+    elseif tag == "Type"
+        # Numeric types such as :numeric_type parameters resolve from Base
+        name = Symbol(value[:value])
+        isdefined(Base, name) && return getfield(Base, name)
+        return OpaqueEventValue("DataType", value[:value])
+    elseif tag == "Tuple"
+        return Tuple(decodeEventValue(v) for v in value[:value])
+    elseif tag == "Dict"
+        entries = value[:value]
+        isempty(entries) && return Dict{Any, Any}()
+        return Dict(decodeEventValue(k) => decodeEventValue(v) for (k, v) in entries)
+    elseif tag == "Opaque"
+        return OpaqueEventValue(value[:type], value[:value])
+    end
+
+    throw(ArgumentError("Unknown encoded value tag: $tag"))
+end
+
+# A/HC/LC: encode + Event + Payload
+"""
+    encodeEventPayload(event) -> String
+
+Canonical JSON encoding of an event: its type name followed by its fields in
+declaration order. This is the exact text that is hashed and persisted.
+"""
+function encodeEventPayload(event::AuctionEvent)::String
+    event_type = typeof(event)
+    fields = OrderedDict{String, Any}(
+        String(name) => encodeEventValue(getfield(event, name)) for name in fieldnames(event_type)
+    )
+    return JSON3.write(OrderedDict{String, Any}("type" => String(nameof(event_type)), "fields" => fields))
+end
+
+# A/HC/LC: decode + Event + Payload
+function decodeEventPayload(payload::AbstractString)::AuctionEvent
+    data = JSON3.read(payload)
+    type_name = Symbol(data[:type])
+    haskey(EVENT_TYPE_REGISTRY, type_name) ||
+        throw(ArgumentError("Unknown event type $type_name; register it with registerEventType"))
+
+    event_type = EVENT_TYPE_REGISTRY[type_name]
+    values = [
+        convert(fieldtype(event_type, i), decodeEventValue(data[:fields][name]))
+        for (i, name) in enumerate(fieldnames(event_type))
+    ]
+    return event_type(values...)
+end
+
+# A/HC/LC: compute + Event + Hash
+function computeEventHash(
+    id::UUID,
+    auction_id::UUID,
+    timestamp::DateTime,
+    payload::AbstractString,
+    previous_hash::Vector{UInt8}
+)::Vector{UInt8}
+    return sha256(string(id, auction_id, timestamp, payload, bytes2hex(previous_hash)))
+end
@@ -0,0 +1,467 @@
+# Storage backends for the centralized event log
+# Following A/HC/LC naming pattern
+
+"""
+    EventStorage
+
+Abstract backend behind a `CentralizedEventLog`. Backends keep an `EventIndex`
+and implement `appendToStorage`, `loadStoredEvents`, `lastStoredHash`,
+`verifyStoredChain` and `closeStorage`.
+"""
+abstract type EventStorage end
+
+"""
+    EventIndex
+
+Positions of stored events (1-based, in append order) by auction, by event
+type name and by timestamp.
+"""
+mutable struct EventIndex
+    by_auction::Dict{UUID, Vector{Int}}
+    by_type::Dict{Symbol, Vector{Int}}
+    timestamps::Vector{DateTime}  # position -> event timestamp
+    ordered::Bool  # timestamps never went backwards, so lookups can bisect
+
+    EventIndex() = new(Dict{UUID, Vector{Int}}(), Dict{Symbol, Vector{Int}}(), DateTime[], true)
+end
+
+# A/HC/LC: add + To + EventIndex
+function addToEventIndex(index::EventIndex, auction_id::UUID, type_name::Symbol, timestamp::DateTime)::Int
+    if !isempty(index.timestamps) && timestamp < index.timestamps[end]
+        index.ordered = false
+    end
+
+    push!(index.timestamps, timestamp)
+    position = length(index.timestamps)
+    push!(get!(Vector{Int}, index.by_auction, auction_id), position)
+    push!(get!(Vector{Int}, index.by_type, type_name), position)
+
+    return position
+end
+
+# A/HC/LC: positions + After + Timestamp
+function positionsAfterTimestamp(index::EventIndex, timestamp::DateTime)::Vector{Int}
+    if index.ordered
+        return collect(searchsortedlast(index.timestamps, timestamp) + 1:length(index.timestamps))
+    end
+    return findall(t -> t > timestamp, index.timestamps)
+end
+
+# A/HC/LC: stored + Event + Count
+storedEventCount(storage::EventStorage) = length(storage.index.timestamps)
+
+# ============================================
+# In-memory storage
+# ============================================
+
+"""
+    InMemoryEventStorage()
+
+Default backend: events live in process memory and are lost on exit.
+"""
+mutable struct InMemoryEventStorage <: EventStorage
+    events::Vector{ImmutableEvent}
+    index::EventIndex
+
+    InMemoryEventStorage() = new(Vector{ImmutableEvent}(), EventIndex())
+end
+
+lastStoredHash(storage::InMemoryEventStorage) = isempty(storage.events) ? UInt8[] : storage.events[end].event_hash
+
+function appendToStorage(storage::InMemoryEventStorage, event::ImmutableEvent)
+    push!(storage.events, event)
+    addToEventIndex(storage.index, event.auction_id, nameof(typeof(event.wrapped_event)), event.timestamp)
+end
+
+loadStoredEvents(storage::InMemoryEventStorage, positions::AbstractVector{Int}) = storage.events[positions]
+
+function verifyStoredChain(storage::InMemoryEventStorage)::Bool
+    previous_hash = UInt8[]
+
+    for event in storage.events
+        event.previous_hash == previous_hash || return false
+        payload = encodeEventPayload(event.wrapped_event)
+        expected = computeEventHash(event.id, event.auction_id, event.timestamp, payload, previous_hash)
+        event.event_hash == expected || return false
+        previous_hash = event.event_hash
+    end
+
+    return true
+end
+
+closeStorage(::InMemoryEventStorage) = nothing
+
+# ============================================
+# File-backed storage
+# ============================================
+
+# Indexed fields of a stored record: (auction_id, type name, timestamp, event hash)
+const StoredEntry = Tuple{UUID, Symbol, DateTime, Vector{UInt8}}
+
+"""
+    FileEventStorage(directory; max_segment_bytes = 64 MiB, sync = true)
+
+Durable backend writing one JSON record per line to numbered segment files
+(`segment-000001.log`, ...), rotating to a new segment once the active one
+would exceed `max_segment_bytes`. Each segment has a sidecar index
+(`segment-000001.idx`) locating its records by auction, type and timestamp,
+so queries read only the records they return.
+
+Every append is flushed and, with `sync = true`, fsynced before the index
+entry is written. Opening an existing directory trims a torn final record
+left by a crash and rebuilds any index entries that never reached disk.
+"""
+mutable struct FileEventStorage <: EventStorage
+    directory::String
+    max_segment_bytes::Int
+    sync::Bool
+    index::EventIndex
+    locations::Vector{Tuple{Int, Int, Int}}  # position -> (segment, byte offset, record length)
+    last_hash::Vector{UInt8}
+    segment::Int  # Active segment number
+    segment_bytes::Int
+    data_io::Union{Nothing, IOStream}
+    index_io::Union{Nothing, IOStream}
+end
+
+function FileEventStorage(
+    directory::AbstractString;
+    max_segment_bytes::Integer = 64 * 1024 * 1024,
+    sync::Bool = true
+)
+    max_segment_bytes > 0 || throw(ArgumentError("Max segment bytes must be positive"))
+    mkpath(directory)
+
+    storage = FileEventStorage(
+        String(directory),
+        Int(max_segment_bytes),
+        sync,
+        EventIndex(),
+        Vector{Tuple{Int, Int, Int}}(),
+        UInt8[],
+        0,
+        0,
+        nothing,
+        nothing
+    )
+
+    segments = listSegmentNumbers(storage.directory)
+    for (i, segment) in enumerate(segments)
+        recoverSegment(storage, segment, i == length(segments))
+    end
+    openActiveSegment(storage, isempty(segments) ? 1 : segments[end])
+
+    return storage
+end
+
+segmentDataPath(storage::FileEventStorage, segment::Int) =
+    joinpath(storage.directory, "segment-$(lpad(segment, 6, '0')).log")
+
+segmentIndexPath(storage::FileEventStorage, segment::Int) =
+    joinpath(storage.directory, "segment-$(lpad(segment, 6, '0')).idx")
+
+# A/HC/LC: list + Segment + Numbers
+function listSegmentNumbers(directory::String)::Vector{Int}
+    segments = Int[]
+    for name in readdir(directory)
+        m = match(r"^segment-(\d+)\.log$", name)
+        m === nothing || push!(segments, parse(Int, m.captures[1]))
+    end
+    return sort!(segments)
+end
+
+# A/HC/LC: read + Complete + Lines
+# Returns (offset, text) for every newline-terminated line and the number of
+# bytes they cover; anything after the last newline is a torn write.
+function readCompleteLines(path::String)
+    isfile(path) || return Tuple{Int, String}[], 0
+
+    bytes = read(path)
+    lines = Tuple{Int, String}[]
+    start = 1
+    for i in eachindex(bytes)
+        if bytes[i] == UInt8('\n')
+            push!(lines, (start - 1, String(bytes[start:i-1])))
+            start = i + 1
+        end
+    end
+
+    return lines, start - 1
+end
+
+function tryParseLine(line::String)
+    try
+        parsed = JSON3.read(line)
+        return parsed isa AbstractDict ? parsed : nothing
+    catch
+        return nothing
+    end
+end
+
+# A/HC/LC: truncate + File + At
+function truncateFileAt(path::String, size::Int)
+    open(path, "r+") do io
+        truncate(io, size)
+    end
+end
+
+# A/HC/LC: sync + File + ToDisk
+function syncFileToDisk(io::IOStream)
+    flush(io)
+    result = Sys.iswindows() ? ccall(:_commit, Cint, (Cint,), fd(io)) : ccall(:fsync, Cint, (Cint,), fd(io))
+    result == 0 || throw(SystemError("fsync", Libc.errno()))
+end
+
+function writeLineDurably(storage::FileEventStorage, io::IOStream, line::String)
+    write(io, line * "\n")
+    storage.sync ? syncFileToDisk(io) : flush(io)
+end
+
+function recordStoredLocation(storage::FileEventStorage, location::Tuple{Int, Int, Int}, entry::StoredEntry)
+    auction_id, type_name, timestamp, event_hash = entry
+    push!(storage.locations, location)
+    addToEventIndex(storage.index, auction_id, type_name, timestamp)
+    storage.last_hash = event_hash
+end
+
+function indexEntryLine(position::Int, offset::Int, record_length::Int, entry::StoredEntry)::String
+    auction_id, type_name, timestamp, event_hash = entry
+    return JSON3.write(OrderedDict{String, Any}(
+        "seq" => position,
+        "offset" => offset,
+        "length" => record_length,
+        "auction_id" => string(auction_id),
+        "type" => String(type_name),
+        "timestamp" => string(timestamp),
+        "event_hash" => bytes2hex(event_hash)
+    ))
+end
+
+# A/HC/LC: parse + Stored + Entry
+# Reads the indexed fields of a record or index line expected at `position`,
+# returning nothing for torn, corrupt or out-of-sequence lines
+function parseStoredEntry(line::String, position::Int)::Union{Nothing, StoredEntry}
+    parsed = tryParseLine(line)
+    parsed === nothing && return nothing
+
+    try
+        parsed[:seq] == position || return nothing
+        return (
+            UUID(parsed[:auction_id]),
+            Symbol(parsed[:type]),
+            DateTime(parsed[:timestamp]),
+            hex2bytes(parsed[:event_hash])
+        )
+    catch
+        return nothing
+    end
+end
+
+# A/HC/LC: recover + Segment + FromDisk
+function recoverSegment(storage::FileEventStorage, segment::Int, is_active::Bool)
+    data_path = segmentDataPath(storage, segment)
+    index_path = segmentIndexPath(storage, segment)
+    data_size = filesize(data_path)
+
+    # Index entries are written after their record is durable, so the data is
+    # the source of truth: keep entries while they line up, rebuild the rest.
+    next_offset = 0
+    entries, _ = readCompleteLines(index_path)
+    kept_index_bytes = 0
+    for (entry_offset, line) in entries
+        entry = parseStoredEntry(line, storedEventCount(storage) + 1)
+        entry === nothing && break
+
+        fields = tryParseLine(line)
+        record_length = get(fields, :length, nothing)
+        if get(fields, :offset, nothing) != next_offset || !(record_length isa Int) ||
+           next_offset + record_length + 1 > data_size
+            break
+        end
+
+        recordStoredLocation(storage, (segment, next_offset, record_length), entry)
+        next_offset += record_length + 1
+        kept_index_bytes = entry_offset + sizeof(line) + 1
+    end
+    isfile(index_path) && filesize(index_path) > kept_index_bytes && truncateFileAt(index_path, kept_index_bytes)
+
+    next_offset == data_size && return
+
+    lines, complete_bytes = readCompleteLines(data_path)
+    rebuilt = String[]
+    for (offset, line) in lines
+        offset < next_offset && continue
+
+        position = storedEventCount(storage) + 1
+        entry = parseStoredEntry(line, position)
+        if entry === nothing
+            is_active || error("Corrupt record in event log segment $segment at byte $offset")
+            complete_bytes = offset
+            break
+        end
+
+        push!(rebuilt, indexEntryLine(position, offset, sizeof(line), entry))
+        recordStoredLocation(storage, (segment, offset, sizeof(line)), entry)
+    end
+
+    if complete_bytes < data_size
+        is_active || error("Torn record in sealed event log segment $segment")
+        @warn "Discarding torn event log record" segment bytes = data_size - complete_bytes
+        truncateFileAt(data_path, complete_bytes)
+    end
+
+    if !isempty(rebuilt)
+        open(index_path, "a") do io
+            for line in rebuilt
+                writeLineDurably(storage, io, line)
+            end
+        end
+    end
+end
+
+# A/HC/LC: open + Active + Segment
+function openActiveSegment(storage::FileEventStorage, segment::Int)
+    storage.segment = segment
+    storage.data_io = open(segmentDataPath(storage, segment), "a")
+    storage.index_io = open(segmentIndexPath(storage, segment), "a")
+    storage.segment_bytes = filesize(segmentDataPath(storage, segment))
+end
+
+# A/HC/LC: rotate + Active + Segment
+function rotateActiveSegment(storage::FileEventStorage)
+    close(storage.data_io)
+    close(storage.index_io)
+    openActiveSegment(storage, storage.segment + 1)
+end
+
+lastStoredHash(storage::FileEventStorage) = storage.last_hash
+
+function appendToStorage(storage::FileEventStorage, event::ImmutableEvent)
+    storage.data_io === nothing && throw(ArgumentError("Event storage is closed"))
+
+    event_type = typeof(event.wrapped_event)
+    registerEventType(event_type)
+
+    position = storedEventCount(storage) + 1
+    record = OrderedDict{String, Any}(
+        "seq" => position,
+        "id" => string(event.id),
+        "auction_id" => string(event.auction_id),
+        "timestamp" => string(event.timestamp),
+        "type" => String(nameof(event_type)),
+        "previous_hash" => bytes2hex(event.previous_hash),
+        "event_hash" => bytes2hex(event.event_hash),
+        "payload" => encodeEventPayload(event.wrapped_event)
+    )
+    line = JSON3.write(record)
+
+    if storage.segment_bytes > 0 && storage.segment_bytes + sizeof(line) + 1 > storage.max_segment_bytes
+        rotateActiveSegment(storage)
+    end
+
+    offset = storage.segment_bytes
+    try
+        writeLineDurably(storage, storage.data_io, line)
+    catch
+        # Drop the partial record so later appends do not land behind it
+        truncate(storage.data_io, offset)
+        rethrow()
+    end
+    storage.segment_bytes += sizeof(line) + 1
+
+    entry = (event.auction_id, nameof(event_type), event.timestamp, event.event_hash)
+    writeLineDurably(storage, storage.index_io, indexEntryLine(position, offset, sizeof(line), entry))
+    recordStoredLocation(storage, (storage.segment, offset, sizeof(line)), entry)
+end
+
+function decodeStoredRecord(record)::ImmutableEvent
+    return ImmutableEvent(
+        UUID(record[:id]),
+        UUID(record[:auction_id]),
+        DateTime(record[:timestamp]),
+        hex2bytes(record[:event_hash]),
+        hex2bytes(record[:previous_hash]),
+        decodeEventPayload(record[:payload])
+    )
+end
+
+function loadStoredEvents(storage::FileEventStorage, positions::AbstractVector{Int})::Vector{ImmutableEvent}
+    events = Vector{ImmutableEvent}(undef, length(positions))
+    handles = Dict{Int, IOStream}()
+
+    try
+        for (i, position) in enumerate(positions)
+            segment, offset, record_length = storage.locations[position]
+            io = get!(() -> open(segmentDataPath(storage, segment), "r"), handles, segment)
+            seek(io, offset)
+            events[i] = decodeStoredRecord(JSON3.read(String(read(io, record_length))))
+        end
+    finally
+        foreach(close, values(handles))
+    end
+
+    return events
+end
+
+# Checks one on-disk record against the chain and the index, returning its
+# hash or nothing when anything disagrees
+function verifyStoredRecord(
+    storage::FileEventStorage,
+    position::Int,
+    location::Tuple{Int, Int, Int},
+    line::String,
+    previous_hash::Vector{UInt8}
+)
+    try
+        position <= storedEventCount(storage) || return nothing
+        storage.locations[position] == location || return nothing
+
+        record = JSON3.read(line)
+        record[:seq] == position || return nothing
+        hex2bytes(record[:previous_hash]) == previous_hash || return nothing
+
+        timestamp = DateTime(record[:timestamp])
+        storage.index.timestamps[position] == timestamp || return nothing
+
+        event_hash = computeEventHash(
+            UUID(record[:id]),
+            UUID(record[:auction_id]),
+            timestamp,
+            record[:payload],
+            previous_hash
+        )
+        bytes2hex(event_hash) == record[:event_hash] || return nothing
+
+        return event_hash
+    catch
+        return nothing
+    end
+end
+
+function verifyStoredChain(storage::FileEventStorage)::Bool
+    previous_hash = UInt8[]
+    position = 0
+
+    for segment in listSegmentNumbers(storage.directory)
+        data_path = segmentDataPath(storage, segment)
+        lines, complete_bytes = readCompleteLines(data_path)
+        complete_bytes == filesize(data_path) || return false
+
+        for (offset, line) in lines
+            position += 1
+            event_hash = verifyStoredRecord(storage, position, (segment, offset, sizeof(line)), line, previous_hash)
+            event_hash === nothing && return false
+            previous_hash = event_hash
+        end
+    end
+
+    return position == storedEventCount(storage) && previous_hash == storage.last_hash
+end
+
+function closeStorage(storage::FileEventStorage)
+    storage.data_io === nothing && return
+    close(storage.data_io)
+    close(storage.index_io)
+    storage.data_io = nothing
+    storage.index_io = nothing
+end
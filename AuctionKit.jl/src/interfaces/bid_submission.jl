@@ -24,20 +24,31 @@ end
 """
     RPCBidInterface
 
-RPC-based bid submission interface using HTTP.
+RPC-based bid submission interface using HTTP. Auction events are streamed
+to WebSocket clients on `/ws`, authenticated like bids (see `serveAuctionStream`).
+
+Bids are only accepted from bidders registered in `bidders` (see
+`registerBidder`), are rate limited per bidder and per client IP, and must
+fit the bidder's budget.
 """
 mutable struct RPCBidInterface <: BidSubmissionInterface
     controller::AuctionController
     server::Union{Nothing, HTTP.Server}
     port::Int
     host::String
+    streams::Dict{UUID, AuctionStreamSession}
+    streams_lock::ReentrantLock
+    bidders::BidderRegistry
+    rate_limiter::RateLimiter
     
     function RPCBidInterface(
         controller::AuctionController;
         port::Int = 8080,
-        host::String = "127.0.0.1"
+        host::String = "127.0.0.1",
+        bidders::BidderRegistry = BidderRegistry(),
+        rate_limiter::RateLimiter = RateLimiter()
     )
-        new(controller, nothing, port, host)
+        new(controller, nothing, port, host, Dict{UUID, AuctionStreamSession}(), ReentrantLock(), bidders, rate_limiter)
     end
 end
 
@@ -72,27 +83,113 @@ function submitDirectBid(
     end
     
     # Create bid message
+    reply = Channel{BidResponse}(1)
     msg = BidMessage(
         bidder_id,
         auction_id,
         amount,
         quantity,
         metadata,
-        now()
+        now(),
+        reply
     )
     
-    # Submit to actor
+    # Submit to actor and wait for its verdict
     send_message_to_actor(actor, msg)
+    result = awaitBidChange(reply, auction_id)
+    result[:bidder_id] = bidder_id
+    result[:amount] = amount
+    result[:quantity] = quantity
+    return result
+end
+
+# A/HC/LC: cancel + Direct + Bid
+"""
+    cancelDirectBid(interface, auction_id, bid_id, bidder_id) -> Dict
+
+Withdraw one of `bidder_id`'s bids and wait for the actor's answer. Whether
+that is allowed depends on the mechanism (see `bidWithdrawalRule`).
+"""
+function cancelDirectBid(
+    interface::DirectBidInterface,
+    auction_id::UUID,
+    bid_id::UUID,
+    bidder_id::UUID
+)
+    actor = lock(interface.controller.state.mutex) do
+        get(interface.controller.state.active_actors, auction_id, nothing)
+    end
+    isnothing(actor) && return Dict(:success => false, :code => :auction_not_found, :message => "Auction not found")
+    
+    reply = Channel{BidResponse}(1)
+    send_message_to_actor(actor, CancelBidMessage(bid_id, bidder_id, now(), reply))
+    return awaitBidChange(reply, auction_id)
+end
+
+# A/HC/LC: amend + Direct + Bid
+"""
+    amendDirectBid(interface, auction_id, bid_id, bidder_id, amount, quantity = 1) -> Dict
+
+Change one of `bidder_id`'s bids and wait for the actor's answer. Whether
+that is allowed depends on the mechanism (see `bidAmendmentRule`).
+"""
+function amendDirectBid(
+    interface::DirectBidInterface,
+    auction_id::UUID,
+    bid_id::UUID,
+    bidder_id::UUID,
+    amount::Real,
+    quantity::Int = 1
+)
+    actor = lock(interface.controller.state.mutex) do
+        get(interface.controller.state.active_actors, auction_id, nothing)
+    end
+    isnothing(actor) && return Dict(:success => false, :code => :auction_not_found, :message => "Auction not found")
     
-    # Wait for response (simplified - in production would use futures)
+    reply = Channel{BidResponse}(1)
+    send_message_to_actor(actor, AmendBidMessage(bid_id, bidder_id, amount, quantity, now(), reply))
+    return awaitBidChange(reply, auction_id)
+end
+
+# A/HC/LC: register + Direct + Proxy
+"""
+    registerDirectProxy(interface, auction_id, bidder_id, limit, quantity = 1) -> Dict
+
+Let the auction bid for `bidder_id` up to `limit`: a maximum price in English
+auctions, a stay-in threshold in Japanese ones and an accept-at price in
+Dutch ones (see `ProxyBidder`). Registering again replaces the limit.
+"""
+function registerDirectProxy(
+    interface::DirectBidInterface,
+    auction_id::UUID,
+    bidder_id::UUID,
+    limit::Real,
+    quantity::Int = 1
+)
+    actor = lock(interface.controller.state.mutex) do
+        get(interface.controller.state.active_actors, auction_id, nothing)
+    end
+    isnothing(actor) && return Dict(:success => false, :code => :auction_not_found, :message => "Auction not found")
+
+    reply = Channel{BidResponse}(1)
+    send_message_to_actor(actor, RegisterProxyMessage(bidder_id, limit, quantity, now(), reply))
+    return awaitBidChange(reply, auction_id)
+end
+
+# A/HC/LC: await + Bid + Change
+function awaitBidChange(reply::Channel{BidResponse}, auction_id::UUID; max_wait::Float64 = 10.0)
+    if timedwait(() -> isready(reply), max_wait) != :ok
+        return Dict(:success => false, :code => :timeout, :message => "Bid change timeout")
+    end
+    
+    response = take!(reply)
     return Dict(
-        :success => true,
-        :message => "Bid submitted",
+        :success => response.success,
+        :code => response.code,
+        :message => response.message,
         :auction_id => auction_id,
-        :bidder_id => bidder_id,
-        :amount => amount,
-        :quantity => quantity,
-        :timestamp => now()
+        :bid_id => response.bid_id,
+        :timestamp => response.timestamp
     )
 end
 
@@ -202,24 +299,27 @@ function startRPCServer(interface::RPCBidInterface)
     # POST /bid/submit
     HTTP.register!(router, "POST", "/bid/submit") do req
         try
-            body = JSON3.read(String(req.body))
-            
-            auction_id = UUID(body.auction_id)
-            bidder_id = UUID(get(body, :bidder_id, uuid4()))
-            amount = Float64(body.amount)
-            quantity = get(body, :quantity, 1)
-            metadata = get(body, :metadata, Dict())
-            
-            result = submitDirectBid(
-                DirectBidInterface(interface.controller),
-                auction_id,
-                bidder_id,
-                amount,
-                quantity;
-                metadata = MetadataDict(metadata)
-            )
-            
-            return HTTP.Response(200, JSON3.write(result))
+            return handleRPCBidSubmission(interface, req)
+        catch e
+            error_response = Dict(:success => false, :error => string(e))
+            return HTTP.Response(400, JSON3.write(error_response))
+        end
+    end
+    
+    # POST /bid/cancel
+    HTTP.register!(router, "POST", "/bid/cancel") do req
+        try
+            return handleRPCBidCancellation(interface, req)
+        catch e
+            error_response = Dict(:success => false, :error => string(e))
+            return HTTP.Response(400, JSON3.write(error_response))
+        end
+    end
+    
+    # POST /bid/amend
+    HTTP.register!(router, "POST", "/bid/amend") do req
+        try
+            return handleRPCBidAmendment(interface, req)
         catch e
             error_response = Dict(:success => false, :error => string(e))
             return HTTP.Response(400, JSON3.write(error_response))
@@ -283,17 +383,250 @@ function startRPCServer(interface::RPCBidInterface)
         end
     end
     
+    # WebSocket upgrades on /ws stream auction events; everything else is routed
+    route_request = HTTP.streamhandler(router)
+    handle_stream = function(http::HTTP.Stream)
+        # Routes only see the request, so record who sent it for rate limiting
+        client_ip, _ = HTTP.Sockets.getpeername(http)
+        http.message.context[:client_ip] = string(client_ip)
+        
+        if WebSockets.isupgrade(http.message) && HTTP.URI(http.message.target).path == "/ws"
+            credentials = admitStreamRequest(interface, http)
+            isnothing(credentials) && return
+            WebSockets.upgrade(websocket -> serveAuctionStream(interface, websocket, credentials.bidder.id), http)
+        else
+            route_request(http)
+        end
+    end
+    
     # Start server
-    interface.server = HTTP.serve!(router, interface.host, interface.port; verbose=false)
+    interface.server = HTTP.serve!(handle_stream, interface.host, interface.port; stream=true, verbose=false)
     
     @info "RPC server started" host=interface.host port=interface.port
     
     return interface
 end
 
+# A/HC/LC: admit + RPC + BidRequest
+"""
+    admitRPCBidRequest(interface, req) -> Union{NamedTuple, HTTP.Response}
+
+Gate shared by the bid routes: rate limit the client IP, authenticate the
+bidder, rate limit the bidder and find the auction. Returns the parsed
+request, or the rejection to send. Each rejection carries a reason `code`
+and is logged as a `BidRejectedEvent` for the auction.
+"""
+function admitRPCBidRequest(interface::RPCBidInterface, req::HTTP.Request)
+    body_text = String(req.body)
+    body = JSON3.read(body_text)
+    auction_id = UUID(body.auction_id)
+    claimed_bidder = haskey(body, :bidder_id) ? UUID(body.bidder_id) : nothing
+    client_ip = get(req.context, :client_ip, "unknown")
+    
+    reject(status, bidder_id, code, reason; headers = Pair{String, String}[]) =
+        rejectRPCBid(interface, auction_id, something(bidder_id, UUID(0)), status, code, reason; headers = headers)
+    retry_header(seconds) = ["Retry-After" => string(ceil(Int, seconds))]
+    
+    allowed, retry_after = takeRateToken(interface.rate_limiter, :ip, client_ip)
+    allowed || return reject(429, claimed_bidder, :rate_limited, "Too many requests from this address";
+                             headers = retry_header(retry_after))
+    
+    path = HTTP.URI(req.target).path
+    credentials, code, reason = authenticateBidRequest(interface.bidders, req.headers, req.method, path, body_text)
+    isnothing(credentials) && return reject(401, claimed_bidder, code, reason)
+    
+    bidder_id = credentials.bidder.id
+    if !isnothing(claimed_bidder) && claimed_bidder != bidder_id
+        return reject(403, claimed_bidder, :bidder_mismatch, "Credentials belong to a different bidder")
+    end
+    
+    allowed, retry_after = takeRateToken(interface.rate_limiter, :bidder, string(bidder_id))
+    allowed || return reject(429, bidder_id, :rate_limited, "Too many bids from this bidder";
+                             headers = retry_header(retry_after))
+    
+    actor = lock(interface.controller.state.mutex) do
+        get(interface.controller.state.active_actors, auction_id, nothing)
+    end
+    isnothing(actor) && return reject(404, bidder_id, :auction_not_found, "Auction not found")
+    
+    return (body = body, auction_id = auction_id, credentials = credentials, actor = actor)
+end
+
+# A/HC/LC: admit + Stream + Request
+"""
+    admitStreamRequest(interface, http) -> Union{BidderCredentials, Nothing}
+
+Gate for `/ws` upgrades: rate limit the client IP and authenticate the
+bidder as the bid routes do, a signed upgrade being a `GET /ws` with an
+empty body. On rejection the error response is written to `http` and
+`nothing` is returned.
+"""
+function admitStreamRequest(interface::RPCBidInterface, http::HTTP.Stream)
+    request = http.message
+    client_ip = get(request.context, :client_ip, "unknown")
+    
+    function reject(status, code, reason; headers = Pair{String, String}[])
+        HTTP.setstatus(http, status)
+        HTTP.setheader(http, "Content-Type" => "application/json")
+        foreach(header -> HTTP.setheader(http, header), headers)
+        HTTP.startwrite(http)
+        write(http, JSON3.write(Dict(:success => false, :code => code, :message => reason)))
+        return nothing
+    end
+    
+    allowed, retry_after = takeRateToken(interface.rate_limiter, :ip, client_ip)
+    allowed || return reject(429, :rate_limited, "Too many requests from this address";
+                             headers = ["Retry-After" => string(ceil(Int, retry_after))])
+    
+    credentials, code, reason = authenticateBidRequest(interface.bidders, request.headers, request.method, "/ws", "")
+    isnothing(credentials) && return reject(401, code, reason)
+    return credentials
+end
+
+# A/HC/LC: handle + RPC + BidSubmission
+"""
+    handleRPCBidSubmission(interface, req) -> HTTP.Response
+
+Admit a `/bid/submit` request (see `admitRPCBidRequest`) and check the bid
+against the bidder's budget before it reaches the actor mailbox. The client
+gets the actor's verdict, and a rejected bid's budget is released.
+"""
+function handleRPCBidSubmission(interface::RPCBidInterface, req::HTTP.Request)
+    admitted = admitRPCBidRequest(interface, req)
+    admitted isa HTTP.Response && return admitted
+    body, auction_id, credentials, actor = admitted
+    bidder_id = credentials.bidder.id
+    metadata = MetadataDict(get(body, :metadata, Dict()))
+    # Winner determination trusts the bidding language, so only parsed bundles may set it
+    if haskey(metadata, :bidding_language)
+        return rejectRPCBid(interface, auction_id, bidder_id, 400, :invalid_bid,
+                            "metadata.bidding_language is reserved; send bundle bids as bundles")
+    end
+    
+    if haskey(body, :bundles)
+        # Bundle bids in the bidding language commit at most their best outcome
+        if actor.state.auction_type != :combinatorial
+            return rejectRPCBid(interface, auction_id, bidder_id, 400, :invalid_bid,
+                                "Bundle bids are only accepted by combinatorial auctions")
+        end
+        combinatorial_bid = try
+            parseCombinatorialBid(body.bundles, bidder_id)
+        catch e
+            e isa ArgumentError || rethrow()
+            return rejectRPCBid(interface, auction_id, bidder_id, 400, :invalid_bid, e.msg)
+        end
+        amount = Float64(maxCombinatorialPayment(combinatorial_bid))
+        quantity = 1
+        metadata[:bidding_language] = JSON3.write(encodeCombinatorialBid(combinatorial_bid))
+    else
+        amount = Float64(body.amount)
+        quantity = get(body, :quantity, 1)
+        if !(amount > 0 && quantity isa Integer && quantity >= 1)
+            return rejectRPCBid(interface, auction_id, bidder_id, 400, :invalid_bid,
+                                "Amount must be positive and quantity a positive integer")
+        end
+    end
+    
+    fits = reserveBidderBudget(
+        interface.bidders, interface.controller, credentials, auction_id, actor.state.auction_type, amount, quantity
+    )
+    fits || return rejectRPCBid(interface, auction_id, bidder_id, 422, :over_budget,
+                                "Bid exceeds the bidder's remaining budget")
+    
+    result = submitDirectBid(
+        DirectBidInterface(interface.controller),
+        auction_id,
+        bidder_id,
+        amount,
+        quantity;
+        metadata = metadata
+    )
+    # A bid the actor turned down holds no budget; one it has not answered yet might still land
+    if !result[:success] && get(result, :code, nothing) != :timeout
+        syncBidderExposure(interface.bidders, credentials, actor)
+    end
+    
+    return HTTP.Response(result[:success] ? 200 : 409, JSON3.write(result))
+end
+
+# A/HC/LC: handle + RPC + BidCancellation
+function handleRPCBidCancellation(interface::RPCBidInterface, req::HTTP.Request)
+    admitted = admitRPCBidRequest(interface, req)
+    admitted isa HTTP.Response && return admitted
+    body, auction_id, credentials, actor = admitted
+    
+    result = cancelDirectBid(
+        DirectBidInterface(interface.controller),
+        auction_id,
+        UUID(body.bid_id),
+        credentials.bidder.id
+    )
+    result[:success] && syncBidderExposure(interface.bidders, credentials, actor)
+    
+    return HTTP.Response(result[:success] ? 200 : 409, JSON3.write(result))
+end
+
+# A/HC/LC: handle + RPC + BidAmendment
+function handleRPCBidAmendment(interface::RPCBidInterface, req::HTTP.Request)
+    admitted = admitRPCBidRequest(interface, req)
+    admitted isa HTTP.Response && return admitted
+    body, auction_id, credentials, actor = admitted
+    bidder_id = credentials.bidder.id
+    bid_id = UUID(body.bid_id)
+    
+    # Quantity defaults to the bid's current one
+    current = lock(actor.state.mutex) do
+        findfirst(b -> b.id == bid_id, actor.state.current_bids)
+    end
+    amount = Float64(body.amount)
+    quantity = get(body, :quantity, isnothing(current) ? 1 : actor.state.current_bids[current].quantity)
+    if !(amount > 0 && quantity isa Integer && quantity >= 1)
+        return rejectRPCBid(interface, auction_id, bidder_id, 400, :invalid_bid,
+                            "Amount must be positive and quantity a positive integer")
+    end
+    
+    fits = fitsAmendedBudget(interface.bidders, interface.controller, credentials, actor, bid_id, amount, quantity)
+    fits || return rejectRPCBid(interface, auction_id, bidder_id, 422, :over_budget,
+                                "Amendment exceeds the bidder's remaining budget")
+    
+    result = amendDirectBid(DirectBidInterface(interface.controller), auction_id, bid_id, bidder_id, amount, quantity)
+    result[:success] && syncBidderExposure(interface.bidders, credentials, actor)
+    
+    return HTTP.Response(result[:success] ? 200 : 409, JSON3.write(result))
+end
+
+# A/HC/LC: reject + RPC + Bid
+function rejectRPCBid(
+    interface::RPCBidInterface,
+    auction_id::UUID,
+    bidder_id::UUID,
+    status::Int,
+    code::Symbol,
+    reason::String;
+    headers::Vector{Pair{String, String}} = Pair{String, String}[]
+)
+    # Only auctions this controller runs get rejections in their history
+    event_log = interface.controller.state.event_log
+    known = lock(interface.controller.state.mutex) do
+        haskey(interface.controller.state.active_actors, auction_id)
+    end
+    if !isnothing(event_log) && known
+        event = BidRejectedEvent(uuid4(), auction_id, bidder_id, reason, now(), code)
+        append_event_to_log(event_log, auction_id, event)
+    end
+    
+    response = Dict(:success => false, :code => code, :message => reason, :auction_id => auction_id)
+    return HTTP.Response(status, headers, JSON3.write(response))
+end
+
 # A/HC/LC: stop + RPC + Server
 function stopRPCServer(interface::RPCBidInterface)
     if !isnothing(interface.server)
+        sessions = lock(interface.streams_lock) do
+            collect(values(interface.streams))
+        end
+        foreach(session -> close(session.websocket), sessions)
+        
         close(interface.server)
         interface.server = nothing
         @info "RPC server stopped"
@@ -301,30 +634,122 @@ function stopRPCServer(interface::RPCBidInterface)
 end
 
 # A/HC/LC: submit + RPC + Bid
+"""
+    submitRPCBid(host, port, auction_id, amount, quantity = 1; api_key, secret = nothing, bidder_id, metadata)
+
+Submit a bid as the bidder registered under `api_key`. With `secret` the
+request is also HMAC-signed. Rejections are returned like successes, with
+`success = false` and a reason `code`.
+"""
 function submitRPCBid(
     host::String,
     port::Int,
     auction_id::UUID,
     amount::Number,
     quantity::Int = 1;
-    bidder_id::UUID = uuid4(),
+    api_key::String,
+    secret::Union{Nothing, String} = nothing,
+    bidder_id::Union{Nothing, UUID} = nothing,
     metadata::Dict = Dict()
 )
-    url = "http://$host:$port/bid/submit"
-    
     body = Dict(
         :auction_id => string(auction_id),
-        :bidder_id => string(bidder_id),
         :amount => amount,
         :quantity => quantity,
         :metadata => metadata
     )
+    isnothing(bidder_id) || (body[:bidder_id] = string(bidder_id))
     
-    response = HTTP.post(
-        url,
-        ["Content-Type" => "application/json"],
-        JSON3.write(body)
+    return postBidRequest(host, port, "/bid/submit", body; api_key = api_key, secret = secret)
+end
+
+# A/HC/LC: submit + RPC + BundleBid
+"""
+    submitRPCBundleBid(host, port, auction_id, bid; api_key, secret = nothing) -> response
+
+Submit a `CombinatorialBid` to a combinatorial auction in its JSON wire form
+(see `parseCombinatorialBid`). It counts against the bidder's budget at the
+most it can win.
+"""
+function submitRPCBundleBid(
+    host::String,
+    port::Int,
+    auction_id::UUID,
+    bid::CombinatorialBid;
+    api_key::String,
+    secret::Union{Nothing, String} = nothing
+)
+    body = Dict(
+        :auction_id => string(auction_id),
+        :bidder_id => string(bid.bidder_id),
+        :bundles => encodeCombinatorialBid(bid)
     )
+    return postBidRequest(host, port, "/bid/submit", body; api_key = api_key, secret = secret)
+end
+
+# A/HC/LC: cancel + RPC + Bid
+function cancelRPCBid(
+    host::String,
+    port::Int,
+    auction_id::UUID,
+    bid_id::UUID;
+    api_key::String,
+    secret::Union{Nothing, String} = nothing
+)
+    body = Dict(:auction_id => string(auction_id), :bid_id => string(bid_id))
+    return postBidRequest(host, port, "/bid/cancel", body; api_key = api_key, secret = secret)
+end
+
+# A/HC/LC: amend + RPC + Bid
+function amendRPCBid(
+    host::String,
+    port::Int,
+    auction_id::UUID,
+    bid_id::UUID,
+    amount::Number;
+    quantity::Union{Nothing, Int} = nothing,
+    api_key::String,
+    secret::Union{Nothing, String} = nothing
+)
+    body = Dict{Symbol, Any}(:auction_id => string(auction_id), :bid_id => string(bid_id), :amount => amount)
+    isnothing(quantity) || (body[:quantity] = quantity)
+    return postBidRequest(host, port, "/bid/amend", body; api_key = api_key, secret = secret)
+end
+
+# A/HC/LC: bid + Request + Headers
+# Authentication headers of a request to the RPC server, HMAC-signed when a secret is given
+function bidRequestHeaders(
+    method::String,
+    path::String,
+    body_text::String;
+    api_key::String,
+    secret::Union{Nothing, String} = nothing
+)::Vector{Pair{String, String}}
+    headers = ["X-API-Key" => api_key]
+    if !isnothing(secret)
+        timestamp_ms = round(Int, datetime2unix(now(UTC)) * 1000)
+        push!(headers, "X-Timestamp" => string(timestamp_ms))
+        push!(headers, "X-Signature" => signBidRequest(secret, timestamp_ms, method, path, body_text))
+    end
+    return headers
+end
+
+# A/HC/LC: post + Bid + Request
+# POST an authenticated bid request, HMAC-signed when a secret is given
+function postBidRequest(
+    host::String,
+    port::Int,
+    path::String,
+    body::AbstractDict;
+    api_key::String,
+    secret::Union{Nothing, String} = nothing
+)
+    body_text = JSON3.write(body)
+    
+    headers = bidRequestHeaders("POST", path, body_text; api_key = api_key, secret = secret)
+    pushfirst!(headers, "Content-Type" => "application/json")
+    
+    response = HTTP.post("http://$host:$port$path", headers, body_text; status_exception = false)
     
     return JSON3.read(String(response.body))
 end
\ No newline at end of file
@@ -0,0 +1,272 @@
+# Bidder identity, request authentication and budget checks for RPC bids
+# Following A/HC/LC naming pattern
+
+"""
+    BidderCredentials
+
+A registered bidder together with what is needed to authenticate its
+requests and the budget it has committed so far.
+"""
+mutable struct BidderCredentials
+    bidder::Bidder
+    secret::String  # HMAC signing secret
+    exposure::Dict{UUID, Float64}  # auction_id => value of admitted bids in open auctions
+    spent::Float64  # Payments owed for finished auctions
+end
+
+"""
+    BidderRegistry(; require_signature = false, max_clock_skew = Second(300))
+
+Bidders allowed to bid over RPC. A request is bound to a bidder by its
+`X-API-Key` header. With `require_signature`, the request must also carry
+`X-Timestamp` (Unix milliseconds) and an `X-Signature` HMAC made with the
+bidder's secret (see `signBidRequest`); a signature is checked whenever one
+is present. API keys are kept only as SHA-256 digests.
+"""
+mutable struct BidderRegistry
+    by_key::Dict{String, BidderCredentials}  # hex SHA-256 of API key => credentials
+    by_bidder::Dict{UUID, BidderCredentials}
+    require_signature::Bool
+    max_clock_skew::Millisecond
+    seen_signatures::Dict{String, DateTime}  # Signatures accepted within the skew window
+    lock::ReentrantLock
+
+    function BidderRegistry(; require_signature::Bool = false, max_clock_skew::Period = Second(300))
+        max_clock_skew > Millisecond(0) || throw(ArgumentError("Clock skew allowance must be positive"))
+        new(
+            Dict{String, BidderCredentials}(),
+            Dict{UUID, BidderCredentials}(),
+            require_signature,
+            Millisecond(max_clock_skew),
+            Dict{String, DateTime}(),
+            ReentrantLock()
+        )
+    end
+end
+
+# A/HC/LC: generate + Credential + Token
+generateCredentialToken() = bytes2hex(rand(RandomDevice(), UInt8, 32))
+
+# A/HC/LC: digest + Api + Key
+digestApiKey(api_key::AbstractString) = bytes2hex(sha256(api_key))
+
+# A/HC/LC: register + Bidder + Credentials
+"""
+    registerBidder(registry, bidder; api_key, secret) -> (api_key, secret)
+
+Allow `bidder` to bid over RPC. Fresh random credentials are generated unless
+given; they are returned once and only a digest of the key is kept.
+"""
+function registerBidder(
+    registry::BidderRegistry,
+    bidder::Bidder;
+    api_key::AbstractString = generateCredentialToken(),
+    secret::AbstractString = generateCredentialToken()
+)
+    isempty(api_key) && throw(ArgumentError("API key must not be empty"))
+    isempty(secret) && throw(ArgumentError("Signing secret must not be empty"))
+
+    lock(registry.lock) do
+        haskey(registry.by_bidder, bidder.id) && throw(ArgumentError("Bidder $(bidder.id) is already registered"))
+        key_digest = digestApiKey(api_key)
+        haskey(registry.by_key, key_digest) && throw(ArgumentError("API key is already in use"))
+
+        credentials = BidderCredentials(bidder, String(secret), Dict{UUID, Float64}(), 0.0)
+        registry.by_key[key_digest] = credentials
+        registry.by_bidder[bidder.id] = credentials
+    end
+
+    return (api_key = String(api_key), secret = String(secret))
+end
+
+# A/HC/LC: revoke + Bidder + Credentials
+function revokeBidder(registry::BidderRegistry, bidder_id::UUID)
+    lock(registry.lock) do
+        credentials = pop!(registry.by_bidder, bidder_id, nothing)
+        isnothing(credentials) && return false
+        filter!(entry -> entry.second !== credentials, registry.by_key)
+        return true
+    end
+end
+
+# A/HC/LC: sign + Bid + Request
+"""
+    signBidRequest(secret, timestamp_ms, method, path, body) -> String
+
+Hex HMAC-SHA256 over the request as `"<timestamp>\\n<METHOD>\\n<path>\\n<body>"`.
+"""
+function signBidRequest(secret::AbstractString, timestamp_ms::Integer, method::AbstractString,
+                        path::AbstractString, body::AbstractString)::String
+    message = string(timestamp_ms, '\n', uppercase(method), '\n', path, '\n', body)
+    return bytes2hex(hmac_sha256(Vector{UInt8}(secret), message))
+end
+
+# A/HC/LC: compare + Constant + Time
+# Equal-length comparison that does not stop at the first difference
+function compareConstantTime(a::AbstractString, b::AbstractString)::Bool
+    a_bytes, b_bytes = codeunits(a), codeunits(b)
+    length(a_bytes) == length(b_bytes) || return false
+    difference = 0x00
+    for (x, y) in zip(a_bytes, b_bytes)
+        difference |= x ⊻ y
+    end
+    return difference == 0x00
+end
+
+# A/HC/LC: authenticate + Bid + Request
+"""
+    authenticateBidRequest(registry, headers, method, path, body, current_time = now(UTC))
+        -> (credentials, code, reason)
+
+Bind a request to a registered bidder. On success `code` is `:ok`; otherwise
+`credentials` is `nothing` and `code` is one of `:unauthenticated`,
+`:invalid_credentials`, `:signature_required`, `:stale_request`,
+`:invalid_signature` or `:replayed_request`.
+"""
+function authenticateBidRequest(
+    registry::BidderRegistry,
+    headers,
+    method::AbstractString,
+    path::AbstractString,
+    body::AbstractString,
+    current_time::DateTime = now(UTC)  # Signed timestamps are Unix time, i.e. UTC
+)
+    api_key = HTTP.header(headers, "X-API-Key", "")
+    isempty(api_key) && return (nothing, :unauthenticated, "Missing X-API-Key header")
+
+    lock(registry.lock) do
+        credentials = get(registry.by_key, digestApiKey(api_key), nothing)
+        isnothing(credentials) && return (nothing, :invalid_credentials, "Unknown API key")
+
+        signature = HTTP.header(headers, "X-Signature", "")
+        if isempty(signature)
+            registry.require_signature && return (nothing, :signature_required, "Request must be signed")
+            return (credentials, :ok, "")
+        end
+
+        timestamp_ms = tryparse(Int, HTTP.header(headers, "X-Timestamp", ""))
+        isnothing(timestamp_ms) && return (nothing, :stale_request, "Missing or invalid X-Timestamp header")
+        signed_at = unix2datetime(timestamp_ms / 1000)
+        if abs(Dates.value(current_time - signed_at)) > Dates.value(registry.max_clock_skew)
+            return (nothing, :stale_request, "Request timestamp outside the allowed clock skew")
+        end
+
+        expected = signBidRequest(credentials.secret, timestamp_ms, method, path, body)
+        compareConstantTime(lowercase(signature), expected) ||
+            return (nothing, :invalid_signature, "Signature does not match request")
+
+        # A signature can only be used once while its timestamp is acceptable
+        filter!(entry -> current_time - entry.second <= registry.max_clock_skew, registry.seen_signatures)
+        haskey(registry.seen_signatures, expected) && return (nothing, :replayed_request, "Request was already used")
+        registry.seen_signatures[expected] = signed_at
+
+        return (credentials, :ok, "")
+    end
+end
+
+# A/HC/LC: settle + Bidder + Exposure
+# Release budget held in auctions that have ended, keeping what was won
+function settleBidderExposure(credentials::BidderCredentials, controller::AuctionController)
+    for auction_id in collect(keys(credentials.exposure))
+        actor = lock(controller.state.mutex) do
+            get(controller.state.active_actors, auction_id, nothing)
+        end
+        status = isnothing(actor) ? :cancelled : actor.state.status
+
+        if status == :completed
+            payment = get(actor.state.result.payments, credentials.bidder.id, 0)
+            credentials.spent += Float64(payment)
+            delete!(credentials.exposure, auction_id)
+        elseif status == :cancelled
+            delete!(credentials.exposure, auction_id)
+        end
+    end
+end
+
+# A/HC/LC: reserve + Bidder + Budget
+"""
+    reserveBidderBudget(registry, controller, credentials, auction_id, auction_type, amount, quantity) -> Bool
+
+Check a bid of `amount × quantity` against the bidder's `budget` and, if it
+fits, count it as committed. Ascending auctions (English, Japanese) only hold
+a bidder's largest bid, since a new bid replaces the old one as its offer;
+in other auctions every admitted bid may win and is added up. Budget held in
+auctions that have since ended is released, except for payments owed.
+"""
+function reserveBidderBudget(
+    registry::BidderRegistry,
+    controller::AuctionController,
+    credentials::BidderCredentials,
+    auction_id::UUID,
+    auction_type::Symbol,
+    amount::Real,
+    quantity::Integer
+)::Bool
+    lock(registry.lock) do
+        settleBidderExposure(credentials, controller)
+
+        held = get(credentials.exposure, auction_id, 0.0)
+        new_held = heldBidValue(auction_type, [held, Float64(amount) * quantity])
+        committed = credentials.spent + sum(values(credentials.exposure); init = 0.0) - held + new_held
+
+        committed <= credentials.bidder.budget || return false
+        credentials.exposure[auction_id] = new_held
+        return true
+    end
+end
+
+# A/HC/LC: held + Bid + Value
+# Budget that bids of the given values hold in one auction
+function heldBidValue(auction_type::Symbol, bid_values::Vector{Float64})::Float64
+    isempty(bid_values) && return 0.0
+    return auction_type in (:english, :japanese) ? maximum(bid_values) : sum(bid_values)
+end
+
+# A/HC/LC: book + Bid + Values
+# Values of the bidder's bids in the actor's book, with `bid_id` valued at `replacement`
+function bookBidValues(actor::AuctionActor, bidder_id::UUID, bid_id::UUID = UUID(0), replacement::Float64 = 0.0)
+    lock(actor.state.mutex) do
+        return Float64[
+            b.id == bid_id ? replacement : Float64(b.amount) * b.quantity
+            for b in actor.state.current_bids if b.bidder_id == bidder_id
+        ]
+    end
+end
+
+# A/HC/LC: fits + Amended + Budget
+"""
+    fitsAmendedBudget(registry, controller, credentials, actor, bid_id, amount, quantity) -> Bool
+
+Whether the bidder's budget still holds if bid `bid_id` becomes `amount ×
+quantity`. Lowering a bid always fits. Nothing is committed until the actor
+accepts the amendment and `syncBidderExposure` is called.
+"""
+function fitsAmendedBudget(
+    registry::BidderRegistry,
+    controller::AuctionController,
+    credentials::BidderCredentials,
+    actor::AuctionActor,
+    bid_id::UUID,
+    amount::Real,
+    quantity::Integer
+)::Bool
+    bid_values = bookBidValues(actor, credentials.bidder.id, bid_id, Float64(amount) * quantity)
+    lock(registry.lock) do
+        settleBidderExposure(credentials, controller)
+
+        held = get(credentials.exposure, actor.id, 0.0)
+        new_held = heldBidValue(actor.state.auction_type, bid_values)
+        new_held <= held && return true
+        committed = credentials.spent + sum(values(credentials.exposure); init = 0.0) - held + new_held
+        return committed <= credentials.bidder.budget
+    end
+end
+
+# A/HC/LC: sync + Bidder + Exposure
+# Match the budget held in an auction to the bidder's bids after a cancellation or amendment
+function syncBidderExposure(registry::BidderRegistry, credentials::BidderCredentials, actor::AuctionActor)
+    bid_values = bookBidValues(actor, credentials.bidder.id)
+    lock(registry.lock) do
+        credentials.exposure[actor.id] = heldBidValue(actor.state.auction_type, bid_values)
+    end
+end
@@ -0,0 +1,331 @@
+# WebSocket streaming of auction events for the RPC server
+# Following A/HC/LC naming pattern
+
+using HTTP.WebSockets
+
+"""
+    AuctionStreamSession
+
+One WebSocket client of the RPC server, authenticated as `bidder_id`. An
+event log listener queues events for the subscribed auctions on `outbox`,
+and a single sender task writes them, so frames leave in sequence order.
+"""
+mutable struct AuctionStreamSession
+    id::UUID
+    websocket::WebSockets.WebSocket
+    bidder_id::UUID
+    subscriptions::Dict{UUID, Int}  # auction_id => last sequence queued, guarded by the event log lock
+    sealed::Set{UUID}  # Subscribed auctions whose other bids are redacted, guarded by the event log lock
+    outbox::Channel{Any}
+    listener_id::Union{Nothing, UUID}
+
+    AuctionStreamSession(websocket::WebSockets.WebSocket, bidder_id::UUID) =
+        new(uuid4(), websocket, bidder_id, Dict{UUID, Int}(), Set{UUID}(), Channel{Any}(Inf), nothing)
+end
+
+# A/HC/LC: stream + Message + Type
+streamMessageType(event::AuctionEvent) = string(nameof(typeof(event)))
+streamMessageType(::BidSubmittedEvent) = "bid_accepted"
+streamMessageType(::BidRejectedEvent) = "bid_rejected"
+streamMessageType(::BidCancelledEvent) = "bid_cancelled"
+streamMessageType(::BidAmendedEvent) = "bid_amended"
+streamMessageType(::PriceUpdatedEvent) = "price_update"
+streamMessageType(::TradeExecutedEvent) = "trade"
+streamMessageType(::TradingPhaseChangedEvent) = "trading_phase"
+streamMessageType(::AuctionStartedEvent) = "auction_started"
+streamMessageType(::AuctionExtendedEvent) = "auction_extended"
+streamMessageType(::AuctionFinalizedEvent) = "auction_complete"
+streamMessageType(::AuctionCancelledEvent) = "auction_cancelled"
+
+# A/HC/LC: to + Stream + Value
+# Plain JSON for clients; values without a JSON form are sent as strings
+function toStreamValue(value)
+    if value === nothing || value isa Union{Bool, Real, AbstractString}
+        return value
+    elseif value isa Union{Symbol, UUID, DateTime}
+        return string(value)
+    elseif value isa Union{AbstractVector, Tuple}
+        return Any[toStreamValue(v) for v in value]
+    elseif value isa AbstractDict
+        return Dict{String, Any}(string(k) => toStreamValue(v) for (k, v) in value)
+    end
+    return string(value)
+end
+
+# A/HC/LC: encode + Stream + Event
+"""
+    encodeStreamEvent(sequence, event) -> Dict
+
+WebSocket frame for a logged event. `sequence` is the event's position in the
+log; a client that reconnects passes the last one it saw as `from_sequence`.
+"""
+function encodeStreamEvent(sequence::Int, event::ImmutableEvent)::Dict{String, Any}
+    wrapped = event.wrapped_event
+    return Dict{String, Any}(
+        "type" => streamMessageType(wrapped),
+        "sequence" => sequence,
+        "auction_id" => string(event.auction_id),
+        "timestamp" => string(event.timestamp),
+        "payload" => Dict{String, Any}(
+            String(name) => toStreamValue(getfield(wrapped, name)) for name in fieldnames(typeof(wrapped))
+        )
+    )
+end
+
+# A/HC/LC: encode + Session + Event
+# Frame for one client: in auctions still sealed for it, bid events of other
+# bidders only say that something happened, not who or for how much
+function encodeSessionEvent(
+    session::AuctionStreamSession,
+    sequence::Int,
+    event::ImmutableEvent
+)::Dict{String, Any}
+    frame = encodeStreamEvent(sequence, event)
+    wrapped = event.wrapped_event
+    if event.auction_id in session.sealed && hasfield(typeof(wrapped), :bidder_id) &&
+       wrapped.bidder_id != session.bidder_id
+        payload = frame["payload"]
+        frame["payload"] = Dict{String, Any}(name => payload[name] for name in ("id", "auction_id", "timestamp"))
+        frame["redacted"] = true
+    end
+    return frame
+end
+
+# A/HC/LC: stream + Bids + Sealed
+# Whether other bidders' bids in an auction are hidden from stream clients
+# now: until it is finalized, if its mechanism seals bids (see
+# `bidVisibilityRule`). Continuous books are lit, and auctions of unknown
+# type stay sealed. Call with the event log locked.
+function streamBidsSealed(log, actor, auction_id::UUID)::Bool
+    auction_type = isnothing(actor) ? nothing : actor.state.auction_type
+    for (_, event) in getEventsAfterSequence(log, auction_id, 0)
+        wrapped = event.wrapped_event
+        wrapped isa AuctionFinalizedEvent && return false
+        if wrapped isa AuctionStartedEvent && isnothing(auction_type)
+            auction_type = wrapped.auction_type
+        end
+    end
+    !isnothing(actor) && !isnothing(actor.order_book) && return false
+    isnothing(auction_type) && return true
+
+    mechanism = try
+        auctionMechanismType(auction_type)
+    catch e
+        e isa ArgumentError || rethrow()
+        return true
+    end
+    return bidVisibilityRule(mechanism) == :sealed
+end
+
+# A/HC/LC: stream + Error + Frame
+streamErrorFrame(code::String, message::String) =
+    Dict{String, Any}("type" => "error", "error" => Dict{String, Any}("code" => code, "message" => message))
+
+# A/HC/LC: queue + Stream + Event
+# Runs as an event log listener, with the log locked
+function queueStreamEvent(session::AuctionStreamSession, sequence::Int, event::ImmutableEvent)
+    last_sequence = get(session.subscriptions, event.auction_id, nothing)
+    isnothing(last_sequence) && return
+    sequence > last_sequence || return
+    isopen(session.outbox) || return
+
+    session.subscriptions[event.auction_id] = sequence
+    put!(session.outbox, encodeSessionEvent(session, sequence, event))
+    if event.wrapped_event isa AuctionFinalizedEvent
+        delete!(session.sealed, event.auction_id)
+    end
+end
+
+# A/HC/LC: subscribe + Stream + Auction
+function subscribeStreamAuction(
+    interface,
+    session::AuctionStreamSession,
+    auction_id::UUID,
+    from_sequence::Union{Nothing, Int}
+)
+    log = interface.controller.state.event_log
+    actor = lock(interface.controller.state.mutex) do
+        get(interface.controller.state.active_actors, auction_id, nothing)
+    end
+
+    # Holding the log lock keeps the backlog and live events from overlapping
+    lock(log.lock) do
+        if isnothing(actor) && !haskey(log.storage.index.by_auction, auction_id)
+            put!(session.outbox, streamErrorFrame("AUCTION_NOT_FOUND", "Auction $auction_id not found"))
+            return
+        end
+
+        latest = latestEventSequence(log)
+        put!(session.outbox, Dict{String, Any}(
+            "type" => "subscribed",
+            "auction_id" => string(auction_id),
+            "sequence" => latest
+        ))
+
+        if streamBidsSealed(log, actor, auction_id)
+            push!(session.sealed, auction_id)
+        else
+            delete!(session.sealed, auction_id)
+        end
+
+        last_queued = something(from_sequence, latest)
+        if !isnothing(from_sequence)
+            for (sequence, event) in getEventsAfterSequence(log, auction_id, from_sequence)
+                put!(session.outbox, encodeSessionEvent(session, sequence, event))
+                last_queued = sequence
+            end
+        end
+        session.subscriptions[auction_id] = last_queued
+    end
+end
+
+# A/HC/LC: unsubscribe + Stream + Auction
+function unsubscribeStreamAuction(interface, session::AuctionStreamSession, auction_id::UUID)
+    lock(interface.controller.state.event_log.lock) do
+        delete!(session.subscriptions, auction_id)
+        delete!(session.sealed, auction_id)
+    end
+    put!(session.outbox, Dict{String, Any}("type" => "unsubscribed", "auction_id" => string(auction_id)))
+end
+
+# A/HC/LC: handle + Stream + Request
+function handleStreamRequest(interface, session::AuctionStreamSession, raw)
+    request = try
+        JSON3.read(raw isa AbstractVector{UInt8} ? String(raw) : raw)
+    catch
+        nothing
+    end
+    if !(request isa AbstractDict)
+        put!(session.outbox, streamErrorFrame("INVALID_MESSAGE", "Messages must be JSON objects"))
+        return
+    end
+
+    request_type = get(request, :type, "")
+    if request_type == "ping"
+        put!(session.outbox, Dict{String, Any}("type" => "pong", "timestamp" => string(now())))
+        return
+    elseif !(request_type in ("subscribe", "unsubscribe"))
+        put!(session.outbox, streamErrorFrame("INVALID_MESSAGE", "Unknown message type: $request_type"))
+        return
+    end
+
+    auction_id = tryparse(UUID, string(get(request, :auction_id, "")))
+    if isnothing(auction_id)
+        put!(session.outbox, streamErrorFrame("INVALID_MESSAGE", "A valid auction_id is required"))
+        return
+    end
+
+    if request_type == "subscribe"
+        from_sequence = get(request, :from_sequence, nothing)
+        if !(isnothing(from_sequence) || from_sequence isa Integer)
+            put!(session.outbox, streamErrorFrame("INVALID_MESSAGE", "from_sequence must be an integer"))
+            return
+        end
+        subscribeStreamAuction(interface, session, auction_id, from_sequence)
+    else
+        unsubscribeStreamAuction(interface, session, auction_id)
+    end
+end
+
+# A/HC/LC: send + Stream + Frames
+function sendStreamFrames(session::AuctionStreamSession)
+    for frame in session.outbox
+        try
+            WebSockets.send(session.websocket, JSON3.write(frame))
+        catch e
+            @debug "Stream client went away" session_id=session.id exception=e
+            close(session.outbox)
+        end
+    end
+end
+
+# A/HC/LC: serve + Auction + Stream
+"""
+    serveAuctionStream(interface, websocket, bidder_id)
+
+Run one WebSocket connection on the RPC server for the authenticated bidder
+`bidder_id` (see `admitStreamRequest`). Clients send
+
+    {"type": "subscribe", "auction_id": "...", "from_sequence": 41}
+    {"type": "unsubscribe", "auction_id": "..."}
+    {"type": "ping"}
+
+and receive one frame per logged event of each subscribed auction (see
+`encodeStreamEvent`). With `from_sequence`, logged events after that sequence
+number are replayed before live ones; without it only new events are sent.
+
+Until a sealed-bid auction is finalized (see `bidVisibilityRule`), bid
+events of other bidders carry only their `id`, `auction_id` and `timestamp`
+and are marked `"redacted": true`; a client sees its own bids in full.
+Replays after finalization are not redacted.
+"""
+function serveAuctionStream(interface, websocket::WebSockets.WebSocket, bidder_id::UUID)
+    log = interface.controller.state.event_log
+    if isnothing(log)
+        WebSockets.send(websocket, JSON3.write(streamErrorFrame(
+            "STREAMING_UNAVAILABLE", "The controller has no event log to stream from"
+        )))
+        return
+    end
+
+    session = AuctionStreamSession(websocket, bidder_id)
+    session.listener_id = subscribeToEventLog(log) do sequence, event
+        queueStreamEvent(session, sequence, event)
+    end
+    lock(interface.streams_lock) do
+        interface.streams[session.id] = session
+    end
+    sender = @async sendStreamFrames(session)
+
+    try
+        for raw in websocket
+            handleStreamRequest(interface, session, raw)
+        end
+    catch e
+        # A closed outbox means the sender already saw the client go away
+        if !(e isa Union{WebSockets.WebSocketError, InvalidStateException})
+            @error "Stream connection failed" session_id=session.id exception=e
+        end
+    finally
+        unsubscribeFromEventLog(log, session.listener_id)
+        lock(interface.streams_lock) do
+            delete!(interface.streams, session.id)
+        end
+        close(session.outbox)
+        wait(sender)
+    end
+end
+
+# A/HC/LC: stream + RPC + Events
+"""
+    streamRPCEvents(callback, host, port, auction_ids; api_key, secret = nothing, from_sequence = nothing)
+
+Client for the RPC server's `/ws` endpoint, connecting as the bidder
+registered under `api_key` (with `secret`, the upgrade request is signed).
+Subscribes to `auction_ids` and calls `callback(frame)` with each event frame
+until it returns `false` or the server closes the connection.
+"""
+function streamRPCEvents(
+    callback::Function,
+    host::String,
+    port::Int,
+    auction_ids::Vector{UUID};
+    api_key::String,
+    secret::Union{Nothing, String} = nothing,
+    from_sequence::Union{Nothing, Int} = nothing
+)
+    headers = bidRequestHeaders("GET", "/ws", ""; api_key = api_key, secret = secret)
+    WebSockets.open("ws://$host:$port/ws"; headers = headers) do websocket
+        for auction_id in auction_ids
+            request = Dict{String, Any}("type" => "subscribe", "auction_id" => string(auction_id))
+            isnothing(from_sequence) || (request["from_sequence"] = from_sequence)
+            WebSockets.send(websocket, JSON3.write(request))
+        end
+
+        for raw in websocket
+            frame = JSON3.read(raw)
+            haskey(frame, :sequence) && haskey(frame, :payload) || continue
+            callback(frame) === false && break
+        end
+    end
+end
@@ -0,0 +1,76 @@
+# Token-bucket rate limiting for bid submission
+# Following A/HC/LC naming pattern
+
+"""
+    RateLimit(capacity, refill_per_second)
+
+Token-bucket policy: bursts of up to `capacity` requests, refilled at
+`refill_per_second` tokens per second.
+"""
+struct RateLimit
+    capacity::Float64
+    refill_per_second::Float64
+
+    function RateLimit(capacity::Real, refill_per_second::Real)
+        capacity >= 1 || throw(ArgumentError("Rate limit capacity must be at least 1"))
+        refill_per_second > 0 || throw(ArgumentError("Rate limit refill rate must be positive"))
+        new(Float64(capacity), Float64(refill_per_second))
+    end
+end
+
+mutable struct TokenBucket
+    tokens::Float64
+    updated::DateTime
+end
+
+"""
+    RateLimiter(; per_bidder = RateLimit(20, 10), per_ip = RateLimit(100, 50))
+
+Token buckets per authenticated bidder and per client IP address. A request
+must find a token in both of its buckets.
+"""
+mutable struct RateLimiter
+    per_bidder::RateLimit
+    per_ip::RateLimit
+    buckets::Dict{Tuple{Symbol, String}, TokenBucket}  # (:bidder | :ip, key) => bucket
+    lock::ReentrantLock
+
+    function RateLimiter(;
+        per_bidder::RateLimit = RateLimit(20, 10),
+        per_ip::RateLimit = RateLimit(100, 50)
+    )
+        new(per_bidder, per_ip, Dict{Tuple{Symbol, String}, TokenBucket}(), ReentrantLock())
+    end
+end
+
+# A/HC/LC: refill + Token + Bucket
+function refillTokenBucket(bucket::TokenBucket, limit::RateLimit, current_time::DateTime)
+    elapsed = Dates.value(current_time - bucket.updated) / 1000.0
+    if elapsed > 0
+        bucket.tokens = min(limit.capacity, bucket.tokens + elapsed * limit.refill_per_second)
+        bucket.updated = current_time
+    end
+    return bucket
+end
+
+# A/HC/LC: take + Rate + Token
+"""
+    takeRateToken(limiter, scope, key, current_time = now()) -> (allowed, retry_after_seconds)
+
+Take one token from the `scope` (`:bidder` or `:ip`) bucket for `key`. When
+the bucket is empty nothing is taken and the wait until the next token is
+returned.
+"""
+function takeRateToken(limiter::RateLimiter, scope::Symbol, key::AbstractString, current_time::DateTime = now())
+    limit = scope == :bidder ? limiter.per_bidder : limiter.per_ip
+    lock(limiter.lock) do
+        bucket = get!(() -> TokenBucket(limit.capacity, current_time), limiter.buckets, (scope, String(key)))
+        refillTokenBucket(bucket, limit, current_time)
+
+        if bucket.tokens >= 1
+            bucket.tokens -= 1
+            return (true, 0.0)
+        end
+        return (false, (1 - bucket.tokens) / limit.refill_per_second)
+    end
+end
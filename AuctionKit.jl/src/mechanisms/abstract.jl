@@ -93,4 +93,51 @@ end
 # A/HC/LC: has + Multiple + Winners
 function hasMultipleWinners(mechanism::AuctionMechanism)::Bool
     return false  # Default to single winner
-end
\ No newline at end of file
+end
+
+# Bid withdrawal and amendment rules
+
+"""
+    bidWithdrawalRule(mechanism_type) -> Symbol
+
+When a bidder may cancel its own bid in an open auction of this mechanism:
+
+- `:before_deadline`: any time until the auction closes
+- `:unless_leading`: only bids that have been outbid; the leading bid is binding
+- `:never`: bids are final once placed
+
+Sealed-bid auctions default to `:before_deadline`, open outcry auctions to
+`:unless_leading`. Mechanisms with different rules override this method.
+"""
+bidWithdrawalRule(::Type{<:SealedBidAuction}) = :before_deadline
+bidWithdrawalRule(::Type{<:OpenOutcryAuction}) = :unless_leading
+
+"""
+    bidAmendmentRule(mechanism_type) -> Symbol
+
+When a bidder may change the amount or quantity of its own bid:
+
+- `:before_deadline`: any change until the auction closes
+- `:increase_only`: only raising the amount, with the same quantity
+- `:never`: bids cannot be changed
+
+Sealed-bid auctions default to `:before_deadline`, open outcry auctions to
+`:increase_only`. An amended bid keeps its id but takes the amendment time,
+so it loses any time priority.
+"""
+bidAmendmentRule(::Type{<:SealedBidAuction}) = :before_deadline
+bidAmendmentRule(::Type{<:OpenOutcryAuction}) = :increase_only
+
+"""
+    bidVisibilityRule(mechanism_type) -> Symbol
+
+Who may see a bid's bidder and amount while the auction runs:
+
+- `:sealed`: only its bidder, until the auction is finalized
+- `:open`: everyone, as soon as it is accepted
+
+Sealed-bid auctions default to `:sealed`, open outcry auctions to `:open`.
+Event streams redact other bidders' bids accordingly (see `serveAuctionStream`).
+"""
+bidVisibilityRule(::Type{<:SealedBidAuction}) = :sealed
+bidVisibilityRule(::Type{<:OpenOutcryAuction}) = :open
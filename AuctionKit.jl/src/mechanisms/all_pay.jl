@@ -213,4 +213,8 @@ function finalizeAllPayAuction(state::AuctionState{T}) where T
             :win_rate => win_rate
         )
     )
-end
\ No newline at end of file
+end
+
+# Every bid is owed whether or not it wins, so it can only be raised
+bidWithdrawalRule(::Type{<:AllPayAuction}) = :never
+bidAmendmentRule(::Type{<:AllPayAuction}) = :increase_only
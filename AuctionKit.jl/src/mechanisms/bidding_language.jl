@@ -0,0 +1,195 @@
+# XOR/OR bidding language for combinatorial auctions
+# Following A/HC/LC naming pattern
+
+"""
+    AtomicBid{T}
+
+An offer of `amount` for exactly the items in `bundle`. `dummies` are dummy
+items (OR*) private to the bidder: of its winning atomic bids, at most one
+names each (see `BundleBid`).
+"""
+struct AtomicBid{T}
+    bundle::Set{Symbol}
+    amount::T
+    dummies::Set{Symbol}
+
+    function AtomicBid(bundle::Set{Symbol}, amount::T; dummies::Set{Symbol} = Set{Symbol}()) where T<:Real
+        isempty(bundle) && throw(ArgumentError("Bundle cannot be empty"))
+        isfinite(amount) && amount > 0 || throw(ArgumentError("Bid amount must be positive"))
+        isdisjoint(bundle, dummies) || throw(ArgumentError("Dummy items cannot also be bundle items"))
+        new{T}(bundle, amount, dummies)
+    end
+end
+
+"""
+    CombinatorialBid{T}
+
+A bidder's bid in the OR-of-XOR bidding language: `clauses` are OR-ed, so
+any of them may win together, and within a clause the atomic bids are XOR-ed,
+so at most one of them wins. A plain XOR bid is a single clause. The winning
+atomic bids add up to at most `budget`, if one is given.
+"""
+struct CombinatorialBid{T}
+    id::UUID
+    bidder_id::UUID
+    clauses::Vector{Vector{AtomicBid{T}}}
+    budget::Union{Nothing, T}
+
+    function CombinatorialBid(
+        bidder_id::UUID,
+        clauses::Vector{Vector{AtomicBid{T}}};
+        budget::Union{Nothing, Real} = nothing,
+        id::UUID = uuid4()
+    ) where T
+        isempty(clauses) && throw(ArgumentError("Combinatorial bid needs at least one clause"))
+        any(isempty, clauses) && throw(ArgumentError("XOR clauses cannot be empty"))
+        isnothing(budget) || budget > 0 || throw(ArgumentError("Budget must be positive"))
+        new{T}(id, bidder_id, clauses, isnothing(budget) ? nothing : T(budget))
+    end
+end
+
+# A/HC/LC: xor + Combinatorial + Bid
+"""
+    xorBid(bidder_id, atoms; budget = nothing) -> CombinatorialBid
+
+A bid that wins at most one of `atoms`, given as `bundle => amount` pairs.
+"""
+function xorBid(bidder_id::UUID, atoms::Vector{<:Pair}; budget::Union{Nothing, Real} = nothing)
+    return CombinatorialBid(bidder_id, [[AtomicBid(Set{Symbol}(bundle), amount) for (bundle, amount) in atoms]];
+                            budget = budget)
+end
+
+# A/HC/LC: expand + Combinatorial + Bid
+"""
+    expandCombinatorialBid(bid; timestamp = now()) -> Vector{BundleBid}
+
+One `BundleBid` per atomic bid, tagged so that the winner determination
+problem keeps each XOR clause exclusive and the whole bid within its budget.
+"""
+function expandCombinatorialBid(bid::CombinatorialBid{T}; timestamp::DateTime = now()) where T
+    bundle_bids = BundleBid{T}[]
+    for clause in bid.clauses
+        xor_group = length(clause) > 1 ? uuid4() : nothing
+        for atom in clause
+            push!(bundle_bids, BundleBid(
+                Bid(uuid4(), bid.bidder_id, atom.amount, 1, timestamp, MetadataDict()),
+                atom.bundle;
+                xor_group = xor_group,
+                source = bid.id,
+                budget = bid.budget,
+                dummies = atom.dummies
+            ))
+        end
+    end
+    return bundle_bids
+end
+
+# A/HC/LC: max + Combinatorial + Payment
+# The most the bid can commit its bidder to: its best atom in every clause, capped by the budget
+function maxCombinatorialPayment(bid::CombinatorialBid{T})::T where T
+    total = sum(maximum(atom.amount for atom in clause) for clause in bid.clauses)
+    return isnothing(bid.budget) ? total : min(total, bid.budget)
+end
+
+# A/HC/LC: get + Wire + Field
+# Field of a parsed JSON object, whether its keys are symbols or strings
+function getWireField(object::AbstractDict, name::String)
+    for (key, value) in object
+        string(key) == name && return value
+    end
+    return nothing
+end
+
+# A/HC/LC: parse + Atomic + Bid
+function parseAtomicBid(wire, ::Type{T}) where T
+    wire isa AbstractDict || throw(ArgumentError("Atomic bids must be objects with items and amount"))
+    items = getWireField(wire, "items")
+    amount = getWireField(wire, "amount")
+    dummies = something(getWireField(wire, "dummy"), String[])
+
+    is_name_list(names) = names isa AbstractVector && all(name -> name isa AbstractString && !isempty(name), names)
+    is_name_list(items) || throw(ArgumentError("Atomic bid items must be a list of item names"))
+    is_name_list(dummies) || throw(ArgumentError("Atomic bid dummy items must be a list of names"))
+    amount isa Real && !(amount isa Bool) || throw(ArgumentError("Atomic bid amount must be a number"))
+    return AtomicBid(Set{Symbol}(Symbol.(items)), T(amount); dummies = Set{Symbol}(Symbol.(dummies)))
+end
+
+# A/HC/LC: parse + Combinatorial + Bid
+"""
+    parseCombinatorialBid(wire, bidder_id; numeric_type = Float64, id = uuid4()) -> CombinatorialBid
+
+Read a bid in the JSON wire format, given as a string or a parsed object:
+
+    {
+      "or": [
+        {"xor": [{"items": ["a", "b"], "amount": 15.0}, {"items": ["a"], "amount": 8.0}]},
+        {"items": ["c"], "amount": 4.0, "dummy": ["d"]},
+        {"items": ["b"], "amount": 6.0, "dummy": ["d"]}
+      ],
+      "budget": 20.0
+    }
+
+`"or"` lists the clauses, each an `"xor"` of atomic bids or a single atomic
+bid; a top-level `"xor"` is a bid with one clause. `"budget"` is optional.
+An atomic bid's optional `"dummy"` list names dummy items (OR*), here making
+the last two clauses exclusive; `"items"` must all be items the auction sells,
+or the atomic bid cannot win. Throws `ArgumentError` for malformed bids.
+"""
+function parseCombinatorialBid(
+    wire,
+    bidder_id::UUID;
+    numeric_type::Type{T} = Float64,
+    id::UUID = uuid4()
+) where T
+    if wire isa AbstractString
+        wire = try
+            JSON3.read(wire)
+        catch
+            throw(ArgumentError("Combinatorial bid is not valid JSON"))
+        end
+    end
+    wire isa AbstractDict || throw(ArgumentError("Combinatorial bid must be a JSON object"))
+
+    clause_list(entry) = entry isa AbstractVector ? entry :
+                         throw(ArgumentError("XOR clauses must be lists of atomic bids"))
+    or_clauses = getWireField(wire, "or")
+    xor_atoms = getWireField(wire, "xor")
+
+    clauses = Vector{AtomicBid{T}}[]
+    if !isnothing(or_clauses)
+        or_clauses isa AbstractVector || throw(ArgumentError("\"or\" must be a list of clauses"))
+        for entry in or_clauses
+            atoms = entry isa AbstractDict && !isnothing(getWireField(entry, "xor")) ?
+                    clause_list(getWireField(entry, "xor")) : [entry]
+            push!(clauses, [parseAtomicBid(atom, T) for atom in atoms])
+        end
+    elseif !isnothing(xor_atoms)
+        push!(clauses, [parseAtomicBid(atom, T) for atom in clause_list(xor_atoms)])
+    else
+        throw(ArgumentError("Combinatorial bid needs an \"or\" or \"xor\" list"))
+    end
+
+    budget = getWireField(wire, "budget")
+    isnothing(budget) || budget isa Real && !(budget isa Bool) || throw(ArgumentError("Budget must be a number"))
+    return CombinatorialBid(bidder_id, clauses; budget = budget, id = id)
+end
+
+# A/HC/LC: encode + Combinatorial + Bid
+"""
+    encodeCombinatorialBid(bid) -> Dict
+
+The JSON wire form of `bid` (see `parseCombinatorialBid`). The bidder is not
+part of it; it comes from the request's credentials.
+"""
+function encodeCombinatorialBid(bid::CombinatorialBid)::Dict{String, Any}
+    function encode_atom(atom)
+        wire = Dict{String, Any}("items" => sort!(string.(collect(atom.bundle))), "amount" => atom.amount)
+        isempty(atom.dummies) || (wire["dummy"] = sort!(string.(collect(atom.dummies))))
+        return wire
+    end
+    wire = Dict{String, Any}(
+        "or" => [Dict{String, Any}("xor" => [encode_atom(atom) for atom in clause]) for clause in bid.clauses]
+    )
+    isnothing(bid.budget) || (wire["budget"] = bid.budget)
+    return wire
+end
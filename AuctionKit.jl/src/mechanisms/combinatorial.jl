@@ -10,6 +10,11 @@ using HiGHS
 
 Auction where bidders can bid on bundles of items.
 Solves the winner determination problem to maximize revenue.
+
+`payment_rule` sets what winners pay: `:pay_as_bid` (their winning bids),
+`:vcg` (Vickrey-Clarke-Groves, the harm each winner does to the others) or
+`:core` (bidder-optimal core-selecting payments nearest to VCG). The solver
+time limit covers every solve these payments take.
 """
 struct CombinatorialAuction{T} <: SealedBidAuction{T}
     items::Vector{Symbol}
@@ -17,18 +22,22 @@ struct CombinatorialAuction{T} <: SealedBidAuction{T}
     max_bundle_size::Int
     allow_partial_allocation::Bool
     solver_time_limit::Float64
+    payment_rule::Symbol  # :pay_as_bid, :vcg, :core
     
     function CombinatorialAuction(;
         items::Vector{Symbol},
         reserve_prices::Dict{Symbol, T} = Dict{Symbol, T}(),
         max_bundle_size::Int = length(items),
         allow_partial_allocation::Bool = false,
-        solver_time_limit::Float64 = 60.0
+        solver_time_limit::Float64 = 60.0,
+        payment_rule::Symbol = :pay_as_bid
     ) where T
         isempty(items) && throw(ArgumentError("Items list cannot be empty"))
         max_bundle_size >= 1 || throw(ArgumentError("Max bundle size must be at least 1"))
         max_bundle_size <= length(items) || throw(ArgumentError("Max bundle size cannot exceed number of items"))
         solver_time_limit > 0 || throw(ArgumentError("Solver time limit must be positive"))
+        payment_rule in (:pay_as_bid, :vcg, :core) ||
+            throw(ArgumentError("Unknown payment rule: $payment_rule"))
         
         # Initialize reserve prices for missing items
         for item in items
@@ -37,7 +46,7 @@ struct CombinatorialAuction{T} <: SealedBidAuction{T}
             end
         end
         
-        new{T}(items, reserve_prices, max_bundle_size, allow_partial_allocation, solver_time_limit)
+        new{T}(items, reserve_prices, max_bundle_size, allow_partial_allocation, solver_time_limit, payment_rule)
     end
 end
 
@@ -45,49 +54,155 @@ end
     BundleBid{T}
 
 Represents a bid on a bundle of items in a combinatorial auction.
+
+Bundle bids are OR-ed: any number of a bidder's bids may win together. At
+most one bid of the same `xor_group` wins, and the winning bids from one
+`source` (e.g. a `CombinatorialBid`) add up to at most its `budget`.
+`dummies` are dummy items (OR*) private to the bidder: at most one of its
+winning bids contains each. They are never allocated, and every item in
+`bundle` must be one the auction sells.
 """
 struct BundleBid{T}
     bid::Bid{T}
     bundle::Set{Symbol}
+    xor_group::Union{Nothing, UUID}
+    source::UUID
+    budget::Union{Nothing, T}
+    dummies::Set{Symbol}
     
-    function BundleBid(bid::Bid{T}, bundle::Set{Symbol}) where T
+    function BundleBid(
+        bid::Bid{T},
+        bundle::Set{Symbol};
+        xor_group::Union{Nothing, UUID} = nothing,
+        source::UUID = bid.id,
+        budget::Union{Nothing, Real} = nothing,
+        dummies::Set{Symbol} = Set{Symbol}()
+    ) where T
         isempty(bundle) && throw(ArgumentError("Bundle cannot be empty"))
-        new{T}(bid, bundle)
+        isnothing(budget) || budget > 0 || throw(ArgumentError("Budget must be positive"))
+        isdisjoint(bundle, dummies) || throw(ArgumentError("Dummy items cannot also be bundle items"))
+        new{T}(bid, bundle, xor_group, source, isnothing(budget) ? nothing : T(budget), dummies)
     end
 end
 
-function solve_winner_determination_problem(
+"""
+    CoreConstraint{T}
+
+A coalition that could block a combinatorial auction's outcome: its bids are
+worth more to the seller than the winners in `payers` pay, unless those
+winners together pay at least `minimum_payment`.
+"""
+struct CoreConstraint{T}
+    coalition::Vector{UUID}
+    payers::Vector{UUID}  # Winners outside the coalition
+    minimum_payment::T
+end
+
+"""
+    CombinatorialOutcome{T}
+
+Winners, bundles and payments of a combinatorial auction. `binding_constraints`
+are the core constraints met with equality, i.e. the coalitions that set the
+payments. `payment_status` is `:optimal` when payments follow the payment
+rule; otherwise it is the status of the solve that fell short (`:time_limit`
+or `:failed`) and winners pay their bids.
+"""
+struct CombinatorialOutcome{T}
+    winners::Vector{UUID}
+    allocations::Dict{UUID, Set{Symbol}}
+    payments::Dict{UUID, T}
+    winning_bids::Dict{UUID, T}  # Total of each winner's accepted bids
+    vcg_payments::Dict{UUID, T}
+    binding_constraints::Vector{CoreConstraint{T}}
+    payment_status::Symbol
+end
+
+# Slack allowed when comparing solver values
+const CORE_PAYMENT_TOLERANCE = 1e-6
+
+# A/HC/LC: solver + Payment + Status
+function solverPaymentStatus(model::Model)::Symbol
+    status = termination_status(model)
+    status == MOI.OPTIMAL && return :optimal
+    return status == MOI.TIME_LIMIT ? :time_limit : :failed
+end
+
+# A/HC/LC: solve + Bundle + Allocation
+"""
+    solveBundleAllocation(mechanism, bundle_bids, eligible, bid_values, charges, time_limit)
+        -> (status, value, accepted)
+
+Accept the `eligible` bids of greatest total value such that no item is sold
+twice, no bundle goes below its reserve and the XOR, dummy-item and budget
+constraints of the bids (see `BundleBid`) hold. A bidder in `charges` costs its
+charge once if any of its bids is accepted. `status` is `:optimal`,
+`:time_limit` (best allocation found in time) or `:failed`.
+"""
+function solveBundleAllocation(
     mechanism::CombinatorialAuction{T},
-    bundle_bids::Vector{BundleBid{T}}
+    bundle_bids::Vector{BundleBid{T}},
+    eligible::Vector{Int},
+    bid_values::Vector{Float64},
+    charges::Dict{UUID, Float64},
+    time_limit::Float64
 ) where T
-    if isempty(bundle_bids)
-        return UUID[], Dict{UUID, Set{Symbol}}(), Dict{UUID, T}()
-    end
+    isempty(eligible) && return (:optimal, 0.0, Int[])
     
     # Create optimization model
     model = Model(HiGHS.Optimizer)
-    set_optimizer_attribute(model, "time_limit", mechanism.solver_time_limit)
+    set_optimizer_attribute(model, "time_limit", time_limit)
     set_optimizer_attribute(model, "output_flag", false)
     
-    n_bids = length(bundle_bids)
-    
     # Decision variables: x[i] = 1 if bid i is accepted
-    @variable(model, x[1:n_bids], Bin)
+    @variable(model, x[eligible], Bin)
+    revenue = @expression(model, sum(bid_values[i] * x[i] for i in eligible))
     
-    # Objective: maximize revenue
-    bid_values = [Float64(bb.bid.amount) for bb in bundle_bids]
-    @objective(model, Max, sum(bid_values[i] * x[i] for i in 1:n_bids))
+    # y[j] = 1 if any bid of charged bidder j is accepted
+    if isempty(charges)
+        @objective(model, Max, revenue)
+    else
+        charged = collect(keys(charges))
+        @variable(model, y[charged], Bin)
+        for i in eligible
+            bidder_id = bundle_bids[i].bid.bidder_id
+            haskey(charges, bidder_id) && @constraint(model, x[i] <= y[bidder_id])
+        end
+        @objective(model, Max, revenue - sum(charges[j] * y[j] for j in charged))
+    end
     
     # Constraint: each item allocated at most once
     for item in mechanism.items
-        relevant_bids = findall(bb -> item in bb.bundle, bundle_bids)
+        relevant_bids = filter(i -> item in bundle_bids[i].bundle, eligible)
         if !isempty(relevant_bids)
             @constraint(model, sum(x[i] for i in relevant_bids) <= 1)
         end
     end
     
+    # Constraint: one bid per XOR group and per bidder's dummy item
+    exclusive = Dict{Any, Vector{Int}}()
+    for i in eligible
+        bb = bundle_bids[i]
+        isnothing(bb.xor_group) || push!(get!(exclusive, bb.xor_group, Int[]), i)
+        for item in bb.dummies
+            push!(get!(exclusive, (bb.bid.bidder_id, item), Int[]), i)
+        end
+    end
+    for group in values(exclusive)
+        length(group) > 1 && @constraint(model, sum(x[i] for i in group) <= 1)
+    end
+    
+    # Constraint: stay within budgets
+    budgeted = Dict{UUID, Vector{Int}}()
+    for i in eligible
+        isnothing(bundle_bids[i].budget) || push!(get!(budgeted, bundle_bids[i].source, Int[]), i)
+    end
+    for group in values(budgeted)
+        budget = Float64(bundle_bids[first(group)].budget)
+        @constraint(model, sum(Float64(bundle_bids[i].bid.amount) * x[i] for i in group) <= budget)
+    end
+    
     # Constraint: respect reserve prices
-    for i in 1:n_bids
+    for i in eligible
         bundle = bundle_bids[i].bundle
         min_price = sum(get(mechanism.reserve_prices, item, zero(T)) for item in bundle)
         if bundle_bids[i].bid.amount < min_price
@@ -98,40 +213,226 @@ function solve_winner_determination_problem(
     # Solve the problem
     optimize!(model)
     
-    if termination_status(model) ∉ [MOI.OPTIMAL, MOI.TIME_LIMIT]
-        return UUID[], Dict{UUID, Set{Symbol}}(), Dict{UUID, T}()
+    status = solverPaymentStatus(model)
+    if status == :failed || primal_status(model) != MOI.FEASIBLE_POINT
+        return (status, 0.0, Int[])
+    end
+    
+    accepted = filter(i -> value(x[i]) > 0.5, eligible)  # Binary variable threshold
+    return (status, objective_value(model), accepted)
+end
+
+# A/HC/LC: solve + Combinatorial + Auction
+"""
+    solveCombinatorialAuction(mechanism, bundle_bids) -> CombinatorialOutcome
+
+Solve the winner determination problem and price the winners under
+`mechanism.payment_rule`. A bidder that wins several bundles pays for them
+together. All solves share `mechanism.solver_time_limit`. Throws
+`ArgumentError` if a bundle holds an item the auction does not sell.
+"""
+function solveCombinatorialAuction(
+    mechanism::CombinatorialAuction{T},
+    bundle_bids::Vector{BundleBid{T}}
+)::CombinatorialOutcome{T} where T
+    for bb in bundle_bids
+        unsold = setdiff(bb.bundle, mechanism.items)
+        isempty(unsold) ||
+            throw(ArgumentError("Bundle includes items not for sale: $(join(sort!(collect(unsold)), ", "))"))
     end
+    deadline = time() + mechanism.solver_time_limit
+    remaining() = max(0.0, deadline - time())
+    
+    bid_values = [Float64(bb.bid.amount) for bb in bundle_bids]
+    status, welfare, accepted = solveBundleAllocation(
+        mechanism, bundle_bids, collect(eachindex(bundle_bids)), bid_values, Dict{UUID, Float64}(), remaining()
+    )
     
     # Extract solution
     winners = UUID[]
     allocations = Dict{UUID, Set{Symbol}}()
+    winning_bids = Dict{UUID, T}()
+    for i in accepted
+        bidder_id = bundle_bids[i].bid.bidder_id
+        haskey(allocations, bidder_id) || push!(winners, bidder_id)
+        union!(get!(allocations, bidder_id, Set{Symbol}()), bundle_bids[i].bundle)
+        winning_bids[bidder_id] = get(winning_bids, bidder_id, zero(T)) + bundle_bids[i].bid.amount
+    end
+    
+    outcome(payments, vcg, binding, payment_status) =
+        CombinatorialOutcome{T}(winners, allocations, payments, winning_bids, vcg, binding, payment_status)
+    no_constraints = CoreConstraint{T}[]
+    
+    if mechanism.payment_rule == :pay_as_bid || isempty(winners) || status != :optimal
+        return outcome(copy(winning_bids), Dict{UUID, T}(), no_constraints, status)
+    end
+    
+    vcg_status, vcg = calculateVCGPayments(mechanism, bundle_bids, bid_values, welfare, winning_bids, remaining)
+    if vcg_status != :optimal
+        return outcome(copy(winning_bids), Dict{UUID, T}(), no_constraints, vcg_status)
+    end
+    mechanism.payment_rule == :vcg && return outcome(copy(vcg), vcg, no_constraints, :optimal)
+    
+    core_status, payments, binding = calculateCorePayments(
+        mechanism, bundle_bids, bid_values, winning_bids, vcg, remaining
+    )
+    core_status == :optimal || return outcome(copy(winning_bids), vcg, no_constraints, core_status)
+    return outcome(payments, vcg, binding, :optimal)
+end
+
+# A/HC/LC: calculate + VCG + Payments
+"""
+    calculateVCGPayments(mechanism, bundle_bids, bid_values, welfare, winning_bids, remaining)
+        -> (status, payments)
+
+Each winner pays the welfare the other bidders lose because it takes part:
+the value of the allocation re-solved without its bids, less what the others
+get in the actual allocation.
+"""
+function calculateVCGPayments(
+    mechanism::CombinatorialAuction{T},
+    bundle_bids::Vector{BundleBid{T}},
+    bid_values::Vector{Float64},
+    welfare::Float64,
+    winning_bids::Dict{UUID, T},
+    remaining::Function
+) where T
     payments = Dict{UUID, T}()
+    for (bidder_id, bid_total) in winning_bids
+        remaining() > 0 || return (:time_limit, payments)
+        
+        others = filter(i -> bundle_bids[i].bid.bidder_id != bidder_id, collect(eachindex(bundle_bids)))
+        status, welfare_without, _ = solveBundleAllocation(
+            mechanism, bundle_bids, others, bid_values, Dict{UUID, Float64}(), remaining()
+        )
+        status == :optimal || return (status, payments)
+        
+        payments[bidder_id] = T(max(0.0, welfare_without - (welfare - Float64(bid_total))))
+    end
+    return (:optimal, payments)
+end
+
+# A/HC/LC: calculate + Core + Payments
+"""
+    calculateCorePayments(mechanism, bundle_bids, bid_values, winning_bids, vcg, remaining)
+        -> (status, payments, binding_constraints)
+
+Bidder-optimal core-selecting payments by constraint generation. Starting
+from VCG, the coalition that most blocks the current payments is found by
+re-solving the allocation with each winner charged its surplus (winning bids
+less payment) for taking part. Its core constraint is added and the winners
+re-priced (see `priceCoreConstraints`) until no coalition blocks.
+"""
+function calculateCorePayments(
+    mechanism::CombinatorialAuction{T},
+    bundle_bids::Vector{BundleBid{T}},
+    bid_values::Vector{Float64},
+    winning_bids::Dict{UUID, T},
+    vcg::Dict{UUID, T},
+    remaining::Function
+) where T
+    winners = collect(keys(winning_bids))
+    constraints = CoreConstraint{T}[]
+    payments = Dict{UUID, Float64}(j => Float64(vcg[j]) for j in winners)
     
-    for i in 1:n_bids
-        if value(x[i]) > 0.5  # Binary variable threshold
-            bidder_id = bundle_bids[i].bid.bidder_id
-            push!(winners, bidder_id)
-            allocations[bidder_id] = bundle_bids[i].bundle
-            payments[bidder_id] = bundle_bids[i].bid.amount
+    while true
+        remaining() > 0 || return (:time_limit, Dict{UUID, T}(), constraints)
+        
+        surplus = Dict{UUID, Float64}(j => Float64(winning_bids[j]) - payments[j] for j in winners)
+        status, blocking_value, coalition_bids = solveBundleAllocation(
+            mechanism, bundle_bids, collect(eachindex(bundle_bids)), bid_values, surplus, remaining()
+        )
+        status == :optimal || return (status, Dict{UUID, T}(), constraints)
+        
+        # The winners themselves are worth exactly the revenue to the seller
+        blocking_value > sum(values(payments)) + CORE_PAYMENT_TOLERANCE || break
+        
+        coalition = unique([bundle_bids[i].bid.bidder_id for i in coalition_bids])
+        payers = filter(j -> !(j in coalition), winners)
+        isempty(payers) && break
+        minimum_payment = sum(bid_values[i] for i in coalition_bids) -
+                          sum(Float64(winning_bids[j]) for j in coalition if haskey(winning_bids, j); init = 0.0)
+        push!(constraints, CoreConstraint{T}(coalition, payers, T(minimum_payment)))
+        
+        status, payments = priceCoreConstraints(winners, winning_bids, vcg, constraints, remaining)
+        status == :optimal || return (status, Dict{UUID, T}(), constraints)
+    end
+    
+    binding = filter(
+        c -> sum(payments[j] for j in c.payers) <= Float64(c.minimum_payment) + CORE_PAYMENT_TOLERANCE,
+        constraints
+    )
+    return (:optimal, Dict{UUID, T}(j => T(payments[j]) for j in winners), binding)
+end
+
+# A/HC/LC: price + Core + Constraints
+"""
+    priceCoreConstraints(winners, winning_bids, vcg, constraints, remaining) -> (status, payments)
+
+Payments between VCG and the winning bids that meet every core constraint:
+the least total payment (bidder-optimal), and among payments of that total
+the ones nearest to VCG in Euclidean distance.
+"""
+function priceCoreConstraints(
+    winners::Vector{UUID},
+    winning_bids::Dict{UUID, T},
+    vcg::Dict{UUID, T},
+    constraints::Vector{CoreConstraint{T}},
+    remaining::Function
+) where T
+    function core_model()
+        model = Model(HiGHS.Optimizer)
+        set_optimizer_attribute(model, "time_limit", remaining())
+        set_optimizer_attribute(model, "output_flag", false)
+        
+        @variable(model, Float64(vcg[j]) <= p[j in winners] <= Float64(winning_bids[j]))
+        for c in constraints
+            @constraint(model, sum(p[j] for j in c.payers) >= Float64(c.minimum_payment))
         end
+        return model, p
     end
     
-    return winners, allocations, payments
+    # Least revenue in the core
+    model, p = core_model()
+    @objective(model, Min, sum(p[j] for j in winners))
+    optimize!(model)
+    solverPaymentStatus(model) == :optimal || return (solverPaymentStatus(model), Dict{UUID, Float64}())
+    revenue = objective_value(model)
+    
+    # Nearest to VCG at that revenue
+    model, p = core_model()
+    @constraint(model, sum(p[j] for j in winners) <= revenue + CORE_PAYMENT_TOLERANCE)
+    @objective(model, Min, sum((p[j] - Float64(vcg[j]))^2 for j in winners))
+    optimize!(model)
+    solverPaymentStatus(model) == :optimal || return (solverPaymentStatus(model), Dict{UUID, Float64}())
+    
+    return (:optimal, Dict{UUID, Float64}(j => value(p[j]) for j in winners))
+end
+
+function solve_winner_determination_problem(
+    mechanism::CombinatorialAuction{T},
+    bundle_bids::Vector{BundleBid{T}}
+) where T
+    outcome = solveCombinatorialAuction(mechanism, bundle_bids)
+    return outcome.winners, outcome.allocations, outcome.payments
 end
 
 function determine_clearing_price(mechanism::CombinatorialAuction{T},
     bids::Vector{Bid{T}}) where T
     # In combinatorial auctions, there's no single clearing price
-    # Return the average winning bid price per item
+    # Return the average winning payment per item
     bundle_bids = convert_to_bundle_bids(mechanism, bids)
-    winners, allocations, payments = solve_winner_determination_problem(mechanism, bundle_bids)
-    
-    if isempty(winners)
+    return averageItemPayment(solveCombinatorialAuction(mechanism, bundle_bids))
+end
+
+# A/HC/LC: average + Item + Payment
+function averageItemPayment(outcome::CombinatorialOutcome{T}) where T
+    if isempty(outcome.winners)
         return zero(T)
     end
     
-    total_payment = sum(values(payments))
-    total_items = sum(length(bundle) for bundle in values(allocations))
+    total_payment = sum(values(outcome.payments))
+    total_items = sum(length(bundle) for bundle in values(outcome.allocations))
     
     return total_items > 0 ? T(total_payment / total_items) : zero(T)
 end
@@ -170,12 +471,28 @@ function convert_to_bundle_bids(mechanism::CombinatorialAuction{T},
     bundle_bids = BundleBid{T}[]
     
     for bid in bids
+        # Bids in the bidding language carry their wire form (see parseCombinatorialBid)
+        if haskey(bid.metadata, :bidding_language)
+            combinatorial_bid = try
+                parseCombinatorialBid(bid.metadata[:bidding_language], bid.bidder_id; numeric_type = T, id = bid.id)
+            catch e
+                e isa ArgumentError || rethrow()
+                continue  # A malformed bid must not stop the auction for everyone else
+            end
+            # The bid's amount is what its bidder committed, so it caps every outcome
+            maxCombinatorialPayment(combinatorial_bid) <= bid.amount || continue
+            # Atoms on items the auction does not sell cannot win
+            for bundle_bid in expandCombinatorialBid(combinatorial_bid; timestamp = bid.timestamp)
+                if length(bundle_bid.bundle) <= mechanism.max_bundle_size && bundle_bid.bundle ⊆ mechanism.items
+                    push!(bundle_bids, bundle_bid)
+                end
+            end
         # Extract bundle from bid metadata
-        if haskey(bid.metadata, :bundle)
+        elseif haskey(bid.metadata, :bundle)
             bundle_items = bid.metadata[:bundle]
             if bundle_items isa Vector{Symbol}
                 bundle = Set(bundle_items)
-                if !isempty(bundle) && length(bundle) <= mechanism.max_bundle_size
+                if !isempty(bundle) && length(bundle) <= mechanism.max_bundle_size && bundle ⊆ mechanism.items
                     push!(bundle_bids, BundleBid(bid, bundle))
                 end
             end
@@ -195,11 +512,13 @@ end
 function finalizeCombinatorialAuction(state::AuctionState{T}) where T
     mechanism = CombinatorialAuction(
         items = get(state.metadata, :items, Symbol[:item1, :item2]),
-        reserve_prices = get(state.metadata, :reserve_prices, Dict{Symbol, T}())
+        reserve_prices = get(state.metadata, :reserve_prices, Dict{Symbol, T}()),
+        payment_rule = get(state.metadata, :payment_rule, :pay_as_bid)
     )
     
     bundle_bids = convert_to_bundle_bids(mechanism, state.current_bids)
-    winners, allocations_dict, payments = solve_winner_determination_problem(mechanism, bundle_bids)
+    outcome = solveCombinatorialAuction(mechanism, bundle_bids)
+    winners, allocations_dict, payments = outcome.winners, outcome.allocations, outcome.payments
     
     # Convert allocations to standard format
     allocations = Dict{UUID, T}()
@@ -207,7 +526,7 @@ function finalizeCombinatorialAuction(state::AuctionState{T}) where T
         allocations[bidder_id] = T(length(bundle))
     end
     
-    clearing_price = determine_clearing_price(mechanism, state.current_bids)
+    clearing_price = averageItemPayment(outcome)
     
     return AuctionResult{T}(
         state.auction_id,
@@ -220,8 +539,12 @@ function finalizeCombinatorialAuction(state::AuctionState{T}) where T
             :auction_type => :combinatorial,
             :total_bids => length(state.current_bids),
             :total_bundles => length(bundle_bids),
-            :items_allocated => sum(length(bundle) for bundle in values(allocations_dict)),
-            :solver_status => :optimal
+            :items_allocated => sum(length(bundle) for bundle in values(allocations_dict); init = 0),
+            :solver_status => outcome.payment_status,
+            :payment_rule => mechanism.payment_rule,
+            :winning_bids => outcome.winning_bids,
+            :vcg_payments => outcome.vcg_payments,
+            :binding_core_constraints => outcome.binding_constraints
         )
     )
 end
\ No newline at end of file
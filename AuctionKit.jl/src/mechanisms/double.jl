@@ -33,14 +33,19 @@ end
 """
     Order{T}
 
-Represents a buy or sell order in a double auction.
+Represents a buy or sell order in a double auction. Sealed-bid matching only
+uses limit orders; a `LimitOrderBook` also takes `:market` orders, which trade
+at any price, and `:ioc` (immediate-or-cancel) and `:fok` (fill-or-kill)
+limit orders, which never rest on the book.
 """
 struct Order{T}
     bid::Bid{T}
     is_buy::Bool  # true for buy order, false for sell order
+    order_type::Symbol  # :limit, :market, :ioc, :fok
     
-    function Order(bid::Bid{T}, is_buy::Bool) where T
-        new{T}(bid, is_buy)
+    function Order(bid::Bid{T}, is_buy::Bool, order_type::Symbol = :limit) where T
+        order_type in (:limit, :market, :ioc, :fok) || throw(ArgumentError("Invalid order type"))
+        new{T}(bid, is_buy, order_type)
     end
 end
 
@@ -134,6 +134,16 @@ function finalizeDutchAuction(state::AuctionState{T}) where T
         max_quantity = state.max_quantity
     )
     
+    # The actor's clock, not wall time, moved the price: it stopped where bids took the supply
+    demand = 0
+    for bid in sort(state.current_bids, by = b -> (-b.amount, b.timestamp))
+        demand += bid.quantity
+        if demand >= mechanism.max_quantity
+            mechanism.current_price = bid.amount
+            break
+        end
+    end
+    
     clearing_price = determine_clearing_price(mechanism, state.current_bids)
     winners, allocations = allocate_winners(mechanism, state.current_bids, clearing_price)
     payments = calculate_payments(mechanism, winners, allocations, clearing_price)
@@ -152,4 +162,8 @@ function finalizeDutchAuction(state::AuctionState{T}) where T
             :price_ticks => floor(Int, (mechanism.starting_price - clearing_price) / mechanism.decrement)
         )
     )
-end
\ No newline at end of file
+end
+
+# A bid accepts the current price and may clear the auction at once
+bidWithdrawalRule(::Type{<:DutchAuction}) = :never
+bidAmendmentRule(::Type{<:DutchAuction}) = :never
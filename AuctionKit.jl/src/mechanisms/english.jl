@@ -37,8 +37,9 @@ mutable struct EnglishAuction{T} <: OpenOutcryAuction{T}
 end
 
 function validateNewBid(mechanism::EnglishAuction{T}, bid::Bid{T}) where T
-    # Bid must be at least current price plus increment
-    min_valid_bid = mechanism.current_price + mechanism.increment
+    # Bid must be at least current price plus increment; the opening bid may be at the starting price
+    min_valid_bid = isnothing(mechanism.current_leader) ? mechanism.starting_price :
+                    mechanism.current_price + mechanism.increment
     
     if bid.amount < min_valid_bid
         return false, "Bid must be at least $(min_valid_bid)"
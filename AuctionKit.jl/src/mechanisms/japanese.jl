@@ -188,12 +188,18 @@ end
 function finalizeJapaneseAuction(state::AuctionState{T}) where T
     mechanism = JapaneseAuction(
         starting_price = state.reserve_price,
-        increment = state.increment,
-        min_active_bidders = get(state.metadata, :min_active_bidders, 2)
+        increment = state.increment
     )
     
+    # A bidder stays in by bidding each clock price, so its highest bid is where it dropped out
+    stay_in = Dict{UUID, Bid{T}}()
+    for bid in state.current_bids
+        current = get(stay_in, bid.bidder_id, nothing)
+        (isnothing(current) || bid.amount > current.amount) && (stay_in[bid.bidder_id] = bid)
+    end
+    
     # Simulate the Japanese auction process
-    simulateJapaneseProcess(mechanism, state.current_bids)
+    simulateJapaneseProcess(mechanism, collect(values(stay_in)))
     
     clearing_price = determine_clearing_price(mechanism, state.current_bids)
     winners, allocations = allocate_winners(mechanism, state.current_bids, clearing_price)
@@ -223,4 +229,8 @@ function finalizeJapaneseAuction(state::AuctionState{T}) where T
             :price_levels => Int((clearing_price - mechanism.starting_price) / mechanism.increment)
         )
     )
-end
\ No newline at end of file
+end
+
+# Withdrawing is dropping out; the clock, not the bidder, sets the price
+bidWithdrawalRule(::Type{<:JapaneseAuction}) = :before_deadline
+bidAmendmentRule(::Type{<:JapaneseAuction}) = :never
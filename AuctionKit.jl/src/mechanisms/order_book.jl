@@ -0,0 +1,236 @@
+# Continuous limit order book for double auctions
+# Following A/HC/LC naming pattern
+
+"""
+    BookTrade{T}
+
+A fill between a buy and a sell order of a `LimitOrderBook`. `aggressor` is
+the side of the incoming order for continuous fills, or `:auction` for fills
+of a call auction uncross.
+"""
+struct BookTrade{T}
+    buy_order_id::UUID
+    sell_order_id::UUID
+    buyer_id::UUID
+    seller_id::UUID
+    price::T
+    quantity::Int
+    aggressor::Symbol  # :buy, :sell, :auction
+    timestamp::DateTime
+end
+
+"""
+    RestingOrder{T}
+
+An order waiting on a `LimitOrderBook`, with the quantity still unfilled.
+"""
+mutable struct RestingOrder{T}
+    order::Order{T}
+    remaining::Int
+    sequence::Int  # Arrival order on the book, for time priority
+end
+
+"""
+    LimitOrderBook{T}
+
+Resting orders of a double auction in price-time priority: best price first,
+earliest first at the same price. In the `:call` phase orders only rest, and
+`uncrossOrderBook!` clears all crossing orders at one price, following the
+mechanism's `price_rule`. In the `:continuous` phase each arriving order
+trades against the book at once, at the price of the resting order it meets.
+"""
+mutable struct LimitOrderBook{T}
+    mechanism::SealedBidDoubleAuction{T}
+    phase::Symbol  # :call, :continuous
+    bids::Vector{RestingOrder{T}}  # Highest price first
+    asks::Vector{RestingOrder{T}}  # Lowest price first
+    trades::Vector{BookTrade{T}}
+    sequence::Int
+
+    function LimitOrderBook(mechanism::SealedBidDoubleAuction{T}; phase::Symbol = :continuous) where T
+        phase in (:call, :continuous) || throw(ArgumentError("Invalid order book phase"))
+        new{T}(mechanism, phase, RestingOrder{T}[], RestingOrder{T}[], BookTrade{T}[], 0)
+    end
+end
+
+# A/HC/LC: book + Priority + Key
+bookPriorityKey(resting::RestingOrder) =
+    (resting.order.is_buy ? -resting.order.bid.amount : resting.order.bid.amount, resting.sequence)
+
+# A/HC/LC: orders + Cross + Spread
+ordersCross(book::LimitOrderBook, buy_price, sell_price)::Bool = buy_price >= sell_price + book.mechanism.min_spread
+
+# A/HC/LC: rest + Book + Order
+function restBookOrder!(book::LimitOrderBook{T}, order::Order{T}, remaining::Int) where T
+    book.sequence += 1
+    resting = RestingOrder{T}(order, remaining, book.sequence)
+    side = order.is_buy ? book.bids : book.asks
+    insert!(side, searchsortedfirst(side, resting; by = bookPriorityKey), resting)
+    return resting
+end
+
+# A/HC/LC: submit + Book + Order
+"""
+    submitBookOrder!(book, order; timestamp = now()) -> NamedTuple
+
+Add `order` to the book and return `(status, trades, remaining)`.
+
+In the `:call` phase only limit orders are accepted, and they rest. In the
+`:continuous` phase the order first trades against the opposite side while
+prices cross, each fill at the resting order's price (see
+`determineTradePrice`); then a limit order rests with what is left, while
+the rest of a market or IOC order is cancelled. A FOK order trades only if it
+can fill in full, and is killed otherwise.
+
+`status` is one of `:filled`, `:partially_filled`, `:resting`, `:cancelled`,
+`:killed` or `:rejected`.
+"""
+function submitBookOrder!(book::LimitOrderBook{T}, order::Order{T}; timestamp::DateTime = now()) where T
+    quantity = order.bid.quantity
+    trades = BookTrade{T}[]
+
+    if book.phase == :call
+        order.order_type == :limit || return (status = :rejected, trades = trades, remaining = quantity)
+        restBookOrder!(book, order, quantity)
+        return (status = :resting, trades = trades, remaining = quantity)
+    end
+
+    opposite = order.is_buy ? book.asks : book.bids
+    acceptable(resting) = order.order_type == :market ||
+        (order.is_buy ? ordersCross(book, order.bid.amount, resting.order.bid.amount) :
+                        ordersCross(book, resting.order.bid.amount, order.bid.amount))
+
+    if order.order_type == :fok
+        available = 0
+        for resting in opposite
+            acceptable(resting) && available < quantity || break
+            available += resting.remaining
+        end
+        available >= quantity || return (status = :killed, trades = trades, remaining = quantity)
+    end
+
+    remaining = quantity
+    while remaining > 0 && !isempty(opposite) && acceptable(first(opposite))
+        resting = first(opposite)
+        fill = min(remaining, resting.remaining)
+        buy, sell = order.is_buy ? (order, resting.order) : (resting.order, order)
+
+        # :vickrey trades at the ask, :discriminatory at the bid: the resting side's price either way
+        price = determineTradePrice(buy.bid.amount, sell.bid.amount, order.is_buy ? :vickrey : :discriminatory)
+        trade = BookTrade{T}(
+            buy.bid.id, sell.bid.id, buy.bid.bidder_id, sell.bid.bidder_id,
+            price, fill, order.is_buy ? :buy : :sell, timestamp
+        )
+        push!(trades, trade)
+        push!(book.trades, trade)
+
+        remaining -= fill
+        resting.remaining -= fill
+        resting.remaining == 0 && popfirst!(opposite)
+    end
+
+    status = if remaining == 0
+        :filled
+    elseif order.order_type == :limit
+        restBookOrder!(book, order, remaining)
+        isempty(trades) ? :resting : :partially_filled
+    else
+        :cancelled
+    end
+    return (status = status, trades = trades, remaining = remaining)
+end
+
+# A/HC/LC: cancel + Book + Order
+# Remove a resting order; false if it is not on the book (filled or never rested)
+function cancelBookOrder!(book::LimitOrderBook, order_id::UUID)::Bool
+    for side in (book.bids, book.asks)
+        index = findfirst(r -> r.order.bid.id == order_id, side)
+        isnothing(index) && continue
+        deleteat!(side, index)
+        return true
+    end
+    return false
+end
+
+# A/HC/LC: uncross + Order + Book
+"""
+    uncrossOrderBook!(book; timestamp = now()) -> Vector{BookTrade}
+
+End the call phase: match crossing orders in priority order, up to the
+mechanism's `max_quantity`, and fill them all at one price set by the
+mechanism's `price_rule` from the last matched bid and ask. Unfilled orders
+keep resting, and the book trades continuously from then on.
+"""
+function uncrossOrderBook!(book::LimitOrderBook{T}; timestamp::DateTime = now()) where T
+    book.phase == :call || throw(ArgumentError("Order book is already trading continuously"))
+
+    matches = Tuple{RestingOrder{T}, RestingOrder{T}, Int}[]
+    capacity = book.mechanism.max_quantity
+    bid_index, ask_index = 1, 1
+    while bid_index <= length(book.bids) && ask_index <= length(book.asks) && capacity > 0
+        buy, sell = book.bids[bid_index], book.asks[ask_index]
+        ordersCross(book, buy.order.bid.amount, sell.order.bid.amount) || break
+
+        fill = min(buy.remaining, sell.remaining, capacity)
+        push!(matches, (buy, sell, fill))
+        buy.remaining -= fill
+        sell.remaining -= fill
+        capacity -= fill
+        buy.remaining == 0 && (bid_index += 1)
+        sell.remaining == 0 && (ask_index += 1)
+    end
+
+    trades = BookTrade{T}[]
+    if !isempty(matches)
+        marginal_buy, marginal_sell, _ = last(matches)
+        price = determineTradePrice(
+            marginal_buy.order.bid.amount,
+            marginal_sell.order.bid.amount,
+            book.mechanism.price_rule
+        )
+        for (buy, sell, fill) in matches
+            push!(trades, BookTrade{T}(
+                buy.order.bid.id, sell.order.bid.id, buy.order.bid.bidder_id, sell.order.bid.bidder_id,
+                price, fill, :auction, timestamp
+            ))
+        end
+        append!(book.trades, trades)
+        filter!(r -> r.remaining > 0, book.bids)
+        filter!(r -> r.remaining > 0, book.asks)
+    end
+
+    book.phase = :continuous
+    return trades
+end
+
+# A/HC/LC: best + Book + Prices
+# Best bid and ask, `nothing` for an empty side
+function bestBookPrices(book::LimitOrderBook)
+    best_bid = isempty(book.bids) ? nothing : first(book.bids).order.bid.amount
+    best_ask = isempty(book.asks) ? nothing : first(book.asks).order.bid.amount
+    return (bid = best_bid, ask = best_ask)
+end
+
+# A/HC/LC: order + Book + Depth
+"""
+    orderBookDepth(book; levels = 5) -> NamedTuple
+
+Resting quantity per price level on each side, best levels first, as
+`(bids = [price => quantity, ...], asks = [...])`.
+"""
+function orderBookDepth(book::LimitOrderBook{T}; levels::Int = 5) where T
+    function aggregate(side)
+        depth = Pair{T, Int}[]
+        for resting in side
+            price = resting.order.bid.amount
+            if !isempty(depth) && last(depth).first == price
+                depth[end] = price => last(depth).second + resting.remaining
+            else
+                length(depth) == levels && break
+                push!(depth, price => resting.remaining)
+            end
+        end
+        return depth
+    end
+    return (bids = aggregate(book.bids), asks = aggregate(book.asks))
+end
@@ -270,4 +270,8 @@ function finalizePennyAuction(state::AuctionState{T}) where T
             stats
         )
     )
-end
\ No newline at end of file
+end
+
+# Each bid is paid for and moves the price as soon as it is placed
+bidWithdrawalRule(::Type{<:PennyAuction}) = :never
+bidAmendmentRule(::Type{<:PennyAuction}) = :never
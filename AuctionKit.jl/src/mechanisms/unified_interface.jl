@@ -108,7 +108,8 @@ struct AuctionFactory{T}
         elseif config.auction_type == :combinatorial
             return CombinatorialAuction(
                 items = get(config.metadata, :items, Symbol[:item1]),
-                reserve_prices = get(config.metadata, :reserve_prices, Dict{Symbol, T}())
+                reserve_prices = get(config.metadata, :reserve_prices, Dict{Symbol, T}()),
+                payment_rule = get(config.metadata, :payment_rule, :pay_as_bid)
             )
         elseif config.auction_type == :double
             return SealedBidDoubleAuction(
@@ -140,6 +141,27 @@ struct AuctionFactory{T}
     end
 end
 
+# A/HC/LC: auction + Mechanism + Type
+"""
+    auctionMechanismType(auction_type) -> Type
+
+Mechanism type behind an `auction_type` symbol, for looking up per-mechanism
+rules such as `bidWithdrawalRule` without building the mechanism.
+"""
+function auctionMechanismType(auction_type::Symbol)::Type
+    auction_type == :first_price && return FirstPriceAuction
+    auction_type in (:second_price, :vickrey) && return VickreyAuction
+    auction_type == :dutch && return DutchAuction
+    auction_type == :english && return EnglishAuction
+    auction_type == :combinatorial && return CombinatorialAuction
+    auction_type == :double && return SealedBidDoubleAuction
+    auction_type == :all_pay && return AllPayAuction
+    auction_type == :japanese && return JapaneseAuction
+    auction_type == :candle && return CandleAuction
+    auction_type == :penny && return PennyAuction
+    throw(ArgumentError("Unknown auction type: $auction_type"))
+end
+
 """
     run_unified_auction(config, bids)
 
@@ -31,6 +31,103 @@ using UUIDs
         @test verifyLogIntegrity(log)
     end
     
+    @testset "Persistent Event Log" begin
+        make_bid_event(auction_id, amount) = BidSubmittedEvent(
+            uuid4(),
+            auction_id,
+            uuid4(),
+            amount,
+            1,
+            now(),
+            Dict{Symbol, Any}(:source => :rpc, :tags => ["a", "b"])
+        )
+        
+        mktempdir() do dir
+            auction_a = uuid4()
+            auction_b = uuid4()
+            
+            # Small segments force rotation
+            log = openEventLog(dir; max_segment_bytes = 2048)
+            parameters = Dict{Symbol, Any}(:reserve => 10.0)
+            start = AuctionStartedEvent(uuid4(), auction_a, :first_price, now(), now() + Hour(1), parameters)
+            append_event_to_log(log, auction_a, start)
+            for i in 1:10
+                auction_id = isodd(i) ? auction_a : auction_b
+                append_event_to_log(log, auction_id, make_bid_event(auction_id, 100.0 + i))
+            end
+            cutoff = now()
+            sleep(0.01)
+            rejection = BidRejectedEvent(uuid4(), auction_b, uuid4(), "Bid below reserve price", now())
+            append_event_to_log(log, auction_b, rejection)
+            closeEventLog(log)
+            
+            @test count(f -> endswith(f, ".log"), readdir(dir)) > 1
+            
+            # Re-open and query from the on-disk indexes
+            log = openEventLog(dir; max_segment_bytes = 2048)
+            @test verifyLogIntegrity(log)
+            
+            events_a = queryEventsByAuction(log, auction_a)
+            @test length(events_a) == 6
+            @test events_a[1].wrapped_event isa AuctionStartedEvent
+            @test events_a[1].wrapped_event.parameters[:reserve] == 10.0
+            @test [e.wrapped_event.amount for e in events_a[2:end]] == [101.0, 103.0, 105.0, 107.0, 109.0]
+            @test events_a[2].wrapped_event.metadata[:source] == :rpc
+            @test events_a[2].wrapped_event.metadata[:tags] == ["a", "b"]
+            
+            @test length(queryEventsByAuction(log, auction_b)) == 6
+            @test length(queryEventsByType(log, BidSubmittedEvent)) == 10
+            @test length(queryEventsByType(log, BidRejectedEvent)) == 1
+            
+            late = getEventsAfterTimestamp(log, cutoff)
+            @test length(late) == 1
+            @test late[1].wrapped_event isa BidRejectedEvent
+            
+            # Appends continue the chain across the re-open
+            append_event_to_log(log, auction_a, make_bid_event(auction_a, 200.0))
+            @test length(queryEventsByAuction(log, auction_a)) == 7
+            @test verifyLogIntegrity(log)
+            closeEventLog(log)
+        end
+        
+        mktempdir() do dir
+            auction_id = uuid4()
+            log = openEventLog(dir)
+            for amount in (100.0, 200.0, 300.0)
+                append_event_to_log(log, auction_id, make_bid_event(auction_id, amount))
+            end
+            closeEventLog(log)
+            
+            # A crash mid-append leaves a torn record at the tail
+            segment = joinpath(dir, "segment-000001.log")
+            open(segment, "a") do io
+                write(io, "{\"seq\":4,\"id\":")
+            end
+            
+            log = openEventLog(dir)
+            @test length(queryEventsByAuction(log, auction_id)) == 3
+            @test verifyLogIntegrity(log)
+            append_event_to_log(log, auction_id, make_bid_event(auction_id, 400.0))
+            amounts = [e.wrapped_event.amount for e in queryEventsByAuction(log, auction_id)]
+            @test amounts == [100.0, 200.0, 300.0, 400.0]
+            closeEventLog(log)
+            
+            # Lost index entries are rebuilt from the segment
+            rm(joinpath(dir, "segment-000001.idx"))
+            log = openEventLog(dir)
+            @test length(queryEventsByAuction(log, auction_id)) == 4
+            @test verifyLogIntegrity(log)
+            closeEventLog(log)
+            
+            # Editing a stored record breaks the hash chain
+            content = read(segment, String)
+            write(segment, replace(content, "200.0" => "900.0"; count = 1))
+            log = openEventLog(dir)
+            @test !verifyLogIntegrity(log)
+            closeEventLog(log)
+        end
+    end
+    
     @testset "Auction Mechanisms" begin
         
         @testset "First Price Auction" begin
@@ -122,6 +219,171 @@ using UUIDs
             @test mechanism.current_leader == bid2.bidder_id
             @test mechanism.current_price == 20.0
         end
+        
+        @testset "Combinatorial Payment Rules" begin
+            # Two local bidders beat a global one, but VCG lets them pay less than it bid
+            local_a, local_b, global_bidder = uuid4(), uuid4(), uuid4()
+            bundle_bids = [
+                BundleBid(Bid(local_a, 10.0, 1), Set([:a])),
+                BundleBid(Bid(local_b, 10.0, 1), Set([:b])),
+                BundleBid(Bid(global_bidder, 15.0, 1), Set([:a, :b]))
+            ]
+            mechanism(rule) = CombinatorialAuction(
+                items = [:a, :b],
+                reserve_prices = Dict{Symbol, Float64}(),
+                payment_rule = rule
+            )
+            
+            pay_as_bid = solveCombinatorialAuction(mechanism(:pay_as_bid), bundle_bids)
+            @test Set(pay_as_bid.winners) == Set([local_a, local_b])
+            @test pay_as_bid.payments == Dict(local_a => 10.0, local_b => 10.0)
+            
+            vcg = solveCombinatorialAuction(mechanism(:vcg), bundle_bids)
+            @test vcg.payment_status == :optimal
+            @test vcg.payments[local_a] ≈ 5.0 && vcg.payments[local_b] ≈ 5.0
+            
+            # The global bidder blocks VCG; the core splits its bid nearest to VCG
+            core = solveCombinatorialAuction(mechanism(:core), bundle_bids)
+            @test core.payment_status == :optimal
+            @test core.payments[local_a] ≈ 7.5 atol=1e-4
+            @test core.payments[local_b] ≈ 7.5 atol=1e-4
+            @test length(core.binding_constraints) == 1
+            binding = core.binding_constraints[1]
+            @test binding.coalition == [global_bidder]
+            @test Set(binding.payers) == Set([local_a, local_b])
+            @test binding.minimum_payment ≈ 15.0
+            
+            # Without competition for bundles, VCG is already in the core
+            single = [BundleBid(Bid(local_a, 10.0, 1), Set([:a])), BundleBid(Bid(local_b, 8.0, 1), Set([:a]))]
+            core = solveCombinatorialAuction(mechanism(:core), single)
+            @test core.payments[local_a] ≈ 8.0
+            @test isempty(core.binding_constraints)
+            
+            @test_throws ArgumentError mechanism(:first_price)
+        end
+        
+        @testset "Bidding Language" begin
+            mechanism = CombinatorialAuction(items = [:a, :b, :c], reserve_prices = Dict{Symbol, Float64}())
+            x, y, z = uuid4(), uuid4(), uuid4()
+            pair_bid = BundleBid(Bid(y, 20.0, 1), Set([:a, :b]))
+            winners(bundle_bids) = Set(solveCombinatorialAuction(mechanism, bundle_bids).winners)
+            
+            # OR-ed single-item bids would beat the pair; XOR-ed ones cannot
+            @test winners([pair_bid, BundleBid(Bid(x, 12.0, 1), Set([:a])), BundleBid(Bid(x, 11.0, 1), Set([:b]))]) ==
+                  Set([x])
+            @test winners([pair_bid; expandCombinatorialBid(xorBid(x, [[:a] => 12.0, [:b] => 11.0]))]) == Set([y])
+            
+            # OR*: a shared dummy item has the same effect and is not allocated
+            dummy_bids = [
+                BundleBid(Bid(x, 12.0, 1), Set([:a]); dummies = Set([:x_only])),
+                BundleBid(Bid(x, 11.0, 1), Set([:b]); dummies = Set([:x_only]))
+            ]
+            @test winners([pair_bid; dummy_bids]) == Set([y])
+            @test solveCombinatorialAuction(mechanism, dummy_bids).allocations[x] == Set([:a])
+            
+            # Dummies are never implied: every bundle item must be for sale
+            unsold_bundle = BundleBid(Bid(x, 12.0, 1), Set([:a, :x_only]))
+            @test_throws ArgumentError solveCombinatorialAuction(mechanism, [unsold_bundle])
+            @test_throws ArgumentError BundleBid(Bid(x, 12.0, 1), Set([:a]); dummies = Set([:a]))
+            
+            # A budget caps what an OR bid can win in total
+            or_bid = CombinatorialBid(x, [[AtomicBid(Set([:a]), 10.0)], [AtomicBid(Set([:b]), 10.0)]]; budget = 15.0)
+            competing = BundleBid(Bid(z, 6.0, 1), Set([:b]))
+            outcome = solveCombinatorialAuction(mechanism, [expandCombinatorialBid(or_bid); competing])
+            @test outcome.allocations == Dict(x => Set([:a]), z => Set([:b]))
+            
+            # JSON wire format
+            wire = """{"or": [{"xor": [{"items": ["a", "b"], "amount": 30}, {"items": ["a"], "amount": 18}]},
+                              {"items": ["c"], "amount": 5}], "budget": 32}"""
+            parsed = parseCombinatorialBid(wire, x)
+            @test length(parsed.clauses) == 2
+            @test parsed.clauses[1][1].bundle == Set([:a, :b]) && parsed.clauses[2][1].amount == 5.0
+            @test parsed.budget == 32.0
+            @test encodeCombinatorialBid(parseCombinatorialBid(encodeCombinatorialBid(parsed), x)) ==
+                  encodeCombinatorialBid(parsed)
+            @test length(parseCombinatorialBid("""{"xor": [{"items": ["a"], "amount": 3}]}""", x).clauses) == 1
+            
+            # Dummy items are explicit on the wire and keep OR clauses exclusive
+            wire = """{"or": [{"items": ["a"], "amount": 12, "dummy": ["d"]},
+                              {"items": ["b"], "amount": 11, "dummy": ["d"]}]}"""
+            parsed = parseCombinatorialBid(wire, x)
+            @test [atom.dummies for clause in parsed.clauses for atom in clause] == [Set([:d]), Set([:d])]
+            @test encodeCombinatorialBid(parsed)["or"][1]["xor"][1]["dummy"] == ["d"]
+            @test winners([pair_bid; expandCombinatorialBid(parsed)]) == Set([y])
+            
+            # An atom on an item the auction does not sell is left out, not taken as a dummy
+            unsold = """{"or": [{"items": ["a"], "amount": 5}, {"items": ["zz"], "amount": 50}]}"""
+            stored = Bid(z, 55.0, 1; metadata = AuctionKit.MetadataDict(:bidding_language => unsold))
+            @test [bb.bundle for bb in AuctionKit.convert_to_bundle_bids(mechanism, [stored])] == [Set([:a])]
+            
+            # Bids whose language does not parse or commits more than their amount cannot win
+            inflated = Bid(z, 0.01, 1; metadata = AuctionKit.MetadataDict(:bidding_language => unsold))
+            garbled = Bid(z, 55.0, 1; metadata = AuctionKit.MetadataDict(:bidding_language => "not json"))
+            @test isempty(AuctionKit.convert_to_bundle_bids(mechanism, [inflated, garbled]))
+            
+            for malformed in ("not json", """{"or": []}""", """{"xor": [{"items": [], "amount": 3}]}""",
+                              """{"xor": [{"items": ["a"], "amount": -1}]}""", """{"bundle": ["a"]}""",
+                              """{"xor": [{"dummy": ["d"], "amount": 3}]}""",
+                              """{"xor": [{"items": ["a"], "dummy": ["a"], "amount": 3}]}""",
+                              """{"xor": [{"items": ["a"], "dummy": "d", "amount": 3}]}""")
+                @test_throws ArgumentError parseCombinatorialBid(malformed, x)
+            end
+        end
+        
+        @testset "Limit Order Book" begin
+            mechanism = SealedBidDoubleAuction(min_spread = 0.0)
+            s1, s2, b1, b2 = uuid4(), uuid4(), uuid4(), uuid4()
+            order(trader, price, quantity, is_buy, order_type = :limit) =
+                Order(Bid(trader, price, quantity), is_buy, order_type)
+            
+            # Price-time priority: better price first, earlier first at the same price
+            book = LimitOrderBook(mechanism)
+            submitBookOrder!(book, order(s1, 10.0, 5, false))
+            submitBookOrder!(book, order(s2, 10.0, 5, false))
+            submitBookOrder!(book, order(s2, 9.0, 2, false))
+            @test bestBookPrices(book) == (bid = nothing, ask = 9.0)
+            @test orderBookDepth(book).asks == [9.0 => 2, 10.0 => 10]
+            
+            # A marketable order walks the book at resting prices and rests what is left
+            outcome = submitBookOrder!(book, order(b1, 10.5, 14, true))
+            @test outcome.status == :partially_filled
+            @test [(t.seller_id, t.price, t.quantity) for t in outcome.trades] ==
+                  [(s2, 9.0, 2), (s1, 10.0, 5), (s2, 10.0, 5)]
+            @test bestBookPrices(book) == (bid = 10.5, ask = nothing)
+            
+            outcome = submitBookOrder!(book, order(s1, 10.0, 1, false))
+            @test outcome.status == :filled && outcome.trades[1].price == 10.5
+            
+            # FOK trades in full or not at all; IOC drops what it cannot fill
+            @test submitBookOrder!(book, order(s2, 10.0, 3, false, :fok)).status == :killed
+            ioc = submitBookOrder!(book, order(s2, 10.0, 3, false, :ioc))
+            @test ioc.status == :cancelled && ioc.remaining == 2
+            @test isempty(book.bids) && isempty(book.asks)
+            
+            # Market orders take any price, and never rest
+            @test submitBookOrder!(book, order(b2, 0.0, 1, true, :market)).status == :cancelled
+            submitBookOrder!(book, order(s1, 50.0, 1, false))
+            @test submitBookOrder!(book, order(b2, 0.0, 1, true, :market)).trades[1].price == 50.0
+            
+            # A call phase collects limit orders, then clears them at one price
+            book = LimitOrderBook(mechanism; phase = :call)
+            @test submitBookOrder!(book, order(b1, 12.0, 3, true)).status == :resting
+            submitBookOrder!(book, order(b2, 10.0, 2, true))
+            submitBookOrder!(book, order(s1, 8.0, 2, false))
+            submitBookOrder!(book, order(s2, 11.0, 4, false))
+            @test submitBookOrder!(book, order(b2, 0.0, 1, true, :market)).status == :rejected
+            
+            trades = uncrossOrderBook!(book)
+            @test [(t.buyer_id, t.seller_id, t.quantity) for t in trades] == [(b1, s1, 2), (b1, s2, 1)]
+            @test all(t -> t.price == 11.5 && t.aggressor == :auction, trades)  # Midpoint of 12 and 11
+            @test book.phase == :continuous
+            @test orderBookDepth(book) == (bids = [10.0 => 2], asks = [11.0 => 3])
+            @test_throws ArgumentError uncrossOrderBook!(book)
+            
+            @test cancelBookOrder!(book, first(book.bids).order.bid.id)
+            @test isempty(book.bids)
+            @test_throws ArgumentError Order(Bid(b1, 1.0, 1), true, :stop)
+        end
     end
     
     @testset "Auction Actor" begin
@@ -169,6 +431,320 @@ using UUIDs
         stop_actor_gracefully(actor)
     end
     
+    @testset "Bid Cancellation And Amendment" begin
+        @testset "Mechanism Rules" begin
+            @test bidWithdrawalRule(FirstPriceAuction) == :before_deadline
+            @test bidWithdrawalRule(EnglishAuction) == :unless_leading
+            @test bidWithdrawalRule(DutchAuction) == :never
+            @test bidWithdrawalRule(AllPayAuction) == :never
+            @test bidAmendmentRule(VickreyAuction) == :before_deadline
+            @test bidAmendmentRule(EnglishAuction) == :increase_only
+            @test bidAmendmentRule(JapaneseAuction) == :never
+            
+            # Every mechanism has a rule for both kinds of change
+            for auction_type in (:first_price, :vickrey, :dutch, :english, :combinatorial,
+                                 :double, :all_pay, :japanese, :candle, :penny)
+                mechanism = AuctionKit.auctionMechanismType(auction_type)
+                @test bidWithdrawalRule(mechanism) in (:before_deadline, :unless_leading, :never)
+                @test bidAmendmentRule(mechanism) in (:before_deadline, :increase_only, :never)
+            end
+        end
+        
+        event_log = CentralizedEventLog()
+        controller = AuctionController{Float64}(event_log = event_log)
+        interface = DirectBidInterface(controller)
+        alice, bob = uuid4(), uuid4()
+        
+        function open_auction(auction_type)
+            actor = create_auction_actor(auction_type, Dict{Symbol, Any}(:reserve_price => 10.0); event_log = event_log)
+            actor.state.status = :active
+            lock(controller.state.mutex) do
+                controller.state.active_actors[actor.id] = actor
+            end
+            return actor
+        end
+        function place(actor, bidder_id, amount)
+            send_message_to_actor(actor, BidMessage(bidder_id, actor.id, amount, 1, Dict{Symbol, Any}(), now()))
+            sleep(0.05)
+            return actor.state.current_bids[end].id
+        end
+        
+        @testset "Sealed Bid" begin
+            actor = open_auction(:first_price)
+            bid_id = place(actor, alice, 30.0)
+            
+            @test amendDirectBid(interface, actor.id, bid_id, bob, 50.0)[:code] == :not_bid_owner
+            @test amendDirectBid(interface, actor.id, bid_id, alice, 5.0)[:code] == :below_reserve
+            
+            # Sealed bids may be lowered or withdrawn until the deadline
+            result = amendDirectBid(interface, actor.id, bid_id, alice, 20.0, 2)
+            @test result[:success]
+            @test actor.state.current_bids[1].amount == 20.0
+            @test actor.state.current_bids[1].quantity == 2
+            @test rebuildAuctionState(event_log, actor.id).current_bids[1].amount == 20.0
+            
+            @test cancelDirectBid(interface, actor.id, bid_id, alice)[:success]
+            @test isempty(actor.state.current_bids)
+            @test isempty(rebuildAuctionState(event_log, actor.id).current_bids)
+            @test cancelDirectBid(interface, actor.id, bid_id, alice)[:code] == :bid_not_found
+        end
+        
+        @testset "English Outbid Protection" begin
+            actor = open_auction(:english)
+            first_bid = place(actor, alice, 20.0)
+            leading_bid = place(actor, bob, 25.0)
+            
+            @test cancelDirectBid(interface, actor.id, leading_bid, bob)[:code] == :withdrawal_not_allowed
+            @test amendDirectBid(interface, actor.id, leading_bid, bob, 22.0)[:code] == :amendment_not_allowed
+            @test amendDirectBid(interface, actor.id, leading_bid, bob, 30.0)[:success]
+            
+            # Outbid bids no longer bind
+            @test cancelDirectBid(interface, actor.id, first_bid, alice)[:success]
+            @test [b.id for b in actor.state.current_bids] == [leading_bid]
+            
+            prices = [e.wrapped_event.price for e in queryEventsByAuction(event_log, actor.id)
+                      if e.wrapped_event isa PriceUpdatedEvent]
+            @test prices == [20.0, 25.0, 30.0]
+        end
+        
+        @testset "Dutch Bids Are Final" begin
+            actor = open_auction(:dutch)
+            bid_id = place(actor, alice, 15.0)
+            @test cancelDirectBid(interface, actor.id, bid_id, alice)[:code] == :withdrawal_not_allowed
+            @test amendDirectBid(interface, actor.id, bid_id, alice, 16.0)[:code] == :amendment_not_allowed
+        end
+        
+        rejected = [e.wrapped_event.code for e in queryEventsByType(event_log, BidRejectedEvent)]
+        @test count(==(:withdrawal_not_allowed), rejected) == 2
+        
+        stopController(controller)
+    end
+    
+    @testset "Proxy Bidding" begin
+        event_log = CentralizedEventLog()
+        controller = AuctionController{Float64}(event_log = event_log)
+        interface = DirectBidInterface(controller)
+        alice, bob, carol = uuid4(), uuid4(), uuid4()
+        
+        function open_auction(auction_type, increment; extra...)
+            params = Dict{Symbol, Any}(:reserve_price => 10.0, :increment => increment, extra...)
+            actor = create_auction_actor(auction_type, params; event_log = event_log)
+            actor.state.status = :active
+            lock(controller.state.mutex) do
+                controller.state.active_actors[actor.id] = actor
+            end
+            return actor
+        end
+        proxy(actor, bidder_id, limit) = registerDirectProxy(interface, actor.id, bidder_id, limit)
+        amounts(actor) = [b.amount for b in actor.state.current_bids]
+        function tick(actor, ticks)
+            for t in ticks
+                send_message_to_actor(actor, PriceTickMessage(t, now()))
+            end
+            sleep(0.1)
+        end
+        
+        @testset "English Maximum" begin
+            actor = open_auction(:english, 5.0)
+            @test proxy(actor, alice, 30.0)[:success]
+            @test amounts(actor) == [10.0]
+            
+            # Outbid by a person, the proxy raises by the minimum increment
+            send_message_to_actor(actor, BidMessage(carol, actor.id, 12.0, 1, Dict{Symbol, Any}(), now()))
+            sleep(0.05)
+            @test amounts(actor) == [10.0, 12.0, 17.0]
+            
+            # A rival proxy jumps to its limit and the higher one answers once
+            @test proxy(actor, bob, 25.0)[:success]
+            @test amounts(actor)[4:end] == [25.0, 30.0]
+            
+            send_message_to_actor(actor, BidMessage(carol, actor.id, 40.0, 1, Dict{Symbol, Any}(), now()))
+            sleep(0.05)
+            @test amounts(actor)[end] == 40.0
+            @test length(actor.state.current_bids) == 6
+            
+            # Proxy bids are logged like any other, marked in their metadata
+            submitted = [e.wrapped_event for e in queryEventsByAuction(event_log, actor.id)
+                         if e.wrapped_event isa BidSubmittedEvent]
+            @test length(submitted) == 6
+            @test [get(e.metadata, :proxy, false) for e in submitted] == [true, false, true, true, true, false]
+        end
+        
+        @testset "Dutch Accept-At Price" begin
+            actor = open_auction(:dutch, 2.0)  # 20, 18, 16, ... down to 10
+            @test proxy(actor, bob, 25.0)[:success]
+            @test proxy(actor, alice, 15.0)[:success]
+            @test amounts(actor) == [20.0]  # Bob accepts the opening price
+            
+            tick(actor, 1:5)
+            @test amounts(actor) == [20.0, 14.0]
+            @test [b.bidder_id for b in actor.state.current_bids] == [bob, alice]
+        end
+        
+        @testset "Japanese Stay-In Threshold" begin
+            actor = open_auction(:japanese, 1.0)  # 10, 11, 12, ...
+            @test proxy(actor, alice, 12.0)[:success]
+            @test proxy(actor, bob, 13.0)[:success]
+            
+            tick(actor, 1:5)
+            stay_in(bidder_id) = [b.amount for b in actor.state.current_bids if b.bidder_id == bidder_id]
+            @test stay_in(alice) == [10.0, 11.0, 12.0]
+            @test stay_in(bob) == [10.0, 11.0, 12.0, 13.0]
+            
+            @test proxy(actor, carol, 20.0)[:code] == :auction_started
+        end
+        
+        # Proxies alone carry each auction through its close: alice outlasts bob and pays 13
+        @testset "Finalized By Proxies ($auction_type)" for (auction_type, ticks) in
+                                                             ((:english, 1:0), (:japanese, 1:4), (:dutch, 1:7))
+            actor = open_auction(auction_type, 1.0; max_quantity = 1)
+            @test proxy(actor, alice, 13.0)[:success]
+            @test proxy(actor, bob, 12.0)[:success]
+            tick(actor, ticks)
+            
+            result = finalizeAuctionDirect(interface, actor.id)
+            @test result[:success]
+            @test result[:winners] == [alice]
+            @test result[:payments] == Dict(alice => 13.0)
+            @test actor.state.status == :completed
+        end
+        
+        @test proxy(open_auction(:first_price, 1.0), alice, 20.0)[:code] == :proxy_not_supported
+        @test proxy(open_auction(:english, 1.0), alice, 5.0)[:code] == :below_reserve
+        @test_throws ArgumentError ProxyBidder{Float64}(alice, 10.0, 0)
+        
+        stopController(controller)
+    end
+    
+    @testset "Order Book Trading" begin
+        mktempdir() do dir
+            event_log = openEventLog(dir)
+            params = Dict{Symbol, Any}(
+                :trading_mode => :call_then_continuous,
+                :end_time => now() + Dates.Second(30)
+            )
+            actor = create_auction_actor(:double, params; event_log = event_log)
+            actor.state.status = :active
+            auction_id = actor.state.auction_id
+            buyer, seller = uuid4(), uuid4()
+            function order(trader, price, quantity, is_buy, order_type = :limit)
+                metadata = Dict{Symbol, Any}(:is_buy => is_buy, :order_type => order_type)
+                send_message_to_actor(actor, BidMessage(trader, auction_id, price, quantity, metadata, now()))
+            end
+            logged(event_type) = [e.wrapped_event for e in queryEventsByAuction(event_log, auction_id)
+                                  if e.wrapped_event isa event_type]
+            
+            order(buyer, 12.0, 3, true)
+            order(seller, 10.0, 2, false)
+            order(seller, 9.0, 1, false, :ioc)  # Only limit orders before trading opens
+            sleep(0.1)
+            @test isempty(logged(TradeExecutedEvent))
+            @test length(actor.state.current_bids) == 2
+            @test logged(BidRejectedEvent)[1].code == :order_type_not_allowed
+            
+            # The opening call clears at the midpoint, then orders trade as they arrive
+            send_message_to_actor(actor, OpenContinuousTradingMessage(now()))
+            order(seller, 11.0, 2, false)
+            sleep(0.1)
+            @test [(t.price, t.quantity, t.aggressor) for t in logged(TradeExecutedEvent)] ==
+                  [(11.0, 2, :auction), (12.0, 1, :sell)]
+            @test [(b.bidder_id, b.amount, b.quantity) for b in actor.state.current_bids] == [(seller, 11.0, 1)]
+            @test logged(TradingPhaseChangedEvent)[1].phase == :continuous
+            
+            # Book orders are cancelled and resubmitted rather than amended
+            response = Channel{BidResponse}(1)
+            resting_id = actor.state.current_bids[1].id
+            send_message_to_actor(actor, AmendBidMessage(resting_id, seller, 10.5, 1, now(), response))
+            @test take!(response).code == :amendment_not_allowed
+            stop_actor_gracefully(actor)
+            
+            # A rebuilt actor gets its book back, resting orders and trades included
+            rebuilt = rebuildAuctionActor(event_log, auction_id)
+            @test rebuilt.order_book.phase == :continuous
+            @test orderBookDepth(rebuilt.order_book).asks == [11.0 => 1]
+            @test length(rebuilt.order_book.trades) == 2
+            
+            send_message_to_actor(rebuilt, FinalizeMessage(false, now()))
+            sleep(0.1)
+            result = rebuilt.state.result
+            @test result.payments[buyer] == 34.0 && result.payments[seller] == -34.0
+            @test result.allocations[buyer] == 3.0
+            @test result.metadata[:expired_orders] == 1
+            stop_actor_gracefully(rebuilt)
+            closeEventLog(event_log)
+        end
+    end
+    
+    @testset "Event-Sourced Rebuild" begin
+        mktempdir() do dir
+            event_log = openEventLog(dir)
+            actor = create_auction_actor(
+                :first_price,
+                Dict{Symbol, Any}(
+                    :reserve_price => 10.0,
+                    :start_time => now(),
+                    :end_time => now() + Dates.Second(30)
+                );
+                event_log = event_log
+            )
+            actor.state.status = :active
+            auction_id = actor.state.auction_id
+            
+            submit(amount, metadata = Dict{Symbol, Any}()) =
+                send_message_to_actor(actor, BidMessage(uuid4(), auction_id, amount, 1, metadata, now()))
+            
+            submit(15.0, Dict{Symbol, Any}(:channel => "rpc"))
+            submit(20.0)
+            sleep(0.1)
+            midpoint = now()
+            sleep(0.01)
+            submit(5.0)  # Below reserve, rejected
+            submit(25.0)
+            sleep(0.1)
+            
+            # The actor's task dies; rebuild it from the log
+            live_bids = copy(actor.state.current_bids)
+            stop_actor_gracefully(actor)
+            
+            rebuilt = rebuildAuctionActor(event_log, auction_id)
+            @test rebuilt.id == auction_id
+            @test rebuilt.state.status == :active
+            @test [b.id for b in rebuilt.state.current_bids] == [b.id for b in live_bids]
+            @test [b.amount for b in rebuilt.state.current_bids] == [15.0, 20.0, 25.0]
+            @test rebuilt.state.current_bids[1].metadata[:channel] == "rpc"
+            @test rebuilt.state.reserve_price == 10.0
+            @test rebuilt.state.end_time == actor.state.end_time
+            
+            # Time-travel queries
+            past = getAuctionStateAtTime(event_log, auction_id, midpoint)
+            @test [b.amount for b in past.current_bids] == [15.0, 20.0]
+            @test getAuctionStateAtTime(event_log, auction_id, DateTime(2000)) === nothing
+            
+            # The rebuilt actor carries on and its finalization is replayed too
+            send_message_to_actor(rebuilt, FinalizeMessage(false, now()))
+            sleep(0.1)
+            @test rebuilt.state.status == :completed
+            stop_actor_gracefully(rebuilt)
+            
+            final_state = rebuildAuctionState(event_log, auction_id)
+            @test final_state.status == :completed
+            @test final_state.result.clearing_price == rebuilt.state.result.clearing_price
+            @test final_state.result.winners == rebuilt.state.result.winners
+            
+            # A restarted controller resumes only the auctions still open
+            open_actor = create_auction_actor(:vickrey, Dict{Symbol, Any}(:reserve_price => 1.0); event_log = event_log)
+            stop_actor_gracefully(open_actor)
+            
+            controller = AuctionController{Float64}(event_log = event_log)
+            @test resumeAuctionsFromLog(controller) == [open_actor.state.auction_id]
+            @test isempty(resumeAuctionsFromLog(controller))
+            @test controller.state.active_actors[open_actor.state.auction_id].state.auction_type == :vickrey
+            
+            stopController(controller)
+            closeEventLog(event_log)
+        end
+    end
+    
     @testset "Auction Controller" begin
         # Create controller
         controller = AuctionController{Float64}()
@@ -203,6 +779,109 @@ using UUIDs
         stopController(controller)
     end
     
+    @testset "Auction Scheduler" begin
+        event_log = CentralizedEventLog()
+        controller = AuctionController{Float64}(event_log = event_log)
+        bid_for(actor, amount) = BidMessage(uuid4(), actor.id, amount, 1, Dict{Symbol, Any}(), now())
+        
+        function schedule(params)
+            actor = create_auction_actor(:first_price, params; event_log = event_log, log_start = false)
+            lock(controller.state.mutex) do
+                controller.state.active_actors[actor.id] = actor
+            end
+            scheduleAuction(controller, actor, params)
+            return actor
+        end
+        
+        @testset "Open And Close On Schedule" begin
+            start_time = now() + Dates.Millisecond(500)
+            actors = [
+                schedule(Dict{Symbol, Any}(
+                    :reserve_price => 1.0,
+                    :start_time => start_time,
+                    :end_time => start_time + Dates.Second(1)
+                ))
+                for _ in 1:200
+            ]
+            
+            # Pending auctions reject bids and have not logged their start
+            send_message_to_actor(actors[1], bid_for(actors[1], 5.0))
+            sleep(0.1)
+            @test all(a -> a.state.status == :pending, actors)
+            @test isempty(actors[1].state.current_bids)
+            @test isempty(queryEventsByType(event_log, AuctionStartedEvent))
+            
+            sleep(max(0.0, Dates.value(start_time - now()) / 1000) + 0.2)
+            @test all(a -> a.state.status == :active, actors)
+            @test length(queryEventsByType(event_log, AuctionStartedEvent)) == 200
+            
+            foreach(a -> send_message_to_actor(a, bid_for(a, 5.0)), actors)
+            @test timedwait(() -> all(a -> a.state.status == :completed, actors), 5.0) == :ok
+            @test all(a -> length(a.state.result.winners) == 1, actors)
+            @test length(queryEventsByType(event_log, AuctionFinalizedEvent)) == 200
+        end
+        
+        @testset "Anti-Sniping Extension" begin
+            original_end = now() + Dates.Millisecond(600)
+            actor = schedule(Dict{Symbol, Any}(
+                :reserve_price => 1.0,
+                :end_time => original_end,
+                :anti_sniping_window => 0.3,
+                :anti_sniping_extension => 0.5,
+                :max_extensions => 1
+            ))
+            @test actor.state.status == :active
+            
+            # A bid inside the closing window pushes the end back
+            sleep(0.4)
+            send_message_to_actor(actor, bid_for(actor, 5.0))
+            sleep(0.1)
+            @test actor.state.end_time > original_end
+            extended_end = actor.state.end_time
+            
+            # Past the original close the auction is still open
+            sleep(max(0.0, Dates.value(original_end - now()) / 1000) + 0.05)
+            @test actor.state.status == :active
+            
+            # The extension limit is reached, so this bid counts without extending
+            send_message_to_actor(actor, bid_for(actor, 6.0))
+            sleep(0.05)
+            @test actor.state.end_time == extended_end
+            
+            @test timedwait(() -> actor.state.status == :completed, 5.0) == :ok
+            @test now() >= extended_end
+            @test length(actor.state.current_bids) == 2
+            
+            extensions = queryEventsByType(event_log, AuctionExtendedEvent)
+            @test length(extensions) == 1
+            @test rebuildAuctionState(event_log, actor.id).end_time == extended_end
+        end
+        
+        @testset "Clock Price Ticks" begin
+            start_time = now()
+            params = Dict{Symbol, Any}(
+                :reserve_price => 10.0,
+                :increment => 1.0,
+                :tick_seconds => 0.1,
+                :start_time => start_time,
+                :end_time => start_time + Dates.Millisecond(450)
+            )
+            actor = create_auction_actor(:dutch, params; event_log = event_log, log_start = false)
+            lock(controller.state.mutex) do
+                controller.state.active_actors[actor.id] = actor
+            end
+            scheduleAuction(controller, actor, params)
+            
+            sleep(0.8)
+            ticks = [e.wrapped_event for e in queryEventsByAuction(event_log, actor.id)
+                     if e.wrapped_event isa PriceUpdatedEvent]
+            @test [t.tick for t in ticks] == [1, 2, 3, 4]
+            @test [t.price for t in ticks] == [19.0, 18.0, 17.0, 16.0]
+        end
+        
+        stopController(controller)
+    end
+    
     @testset "Bid Submission Interfaces" begin
         
         @testset "Direct Interface" begin
@@ -259,6 +938,249 @@ using UUIDs
             stopRPCServer(interface)
             stopController(controller)
         end
+        
+        @testset "Event Streaming" begin
+            event_log = CentralizedEventLog()
+            controller = AuctionController{Float64}(event_log = event_log)
+            interface = RPCBidInterface(controller; port = 8889, host = "127.0.0.1")
+            watcher_keys = registerBidder(interface.bidders, Bidder("watcher", 100.0, 0.0))
+            startRPCServer(interface)
+            sleep(0.5)
+            
+            actor = create_auction_actor(:english, Dict{Symbol, Any}(:reserve_price => 10.0); event_log = event_log)
+            actor.state.status = :active
+            lock(controller.state.mutex) do
+                controller.state.active_actors[actor.id] = actor
+            end
+            
+            function collect_frames(; from_sequence = nothing)
+                frames = Any[]
+                task = @async streamRPCEvents(
+                    "127.0.0.1", 8889, [actor.id]; api_key = watcher_keys.api_key, from_sequence = from_sequence
+                ) do frame
+                    push!(frames, frame)
+                    return frame.type != "auction_complete"
+                end
+                return frames, task
+            end
+            
+            # Live subscriber sees events as they are logged
+            live, live_task = collect_frames()
+            sleep(0.3)
+            for amount in (15.0, 12.0, 20.0)
+                send_message_to_actor(actor, BidMessage(uuid4(), actor.id, amount, 1, Dict{Symbol, Any}(), now()))
+            end
+            send_message_to_actor(actor, BidMessage(uuid4(), actor.id, 5.0, 1, Dict{Symbol, Any}(), now()))
+            send_message_to_actor(actor, FinalizeMessage(false, now()))
+            @test timedwait(() -> istaskdone(live_task), 10.0) == :ok
+            
+            @test [f.type for f in live] == [
+                "bid_accepted", "price_update", "bid_accepted", "bid_accepted", "price_update",
+                "bid_rejected", "auction_complete"
+            ]
+            @test [f.payload.price for f in live if f.type == "price_update"] == [15.0, 20.0]
+            @test issorted([f.sequence for f in live]) && allunique([f.sequence for f in live])
+            @test live[end].payload.clearing_price == 20.0
+            
+            # A reconnecting client resumes after the last sequence it saw
+            resumed, resumed_task = collect_frames(from_sequence = live[3].sequence)
+            @test timedwait(() -> istaskdone(resumed_task), 10.0) == :ok
+            @test [f.sequence for f in resumed] == [f.sequence for f in live[4:end]]
+            
+            # Replaying from the start includes the auction's opening
+            full, full_task = collect_frames(from_sequence = 0)
+            @test timedwait(() -> istaskdone(full_task), 10.0) == :ok
+            @test full[1].type == "auction_started"
+            @test length(full) == length(live) + 1
+            
+            stopRPCServer(interface)
+            stopController(controller)
+        end
+        
+        @testset "Sealed Bid Streaming" begin
+            event_log = CentralizedEventLog()
+            controller = AuctionController{Float64}(event_log = event_log)
+            bidders = BidderRegistry()
+            alice, bob = Bidder("alice", 100.0, 60.0), Bidder("bob", 100.0, 70.0)
+            alice_keys, bob_keys = registerBidder(bidders, alice), registerBidder(bidders, bob)
+            interface = RPCBidInterface(controller; port = 8891, host = "127.0.0.1", bidders = bidders)
+            startRPCServer(interface)
+            sleep(0.5)
+            
+            actor = create_auction_actor(:first_price, Dict{Symbol, Any}(:reserve_price => 10.0); event_log = event_log)
+            actor.state.status = :active
+            lock(controller.state.mutex) do
+                controller.state.active_actors[actor.id] = actor
+            end
+            
+            function watch(keys; from_sequence = nothing)
+                frames = Any[]
+                task = @async streamRPCEvents(
+                    "127.0.0.1", 8891, [actor.id]; api_key = keys.api_key, from_sequence = from_sequence
+                ) do frame
+                    push!(frames, frame)
+                    return frame.type != "auction_complete"
+                end
+                return frames, task
+            end
+            
+            # The upgrade is authenticated like a bid
+            handshake = [
+                "Upgrade" => "websocket", "Connection" => "Upgrade",
+                "Sec-WebSocket-Key" => "dGhlIHNhbXBsZSBub25jZQ==", "Sec-WebSocket-Version" => "13"
+            ]
+            anonymous = AuctionKit.HTTP.get("http://127.0.0.1:8891/ws", handshake; status_exception = false)
+            @test anonymous.status == 401
+            @test occursin("unauthenticated", String(anonymous.body))
+            
+            live, live_task = watch(alice_keys)
+            sleep(0.3)
+            @test submitRPCBid("127.0.0.1", 8891, actor.id, 40.0; api_key = alice_keys.api_key).success
+            @test submitRPCBid("127.0.0.1", 8891, actor.id, 55.0; api_key = bob_keys.api_key).success
+            sleep(0.3)
+            
+            # Alice sees her own bid, but not who outbid her or by how much
+            own, competing = [f for f in live if f.type == "bid_accepted"]
+            @test own.payload.amount == 40.0
+            @test own.payload.bidder_id == string(alice.id)
+            @test get(own, :redacted, false) == false
+            @test competing.redacted
+            @test !haskey(competing.payload, :amount) && !haskey(competing.payload, :bidder_id)
+            @test competing.payload.auction_id == string(actor.id)
+            
+            # A replay before the close is redacted the same way
+            replayed, replay_task = watch(alice_keys; from_sequence = 0)
+            sleep(0.3)
+            @test [get(f, :redacted, false) for f in replayed if f.type == "bid_accepted"] == [false, true]
+            
+            send_message_to_actor(actor, FinalizeMessage(false, now()))
+            @test timedwait(() -> istaskdone(live_task) && istaskdone(replay_task), 10.0) == :ok
+            @test live[end].payload.clearing_price == 55.0
+            
+            # Once finalized, the bids are public
+            revealed, revealed_task = watch(alice_keys; from_sequence = 0)
+            @test timedwait(() -> istaskdone(revealed_task), 10.0) == :ok
+            @test [f.payload.amount for f in revealed if f.type == "bid_accepted"] == [40.0, 55.0]
+            @test !any(f -> haskey(f, :redacted), revealed)
+            
+            stopRPCServer(interface)
+            stopController(controller)
+        end
+        
+        @testset "Rate Limit Buckets" begin
+            limiter = RateLimiter(per_ip = RateLimit(2, 1))
+            t0 = DateTime(2024, 1, 1)
+            @test AuctionKit.takeRateToken(limiter, :ip, "10.0.0.1", t0)[1]
+            @test AuctionKit.takeRateToken(limiter, :ip, "10.0.0.1", t0)[1]
+            allowed, retry_after = AuctionKit.takeRateToken(limiter, :ip, "10.0.0.1", t0)
+            @test !allowed
+            @test retry_after ≈ 1.0
+            @test AuctionKit.takeRateToken(limiter, :ip, "10.0.0.1", t0 + Dates.Second(1))[1]
+            @test AuctionKit.takeRateToken(limiter, :ip, "10.0.0.2", t0)[1]
+            @test_throws ArgumentError RateLimit(0, 1)
+        end
+        
+        @testset "Authenticated RPC Bids" begin
+            event_log = CentralizedEventLog()
+            controller = AuctionController{Float64}(event_log = event_log)
+            bidders = BidderRegistry(require_signature = true)
+            alice = Bidder("alice", 100.0, 80.0)
+            mallory = Bidder("mallory", 1000.0, 0.0)
+            alice_keys = registerBidder(bidders, alice)
+            mallory_keys = registerBidder(bidders, mallory)
+            @test_throws ArgumentError registerBidder(bidders, alice)
+            
+            interface = RPCBidInterface(
+                controller;
+                port = 8890,
+                host = "127.0.0.1",
+                bidders = bidders,
+                rate_limiter = RateLimiter(per_bidder = RateLimit(3, 0.01))
+            )
+            startRPCServer(interface)
+            sleep(0.5)
+            
+            actor = create_auction_actor(:first_price, Dict{Symbol, Any}(:reserve_price => 10.0); event_log = event_log)
+            actor.state.status = :active
+            lock(controller.state.mutex) do
+                controller.state.active_actors[actor.id] = actor
+            end
+            
+            bid(amount; creds = alice_keys, kwargs...) = submitRPCBid(
+                "127.0.0.1", 8890, actor.id, amount; api_key = creds.api_key, secret = creds.secret, kwargs...
+            )
+            
+            accepted = bid(40.0)
+            @test accepted.success
+            @test accepted.bidder_id == string(alice.id)
+            
+            # Requests that do not authenticate as the bidder never reach the actor
+            unsigned = submitRPCBid("127.0.0.1", 8890, actor.id, 20.0; api_key = alice_keys.api_key)
+            @test unsigned.code == "signature_required"
+            forged = submitRPCBid("127.0.0.1", 8890, actor.id, 20.0; api_key = "unknown", secret = "unknown")
+            @test forged.code == "invalid_credentials"
+            @test bid(20.0; creds = mallory_keys, bidder_id = alice.id).code == "bidder_mismatch"
+            
+            # 40 is already committed against a budget of 100
+            @test bid(70.0).code == "over_budget"
+            @test bid(50.0).success
+            
+            # Three bids have been charged to alice's bucket
+            @test bid(5.0).code == "rate_limited"
+            
+            sleep(0.3)
+            codes = [e.wrapped_event.code for e in queryEventsByType(event_log, BidRejectedEvent)]
+            @test codes == [:signature_required, :invalid_credentials, :bidder_mismatch, :over_budget, :rate_limited]
+            @test all(b -> b.bidder_id == alice.id, actor.state.current_bids)
+            @test length(actor.state.current_bids) == 2
+            
+            # Bids can be amended and withdrawn over RPC by their bidder
+            signed = (api_key = mallory_keys.api_key, secret = mallory_keys.secret)
+            @test submitRPCBid("127.0.0.1", 8890, actor.id, 30.0; signed...).success
+            sleep(0.1)
+            bid_id = only(b.id for b in actor.state.current_bids if b.bidder_id == mallory.id)
+            @test amendRPCBid("127.0.0.1", 8890, actor.id, bid_id, 35.0; signed...).success
+            @test cancelRPCBid("127.0.0.1", 8890, actor.id, bid_id; signed...).success
+            @test all(b -> b.bidder_id == alice.id, actor.state.current_bids)
+            
+            # The client gets the actor's verdict, and a rejected bid holds no budget
+            dave = Bidder("dave", 20.0, 0.0)
+            dave_keys = registerBidder(bidders, dave)
+            signed = (api_key = dave_keys.api_key, secret = dave_keys.secret)
+            @test submitRPCBid("127.0.0.1", 8890, actor.id, 5.0; signed...).code == "below_reserve"
+            @test submitRPCBid("127.0.0.1", 8890, actor.id, 20.0; signed...).success
+            
+            # Combinatorial auctions take bids in the bidding language
+            carol = Bidder("carol", 100.0, 0.0)
+            carol_keys = registerBidder(bidders, carol)
+            signed = (api_key = carol_keys.api_key, secret = carol_keys.secret)
+            bundle_auction = create_auction_actor(:combinatorial, Dict{Symbol, Any}(); event_log = event_log)
+            bundle_auction.state.status = :active
+            lock(controller.state.mutex) do
+                controller.state.active_actors[bundle_auction.id] = bundle_auction
+            end
+            
+            bundle_bid = CombinatorialBid(
+                carol.id,
+                [[AtomicBid(Set([:a, :b]), 30.0), AtomicBid(Set([:a]), 18.0)], [AtomicBid(Set([:c]), 5.0)]];
+                budget = 32.0
+            )
+            @test submitRPCBundleBid("127.0.0.1", 8890, bundle_auction.id, bundle_bid; signed...).success
+            @test submitRPCBundleBid("127.0.0.1", 8890, actor.id, bundle_bid; signed...).code == "invalid_bid"
+            # Only parsed bundles set the bidding language
+            smuggled = Dict(:bidding_language => """{"xor": [{"items": ["a"], "amount": 1e9}]}""")
+            @test submitRPCBid(
+                "127.0.0.1", 8890, bundle_auction.id, 0.01; metadata = smuggled, signed...
+            ).code == "invalid_bid"
+            sleep(0.1)
+            stored = only(bundle_auction.state.current_bids)
+            @test stored.amount == 32.0  # Its best outcome, 30 + 5, capped by the budget
+            restored = parseCombinatorialBid(stored.metadata[:bidding_language], carol.id)
+            @test encodeCombinatorialBid(restored) == encodeCombinatorialBid(bundle_bid)
+            
+            stopRPCServer(interface)
+            stopController(controller)
+        end
     end
     
     @testset "Workflow Graph" begin
@@ -288,6 +1210,86 @@ using UUIDs
         stopController(controller)
     end
     
+    @testset "Workflow DSL" begin
+        controller = AuctionController{Float64}()
+        auction(type, reserve, amounts...) = Dict{Symbol, Any}(
+            :auction_type => type,
+            :reserve_price => reserve,
+            :duration_seconds => 0,
+            :initial_bids => [Dict(:bidder_id => uuid4(), :amount => a, :quantity => 1) for a in amounts]
+        )
+        
+        @testset "Fan-Out And Fan-In" begin
+            graph = WorkflowGraph{Float64}()
+            root = addWorkflowStep(graph, :root, auction(:first_price, 10.0, 15.0, 20.0))
+            addWorkflowStep(graph, :left, auction(:first_price, 10.0, 12.0))
+            addWorkflowStep(graph, :right, auction(:vickrey, 10.0, 14.0, 18.0))
+            merged_inputs = Ref(0)
+            merge_id = addWorkflowStep(graph, :merge, auction(:first_price, 10.0, 30.0);
+                transformation = (config, inputs) -> (merged_inputs[] = length(inputs); config))
+            
+            connectWorkflowSteps(graph, :root, :left)
+            connectWorkflowSteps(graph, :root, :right)
+            connectWorkflowSteps(graph, :left, :merge)
+            connectWorkflowSteps(graph, :right, :merge)
+            
+            @test_throws ArgumentError connectWorkflowSteps(graph, :merge, :root)
+            @test_throws ArgumentError connectWorkflowSteps(graph, :root, :missing)
+            @test validateDAGStructure(graph)
+            
+            result = executeWorkflow(controller, graph)
+            @test length(result.node_results) == 4
+            @test result.execution_order[1] == root
+            @test result.execution_order[end] == merge_id
+            @test merged_inputs[] == 2
+            @test getWorkflowStepStatuses(controller, graph.id) == Dict(
+                :root => :completed, :left => :completed, :right => :completed, :merge => :completed
+            )
+        end
+        
+        @testset "Conditional Fallback" begin
+            function fallbackWorkflow(amounts...)
+                graph = WorkflowGraph{Float64}()
+                addWorkflowStep(graph, :primary, auction(:first_price, 100.0, amounts...))
+                addWorkflowStep(graph, :fallback, auction(:dutch, 50.0, 60.0))
+                addWorkflowStep(graph, :settle, auction(:first_price, 10.0, 20.0); join = :any)
+                connectWorkflowSteps(graph, :primary, :fallback; condition = clearedBelowReserve)
+                connectWorkflowSteps(graph, :primary, :settle; condition = !clearedBelowReserve)
+                connectWorkflowSteps(graph, :fallback, :settle)
+                return graph
+            end
+            
+            # Every bid is under the reserve, so the Dutch fallback runs
+            graph = fallbackWorkflow(80.0, 90.0)
+            result = executeWorkflow(controller, graph)
+            @test getWorkflowStatus(controller, graph.id, :fallback) == :completed
+            @test getWorkflowStatus(controller, graph.id, :settle) == :completed
+            @test haskey(result.node_results, graph.names[:fallback])
+            @test isempty(result.metadata[:skipped_steps])
+            
+            # The primary clears, so the fallback is skipped but the join still runs
+            graph = fallbackWorkflow(120.0, 150.0)
+            result = executeWorkflow(controller, graph)
+            @test getWorkflowStatus(controller, graph.id, :fallback) == :skipped
+            @test getWorkflowStatus(controller, graph.id, :settle) == :completed
+            @test getWorkflowStatus(controller, graph.id, :unknown) == :not_found
+            @test !haskey(result.node_results, graph.names[:fallback])
+            @test result.metadata[:skipped_steps] == [:fallback]
+        end
+        
+        @testset "Chained Order" begin
+            configs = [auction(:first_price, 1.0, 5.0) for _ in 1:5]
+            for i in 2:5
+                configs[i][:dependencies] = [i - 1]
+            end
+            graph = createWorkflowGraph(controller, configs)
+            @test topologicalSortWorkflow(graph) == graph.order
+            @test graph.nodes[graph.names[:step_3]].dependencies == [graph.names[:step_2]]
+        end
+        
+        stopController(controller)
+    end
+    
 end
 
 println("All tests passed!")
\ No newline at end of file
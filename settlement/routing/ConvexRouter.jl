@@ -0,0 +1,314 @@
+"""
+    ConvexRouter
+
+Optimal routing of a trade over pool trading functions. Pools are directed
+edges with exact output functions; the router solves one convex program over
+all of them and splits the resulting edge flows into source-to-target paths.
+"""
+module ConvexRouter
+
+using JuMP
+using Ipopt
+
+export LiquidityEdge, FlowPath, DEFAULT_STABLESWAP_AMPLIFICATION, CONVEX_FLOW_TOLERANCE
+export edge_amount_out, find_convex_flows, flow_paths, executed_output, path_price_impact
+
+# One trading direction of a pool. `liquidity` is the pool's reserve of the
+# input asset and `price` its spot price; `parameters` holds protocol-specific
+# settings (:amplification for Curve, :weight_in and :weight_out for Balancer)
+struct LiquidityEdge{T<:Real}
+    from_asset::Symbol
+    to_asset::Symbol
+    protocol::Symbol
+    pool_address::String
+    liquidity::T
+    fee_rate::T
+    price::T
+    gas_cost::T
+    parameters::Dict{Symbol, T}
+end
+
+LiquidityEdge{T}(from_asset, to_asset, protocol, pool_address, liquidity, fee_rate, price, gas_cost) where T =
+    LiquidityEdge{T}(
+        from_asset, to_asset, protocol, pool_address, liquidity, fee_rate, price, gas_cost, Dict{Symbol, T}()
+    )
+
+# One source-to-target path of a routed trade: the edges it crosses, with the
+# amount entering and leaving each. An edge of `nothing` is a pool outside the graph.
+struct FlowPath{T<:Real}
+    edges::Vector{Union{Int, Nothing}}
+    inputs::Vector{T}
+    outputs::Vector{T}
+end
+
+const DEFAULT_STABLESWAP_AMPLIFICATION = 100.0
+const CONVEX_FLOW_TOLERANCE = 1e-9  # Relative to the trade size
+
+# Trading functions
+# Pool reserves behind an edge: `liquidity` of the input asset, and the output
+# reserve that sets the spot price to `price`
+function edge_reserves(edge::LiquidityEdge{T}) where T
+    if edge.protocol == :balancer
+        weight_in, weight_out = balancer_weights(edge)
+        return (edge.liquidity, edge.liquidity * edge.price * weight_out / weight_in)
+    end
+    return (edge.liquidity, edge.liquidity * edge.price)
+end
+
+balancer_weights(edge::LiquidityEdge{T}) where T =
+    (get(edge.parameters, :weight_in, T(0.5)), get(edge.parameters, :weight_out, T(0.5)))
+
+"""
+    edge_amount_out(edge, input_amount)
+
+Exact output of `input_amount` traded through `edge`, the fee taken from
+the input. Curve edges follow the two-coin stableswap invariant of a pool
+balanced at `price`, Balancer edges the weighted product, and every other
+protocol the constant product `x * y = k` (for Uniswap V3, over the virtual
+reserves of the active range).
+"""
+function edge_amount_out(edge::LiquidityEdge{T}, input_amount::T)::T where T
+    input_amount > 0 || return zero(T)
+    effective_input = input_amount * (one(T) - edge.fee_rate)
+    reserve_in, reserve_out = edge_reserves(edge)
+
+    if edge.protocol == :curve
+        # Balances in input units; balanced, so the invariant D is their sum
+        amplification = 4 * get(edge.parameters, :amplification, T(DEFAULT_STABLESWAP_AMPLIFICATION))
+        invariant = 2 * reserve_in
+        x = reserve_in + effective_input
+        b = amplification * x + invariant - amplification * invariant
+        c = invariant^3 / (4 * x)
+        y = (-b + sqrt(b^2 + 4 * amplification * c)) / (2 * amplification)
+        return max(reserve_in - y, zero(T)) * edge.price
+    elseif edge.protocol == :balancer
+        weight_in, weight_out = balancer_weights(edge)
+        return reserve_out * (one(T) - (reserve_in / (reserve_in + effective_input))^(weight_in / weight_out))
+    end
+    return reserve_out * effective_input / (reserve_in + effective_input)
+end
+
+# Bound an edge's output by its trading function; each bound is convex
+function add_trading_constraint!(model::Model, edge::LiquidityEdge{T}, input, output) where T
+    gamma = Float64(one(T) - edge.fee_rate)
+    reserve_in, reserve_out = Float64.(edge_reserves(edge))
+
+    if edge.protocol == :curve
+        # Stableswap invariant over balances scaled by D = 2 * liquidity
+        amplification = 4 * Float64(get(edge.parameters, :amplification, T(DEFAULT_STABLESWAP_AMPLIFICATION)))
+        invariant = 2 * reserve_in
+        price = Float64(edge.price)
+        @constraint(model, output <= price * reserve_in * (1 - CONVEX_FLOW_TOLERANCE))
+        @constraint(model,
+            amplification * ((reserve_in + gamma * input) + (reserve_in - output / price)) / invariant +
+            1 - amplification -
+            invariant^2 / (4 * (reserve_in + gamma * input) * (reserve_in - output / price)) >= 0
+        )
+    elseif edge.protocol == :balancer
+        weight_in, weight_out = Float64.(balancer_weights(edge))
+        exponent = weight_in / weight_out
+        @constraint(model, output / reserve_out <= 1 - (reserve_in / (reserve_in + gamma * input))^exponent)
+    else
+        @constraint(model, output / reserve_out <= gamma * input / (reserve_in + gamma * input))
+    end
+end
+
+"""
+    find_convex_flows(edges, source, target; amount_in=nothing, amount_out=nothing)
+
+Route a trade across every edge at once. Each edge may take any input `δ`
+and pays out at most its trading function `G(δ)` (see `edge_amount_out`);
+all of these are concave, so the problem is convex and the local optimum the
+solver finds is global. With `amount_in`, the output reaching `target` is
+maximized for that much `source` input; with `amount_out`, the `source` input
+is minimized for that much output. Intermediate assets may not be drawn down.
+
+Returns the solved flows split into paths by `flow_paths`, each edge priced
+exactly at its solved input, or `nothing` if `target` cannot be reached from
+`source`, the solver does not converge or the target amount is out of reach.
+
+Both directions of a pool are separate edges here, so a route using both
+would not see its own price impact across them.
+"""
+function find_convex_flows(
+    edges::Vector{LiquidityEdge{T}},
+    source::Symbol,
+    target::Symbol;
+    amount_in::Union{Real, Nothing} = nothing,
+    amount_out::Union{Real, Nothing} = nothing
+)::Union{Vector{FlowPath{T}}, Nothing} where T
+
+    if (amount_in === nothing) == (amount_out === nothing)
+        throw(ArgumentError("Give exactly one of amount_in and amount_out"))
+    end
+    if isempty(find_flow_path(edges, ones(T, length(edges)), source, target))
+        return nothing
+    end
+
+    model = Model(Ipopt.Optimizer)
+    set_silent(model)
+
+    # Input and output of each edge
+    n_edges = length(edges)
+    @variable(model, input[1:n_edges] >= 0, start = 0.0)
+    @variable(model, output[1:n_edges] >= 0, start = 0.0)
+
+    for (i, edge) in enumerate(edges)
+        add_trading_constraint!(model, edge, input[i], output[i])
+    end
+
+    # Net amount of each asset the routes leave with
+    net(asset) = sum(output[i] for i in 1:n_edges if edges[i].to_asset == asset; init = 0.0) -
+        sum(input[i] for i in 1:n_edges if edges[i].from_asset == asset; init = 0.0)
+
+    for asset in union(Set(e.from_asset for e in edges), Set(e.to_asset for e in edges))
+        if asset != source && asset != target
+            @constraint(model, net(asset) >= 0)
+        end
+    end
+
+    if amount_in !== nothing
+        @constraint(model, -net(source) <= amount_in)
+        @objective(model, Max, net(target))
+    else
+        @constraint(model, net(target) >= amount_out)
+        @objective(model, Min, -net(source))
+    end
+
+    optimize!(model)
+
+    if !(termination_status(model) in (MOI.OPTIMAL, MOI.LOCALLY_SOLVED))
+        return nothing
+    end
+
+    # Price the solved inputs with the exact trading functions
+    inputs = max.(T.(value.(input)), zero(T))
+    outputs = [edge_amount_out(edge, inputs[i]) for (i, edge) in enumerate(edges)]
+
+    return flow_paths(edges, inputs, outputs, source, target)
+end
+
+# Path from source to target along edges with input left, or empty
+function find_flow_path(
+    edges::Vector{LiquidityEdge{T}},
+    remaining::Vector{T},
+    source::Symbol,
+    target::Symbol
+)::Vector{Int} where T
+
+    function extend(asset, path, visited)
+        asset == target && return path
+        for (i, edge) in enumerate(edges)
+            if edge.from_asset == asset && remaining[i] > 0 && !(edge.to_asset in visited)
+                found = extend(edge.to_asset, vcat(path, i), union(visited, [edge.to_asset]))
+                isempty(found) || return found
+            end
+        end
+        return Int[]
+    end
+
+    return extend(source, Int[], Set([source]))
+end
+
+"""
+    flow_paths(edges, inputs, outputs, source, target)
+
+Split edge flows into source-to-target paths. Each path takes as much source
+input as its tightest edge has left, passed on at each edge's average rate
+`outputs[i] / inputs[i]`, so the path inputs of an edge add up to its flow.
+Flows below `CONVEX_FLOW_TOLERANCE` of the largest are dropped.
+"""
+function flow_paths(
+    edges::Vector{LiquidityEdge{T}},
+    inputs::Vector{T},
+    outputs::Vector{T},
+    source::Symbol,
+    target::Symbol
+)::Vector{FlowPath{T}} where T
+
+    isempty(inputs) && return FlowPath{T}[]
+    threshold = maximum(inputs) * T(CONVEX_FLOW_TOLERANCE)
+    remaining = [input > threshold ? input : zero(T) for input in inputs]
+    paths = FlowPath{T}[]
+
+    while true
+        path = find_flow_path(edges, remaining, source, target)
+        isempty(path) && break
+
+        # Source input the path can carry: each edge's remaining input, discounted back to the source
+        rate = one(T)
+        amount = typemax(T)
+        bottleneck = 0
+        for i in path
+            if remaining[i] / rate < amount
+                amount = remaining[i] / rate
+                bottleneck = i
+            end
+            rate *= outputs[i] / inputs[i]
+        end
+
+        path_inputs = T[]
+        path_outputs = T[]
+        current = amount
+        for i in path
+            push!(path_inputs, current)
+            remaining[i] = remaining[i] - current > threshold ? remaining[i] - current : zero(T)
+            current *= outputs[i] / inputs[i]
+            push!(path_outputs, current)
+        end
+        remaining[bottleneck] = zero(T)
+
+        push!(paths, FlowPath{T}(path, path_inputs, path_outputs))
+    end
+
+    return paths
+end
+
+# Shortfall of an output against the fee-adjusted spot price along the path
+function path_price_impact(path::Vector{LiquidityEdge{T}}, amount::T, output::T)::T where T
+    spot_output = amount * prod(edge.price * (one(T) - edge.fee_rate) for edge in path)
+    return spot_output > 0 ? max(one(T) - output / spot_output, zero(T)) : zero(T)
+end
+
+"""
+    executed_output(edges, paths)
+
+Output `paths` would realize against the trading functions of `edges` rather
+than the outputs they quote. Each edge trades the sum of its paths' inputs at
+once and shares the output pro rata; a path's input to an edge is what the
+previous edge realized, so the edge totals are iterated to a fixed point.
+Edges of `nothing` keep their quoted rate.
+"""
+function executed_output(edges::Vector{LiquidityEdge{T}}, paths::Vector{FlowPath{T}})::T where T
+    isempty(paths) && return zero(T)
+
+    # Path inputs to each edge, starting from the quoted ones
+    amounts = [copy(path.inputs) for path in paths]
+    realized = zero(T)
+    for _ in 1:maximum(length(path.edges) for path in paths)
+        totals = zeros(T, length(edges))
+        for (path, path_amounts) in zip(paths, amounts)
+            for (i, amount) in zip(path.edges, path_amounts)
+                i === nothing || (totals[i] += amount)
+            end
+        end
+
+        realized = zero(T)
+        for (path, path_amounts) in zip(paths, amounts)
+            current = path_amounts[1]
+            for (k, i) in enumerate(path.edges)
+                path_amounts[k] = current
+                current *= if i === nothing || totals[i] <= 0
+                    path.outputs[k] / path.inputs[k]
+                else
+                    edge_amount_out(edges[i], totals[i]) / totals[i]
+                end
+            end
+            realized += current
+        end
+    end
+
+    return realized
+end
+
+end # module ConvexRouter
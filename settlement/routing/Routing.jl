@@ -6,6 +6,7 @@ intelligent route discovery, optimization, and execution strategies.
 
 # Features
 - Multi-path splitting with optimal allocation
+- Convex optimal routing over each pool's trading function
 - Dynamic routing based on real-time liquidity
 - Price impact minimization
 - Gas-optimized route selection
@@ -13,36 +14,18 @@ intelligent route discovery, optimization, and execution strategies.
 """
 module Routing
 
+using Dates
 using LinearAlgebra
 using SparseArrays
-using DataStructures
-using Graphs
-using JuMP
-using GLPK
+using Statistics
 using ..Types
 using ..Config
 using ..Cache
 
-# Route optimizer
-mutable struct RouteOptimizer{T<:Real}
-    config::RoutingConfig
-    liquidity_graph::LiquidityGraph{T}
-    path_finder::PathFinder{T}
-    route_cache::RouteCache{T}
-    optimization_stats::OptimizationStats{T}
-    
-    function RouteOptimizer{T}(config::RoutingConfig) where T
-        new{T}(
-            config,
-            LiquidityGraph{T}(),
-            PathFinder{T}(config),
-            RouteCache{T}(config.route_cache_duration_ms),
-            OptimizationStats{T}()
-        )
-    end
-end
-
-RouteOptimizer(config::RoutingConfig) = RouteOptimizer{Float64}(config)
+# Convex routing over pool trading functions
+include("ConvexRouter.jl")
+using .ConvexRouter
+import .ConvexRouter: executed_output
 
 # Liquidity graph representation
 struct LiquidityGraph{T<:Real}
@@ -61,17 +44,6 @@ struct LiquidityGraph{T<:Real}
     end
 end
 
-struct LiquidityEdge{T<:Real}
-    from_asset::Symbol
-    to_asset::Symbol
-    protocol::Symbol
-    pool_address::String
-    liquidity::T
-    fee_rate::T
-    price::T
-    gas_cost::T
-end
-
 # Path finding engine
 struct PathFinder{T<:Real}
     config::RoutingConfig
@@ -90,15 +62,23 @@ struct PathFinder{T<:Real}
 end
 
 # Route caching
+Base.@kwdef struct CachedRoute{T<:Real}
+    route::Route{T}
+    timestamp::DateTime
+    liquidity_snapshot::Vector{T}
+end
+
 mutable struct RouteCache{T<:Real}
-    cache::LRU{String, CachedRoute{T}}
+    cache::Dict{String, CachedRoute{T}}
+    max_entries::Int  # The oldest route is dropped to make room beyond this
     ttl_ms::Int
     hits::Int
     misses::Int
     
     function RouteCache{T}(ttl_ms::Int) where T
         new{T}(
-            LRU{String, CachedRoute{T}}(maxsize=1000),
+            Dict{String, CachedRoute{T}}(),
+            1000,
             ttl_ms,
             0,
             0
@@ -106,12 +86,6 @@ mutable struct RouteCache{T<:Real}
     end
 end
 
-struct CachedRoute{T<:Real}
-    route::Route{T}
-    timestamp::DateTime
-    liquidity_snapshot::Vector{T}
-end
-
 # Optimization statistics
 mutable struct OptimizationStats{T<:Real}
     total_optimizations::Int
@@ -123,6 +97,27 @@ mutable struct OptimizationStats{T<:Real}
     OptimizationStats{T}() where T = new{T}(0, 0.0, 0.0, zero(T), zero(T))
 end
 
+# Route optimizer
+mutable struct RouteOptimizer{T<:Real}
+    config::RoutingConfig
+    liquidity_graph::LiquidityGraph{T}
+    path_finder::PathFinder{T}
+    route_cache::RouteCache{T}
+    optimization_stats::OptimizationStats{T}
+    
+    function RouteOptimizer{T}(config::RoutingConfig) where T
+        new{T}(
+            config,
+            LiquidityGraph{T}(),
+            PathFinder{T}(config),
+            RouteCache{T}(config.route_cache_duration_ms),
+            OptimizationStats{T}()
+        )
+    end
+end
+
+RouteOptimizer(config::RoutingConfig) = RouteOptimizer{Float64}(config)
+
 """
     optimize_routes(optimizer, transaction, cache_manager)
 
@@ -159,8 +154,9 @@ function optimize_routes(
         find_balanced_routes(optimizer, transaction)
     end
     
-    # Apply multi-path splitting if enabled
-    if optimizer.config.enable_multi_path && length(routes) == 1
+    # Apply multi-path splitting if enabled; the optimal router already splits
+    is_split = optimizer.config.routing_algorithm == :optimal
+    if optimizer.config.enable_multi_path && length(routes) == 1 && !is_split
         routes = split_into_multiple_paths(optimizer, routes[1], transaction)
     end
     
@@ -180,77 +176,76 @@ end
 """
     find_optimal_routes(optimizer, transaction)
 
-Find optimal routes using linear programming.
+Find optimal routes by convex optimization over the liquidity graph (see
+`find_convex_routes`). By default the whole input amount is routed for the
+most output; with `transaction.metadata["exact_output"]` set, the output
+amount is bought for the least input. Falls back to `find_fast_routes` if the
+solver fails or the output cannot be reached.
 """
 function find_optimal_routes(
     optimizer::RouteOptimizer{T},
     transaction::AtomicTransaction{T}
 )::Vector{Route{T}} where T
     
-    # Build optimization model
-    model = Model(GLPK.Optimizer)
-    set_silent(model)
-    
-    # Extract graph structure
     graph = optimizer.liquidity_graph
-    n_nodes = length(graph.nodes)
-    n_edges = length(graph.edges)
-    
-    if n_nodes == 0 || n_edges == 0
-        return Route{T}[]
-    end
-    
-    # Decision variables: flow on each edge
-    @variable(model, 0 <= flow[1:n_edges] <= 1e6)
-    
-    # Objective: minimize cost (fees + gas + price impact)
-    costs = [compute_edge_cost(edge, transaction) for edge in graph.edges]
-    @objective(model, Min, sum(costs[i] * flow[i] for i in 1:n_edges))
-    
-    # Constraints: flow conservation at each node
-    for (asset, node_idx) in graph.nodes
-        if asset == transaction.input_assets[1].base
-            # Source node: total outflow equals transaction amount
-            @constraint(model, 
-                sum(flow[i] for i in 1:n_edges 
-                    if graph.edges[i].from_asset == asset) ==
-                transaction.input_assets[1].amount_base
-            )
-        elseif asset == transaction.output_assets[1].base
-            # Sink node: total inflow equals expected output
-            @constraint(model,
-                sum(flow[i] for i in 1:n_edges
-                    if graph.edges[i].to_asset == asset) >=
-                transaction.output_assets[1].amount_base
-            )
-        else
-            # Intermediate node: flow conservation
-            inflow = sum(flow[i] for i in 1:n_edges
-                        if graph.edges[i].to_asset == asset; init=0.0)
-            outflow = sum(flow[i] for i in 1:n_edges
-                         if graph.edges[i].from_asset == asset; init=0.0)
-            @constraint(model, inflow == outflow)
-        end
-    end
+    source = transaction.input_assets[1].base
+    target = transaction.output_assets[1].base
     
-    # Liquidity constraints
-    for i in 1:n_edges
-        @constraint(model, flow[i] <= graph.edges[i].liquidity)
+    routes = if get(transaction.metadata, "exact_output", false)
+        find_convex_routes(graph, source, target; amount_out = transaction.output_assets[1].amount_base)
+    else
+        find_convex_routes(graph, source, target; amount_in = transaction.input_assets[1].amount_base)
     end
     
-    # Solve
-    optimize!(model)
-    
-    if termination_status(model) != MOI.OPTIMAL
-        # Fallback to heuristic if optimization fails
-        return find_fast_routes(optimizer, transaction)
+    # Fallback to heuristic if optimization fails
+    return routes === nothing ? find_fast_routes(optimizer, transaction) : routes
+end
+
+"""
+    find_convex_routes(graph, source, target; amount_in=nothing, amount_out=nothing)
+
+Route a trade by convex optimization over the trading functions of every
+edge of `graph` (see `find_convex_flows`), one `Route` per path of the
+solved flows. Returns `nothing` if the target is unreachable or out of reach,
+or the solver does not converge.
+"""
+function find_convex_routes(
+    graph::LiquidityGraph{T},
+    source::Symbol,
+    target::Symbol;
+    amount_in::Union{Real, Nothing} = nothing,
+    amount_out::Union{Real, Nothing} = nothing
+)::Union{Vector{Route{T}}, Nothing} where T
+    
+    paths = find_convex_flows(graph.edges, source, target; amount_in = amount_in, amount_out = amount_out)
+    paths === nothing && return nothing
+    return [flow_route(graph, path) for path in paths]
+end
+
+# Route along a path of the graph's edges
+function flow_route(graph::LiquidityGraph{T}, path::FlowPath{T})::Route{T} where T
+    segments = RouteSegment{T}[]
+    for (i, input_amount, output_amount) in zip(path.edges, path.inputs, path.outputs)
+        edge = graph.edges[i]
+        push!(segments, RouteSegment{T}(
+            protocol = edge.protocol,
+            pool_address = edge.pool_address,
+            input_asset = edge.from_asset,
+            output_asset = edge.to_asset,
+            input_amount = input_amount,
+            output_amount = output_amount,
+            fee_rate = edge.fee_rate,
+            gas_estimate = edge.gas_cost
+        ))
     end
     
-    # Extract solution
-    solution_flows = value.(flow)
-    
-    # Convert to routes
-    return flows_to_routes(graph.edges, solution_flows, transaction)
+    return Route{T}(
+        segments = segments,
+        total_output = path.outputs[end],
+        total_gas = sum(s.gas_estimate for s in segments),
+        price_impact = path_price_impact(graph.edges[path.edges], path.inputs[1], path.outputs[end]),
+        is_optimal = true
+    )
 end
 
 """
@@ -556,12 +551,11 @@ function find_shortest_liquid_path(
     source_idx = graph.nodes[source]
     target_idx = graph.nodes[target]
     
-    queue = Queue{Tuple{Int, Vector{LiquidityEdge{T}}, T}}()
-    enqueue!(queue, (source_idx, LiquidityEdge{T}[], amount))
+    queue = Tuple{Int, Vector{LiquidityEdge{T}}, T}[(source_idx, LiquidityEdge{T}[], amount)]
     visited = Set{Int}()
     
     while !isempty(queue)
-        current_idx, path, remaining = dequeue!(queue)
+        current_idx, path, remaining = popfirst!(queue)
         
         if current_idx == target_idx
             return path
@@ -592,7 +586,7 @@ function find_shortest_liquid_path(
                 if !(next_idx in visited)
                     new_path = vcat(path, [edge])
                     output_amount = compute_output_amount(edge, remaining)
-                    enqueue!(queue, (next_idx, new_path, output_amount))
+                    push!(queue, (next_idx, new_path, output_amount))
                 end
             end
         end
@@ -617,47 +611,70 @@ function estimate_price_impact(segments::Vector{RouteSegment{T}}, amount::T)::T
     return total_fees + (amount / avg_liquidity) * T(0.01)
 end
 
-function flows_to_routes(
-    edges::Vector{LiquidityEdge{T}},
-    flows::Vector{T},
-    transaction::AtomicTransaction{T}
-)::Vector{Route{T}} where T
-    
-    # Group edges by path
-    active_edges = [(edges[i], flows[i]) for i in 1:length(edges) if flows[i] > 1e-6]
-    
-    if isempty(active_edges)
-        return Route{T}[]
+"""
+    executed_output(graph, routes)
+
+Output `routes` would realize against the trading functions of `graph`'s
+pools rather than the output they quote (see `executed_output` for paths).
+Segments on pools missing from the graph keep their quoted rate.
+"""
+function executed_output(graph::LiquidityGraph{T}, routes::Vector{Route{T}})::T where T
+    edge_of(segment) = findfirst(
+        e -> e.pool_address == segment.pool_address && e.from_asset == segment.input_asset &&
+            e.to_asset == segment.output_asset,
+        graph.edges
+    )
+    paths = [
+        FlowPath{T}(
+            [edge_of(s) for s in route.segments],
+            [s.input_amount for s in route.segments],
+            [s.output_amount for s in route.segments]
+        )
+        for route in routes
+    ]
+    return executed_output(graph.edges, paths)
+end
+
+"""
+    benchmark_routers(optimizer, transactions)
+
+Compare the convex router with `find_fast_routes`, alone and split by
+`split_into_multiple_paths`, on each transaction. Routes are scored by
+`executed_output`, so every router is measured against the same trading
+functions. Returns one row per transaction with the output, gas and
+routing time (ms) of each router.
+"""
+function benchmark_routers(
+    optimizer::RouteOptimizer{T},
+    transactions::Vector{AtomicTransaction{T}}
+) where T
+    
+    function timed(route_fn)
+        start_time = time_ns()
+        routes = route_fn()
+        elapsed_ms = (time_ns() - start_time) / 1_000_000
+        return (
+            output = executed_output(optimizer.liquidity_graph, routes),
+            gas = sum((r.total_gas for r in routes); init = zero(T)),
+            paths = length(routes),
+            time_ms = elapsed_ms
+        )
     end
     
-    # Build paths from flow solution
-    # This is simplified - in production would use proper path reconstruction
-    segments = RouteSegment{T}[]
-    
-    for (edge, flow) in active_edges
-        push!(segments, RouteSegment{T}(
-            protocol = edge.protocol,
-            pool_address = edge.pool_address,
-            input_asset = edge.from_asset,
-            output_asset = edge.to_asset,
-            input_amount = flow,
-            output_amount = compute_output_amount(edge, flow),
-            fee_rate = edge.fee_rate,
-            gas_estimate = edge.gas_cost
+    return map(transactions) do transaction
+        source = transaction.input_assets[1].base
+        target = transaction.output_assets[1].base
+        amount = transaction.input_assets[1].amount_base
+        convex = timed(() -> something(
+            find_convex_routes(optimizer.liquidity_graph, source, target; amount_in = amount), Route{T}[]
         ))
+        fast = timed(() -> find_fast_routes(optimizer, transaction))
+        split = timed() do
+            routes = find_fast_routes(optimizer, transaction)
+            isempty(routes) ? routes : split_into_multiple_paths(optimizer, routes[1], transaction)
+        end
+        (transaction_id = transaction.id, amount_in = amount, convex = convex, fast = fast, split = split)
     end
-    
-    total_output = sum(s.output_amount for s in segments if s.output_asset == transaction.output_assets[1].base)
-    
-    route = Route{T}(
-        segments = segments,
-        total_output = total_output,
-        total_gas = sum(s.gas_estimate for s in segments),
-        price_impact = estimate_price_impact(segments, transaction.input_assets[1].amount_base),
-        is_optimal = true
-    )
-    
-    return [route]
 end
 
 function calculate_optimal_splits(amount::T, n_splits::Int)::Vector{T} where T
@@ -736,6 +753,10 @@ function cache_routes!(cache::RouteCache{T}, key::String, routes::Vector{Route{T
             liquidity_snapshot = liquidity_snapshot
         )
         
+        if !haskey(cache.cache, key) && length(cache.cache) >= cache.max_entries
+            oldest = argmin(k -> cache.cache[k].timestamp, collect(keys(cache.cache)))
+            delete!(cache.cache, oldest)
+        end
         cache.cache[key] = cached
     end
 end
@@ -767,6 +788,7 @@ end
 # Export main types and functions
 export RouteOptimizer, LiquidityGraph, PathFinder
 export optimize_routes, find_optimal_routes, find_fast_routes, find_balanced_routes
+export find_convex_routes, edge_amount_out, executed_output, benchmark_routers
 export split_into_multiple_paths, optimize_gas_usage
 
 end # module Routing
\ No newline at end of file
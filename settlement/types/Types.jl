@@ -25,7 +25,7 @@ abstract type AbstractMEVProtection end
 # Core settlement types
 struct AssetPair{T<:Real}
     base::Symbol
-    quote::Symbol
+    quote_asset::Symbol  # `quote` is a keyword
     amount_base::T
     amount_quote::T
 end
@@ -38,7 +38,7 @@ struct PriceQuote{T<:Real}
     source::Symbol
 end
 
-struct RouteSegment{T<:Real}
+Base.@kwdef struct RouteSegment{T<:Real}
     protocol::Symbol
     pool_address::String
     input_asset::Symbol
@@ -49,7 +49,7 @@ struct RouteSegment{T<:Real}
     gas_estimate::T
 end
 
-struct Route{T<:Real}
+Base.@kwdef struct Route{T<:Real}
     segments::Vector{RouteSegment{T}}
     total_output::T
     total_gas::T
@@ -13,10 +13,16 @@ using LinearAlgebra
 using Statistics
 export ElasticSupplySchedule, SupplyPoint, ElasticityType
 export AuctionConfig, Bid, AuctionResult, BidAllocation
+export AbstractBid, ScheduleBid, DemandStep, DemandInterpolation, STEPWISE, PIECEWISE_LINEAR
 export TieBreakingStrategy, StandardTieBreaking, AugmentedTieBreaking
+export PricingRule, MarketClearingPricing, LastAcceptedPricing, FirstRejectedPricing, MidpointPricing
+export PaymentMode, UNIFORM_PRICE, PAY_AS_BID, SPANISH_HYBRID, compare_payment_modes
 export run_auction, find_clearing_price, calculate_supply_at_price
+export demand_at_price, aggregate_demand
+export DemandCurve, ClearingSolution, ClearingLimit, DEMAND_LIMITED, SUPPLY_LIMITED, solve_clearing
 export analyze_bid_shading, calculate_efficiency
 export create_elastic_schedule
+export SupplyFit, SupplyBand, fit_supply_schedule, supply_confidence_band
 
 # Elasticity types for supply curves
 @enum ElasticityType begin
@@ -80,8 +86,44 @@ struct AugmentedTieBreaking <: TieBreakingStrategy
     end
 end
 
+# How winners pay for their allocation
+@enum PaymentMode begin
+    UNIFORM_PRICE   # Every unit at the uniform clearing price
+    PAY_AS_BID      # Discriminatory: every unit at its own bid price
+    SPANISH_HYBRID  # Own bid price, capped at the weighted average accepted price
+end
+
+# Uniform pricing rule: which price in the clearing interval every winner pays
+abstract type PricingRule end
+
+struct MarketClearingPricing <: PricingRule
+    # Exact crossing of demand and supply (default)
+end
+
+struct LastAcceptedPricing <: PricingRule
+    # Lowest accepted bid price (Treasury stop-out rate)
+end
+
+struct FirstRejectedPricing <: PricingRule
+    # Highest rejected bid price, or the reserve when nothing is rejected
+end
+
+struct MidpointPricing <: PricingRule
+    accepted_weight::Float64  # Weight on the last accepted price; the rest goes to the first rejected
+
+    function MidpointPricing(accepted_weight::Float64 = 0.5)
+        if !(0.0 <= accepted_weight <= 1.0)
+            throw(ArgumentError("Accepted weight must be between 0.0 and 1.0"))
+        end
+        new(accepted_weight)
+    end
+end
+
+# Anything that can state a quantity demanded at a price
+abstract type AbstractBid end
+
 # Bid structure
-struct Bid
+struct Bid <: AbstractBid
     bidder_id::String
     quantity::Float64
     price::Float64
@@ -105,9 +147,68 @@ struct Bid
     end
 end
 
+# How demand varies between consecutive steps of a schedule
+@enum DemandInterpolation begin
+    STEPWISE          # Quantity stays constant until the next step price
+    PIECEWISE_LINEAR  # Quantity grows linearly towards the next step price
+end
+
+# One tranche of a demand schedule
+struct DemandStep
+    price::Float64
+    quantity::Float64  # Incremental quantity demanded at this price
+end
+
+# Bid carrying a full downward-sloping demand schedule
+struct ScheduleBid <: AbstractBid
+    bidder_id::String
+    steps::Vector{DemandStep}    # Sorted by price, highest first
+    cumulative::Vector{Float64}  # Cumulative quantity through each step
+    interpolation::DemandInterpolation
+    timestamp::Float64
+    is_marginal::Bool
+
+    function ScheduleBid(
+        bidder_id::String,
+        steps::Vector{DemandStep};
+        interpolation::DemandInterpolation = STEPWISE,
+        timestamp::Float64 = time(),
+        is_marginal::Bool = false,
+    )
+        if isempty(steps)
+            throw(ArgumentError("Demand schedule must contain at least one step"))
+        end
+        for step in steps
+            if step.quantity <= 0
+                throw(ArgumentError("Demand step quantity must be positive"))
+            end
+            if step.price < 0
+                throw(ArgumentError("Demand step price cannot be negative"))
+            end
+        end
+
+        sorted_steps = sort(steps, by = s->s.price, rev = true)
+        for i = 2:length(sorted_steps)
+            if sorted_steps[i].price == sorted_steps[i-1].price
+                throw(ArgumentError("Demand schedule prices must be distinct"))
+            end
+        end
+
+        cumulative = cumsum([s.quantity for s in sorted_steps])
+        new(bidder_id, sorted_steps, cumulative, interpolation, timestamp, is_marginal)
+    end
+end
+
+function ScheduleBid(bidder_id::String, prices::Vector{Float64}, quantities::Vector{Float64}; kwargs...)
+    if length(prices) != length(quantities)
+        throw(ArgumentError("Prices and quantities must have the same length"))
+    end
+    return ScheduleBid(bidder_id, [DemandStep(p, q) for (p, q) in zip(prices, quantities)]; kwargs...)
+end
+
 # Bid allocation result
 struct BidAllocation
-    bid::Bid
+    bid::AbstractBid
     allocated_quantity::Float64
     payment::Float64
 end
@@ -116,6 +217,8 @@ end
 struct AuctionConfig
     supply_schedule::ElasticSupplySchedule
     tie_breaking::TieBreakingStrategy
+    pricing_rule::PricingRule
+    payment_mode::PaymentMode
     reserve_price::Float64
     max_bids_per_bidder::Int
     min_bid_increment::Float64
@@ -124,18 +227,46 @@ struct AuctionConfig
     function AuctionConfig(;
         supply_schedule::ElasticSupplySchedule,
         tie_breaking::TieBreakingStrategy = StandardTieBreaking(),
+        pricing_rule::PricingRule = MarketClearingPricing(),
+        payment_mode::PaymentMode = UNIFORM_PRICE,
         reserve_price::Float64 = 0.0,
         max_bids_per_bidder::Int = 100,
         min_bid_increment::Float64 = 0.01,
         allow_partial_fills::Bool = true,
     )
-        new(supply_schedule, tie_breaking, reserve_price, max_bids_per_bidder, min_bid_increment, allow_partial_fills)
+        new(
+            supply_schedule,
+            tie_breaking,
+            pricing_rule,
+            payment_mode,
+            reserve_price,
+            max_bids_per_bidder,
+            min_bid_increment,
+            allow_partial_fills,
+        )
     end
 end
 
+# Which side of the market determined the clearing point
+@enum ClearingLimit begin
+    DEMAND_LIMITED  # All demand at the clearing price is filled; price set on the supply curve
+    SUPPLY_LIMITED  # Supply runs out at a bid price; demand at that price is rationed
+end
+
+# Exact crossing of aggregated demand and the supply schedule
+struct ClearingSolution
+    price::Float64
+    demand::Float64  # Aggregate demand at the clearing price
+    supply::Float64  # Supply available at the clearing price
+    limit::ClearingLimit
+end
+
 # Auction result
 struct AuctionResult
-    clearing_price::Float64
+    clearing_price::Float64  # Uniform price, as set by `pricing_rule`
+    clearing_limit::ClearingLimit
+    pricing_rule::PricingRule
+    payment_mode::PaymentMode
     allocations::Vector{BidAllocation}
     total_quantity::Float64
     total_revenue::Float64
@@ -156,122 +287,402 @@ end
         return schedule.points[end].quantity
     end
 
-    # Interpolate between points
-    for i = 2:length(schedule.points)
-        if price <= schedule.points[i].price
-            prev = schedule.points[i-1]
-            curr = schedule.points[i]
+    # Interpolate between the points bracketing the price
+    i = _supply_segment(schedule, price)
+    if i == 0
+        return schedule.points[end].quantity
+    end
 
-            # Linear interpolation with elasticity adjustment
-            t = (price - prev.price) / (curr.price - prev.price)
+    prev = schedule.points[i-1]
+    curr = schedule.points[i]
 
-            if schedule.elasticity_type == EXPONENTIAL
-                # Exponential growth between points
-                α = log(curr.quantity / prev.quantity) / (curr.price - prev.price)
-                return prev.quantity * exp(α * (price - prev.price))
+    # Linear interpolation with elasticity adjustment
+    t = (price - prev.price) / (curr.price - prev.price)
 
-            elseif schedule.elasticity_type == LOGARITHMIC
-                # Logarithmic growth (slower)
-                return prev.quantity + (curr.quantity - prev.quantity) * log(1 + t) / log(2)
+    if schedule.elasticity_type == EXPONENTIAL
+        # Exponential growth between points
+        α = log(curr.quantity / prev.quantity) / (curr.price - prev.price)
+        return prev.quantity * exp(α * (price - prev.price))
 
-            else  # LINEAR
-                return prev.quantity + t * (curr.quantity - prev.quantity)
-            end
-        end
+    elseif schedule.elasticity_type == LOGARITHMIC
+        # Logarithmic growth (slower)
+        return prev.quantity + (curr.quantity - prev.quantity) * log(1 + t) / log(2)
+
+    else  # LINEAR
+        return prev.quantity + t * (curr.quantity - prev.quantity)
     end
+end
 
-    return schedule.points[end].quantity
+# Index of the upper point of the supply segment interpolated at `price`, or 0 past the last point
+@inline function _supply_segment(schedule::ElasticSupplySchedule, price::Float64)::Int
+    n = length(schedule.points)
+    i = searchsortedfirst(schedule.points, SupplyPoint(price, 0.0, 0.0), by = p->p.price)
+    return (n < 2 || i > n) ? 0 : max(i, 2)
 end
 
-# Find clearing price where demand meets supply
-@inline function find_clearing_price(bids::Vector{Bid}, config::AuctionConfig)::Float64
-    if isempty(bids)
-        return config.reserve_price
+# Price at which one supply segment reaches `quantity` (inverse of the interpolation above)
+function _price_for_supply(schedule::ElasticSupplySchedule, segment::Int, quantity::Float64)::Float64
+    prev = schedule.points[segment-1]
+    curr = schedule.points[segment]
+    Δq = curr.quantity - prev.quantity
+    if Δq <= 0
+        return prev.price
+    end
+
+    t = if schedule.elasticity_type == EXPONENTIAL
+        log(quantity / prev.quantity) / log(curr.quantity / prev.quantity)
+    elseif schedule.elasticity_type == LOGARITHMIC
+        2^((quantity - prev.quantity) / Δq) - 1
+    else  # LINEAR
+        (quantity - prev.quantity) / Δq
     end
 
-    # Sort bids by price descending
-    sorted_bids = sort(bids, by = b->b.price, rev = true)
+    return prev.price + t * (curr.price - prev.price)
+end
 
-    # Binary search for clearing price
-    min_price = max(config.reserve_price, config.supply_schedule.price_floor)
-    max_price = min(sorted_bids[1].price, config.supply_schedule.price_ceiling)
+# Highest price at which a bid demands any quantity
+bid_top_price(bid::Bid)::Float64 = bid.price
+bid_top_price(bid::ScheduleBid)::Float64 = bid.steps[1].price
 
-    # Check if there's any feasible price
-    total_demand = sum(b.quantity for b in sorted_bids)
-    max_supply = calculate_supply_at_price(config.supply_schedule, max_price)
+# Total quantity a bid can absorb
+bid_total_quantity(bid::Bid)::Float64 = bid.quantity
+bid_total_quantity(bid::ScheduleBid)::Float64 = bid.cumulative[end]
 
-    if total_demand <= 0 || max_supply <= 0
-        return config.reserve_price
+# Number of schedule steps priced at or above (or strictly above) a price
+@inline _steps_at_or_above(bid::ScheduleBid, price::Float64)::Int =
+    searchsortedlast(bid.steps, DemandStep(price, 0.0), by = s->s.price, rev = true)
+@inline _steps_above(bid::ScheduleBid, price::Float64)::Int =
+    searchsortedfirst(bid.steps, DemandStep(price, 0.0), by = s->s.price, rev = true) - 1
+
+"""
+    demand_at_price(bid, price)
+
+Quantity a bid demands when the uniform price is `price`. Demand at a step's
+own price includes that step, so bids priced exactly at clearing count as demand.
+"""
+@inline demand_at_price(bid::Bid, price::Float64)::Float64 = bid.price >= price ? bid.quantity : 0.0
+
+function demand_at_price(bid::ScheduleBid, price::Float64)::Float64
+    k = _steps_at_or_above(bid, price)
+    if k == 0
+        return 0.0
+    elseif bid.interpolation == STEPWISE || k == length(bid.steps)
+        return bid.cumulative[k]
+    end
+
+    # Linear segment running from step k down to step k+1
+    upper = bid.steps[k]
+    lower = bid.steps[k+1]
+    t = (upper.price - price) / (upper.price - lower.price)
+    return bid.cumulative[k] + t * lower.quantity
+end
+
+# Quantity demanded at prices strictly above `price` (the part of a bid that is not tied)
+@inline demand_above_price(bid::Bid, price::Float64)::Float64 = bid.price > price ? bid.quantity : 0.0
+
+function demand_above_price(bid::ScheduleBid, price::Float64)::Float64
+    if bid.interpolation == PIECEWISE_LINEAR
+        # Linear demand is continuous below the top step
+        return price >= bid_top_price(bid) ? 0.0 : demand_at_price(bid, price)
     end
+    k = _steps_above(bid, price)
+    return k == 0 ? 0.0 : bid.cumulative[k]
+end
 
-    # Binary search with Newton-Raphson refinement
-    clearing_price = min_price
-    tolerance = config.min_bid_increment / 10
-    max_iterations = 100
+"""
+    aggregate_demand(bids, price)
 
-    for iter = 1:max_iterations
-        mid_price = (min_price + max_price) / 2
+Total quantity demanded across all bids at `price`.
+"""
+function aggregate_demand(bids::AbstractVector{<:AbstractBid}, price::Float64)::Float64
+    return sum(b->demand_at_price(b, price), bids; init = 0.0)
+end
 
-        # Calculate demand at mid_price
-        demand = sum(b.quantity for b in sorted_bids if b.price >= mid_price)
+# Stated value of the first `quantity` units of a bid (area under its demand curve)
+bid_value(bid::Bid, quantity::Float64)::Float64 = bid.price * min(quantity, bid.quantity)
 
-        # Calculate supply at mid_price
-        supply = calculate_supply_at_price(config.supply_schedule, mid_price)
+function bid_value(bid::ScheduleBid, quantity::Float64)::Float64
+    value = 0.0
+    remaining = quantity
 
-        excess = demand - supply
+    for (i, step) in enumerate(bid.steps)
+        remaining <= 0 && break
+        take = min(remaining, step.quantity)
 
-        if abs(excess) < tolerance
-            clearing_price = mid_price
-            break
-        elseif excess > 0
-            # Demand exceeds supply, increase price
-            min_price = mid_price
+        if bid.interpolation == STEPWISE || i == 1
+            value += step.price * take
+        else
+            # Units on a linear segment are priced down from the previous step
+            prev_price = bid.steps[i-1].price
+            slope = (prev_price - step.price) / step.quantity
+            value += take * (prev_price - slope * take / 2)
+        end
+        remaining -= take
+    end
+
+    return value
+end
+
+# Quantity-weighted average price across a bid's whole schedule
+_average_bid_price(bid::AbstractBid)::Float64 = bid_value(bid, bid_total_quantity(bid)) / bid_total_quantity(bid)
+
+# Breakpoint of the aggregated demand curve
+struct DemandEvent
+    price::Float64
+    jump::Float64   # Quantity added exactly at this price (step demand)
+    slope::Float64  # Change in dQ/d(-p) for prices below this point (linear demand)
+end
+
+_push_demand_events!(events::Vector{DemandEvent}, bid::Bid) = push!(events, DemandEvent(bid.price, bid.quantity, 0.0))
+
+function _push_demand_events!(events::Vector{DemandEvent}, bid::ScheduleBid)
+    for (i, step) in enumerate(bid.steps)
+        if bid.interpolation == STEPWISE || i == 1
+            push!(events, DemandEvent(step.price, step.quantity, 0.0))
         else
-            # Supply exceeds demand, decrease price
-            max_price = mid_price
+            prev_price = bid.steps[i-1].price
+            rate = step.quantity / (prev_price - step.price)
+            push!(events, DemandEvent(prev_price, 0.0, rate))
+            push!(events, DemandEvent(step.price, 0.0, -rate))
         end
+    end
+    return events
+end
 
-        clearing_price = mid_price
+# All demand breakpoints, sorted by price from highest to lowest
+function _demand_events(bids::AbstractVector{<:AbstractBid})::Vector{DemandEvent}
+    events = DemandEvent[]
+    for bid in bids
+        _push_demand_events!(events, bid)
     end
+    return sort!(events, by = e->e.price, rev = true)
+end
 
-    return clearing_price
+# ∫₀ʷ min(demand + slope·x, cap) dx for a demand segment rising linearly as price falls
+function _integrate_capped(demand::Float64, slope::Float64, width::Float64, cap::Float64)::Float64
+    if slope <= 0 || demand + slope * width <= cap
+        return width * demand + slope * width^2 / 2
+    end
+    x = (cap - demand) / slope
+    return x * demand + slope * x^2 / 2 + (width - x) * cap
 end
 
-# Resolve tie-breaking at clearing price
-function resolve_ties(
-    bids_at_clearing::Vector{Bid},
-    available_quantity::Float64,
-    strategy::StandardTieBreaking,
-)::Vector{Bid}
-    # Standard: highest timestamp first (earliest bids)
-    sorted = sort(bids_at_clearing, by = b->b.timestamp)
+# Highest total value `quantity` units could generate if they went to the highest marginal values
+function _max_attainable_value(bids::AbstractVector{<:AbstractBid}, quantity::Float64)::Float64
+    events = _demand_events(bids)
+    if isempty(events) || quantity <= 0
+        return 0.0
+    end
 
-    allocated = Bid[]
-    remaining = available_quantity
+    # Value = ∫ min(D(p), quantity) dp, swept from the top price downwards
+    value = 0.0
+    demand = 0.0
+    slope = 0.0
+    prev_price = events[1].price
+
+    for event in events
+        width = prev_price - event.price
+        value += _integrate_capped(demand, slope, width, quantity)
+        demand += slope * width + event.jump
+        slope += event.slope
+        prev_price = event.price
+
+        if demand >= quantity
+            return value + quantity * event.price
+        end
+    end
 
-    for bid in sorted
-        if remaining >= bid.quantity
-            push!(allocated, bid)
-            remaining -= bid.quantity
-        elseif remaining > 0
-            # Partial fill
-            partial_bid =
-                Bid(bid.bidder_id, remaining, bid.price, timestamp = bid.timestamp, is_marginal = bid.is_marginal)
-            push!(allocated, partial_bid)
-            break
+    return value + demand * prev_price
+end
+
+# Aggregated demand curve indexed by breakpoint for O(log n) evaluation
+struct DemandCurve
+    prices::Vector{Float64}  # Distinct breakpoint prices, highest first
+    demand::Vector{Float64}  # Aggregate demand at each breakpoint, steps at it included
+    slope::Vector{Float64}   # Rate dQ/d(-p) just below each breakpoint
+end
+
+function DemandCurve(bids::AbstractVector{<:AbstractBid})
+    prices = Float64[]
+    demand = Float64[]
+    slope = Float64[]
+    current_demand = 0.0
+    current_slope = 0.0
+
+    for event in _demand_events(bids)
+        if isempty(prices) || event.price < prices[end]
+            if !isempty(prices)
+                current_demand += current_slope * (prices[end] - event.price)
+            end
+            push!(prices, event.price)
+            push!(demand, current_demand)
+            push!(slope, current_slope)
+        end
+        current_demand += event.jump
+        current_slope += event.slope
+        demand[end] = current_demand
+        slope[end] = max(current_slope, 0.0)
+    end
+
+    return DemandCurve(prices, demand, slope)
+end
+
+function aggregate_demand(curve::DemandCurve, price::Float64)::Float64
+    k = searchsortedlast(curve.prices, price, rev = true)
+    return k == 0 ? 0.0 : curve.demand[k] + curve.slope[k] * (curve.prices[k] - price)
+end
+
+function demand_above_price(curve::DemandCurve, price::Float64)::Float64
+    k = searchsortedfirst(curve.prices, price, rev = true) - 1
+    return k == 0 ? 0.0 : curve.demand[k] + curve.slope[k] * (curve.prices[k] - price)
+end
+
+# Demand and supply at a price, classified by which side is left over
+function _clearing_at(curve::DemandCurve, schedule::ElasticSupplySchedule, price::Float64)::ClearingSolution
+    demand = aggregate_demand(curve, price)
+    supply = calculate_supply_at_price(schedule, price)
+    limit = demand > supply ? SUPPLY_LIMITED : DEMAND_LIMITED
+    return ClearingSolution(price, demand, supply, limit)
+end
+
+"""
+    solve_clearing(bids, config)
+    solve_clearing(curve::DemandCurve, config)
+
+Find the exact clearing point: the highest admissible price at which aggregate
+demand still covers supply. The demand breakpoints and the supply schedule's
+`SupplyPoint` kinks are binary-searched for the interval where excess demand
+changes sign, so once the `DemandCurve` is built a solve is O(log n · log m).
+
+A crossing on a demand step clears at that bid price and is `SUPPLY_LIMITED`;
+a crossing between steps is solved on the supply curve and is `DEMAND_LIMITED`.
+"""
+solve_clearing(bids::AbstractVector{<:AbstractBid}, config::AuctionConfig)::ClearingSolution =
+    solve_clearing(DemandCurve(bids), config)
+
+function solve_clearing(curve::DemandCurve, config::AuctionConfig)::ClearingSolution
+    schedule = config.supply_schedule
+    if isempty(curve.prices)
+        return _clearing_at(curve, schedule, config.reserve_price)
+    end
+
+    min_price = max(config.reserve_price, schedule.price_floor)
+    max_price = min(curve.prices[1], schedule.price_ceiling)
+
+    if max_price < min_price || calculate_supply_at_price(schedule, max_price) <= 0
+        return _clearing_at(curve, schedule, config.reserve_price)
+    end
+
+    excess(p) = aggregate_demand(curve, p) - calculate_supply_at_price(schedule, p)
+
+    # Demand covers supply even at the highest admissible price
+    if excess(max_price) >= 0
+        return _clearing_at(curve, schedule, max_price)
+    end
+
+    # Supply exceeds demand even at the lowest admissible price
+    if excess(min_price) < 0
+        return _clearing_at(curve, schedule, min_price)
+    end
+
+    # First breakpoint (walking down from max_price) where demand covers supply
+    first_in = searchsortedfirst(curve.prices, max_price, rev = true)
+    last_in = searchsortedlast(curve.prices, min_price, rev = true)
+    lo, hi = first_in, last_in + 1
+    while lo < hi
+        mid = (lo + hi) >>> 1
+        if excess(curve.prices[mid]) >= 0
+            hi = mid
         else
-            break
+            lo = mid + 1
         end
     end
 
-    return allocated
+    lower = lo <= last_in ? curve.prices[lo] : min_price
+    upper = lo > first_in ? curve.prices[lo-1] : max_price
+
+    # Demand falls short just above `lower`: the crossing is the demand step itself
+    if demand_above_price(curve, lower) <= calculate_supply_at_price(schedule, lower)
+        return _clearing_at(curve, schedule, lower)
+    end
+
+    price = _interior_crossing(curve, schedule, lower, upper)
+    demand = aggregate_demand(curve, price)
+
+    # Every unit demanded is filled; absorb rounding from inverting the supply curve
+    supply = max(calculate_supply_at_price(schedule, price), demand)
+    return ClearingSolution(price, demand, supply, DEMAND_LIMITED)
 end
 
-function resolve_ties(
-    bids_at_clearing::Vector{Bid},
-    available_quantity::Float64,
-    strategy::AugmentedTieBreaking,
-)::Vector{Bid}
+# Crossing strictly between two demand breakpoints, where demand is linear in price
+function _interior_crossing(
+    curve::DemandCurve,
+    schedule::ElasticSupplySchedule,
+    lower::Float64,
+    upper::Float64,
+)::Float64
+    k = searchsortedlast(curve.prices, upper, rev = true)
+    demand_upper = curve.demand[k] + curve.slope[k] * (curve.prices[k] - upper)
+    demand_slope = curve.slope[k]
+    linear_demand(p) = demand_upper + demand_slope * (upper - p)
+    excess(p) = linear_demand(p) - calculate_supply_at_price(schedule, p)
+
+    # Narrow to the supply segment containing the crossing
+    points = schedule.points
+    first_kink = searchsortedlast(points, SupplyPoint(lower, 0.0, 0.0), by = p->p.price) + 1
+    last_kink = searchsortedfirst(points, SupplyPoint(upper, 0.0, 0.0), by = p->p.price) - 1
+    lo, hi = first_kink, last_kink + 1
+    while lo < hi
+        mid = (lo + hi) >>> 1
+        if excess(points[mid].price) < 0
+            hi = mid
+        else
+            lo = mid + 1
+        end
+    end
+    a = lo > first_kink ? points[lo-1].price : lower
+    b = lo <= last_kink ? points[lo].price : upper
+
+    # Closed forms where the segment is a single smooth piece of the schedule
+    segment = _supply_segment(schedule, b)
+    if segment > 0 && points[segment-1].price <= a && b < schedule.price_ceiling
+        if demand_slope == 0
+            return clamp(_price_for_supply(schedule, segment, demand_upper), a, b)
+        elseif schedule.elasticity_type == LINEAR
+            ea = excess(a)
+            eb = excess(b)
+            return clamp(a + ea / (ea - eb) * (b - a), a, b)
+        end
+    end
+
+    # Otherwise excess demand is monotone on [a, b]: bisect to machine precision
+    for _ = 1:200
+        mid = (a + b) / 2
+        (mid <= a || mid >= b) && break
+        if excess(mid) >= 0
+            a = mid
+        else
+            b = mid
+        end
+    end
+    return a
+end
+
+# Find clearing price where demand meets supply
+@inline function find_clearing_price(bids::AbstractVector{<:AbstractBid}, config::AuctionConfig)::Float64
+    if isempty(bids)
+        return config.reserve_price
+    end
+    return solve_clearing(bids, config).price
+end
+
+# Order in which tied bids are served under each strategy
+function tie_order(bids_at_clearing::Vector{Bid}, strategy::StandardTieBreaking)::Vector{Int}
+    # Standard: earliest bids first
+    return sortperm(bids_at_clearing, by = b->b.timestamp)
+end
+
+function tie_order(bids_at_clearing::Vector{Bid}, strategy::AugmentedTieBreaking)::Vector{Int}
     # Augmented: Create composite score for tie-breaking
     scores = Float64[]
 
@@ -291,19 +702,24 @@ function resolve_ties(
         push!(scores, total_score)
     end
 
-    # Sort by composite score
-    sorted_indices = sortperm(scores, rev = true)
-    sorted_bids = bids_at_clearing[sorted_indices]
+    return sortperm(scores, rev = true)
+end
 
+# Resolve tie-breaking at clearing price
+function resolve_ties(
+    bids_at_clearing::Vector{Bid},
+    available_quantity::Float64,
+    strategy::TieBreakingStrategy,
+)::Vector{Bid}
     allocated = Bid[]
     remaining = available_quantity
 
-    for bid in sorted_bids
+    for bid in bids_at_clearing[tie_order(bids_at_clearing, strategy)]
         if remaining >= bid.quantity
             push!(allocated, bid)
             remaining -= bid.quantity
-        elseif remaining > 0 && strategy isa AugmentedTieBreaking
-            # Allow partial fills in augmented mode
+        elseif remaining > 0
+            # Partial fill
             partial_bid =
                 Bid(bid.bidder_id, remaining, bid.price, timestamp = bid.timestamp, is_marginal = bid.is_marginal)
             push!(allocated, partial_bid)
@@ -317,22 +733,26 @@ function resolve_ties(
 end
 
 # Main auction execution
-function run_auction(bids::Vector{Bid}, config::AuctionConfig)::AuctionResult
+function run_auction(bids::AbstractVector{<:AbstractBid}, config::AuctionConfig)::AuctionResult
     start_time = time()
 
     # Validate bids
     validated_bids = validate_bids(bids, config)
 
     if isempty(validated_bids)
-        return _create_empty_result(config.reserve_price, start_time)
+        return _create_empty_result(config, start_time)
     end
 
     # Find clearing price and available supply
-    clearing_price = find_clearing_price(validated_bids, config)
-    available_supply = calculate_supply_at_price(config.supply_schedule, clearing_price)
+    clearing = solve_clearing(validated_bids, config)
+    available_supply = clearing.supply
 
     # Perform allocation
-    allocations, num_tie_breaks = _perform_allocation(validated_bids, clearing_price, available_supply, config)
+    allocations, num_tie_breaks = _perform_allocation(validated_bids, clearing.price, available_supply, config)
+
+    # Set the uniform price, then charge winners under the payment mode
+    clearing_price = _apply_pricing_rule(config.pricing_rule, clearing.price, allocations, validated_bids, config)
+    allocations = _settle_payments(allocations, clearing_price, config.payment_mode)
 
     # Calculate final metrics
     result_metrics = _calculate_auction_metrics(allocations, validated_bids, clearing_price, available_supply)
@@ -341,6 +761,9 @@ function run_auction(bids::Vector{Bid}, config::AuctionConfig)::AuctionResult
 
     return AuctionResult(
         clearing_price,
+        clearing.limit,
+        config.pricing_rule,
+        config.payment_mode,
         allocations,
         result_metrics.total_quantity,
         result_metrics.total_revenue,
@@ -353,29 +776,129 @@ function run_auction(bids::Vector{Bid}, config::AuctionConfig)::AuctionResult
 end
 
 """
-    _create_empty_result(reserve_price, start_time)
+    _create_empty_result(config, start_time)
 
 Create an empty auction result when no valid bids are available.
 
 # Arguments
-- `reserve_price::Float64`: The auction reserve price
+- `config::AuctionConfig`: Auction configuration (reserve price, pricing rule, payment mode)
 - `start_time::Float64`: Auction start timestamp for calculating execution time
 
 # Returns
 - `AuctionResult`: Empty result with zero allocations and metrics
 """
-function _create_empty_result(reserve_price::Float64, start_time::Float64)::AuctionResult
+function _create_empty_result(config::AuctionConfig, start_time::Float64)::AuctionResult
     execution_time_ms = (time() - start_time) * 1000
-    return AuctionResult(reserve_price, BidAllocation[], 0.0, 0.0, 0.0, 0.0, 0.0, 0, execution_time_ms)
+    return AuctionResult(
+        config.reserve_price,
+        DEMAND_LIMITED,
+        config.pricing_rule,
+        config.payment_mode,
+        BidAllocation[],
+        0.0,
+        0.0,
+        0.0,
+        0.0,
+        0.0,
+        0,
+        execution_time_ms,
+    )
+end
+
+# Price of the last unit among the first `quantity` units of a bid's schedule;
+# with `after = true`, the price of the next unit instead
+_unit_price(bid::Bid, quantity::Float64; after::Bool = false)::Float64 = bid.price
+
+function _unit_price(bid::ScheduleBid, quantity::Float64; after::Bool = false)::Float64
+    k = after ? searchsortedlast(bid.cumulative, quantity) + 1 : searchsortedfirst(bid.cumulative, quantity)
+    k = clamp(k, 1, length(bid.steps))
+    if bid.interpolation == STEPWISE || k == 1
+        return bid.steps[k].price
+    end
+
+    # Walk down the linear segment from the previous step
+    prev_price = bid.steps[k-1].price
+    step = bid.steps[k]
+    x = quantity - bid.cumulative[k-1]
+    return prev_price - (prev_price - step.price) * x / step.quantity
+end
+
+"""
+    _acceptance_bounds(allocations, validated_bids, clearing_price)
+
+Lowest accepted and highest rejected unit prices around the clearing point.
+
+# Arguments
+- `allocations::Vector{BidAllocation}`: Allocations made at the clearing price
+- `validated_bids::AbstractVector{<:AbstractBid}`: Bids that took part in clearing
+- `clearing_price::Float64`: Fallback when one side has no units
+
+# Returns
+- `Tuple{Float64, Union{Float64, Nothing}}`: (last accepted price, first rejected price or `nothing`)
+"""
+function _acceptance_bounds(
+    allocations::Vector{BidAllocation},
+    validated_bids::AbstractVector{<:AbstractBid},
+    clearing_price::Float64,
+)::Tuple{Float64,Union{Float64,Nothing}}
+    allocated = IdDict{AbstractBid,Float64}(a.bid => a.allocated_quantity for a in allocations)
+
+    last_accepted = Inf
+    first_rejected = nothing
+
+    for bid in validated_bids
+        quantity = get(allocated, bid, 0.0)
+        if quantity > 0
+            last_accepted = min(last_accepted, _unit_price(bid, quantity))
+        end
+        if quantity < bid_total_quantity(bid)
+            rejected = _unit_price(bid, quantity, after = true)
+            first_rejected = first_rejected === nothing ? rejected : max(first_rejected, rejected)
+        end
+    end
+
+    return (isfinite(last_accepted) ? last_accepted : clearing_price), first_rejected
+end
+
+# Uniform price charged under each pricing rule
+_apply_pricing_rule(
+    rule::MarketClearingPricing,
+    clearing_price::Float64,
+    allocations::Vector{BidAllocation},
+    validated_bids::AbstractVector{<:AbstractBid},
+    config::AuctionConfig,
+)::Float64 = clearing_price
+
+function _apply_pricing_rule(
+    rule::PricingRule,
+    clearing_price::Float64,
+    allocations::Vector{BidAllocation},
+    validated_bids::AbstractVector{<:AbstractBid},
+    config::AuctionConfig,
+)::Float64
+    last_accepted, first_rejected = _acceptance_bounds(allocations, validated_bids, clearing_price)
+
+    # Without rejected demand the lowest admissible price stands in for the first rejected bid
+    min_price = max(config.reserve_price, config.supply_schedule.price_floor)
+    first_rejected = first_rejected === nothing ? min_price : clamp(first_rejected, min_price, last_accepted)
+
+    return _rule_price(rule, last_accepted, first_rejected)
 end
 
+_rule_price(::LastAcceptedPricing, last_accepted::Float64, first_rejected::Float64)::Float64 = last_accepted
+_rule_price(::FirstRejectedPricing, last_accepted::Float64, first_rejected::Float64)::Float64 = first_rejected
+_rule_price(rule::MidpointPricing, last_accepted::Float64, first_rejected::Float64)::Float64 =
+    rule.accepted_weight * last_accepted + (1 - rule.accepted_weight) * first_rejected
+
 """
     _perform_allocation(validated_bids, clearing_price, available_supply, config)
 
-Perform bid allocation with tie-breaking for an auction.
+Perform bid allocation with tie-breaking for an auction. Each bid's demand at the
+clearing price is split into the part bid strictly above clearing, which is served
+first, and the part bid exactly at clearing, which goes through tie-breaking.
 
 # Arguments
-- `validated_bids::Vector{Bid}`: Valid bids to process
+- `validated_bids::AbstractVector{<:AbstractBid}`: Valid bids to process
 - `clearing_price::Float64`: The auction clearing price
 - `available_supply::Float64`: Total supply available for allocation  
 - `config::AuctionConfig`: Auction configuration settings
@@ -384,57 +907,62 @@ Perform bid allocation with tie-breaking for an auction.
 - `Tuple{Vector{BidAllocation}, Int}`: (allocations, number of tie-breaks)
 """
 function _perform_allocation(
-    validated_bids::Vector{Bid},
+    validated_bids::AbstractVector{<:AbstractBid},
     clearing_price::Float64,
     available_supply::Float64,
     config::AuctionConfig,
 )::Tuple{Vector{BidAllocation},Int}
-    # Separate bids above, at, and below clearing
-    bids_above = Bid[b for b in validated_bids if b.price > clearing_price]
-    bids_at = Bid[b for b in validated_bids if b.price == clearing_price]
+    # Separate each bid's demand above and at clearing
+    firm_quantities = Float64[demand_above_price(b, clearing_price) for b in validated_bids]
+    tied_quantities = Float64[
+        demand_at_price(b, clearing_price) - firm_quantities[i] for (i, b) in enumerate(validated_bids)
+    ]
 
-    allocations = BidAllocation[]
+    allocated = zeros(Float64, length(validated_bids))
     remaining_supply = available_supply
 
-    # Allocate to bids above clearing first
-    remaining_supply = _allocate_above_clearing(allocations, bids_above, clearing_price, remaining_supply, config)
+    # Allocate to demand above clearing first
+    remaining_supply = _allocate_above_clearing!(allocated, firm_quantities, remaining_supply, config)
 
-    # Handle tie-breaking for bids at clearing price
-    num_tie_breaks = _handle_ties(allocations, bids_at, clearing_price, remaining_supply, config)
+    # Handle tie-breaking for demand at clearing price
+    num_tie_breaks =
+        _handle_ties!(allocated, validated_bids, tied_quantities, clearing_price, remaining_supply, config)
+
+    allocations = BidAllocation[
+        BidAllocation(bid, allocated[i], clearing_price * allocated[i]) for
+        (i, bid) in enumerate(validated_bids) if allocated[i] > 0
+    ]
 
     return allocations, num_tie_breaks
 end
 
 """
-    _allocate_above_clearing(allocations, bids_above, clearing_price, remaining_supply, config)
+    _allocate_above_clearing!(allocated, firm_quantities, remaining_supply, config)
 
-Allocate supply to bids above the clearing price.
+Allocate supply to demand bid strictly above the clearing price.
 
 # Arguments
-- `allocations::Vector{BidAllocation}`: Allocation results to append to
-- `bids_above::Vector{Bid}`: Bids with price above clearing price
-- `clearing_price::Float64`: The auction clearing price
+- `allocated::Vector{Float64}`: Per-bid allocated quantities to add to
+- `firm_quantities::Vector{Float64}`: Per-bid quantity demanded above clearing price
 - `remaining_supply::Float64`: Supply remaining for allocation
 - `config::AuctionConfig`: Auction configuration for partial fills
 
 # Returns
 - `Float64`: Supply remaining after allocation
 """
-function _allocate_above_clearing(
-    allocations::Vector{BidAllocation},
-    bids_above::Vector{Bid},
-    clearing_price::Float64,
+function _allocate_above_clearing!(
+    allocated::Vector{Float64},
+    firm_quantities::Vector{Float64},
     remaining_supply::Float64,
     config::AuctionConfig,
 )::Float64
-    for bid in bids_above
-        if remaining_supply >= bid.quantity
-            allocation = BidAllocation(bid, bid.quantity, clearing_price * bid.quantity)
-            push!(allocations, allocation)
-            remaining_supply -= bid.quantity
+    for (i, quantity) in enumerate(firm_quantities)
+        quantity <= 0 && continue
+        if remaining_supply >= quantity
+            allocated[i] += quantity
+            remaining_supply -= quantity
         elseif remaining_supply > 0 && config.allow_partial_fills
-            allocation = BidAllocation(bid, remaining_supply, clearing_price * remaining_supply)
-            push!(allocations, allocation)
+            allocated[i] += remaining_supply
             remaining_supply = 0.0
             break
         end
@@ -442,31 +970,43 @@ function _allocate_above_clearing(
     return remaining_supply
 end
 
-function _handle_ties(
-    allocations::Vector{BidAllocation},
-    bids_at::Vector{Bid},
+function _handle_ties!(
+    allocated::Vector{Float64},
+    validated_bids::AbstractVector{<:AbstractBid},
+    tied_quantities::Vector{Float64},
     clearing_price::Float64,
     remaining_supply::Float64,
     config::AuctionConfig,
 )::Int
-    if remaining_supply <= 0 || isempty(bids_at)
+    tied_indices = [i for i in eachindex(tied_quantities) if tied_quantities[i] > 0]
+    if remaining_supply <= 0 || isempty(tied_indices)
         return 0
     end
 
-    num_tie_breaks = length(bids_at)
-    tied_winners = resolve_ties(bids_at, remaining_supply, config.tie_breaking)
-
-    for bid in tied_winners
-        allocation = BidAllocation(bid, bid.quantity, clearing_price * bid.quantity)
-        push!(allocations, allocation)
+    # Rank the tied tranches as point bids at the clearing price
+    tranches = Bid[
+        Bid(
+            validated_bids[i].bidder_id,
+            tied_quantities[i],
+            clearing_price,
+            timestamp = validated_bids[i].timestamp,
+            is_marginal = validated_bids[i].is_marginal,
+        ) for i in tied_indices
+    ]
+
+    for j in tie_order(tranches, config.tie_breaking)
+        remaining_supply <= 0 && break
+        fill = min(remaining_supply, tranches[j].quantity)
+        allocated[tied_indices[j]] += fill
+        remaining_supply -= fill
     end
 
-    return num_tie_breaks
+    return length(tied_indices)
 end
 
 function _calculate_auction_metrics(
     allocations::Vector{BidAllocation},
-    validated_bids::Vector{Bid},
+    validated_bids::AbstractVector{<:AbstractBid},
     clearing_price::Float64,
     available_supply::Float64,
 )::NamedTuple{
@@ -488,14 +1028,105 @@ function _calculate_auction_metrics(
     )
 end
 
+# Stated value of the first `quantity` units of a bid with every unit price capped at `cap`
+_capped_bid_value(bid::Bid, quantity::Float64, cap::Float64)::Float64 = min(bid.price, cap) * min(quantity, bid.quantity)
+
+function _capped_bid_value(bid::ScheduleBid, quantity::Float64, cap::Float64)::Float64
+    value = 0.0
+    remaining = quantity
+
+    for (i, step) in enumerate(bid.steps)
+        remaining <= 0 && break
+        take = min(remaining, step.quantity)
+
+        if bid.interpolation == STEPWISE || i == 1
+            value += min(step.price, cap) * take
+        else
+            # Units priced above the cap pay the cap, the rest of the segment its own price
+            prev_price = bid.steps[i-1].price
+            slope = (prev_price - step.price) / step.quantity
+            above = prev_price > cap ? min(take, (prev_price - cap) / slope) : 0.0
+            value += cap * above
+            value += (take - above) * (prev_price - slope * (above + take) / 2)
+        end
+        remaining -= take
+    end
+
+    return value
+end
+
+"""
+    _settle_payments(allocations, clearing_price, mode)
+
+Fill each allocation's payment under a payment mode. Quantities are untouched, so
+results from different modes differ only in payments and revenue.
+
+# Arguments
+- `allocations::Vector{BidAllocation}`: Allocations from clearing
+- `clearing_price::Float64`: Uniform price set by the pricing rule
+- `mode::PaymentMode`: How winners pay
+
+# Returns
+- `Vector{BidAllocation}`: Allocations with payments filled in
+"""
+function _settle_payments(
+    allocations::Vector{BidAllocation},
+    clearing_price::Float64,
+    mode::PaymentMode,
+)::Vector{BidAllocation}
+    if mode == PAY_AS_BID
+        payment = a->bid_value(a.bid, a.allocated_quantity)
+    elseif mode == SPANISH_HYBRID
+        # Weighted average price of all accepted units caps what anyone pays per unit
+        accepted_value = sum((bid_value(a.bid, a.allocated_quantity) for a in allocations); init = 0.0)
+        accepted_quantity = sum((a.allocated_quantity for a in allocations); init = 0.0)
+        average_price = accepted_quantity > 0 ? accepted_value / accepted_quantity : clearing_price
+        payment = a->_capped_bid_value(a.bid, a.allocated_quantity, average_price)
+    else  # UNIFORM_PRICE
+        payment = a->clearing_price * a.allocated_quantity
+    end
+
+    return BidAllocation[BidAllocation(a.bid, a.allocated_quantity, payment(a)) for a in allocations]
+end
+
+"""
+    compare_payment_modes(bids, config; modes = instances(PaymentMode))
+
+Run the same bids against the same configuration under each payment mode.
+
+# Returns
+- `Dict{PaymentMode, AuctionResult}`: One result per mode, with identical allocations
+"""
+function compare_payment_modes(
+    bids::AbstractVector{<:AbstractBid},
+    config::AuctionConfig;
+    modes = instances(PaymentMode),
+)::Dict{PaymentMode,AuctionResult}
+    results = Dict{PaymentMode,AuctionResult}()
+    for mode in modes
+        mode_config = AuctionConfig(
+            supply_schedule = config.supply_schedule,
+            tie_breaking = config.tie_breaking,
+            pricing_rule = config.pricing_rule,
+            payment_mode = mode,
+            reserve_price = config.reserve_price,
+            max_bids_per_bidder = config.max_bids_per_bidder,
+            min_bid_increment = config.min_bid_increment,
+            allow_partial_fills = config.allow_partial_fills,
+        )
+        results[mode] = run_auction(bids, mode_config)
+    end
+    return results
+end
+
 # Validate bids against auction rules
-function validate_bids(bids::Vector{Bid}, config::AuctionConfig)::Vector{Bid}
-    validated = Bid[]
+function validate_bids(bids::AbstractVector{T}, config::AuctionConfig)::Vector{T} where {T<:AbstractBid}
+    validated = T[]
     bidder_counts = Dict{String,Int}()
 
     for bid in bids
         # Check reserve price
-        if bid.price < config.reserve_price
+        if bid_top_price(bid) < config.reserve_price
             continue
         end
 
@@ -507,8 +1138,8 @@ function validate_bids(bids::Vector{Bid}, config::AuctionConfig)::Vector{Bid}
 
         # Check minimum increment
         if !isempty(validated)
-            last_price = validated[end].price
-            if abs(bid.price - last_price) < config.min_bid_increment
+            last_price = bid_top_price(validated[end])
+            if abs(bid_top_price(bid) - last_price) < config.min_bid_increment
                 continue
             end
         end
@@ -521,27 +1152,28 @@ function validate_bids(bids::Vector{Bid}, config::AuctionConfig)::Vector{Bid}
 end
 
 # Analyze bid shading behavior
-function analyze_bid_shading(bids::Vector{Bid}, clearing_price::Float64)::Float64
+function analyze_bid_shading(bids::AbstractVector{<:AbstractBid}, clearing_price::Float64)::Float64
     if isempty(bids)
         return 0.0
     end
 
-    # Estimate shading by comparing marginal vs non-marginal bids
-    marginal_bids = [b for b in bids if b.is_marginal]
-    regular_bids = [b for b in bids if !b.is_marginal]
+    # Schedules are compared through their quantity-weighted average price
+    marginal_prices = Float64[_average_bid_price(b) for b in bids if b.is_marginal]
+    regular_prices = Float64[_average_bid_price(b) for b in bids if !b.is_marginal]
 
-    if isempty(marginal_bids) || isempty(regular_bids)
+    if isempty(marginal_prices) || isempty(regular_prices)
         # Fallback: estimate based on price distribution
-        mean_price = mean(b.price for b in bids)
-        std_price = std(b.price for b in bids)
+        prices = vcat(marginal_prices, regular_prices)
+        mean_price = mean(prices)
+        std_price = std(prices)
 
         # Higher variance suggests more strategic bidding
         return min(100.0, (std_price / mean_price) * 100)
     end
 
     # Compare average prices
-    avg_marginal = mean(b.price for b in marginal_bids)
-    avg_regular = mean(b.price for b in regular_bids)
+    avg_marginal = mean(marginal_prices)
+    avg_regular = mean(regular_prices)
 
     # Shading percentage estimate
     shading_pct = ((avg_regular - avg_marginal) / avg_regular) * 100
@@ -549,10 +1181,15 @@ function analyze_bid_shading(bids::Vector{Bid}, clearing_price::Float64)::Float6
     return max(0.0, min(100.0, shading_pct))
 end
 
+# Calculate auction efficiency of a finished auction, so results run under
+# different pricing rules can be compared on the same bids
+calculate_efficiency(result::AuctionResult, all_bids::AbstractVector{<:AbstractBid})::Float64 =
+    calculate_efficiency(result.allocations, all_bids, result.clearing_price)
+
 # Calculate auction efficiency
 function calculate_efficiency(
     allocations::Vector{BidAllocation},
-    all_bids::Vector{Bid},
+    all_bids::AbstractVector{<:AbstractBid},
     clearing_price::Float64,
 )::Float64
     if isempty(allocations)
@@ -560,32 +1197,39 @@ function calculate_efficiency(
     end
 
     # Efficiency = allocated value / maximum possible value
-    allocated_value = sum(a.bid.price * a.allocated_quantity for a in allocations)
+    allocated_value = sum(bid_value(a.bid, a.allocated_quantity) for a in allocations)
 
-    # Maximum value would be allocating to highest value bidders
-    sorted_bids = sort(all_bids, by = b->b.price, rev = true)
+    # Maximum value would be allocating the same quantity along the aggregated demand curve
     total_available = sum(a.allocated_quantity for a in allocations)
-
-    max_value = 0.0
-    remaining = total_available
-
-    for bid in sorted_bids
-        if remaining >= bid.quantity
-            max_value += bid.price * bid.quantity
-            remaining -= bid.quantity
-        elseif remaining > 0
-            max_value += bid.price * remaining
-            break
-        else
-            break
-        end
-    end
+    max_value = _max_attainable_value(all_bids, total_available)
 
     efficiency = max_value > 0 ? (allocated_value / max_value) * 100 : 0.0
 
     return min(100.0, efficiency)
 end
 
+# Supply multiple of the base quantity at normalised price t ∈ [0, 1]
+@inline function _elastic_shape(elasticity_type::ElasticityType, factor::Float64, t::Float64)::Float64
+    if elasticity_type == EXPONENTIAL
+        return exp(factor * t)
+    elseif elasticity_type == LOGARITHMIC
+        return 1 + log(1 + factor * t)
+    else  # LINEAR
+        return 1 + factor * t
+    end
+end
+
+# Derivative of the shape with respect to the elasticity factor
+@inline function _elastic_shape_slope(elasticity_type::ElasticityType, factor::Float64, t::Float64)::Float64
+    if elasticity_type == EXPONENTIAL
+        return t * exp(factor * t)
+    elseif elasticity_type == LOGARITHMIC
+        return t / (1 + factor * t)
+    else  # LINEAR
+        return t
+    end
+end
+
 # Helper function to create elastic supply schedule
 function create_elastic_schedule(;
     base_quantity::Float64 = 1000.0,
@@ -603,13 +1247,7 @@ function create_elastic_schedule(;
         price = price_floor + t * price_range
 
         # Calculate quantity based on elasticity type
-        if elasticity_type == EXPONENTIAL
-            quantity = base_quantity * exp(elasticity_factor * t)
-        elseif elasticity_type == LOGARITHMIC
-            quantity = base_quantity * (1 + log(1 + elasticity_factor * t))
-        else  # LINEAR
-            quantity = base_quantity * (1 + elasticity_factor * t)
-        end
+        quantity = base_quantity * _elastic_shape(elasticity_type, elasticity_factor, t)
 
         # Local elasticity
         local_elasticity = if i > 1
@@ -626,6 +1264,209 @@ function create_elastic_schedule(;
     return ElasticSupplySchedule(points, base_quantity, price_floor, price_ceiling, elasticity_type)
 end
 
+# Supply confidence band at one price
+struct SupplyBand
+    price::Float64
+    lower::Float64
+    fitted::Float64
+    upper::Float64
+end
+
+# Supply schedule calibrated from historical clearing data
+struct SupplyFit
+    schedule::ElasticSupplySchedule
+    elasticity_type::ElasticityType
+    base_quantity::Float64
+    elasticity_factor::Float64
+    r_squared::Float64
+    residual_std::Float64
+    num_observations::Int
+    r_squared_by_type::Dict{ElasticityType,Float64}  # Goodness of fit of every candidate type
+    covariance::Matrix{Float64}                      # Of (base_quantity, elasticity_factor)
+    z_score::Float64
+    bands::Vector{SupplyBand}                        # Confidence band at each schedule point
+end
+
+# Least-squares base quantity and error for a fixed elasticity factor
+function _profile_supply_fit(
+    elasticity_type::ElasticityType,
+    factor::Float64,
+    t::Vector{Float64},
+    quantities::Vector{Float64},
+)::Tuple{Float64,Float64}
+    shape = [_elastic_shape(elasticity_type, factor, ti) for ti in t]
+    base_quantity = dot(quantities, shape) / dot(shape, shape)
+    sse = sum(abs2, quantities .- base_quantity .* shape)
+    return base_quantity, sse
+end
+
+# Coarse grid then golden-section refinement of the elasticity factor
+function _fit_elasticity_factor(
+    elasticity_type::ElasticityType,
+    t::Vector{Float64},
+    quantities::Vector{Float64},
+    max_factor::Float64,
+)::Tuple{Float64,Float64,Float64}
+    sse(k) = _profile_supply_fit(elasticity_type, k, t, quantities)[2]
+
+    grid = collect(range(0.0, max_factor, length = 101))
+    best = argmin([sse(k) for k in grid])
+    a = grid[max(best - 1, 1)]
+    b = grid[min(best + 1, length(grid))]
+
+    φ = (sqrt(5.0) - 1) / 2
+    c = b - φ * (b - a)
+    d = a + φ * (b - a)
+    fc, fd = sse(c), sse(d)
+    for _ = 1:200
+        (b - a) < 1e-10 && break
+        if fc < fd
+            b, d, fd = d, c, fc
+            c = b - φ * (b - a)
+            fc = sse(c)
+        else
+            a, c, fc = c, d, fd
+            d = a + φ * (b - a)
+            fd = sse(d)
+        end
+    end
+
+    factor = (a + b) / 2
+    base_quantity, error = _profile_supply_fit(elasticity_type, factor, t, quantities)
+    return factor, base_quantity, error
+end
+
+"""
+    fit_supply_schedule(prices, quantities; kwargs...)
+    fit_supply_schedule(results::AbstractVector{AuctionResult}; kwargs...)
+
+Calibrate an `ElasticSupplySchedule` from past clearing observations. Each
+`ElasticityType` is fitted by least squares in the same parameterisation as
+`create_elastic_schedule`, and the type with the best R² is kept. Past
+`AuctionResult`s contribute their clearing price and the supply offered at it;
+results priced by a rule other than `MarketClearingPricing` are skipped.
+
+# Keyword Arguments
+- `price_floor::Float64`: Schedule floor, at most the lowest observed price (default: that price)
+- `price_ceiling::Float64`: Schedule ceiling, at least the highest observed price (default: that price)
+- `num_points::Int`: Points in the fitted schedule (default: 10)
+- `elasticity_types`: Candidate types (default: all)
+- `max_elasticity::Float64`: Upper bound for the elasticity factor (default: 10.0)
+- `z_score::Float64`: Width of the confidence bands in standard errors (default: 1.96)
+
+# Returns
+- `SupplyFit`: Fitted schedule, goodness of fit per type and confidence bands
+"""
+function fit_supply_schedule(
+    prices::AbstractVector{<:Real},
+    quantities::AbstractVector{<:Real};
+    price_floor::Float64 = Float64(minimum(prices)),
+    price_ceiling::Float64 = Float64(maximum(prices)),
+    num_points::Int = 10,
+    elasticity_types = instances(ElasticityType),
+    max_elasticity::Float64 = 10.0,
+    z_score::Float64 = 1.96,
+)::SupplyFit
+    if length(prices) != length(quantities)
+        throw(ArgumentError("Prices and quantities must have the same length"))
+    end
+    if length(prices) < 3
+        throw(ArgumentError("At least 3 observations are needed to fit a supply schedule"))
+    end
+    if any(q -> q <= 0, quantities)
+        throw(ArgumentError("Observed quantities must be positive"))
+    end
+    if price_ceiling <= price_floor
+        throw(ArgumentError("Price ceiling must exceed price floor"))
+    end
+    if any(p -> !(price_floor <= p <= price_ceiling), prices)
+        throw(ArgumentError("Observed prices must lie between the price floor and ceiling"))
+    end
+
+    n = length(prices)
+    t = Float64[(p - price_floor) / (price_ceiling - price_floor) for p in prices]
+    q = Float64.(quantities)
+    sst = sum(abs2, q .- mean(q))
+    r_squared(sse) = sst > 0 ? 1 - sse / sst : (sse == 0 ? 1.0 : 0.0)
+
+    # Fit every candidate type and keep the best by goodness of fit
+    fits = Dict{ElasticityType,Tuple{Float64,Float64,Float64}}()
+    for elasticity_type in elasticity_types
+        fits[elasticity_type] = _fit_elasticity_factor(elasticity_type, t, q, max_elasticity)
+    end
+    best_type = first(sort(collect(keys(fits)), by = et->fits[et][3]))
+    factor, base_quantity, sse = fits[best_type]
+
+    # Parameter covariance from the Jacobian at the optimum
+    residual_std = sqrt(sse / (n - 2))
+    jacobian = hcat(
+        [_elastic_shape(best_type, factor, ti) for ti in t],
+        [base_quantity * _elastic_shape_slope(best_type, factor, ti) for ti in t],
+    )
+    covariance = residual_std^2 .* pinv(jacobian' * jacobian)
+
+    schedule = create_elastic_schedule(
+        base_quantity = base_quantity,
+        price_floor = price_floor,
+        price_ceiling = price_ceiling,
+        num_points = num_points,
+        elasticity_type = best_type,
+        elasticity_factor = factor,
+    )
+
+    fit = SupplyFit(
+        schedule,
+        best_type,
+        base_quantity,
+        factor,
+        r_squared(sse),
+        residual_std,
+        n,
+        Dict(et => r_squared(fits[et][3]) for et in keys(fits)),
+        covariance,
+        z_score,
+        SupplyBand[],
+    )
+    append!(fit.bands, [supply_confidence_band(fit, point.price) for point in schedule.points])
+    return fit
+end
+
+function fit_supply_schedule(results::AbstractVector{AuctionResult}; kwargs...)::SupplyFit
+    prices = Float64[]
+    quantities = Float64[]
+
+    for result in results
+        # Other rules price off the supply curve, where utilisation was not measured
+        result.pricing_rule isa MarketClearingPricing || continue
+        # Supply offered at clearing, recovered from utilisation
+        if result.total_quantity > 0 && result.supply_utilized > 0
+            push!(prices, result.clearing_price)
+            push!(quantities, result.total_quantity / result.supply_utilized)
+        end
+    end
+
+    return fit_supply_schedule(prices, quantities; kwargs...)
+end
+
+"""
+    supply_confidence_band(fit, price)
+
+Fitted supply at `price` with a delta-method confidence band of `fit.z_score`
+standard errors.
+"""
+function supply_confidence_band(fit::SupplyFit, price::Float64)::SupplyBand
+    schedule = fit.schedule
+    t = (price - schedule.price_floor) / (schedule.price_ceiling - schedule.price_floor)
+    shape = _elastic_shape(fit.elasticity_type, fit.elasticity_factor, t)
+    gradient = [shape, fit.base_quantity * _elastic_shape_slope(fit.elasticity_type, fit.elasticity_factor, t)]
+
+    fitted = fit.base_quantity * shape
+    std_error = sqrt(max(dot(gradient, fit.covariance * gradient), 0.0))
+    margin = fit.z_score * std_error
+
+    return SupplyBand(price, max(fitted - margin, 0.0), fitted, fitted + margin)
+end
+
 # Additional analysis functions
 function analyze_market_concentration(allocations::Vector{BidAllocation})::Float64
     # Calculate Herfindahl index
@@ -651,15 +1492,15 @@ function analyze_market_concentration(allocations::Vector{BidAllocation})::Float
     return hhi * 10000  # Scale to 0-10000
 end
 
-function calculate_price_discovery_efficiency(bids::Vector{Bid}, clearing_price::Float64)::Float64
+function calculate_price_discovery_efficiency(bids::AbstractVector{<:AbstractBid}, clearing_price::Float64)::Float64
     # Measure how well the auction discovers true market price
     if isempty(bids)
         return 0.0
     end
 
     # Calculate quantity-weighted average price
-    total_value = sum(b.price * b.quantity for b in bids)
-    total_quantity = sum(b.quantity for b in bids)
+    total_value = sum(b->bid_value(b, bid_total_quantity(b)), bids)
+    total_quantity = sum(bid_total_quantity, bids)
     weighted_avg_price = total_value / total_quantity
 
     # Price discovery efficiency based on convergence
@@ -370,6 +370,7 @@ function validate_config(config::AuctionConfig)
         ("phantom_auction.max_improvement_bps", Float64, x -> x >= 0, "Must be non-negative"),
         ("phantom_auction.reveal_delay_ms", Float64, x -> x > 0, "Must be positive"),
         ("phantom_auction.min_participants", Int, x -> x >= 1, "Must be at least 1"),
+        ("phantom_auction.non_reveal_penalty_bps", Float64, x -> x >= 0, "Must be non-negative"),
 
         # Coordinator validations
         ("coordinator.consensus_threshold", Float64, x -> 0.5 <= x <= 1.0, "Must be between 0.5 and 1.0"),
@@ -45,8 +45,8 @@ include("../logging/LoggingConfig.jl")
 using .LoggingConfig
 using Logging: @info, @warn, @error, @debug
 # Include submodules
-include("orchestration/SettlementOrchestrator.jl")
 include("bridge/cfmm/CFMMBridge.jl")
+include("orchestration/SettlementOrchestrator.jl")
 include("execution/auction/PhantomAuction.jl")
 
 # Import from submodules
@@ -67,6 +67,7 @@ struct SettlementConfig
     fallback_threshold_ms::Float64
     max_retry_attempts::Int64
     circuit_breaker_threshold::Float64
+    batch_window_ms::Int64
 
     # CFMM Bridge config
     max_hops::Int64
@@ -85,6 +86,7 @@ struct SettlementConfig
         fallback_threshold_ms = 80.0,
         max_retry_attempts = 3,
         circuit_breaker_threshold = 0.95,
+        batch_window_ms = 50,
         max_hops = 3,
         max_price_impact_bps = 100.0,
         gas_price_gwei = 30.0,
@@ -98,6 +100,7 @@ struct SettlementConfig
             fallback_threshold_ms,
             max_retry_attempts,
             circuit_breaker_threshold,
+            batch_window_ms,
             max_hops,
             max_price_impact_bps,
             gas_price_gwei,
@@ -127,6 +130,7 @@ mutable struct SettlementSystem{T}
             config.fallback_threshold_ms,
             config.max_retry_attempts,
             config.circuit_breaker_threshold,
+            config.batch_window_ms,
         )
         orchestrator = SettlementOrchestrator.Orchestrator{T}(orch_config)
 
@@ -6,16 +6,11 @@ using Logging
 # Import CFMMRouter for real execution
 using ..CFMMRouter
 using ..CFMMRouter: Router, route!, LinearNonnegative, ProductTwoCoin, GeometricMeanTwoCoin, UniV3, CFMM
+# Pool state models for quoting without a router
+include("CFMMPools.jl")
+using .CFMMPools
 export Bridge, RoutingResult, ExecutionResult
-export get_route, execute_direct, get_baseline_price
-
-# Pool types supported
-@enum PoolType begin
-    UNISWAP_V2
-    UNISWAP_V3
-    CURVE
-    BALANCER
-end
+export get_route, execute_direct, get_baseline_price, add_pool!, load_pools!
 
 # Routing result from CFMM
 struct RoutingResult{T}
@@ -46,6 +41,7 @@ end
 mutable struct Bridge{T}
     config::BridgeConfig
     router::Union{Router,Nothing}  # CFMMRouter.Router instance
+    pools::Vector{AbstractPool{T}}  # Pool state models, used when there is no router
     price_cache::Dict{Tuple{Int64,Int64},T}
     cache_expiry_ms::Int64
     last_cache_update::Dict{Tuple{Int64,Int64},Int64}
@@ -55,6 +51,7 @@ mutable struct Bridge{T}
         new{T}(
             config,
             nothing,
+            AbstractPool{T}[],
             Dict{Tuple{Int64,Int64},T}(),
             1000,  # 1 second cache
             Dict{Tuple{Int64,Int64},Int64}(),
@@ -68,6 +65,73 @@ function initialize_router!(bridge::Bridge, router)
     bridge.router = router
 end
 
+# Add a pool state model to quote against
+function add_pool!(bridge::Bridge{T}, pool::AbstractPool{T}) where {T}
+    lock(bridge.lock) do
+        push!(bridge.pools, pool)
+    end
+    return bridge
+end
+
+# Add every pool of a JSON snapshot (see CFMMPools)
+function load_pools!(bridge::Bridge{T}, path::AbstractString) where {T}
+    for pool in load_pool_snapshot(path; numeric_type = T)
+        add_pool!(bridge, pool)
+    end
+    return bridge
+end
+
+# Pools that can swap token_in for token_out, optionally of one type
+function pools_for_pair(
+    bridge::Bridge,
+    token_in::Int64,
+    token_out::Int64,
+    type::Union{PoolType,Nothing} = nothing,
+)
+    return filter(bridge.pools) do pool
+        has_pair(pool, token_in, token_out) && (type === nothing || pool_type(pool) == type)
+    end
+end
+
+# Pool giving the most output for amount_in, with that output
+function best_pool_quote(bridge::Bridge{T}, token_in::Int64, token_out::Int64, amount_in::T) where {T}
+    best = nothing
+    for pool in pools_for_pair(bridge, token_in, token_out)
+        amount_out = get_amount_out(pool, token_in, token_out, amount_in)
+        if best === nothing || amount_out > best.amount_out
+            best = (pool = pool, amount_out = amount_out)
+        end
+    end
+    return best
+end
+
+# Quote a swap directly against the best single pool
+function route_through_pools(
+    bridge::Bridge{T},
+    token_in::Int64,
+    token_out::Int64,
+    amount_in::T,
+    slippage::T,
+) where {T}
+    best = best_pool_quote(bridge, token_in, token_out, amount_in)
+    if best === nothing || best.amount_out <= zero(T)
+        return nothing
+    end
+
+    amount_out = best.amount_out * (one(T) - slippage)
+    price = amount_out / amount_in
+    update_price_cache!(bridge, token_in, token_out, price)
+
+    return RoutingResult(
+        price,
+        amount_out,
+        [token_in, token_out],
+        [pool_type(best.pool)],
+        price_impact(best.pool, token_in, token_out, amount_in),
+        estimate_gas(1),
+    )
+end
+
 # Get optimal route through CFMMs
 function get_route(bridge::Bridge{T}, token_in::Int64, token_out::Int64, amount_in::T, slippage::T) where {T}
     # Check cache first
@@ -82,7 +146,7 @@ function get_route(bridge::Bridge{T}, token_in::Int64, token_out::Int64, amount_
             amount_out,
             [token_in, token_out],
             [UNISWAP_V2],  # Default pool
-            calculate_price_impact(amount_in, cached_price),
+            calculate_price_impact(bridge, token_in, token_out, amount_in),
             estimate_gas(1),  # Single hop
         )
     end
@@ -90,6 +154,7 @@ function get_route(bridge::Bridge{T}, token_in::Int64, token_out::Int64, amount_
     # Route through CFMMs
     try
         if bridge.router === nothing
+            isempty(bridge.pools) || return route_through_pools(bridge, token_in, token_out, amount_in, slippage)
             @error "CFMMRouter not initialized"
             return nothing
         end
@@ -165,9 +230,15 @@ function execute_direct(bridge::Bridge{T}, token_in::Int64, token_out::Int64, am
     end
 
     try
-        # Execute trade through CFMMRouter
+        # Without a router, trade against the best pool model
         if bridge.router === nothing
-            return nothing
+            best = best_pool_quote(bridge, token_in, token_out, amount_in)
+            best === nothing && return nothing
+
+            amount_out = swap!(best.pool, token_in, token_out, amount_in)
+            invalidate_price_cache!(bridge, token_in, token_out)
+            tx_hash = generate_tx_hash(token_in, token_out, amount_in, amount_out)
+            return ExecutionResult(amount_out / amount_in, amount_out, routing.gas_estimate, tx_hash)
         end
 
         # Apply the trade by updating reserves
@@ -216,45 +287,43 @@ function find_best_path(bridge::Bridge{T}, token_in::Int64, token_out::Int64, am
     end
 
     # Direct path
-    direct_price = get_pool_price(bridge, token_in, token_out, UNISWAP_V2)
+    direct_price, direct_pool = best_pool_price(bridge, token_in, token_out)
 
     if direct_price > zero(T)
-        return [token_in, token_out], [UNISWAP_V2], direct_price
+        return [token_in, token_out], [direct_pool], direct_price
     end
 
     # Try common intermediaries (e.g., WETH = 0)
     weth = 0
     if token_in != weth && token_out != weth
-        price1 = get_pool_price(bridge, token_in, weth, UNISWAP_V2)
-        price2 = get_pool_price(bridge, weth, token_out, UNISWAP_V2)
+        price1, pool1 = best_pool_price(bridge, token_in, weth)
+        price2, pool2 = best_pool_price(bridge, weth, token_out)
 
         if price1 > zero(T) && price2 > zero(T)
             combined_price = price1 * price2
-            return [token_in, weth, token_out], [UNISWAP_V2, UNISWAP_V2], combined_price
+            return [token_in, weth, token_out], [pool1, pool2], combined_price
         end
     end
 
     return Int64[], PoolType[], zero(T)
 end
 
-# Get price from specific pool
+# Get marginal price from the best pool of a type, zero if no such pool trades the pair
 function get_pool_price(bridge::Bridge{T}, token_in::Int64, token_out::Int64, pool::PoolType) where {T}
-    # Query pool for current price with spread
-
-    base_price = T(1.0)
-
-    # Add some spread based on pool type
-    spread = if pool == UNISWAP_V3
-        T(0.0005)  # 0.05% for V3
-    elseif pool == UNISWAP_V2
-        T(0.003)   # 0.3% for V2
-    elseif pool == CURVE
-        T(0.0004)  # 0.04% for Curve
-    else
-        T(0.002)   # 0.2% for Balancer
-    end
+    prices = [marginal_price(p, token_in, token_out) for p in pools_for_pair(bridge, token_in, token_out, pool)]
+    return isempty(prices) ? zero(T) : maximum(prices)
+end
 
-    return base_price * (one(T) - spread)
+# Best marginal price over all pool types, with the type that offers it
+function best_pool_price(bridge::Bridge{T}, token_in::Int64, token_out::Int64) where {T}
+    best_price, best_type = zero(T), UNISWAP_V2
+    for pool in pools_for_pair(bridge, token_in, token_out)
+        price = marginal_price(pool, token_in, token_out)
+        if price > best_price
+            best_price, best_type = price, pool_type(pool)
+        end
+    end
+    return best_price, best_type
 end
 
 # Calculate output amount
@@ -263,13 +332,10 @@ function calculate_output(amount_in::T, price::T, slippage::T) where {T}
     return gross_output * (one(T) - slippage)
 end
 
-# Calculate price impact (legacy wrapper - redirects to actual implementation)
-function calculate_price_impact(amount::T, price::T) where {T}
-    # This is a legacy function signature - for actual price impact calculation,
-    # use calculate_actual_price_impact which requires bridge context
-    # Return a conservative estimate for backwards compatibility
-    impact_per_unit = T(0.0001) / T(10000)
-    return amount * impact_per_unit
+# Price impact of amount_in in the pool that would fill it best, zero if no pool trades the pair
+function calculate_price_impact(bridge::Bridge{T}, token_in::Int64, token_out::Int64, amount::T) where {T}
+    best = best_pool_quote(bridge, token_in, token_out, amount)
+    return best === nothing ? zero(T) : price_impact(best.pool, token_in, token_out, amount)
 end
 
 # Estimate gas usage
@@ -315,6 +381,16 @@ function update_price_cache!(bridge::Bridge{T}, token_in::Int64, token_out::Int6
     end
 end
 
+# Drop cached prices of a pair whose pools just traded
+function invalidate_price_cache!(bridge::Bridge, token_in::Int64, token_out::Int64)
+    lock(bridge.lock) do
+        for pair in ((token_in, token_out), (token_out, token_in))
+            delete!(bridge.price_cache, pair)
+            delete!(bridge.last_cache_update, pair)
+        end
+    end
+end
+
 # Clear expired cache entries
 function cleanup_cache!(bridge::Bridge)
     current_time = time_ns() ÷ 1_000_000
@@ -340,7 +416,7 @@ end
 # Calculate actual price impact using pool reserves
 function calculate_actual_price_impact(bridge::Bridge{T}, token_in::Int64, token_out::Int64, amount::T) where {T}
     if bridge.router === nothing
-        return zero(T)
+        return calculate_price_impact(bridge, token_in, token_out, amount)
     end
 
     # Get current spot price
@@ -372,7 +448,9 @@ end
 # Query spot price from router pools
 function query_spot_price_from_router(bridge::Bridge{T}, token_in::Int64, token_out::Int64) where {T}
     if bridge.router === nothing
-        return one(T)
+        # Fall back to parity only when no pool model trades the pair either
+        price, _ = best_pool_price(bridge, token_in, token_out)
+        return price > zero(T) ? price : one(T)
     end
 
     # Find pools containing both tokens and calculate weighted average price
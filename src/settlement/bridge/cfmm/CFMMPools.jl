@@ -0,0 +1,517 @@
+"""
+    CFMMPools
+
+State models for the constant function market makers the bridge quotes
+against. Every pool computes exact swap output, marginal price and price
+impact from its own reserves:
+
+- `ConstantProductPool`: Uniswap V2, `x * y = k`
+- `ConcentratedLiquidityPool`: Uniswap V3, constant product within each
+  range between initialized ticks
+- `StableSwapPool`: Curve's stableswap invariant
+- `WeightedPool`: Balancer's weighted geometric mean
+
+Prices are units of `token_out` per unit of `token_in`, net of the pool fee.
+
+# Snapshot format
+
+`load_pool_snapshot` reads pool state saved as JSON, so quotes can be
+reproduced offline:
+
+```json
+{
+  "pools": [
+    {"type": "uniswap_v2", "tokens": [1, 2], "reserves": [1000.0, 2000000.0], "fee": 0.003},
+    {"type": "uniswap_v3", "tokens": [1, 2], "sqrt_price": 44.72, "liquidity": 25000.0, "fee": 0.0005,
+     "ticks": [{"index": 75000, "liquidity_net": 25000.0}, {"index": 77000, "liquidity_net": -25000.0}]},
+    {"type": "curve", "tokens": [2, 3], "balances": [1.0e6, 1.0e6], "amplification": 100, "fee": 0.0004},
+    {"type": "balancer", "tokens": [1, 2], "balances": [500.0, 250000.0], "weights": [0.8, 0.2], "fee": 0.002}
+  ]
+}
+```
+
+For Uniswap V3, `sqrt_price` is the square root of the price of `tokens[1]`
+in `tokens[2]`, `liquidity` is the liquidity active at that price, and each
+tick's `liquidity_net` is added to it when the price crosses the tick upwards.
+"""
+module CFMMPools
+
+using JSON
+export PoolType, UNISWAP_V2, UNISWAP_V3, CURVE, BALANCER
+export AbstractPool, ConstantProductPool, ConcentratedLiquidityPool, StableSwapPool, WeightedPool, TickLiquidity
+export pool_type, pool_tokens, has_pair, get_amount_out, marginal_price, price_impact, swap!
+export parse_pool, load_pool_snapshot
+
+# Pool types supported
+@enum PoolType begin
+    UNISWAP_V2
+    UNISWAP_V3
+    CURVE
+    BALANCER
+end
+
+abstract type AbstractPool{T} end
+
+# Validate a fee given as a fraction of the trade
+function check_fee(fee)
+    0 <= fee < 1 || throw(ArgumentError("Pool fee must be in [0, 1), got $fee"))
+end
+
+# Validate the token list of a pool
+function check_tokens(tokens::Vector{Int64})
+    length(tokens) >= 2 || throw(ArgumentError("A pool needs at least two tokens"))
+    allunique(tokens) || throw(ArgumentError("Pool tokens must be distinct"))
+end
+
+"""
+    ConstantProductPool{T}
+
+Uniswap V2 pool holding `reserve0` of `token0` and `reserve1` of `token1`.
+"""
+mutable struct ConstantProductPool{T} <: AbstractPool{T}
+    token0::Int64
+    token1::Int64
+    reserve0::T
+    reserve1::T
+    fee::T
+
+    function ConstantProductPool(token0::Int64, token1::Int64, reserve0::T, reserve1::T, fee::T) where {T}
+        check_tokens([token0, token1])
+        reserve0 > 0 && reserve1 > 0 || throw(ArgumentError("Pool reserves must be positive"))
+        check_fee(fee)
+        new{T}(token0, token1, reserve0, reserve1, fee)
+    end
+end
+
+"""
+    TickLiquidity{T}
+
+An initialized Uniswap V3 tick: the liquidity that starts (positive) or ends
+(negative) at price `1.0001^index` for a price moving upwards.
+"""
+struct TickLiquidity{T}
+    index::Int64
+    liquidity_net::T
+end
+
+"""
+    ConcentratedLiquidityPool{T}
+
+Uniswap V3 pool. The price of `token0` in `token1` is `sqrt_price^2`, with
+`liquidity` active at that price and `ticks` sorted by index.
+"""
+mutable struct ConcentratedLiquidityPool{T} <: AbstractPool{T}
+    token0::Int64
+    token1::Int64
+    sqrt_price::T
+    liquidity::T
+    fee::T
+    ticks::Vector{TickLiquidity{T}}
+
+    function ConcentratedLiquidityPool(
+        token0::Int64,
+        token1::Int64,
+        sqrt_price::T,
+        liquidity::T,
+        fee::T,
+        ticks::Vector{TickLiquidity{T}},
+    ) where {T}
+        check_tokens([token0, token1])
+        sqrt_price > 0 || throw(ArgumentError("Pool price must be positive"))
+        liquidity >= 0 || throw(ArgumentError("Active liquidity cannot be negative"))
+        check_fee(fee)
+        new{T}(token0, token1, sqrt_price, liquidity, fee, sort(ticks; by = t -> t.index))
+    end
+end
+
+"""
+    StableSwapPool{T}
+
+Curve pool of `tokens` with `balances`, amplification coefficient
+`amplification` and a fee charged on the output, as Curve does.
+"""
+mutable struct StableSwapPool{T} <: AbstractPool{T}
+    tokens::Vector{Int64}
+    balances::Vector{T}
+    amplification::T
+    fee::T
+
+    function StableSwapPool(tokens::Vector{Int64}, balances::Vector{T}, amplification::T, fee::T) where {T}
+        check_tokens(tokens)
+        length(balances) == length(tokens) || throw(ArgumentError("Need one balance per token"))
+        all(b -> b > 0, balances) || throw(ArgumentError("Pool balances must be positive"))
+        amplification > 0 || throw(ArgumentError("Amplification must be positive"))
+        check_fee(fee)
+        new{T}(tokens, balances, amplification, fee)
+    end
+end
+
+"""
+    WeightedPool{T}
+
+Balancer pool of `tokens` with `balances` and `weights`, normalized to sum
+to one.
+"""
+mutable struct WeightedPool{T} <: AbstractPool{T}
+    tokens::Vector{Int64}
+    balances::Vector{T}
+    weights::Vector{T}
+    fee::T
+
+    function WeightedPool(tokens::Vector{Int64}, balances::Vector{T}, weights::Vector{T}, fee::T) where {T}
+        check_tokens(tokens)
+        length(balances) == length(tokens) == length(weights) ||
+            throw(ArgumentError("Need one balance and one weight per token"))
+        all(b -> b > 0, balances) || throw(ArgumentError("Pool balances must be positive"))
+        all(w -> w > 0, weights) || throw(ArgumentError("Pool weights must be positive"))
+        check_fee(fee)
+        new{T}(tokens, balances, weights ./ sum(weights), fee)
+    end
+end
+
+pool_type(::ConstantProductPool) = UNISWAP_V2
+pool_type(::ConcentratedLiquidityPool) = UNISWAP_V3
+pool_type(::StableSwapPool) = CURVE
+pool_type(::WeightedPool) = BALANCER
+
+pool_tokens(pool::Union{ConstantProductPool,ConcentratedLiquidityPool}) = [pool.token0, pool.token1]
+pool_tokens(pool::Union{StableSwapPool,WeightedPool}) = pool.tokens
+
+# Whether the pool can swap token_in for token_out
+has_pair(pool::AbstractPool, token_in::Int64, token_out::Int64) =
+    token_in != token_out && token_in in pool_tokens(pool) && token_out in pool_tokens(pool)
+
+# Positions of the traded tokens in the pool, checking the pool holds both
+function pair_indices(pool::AbstractPool, token_in::Int64, token_out::Int64)
+    has_pair(pool, token_in, token_out) ||
+        throw(ArgumentError("Pool does not trade token $token_in for token $token_out"))
+    tokens = pool_tokens(pool)
+    return findfirst(==(token_in), tokens), findfirst(==(token_out), tokens)
+end
+
+# Validate a swap input
+function check_amount(amount_in)
+    amount_in >= 0 || throw(ArgumentError("Swap amount cannot be negative"))
+end
+
+"""
+    get_amount_out(pool, token_in, token_out, amount_in) -> amount_out
+
+Exact output of swapping `amount_in` of `token_in`, fee included, without
+changing the pool.
+"""
+function get_amount_out end
+
+"""
+    marginal_price(pool, token_in, token_out) -> price
+
+Output per unit of input for an infinitesimal swap, net of the fee.
+"""
+function marginal_price end
+
+"""
+    swap!(pool, token_in, token_out, amount_in) -> amount_out
+
+Swap `amount_in` of `token_in` and update the pool state.
+"""
+function swap! end
+
+"""
+    price_impact(pool, token_in, token_out, amount_in) -> impact
+
+Fraction of the marginal price lost to the trade's own size:
+`1 - execution_price / marginal_price`. The fee is in both prices, so it is
+not counted as impact.
+"""
+function price_impact(pool::AbstractPool{T}, token_in::Int64, token_out::Int64, amount_in) where {T}
+    check_amount(amount_in)
+    amount_in > 0 || return zero(T)
+    spot = marginal_price(pool, token_in, token_out)
+    spot > 0 || return one(T)
+    return one(T) - get_amount_out(pool, token_in, token_out, amount_in) / (amount_in * spot)
+end
+
+# Uniswap V2
+
+function pair_reserves(pool::ConstantProductPool, token_in::Int64, token_out::Int64)
+    pair_indices(pool, token_in, token_out)
+    return token_in == pool.token0 ? (pool.reserve0, pool.reserve1) : (pool.reserve1, pool.reserve0)
+end
+
+function get_amount_out(pool::ConstantProductPool, token_in::Int64, token_out::Int64, amount_in)
+    check_amount(amount_in)
+    reserve_in, reserve_out = pair_reserves(pool, token_in, token_out)
+    effective_in = amount_in * (1 - pool.fee)
+    return reserve_out * effective_in / (reserve_in + effective_in)
+end
+
+function marginal_price(pool::ConstantProductPool, token_in::Int64, token_out::Int64)
+    reserve_in, reserve_out = pair_reserves(pool, token_in, token_out)
+    return (1 - pool.fee) * reserve_out / reserve_in
+end
+
+function swap!(pool::ConstantProductPool, token_in::Int64, token_out::Int64, amount_in)
+    amount_out = get_amount_out(pool, token_in, token_out, amount_in)
+    # The fee stays in the pool
+    if token_in == pool.token0
+        pool.reserve0 += amount_in
+        pool.reserve1 -= amount_out
+    else
+        pool.reserve1 += amount_in
+        pool.reserve0 -= amount_out
+    end
+    return amount_out
+end
+
+# Uniswap V3
+
+tick_sqrt_price(::Type{T}, index::Int64) where {T} = T(1.0001^(index / 2))
+
+"""
+    concentrated_swap(pool, zero_for_one, amount_in) -> (amount_out, amount_used, sqrt_price, liquidity)
+
+Walk `pool` across its initialized ticks for a swap of `amount_in`, selling
+`token0` if `zero_for_one`. Within each range the pool is a constant product
+pool with virtual reserves `L / sqrt(P)` and `L * sqrt(P)`. Input that would
+push the price past the last initialized liquidity is not used.
+"""
+function concentrated_swap(pool::ConcentratedLiquidityPool{T}, zero_for_one::Bool, amount_in) where {T}
+    remaining = amount_in * (1 - pool.fee)
+    sqrt_price = pool.sqrt_price
+    liquidity = pool.liquidity
+    amount_out = zero(T)
+
+    # Ticks the price meets on its way, nearest first
+    boundaries = if zero_for_one
+        reverse(filter(t -> tick_sqrt_price(T, t.index) <= sqrt_price, pool.ticks))
+    else
+        filter(t -> tick_sqrt_price(T, t.index) > sqrt_price, pool.ticks)
+    end
+
+    for tick in Iterators.flatten((boundaries, (nothing,)))
+        remaining > 0 || break
+        target = tick === nothing ? nothing : tick_sqrt_price(T, tick.index)
+
+        if liquidity > 0
+            # Input that takes the price to the next tick
+            step_max = if target === nothing
+                T(Inf)
+            elseif zero_for_one
+                liquidity * (1 / target - 1 / sqrt_price)
+            else
+                liquidity * (target - sqrt_price)
+            end
+
+            step_in = min(remaining, step_max)
+            next_sqrt_price = if step_in == step_max
+                target
+            elseif zero_for_one
+                liquidity * sqrt_price / (liquidity + step_in * sqrt_price)
+            else
+                sqrt_price + step_in / liquidity
+            end
+
+            amount_out += zero_for_one ? liquidity * (sqrt_price - next_sqrt_price) :
+                          liquidity * (1 / sqrt_price - 1 / next_sqrt_price)
+            remaining -= step_in
+            sqrt_price = next_sqrt_price
+        elseif target !== nothing
+            # No liquidity in this range: the price moves to the next tick for free
+            sqrt_price = target
+        end
+
+        remaining > 0 && tick !== nothing || break
+        liquidity += zero_for_one ? -tick.liquidity_net : tick.liquidity_net
+    end
+
+    amount_used = amount_in - remaining / (1 - pool.fee)
+    return amount_out, amount_used, sqrt_price, liquidity
+end
+
+function check_pair(pool::ConcentratedLiquidityPool, token_in::Int64, token_out::Int64)
+    pair_indices(pool, token_in, token_out)
+    return token_in == pool.token0
+end
+
+function get_amount_out(pool::ConcentratedLiquidityPool, token_in::Int64, token_out::Int64, amount_in)
+    check_amount(amount_in)
+    return first(concentrated_swap(pool, check_pair(pool, token_in, token_out), amount_in))
+end
+
+function marginal_price(pool::ConcentratedLiquidityPool, token_in::Int64, token_out::Int64)
+    price = pool.sqrt_price^2
+    return (1 - pool.fee) * (check_pair(pool, token_in, token_out) ? price : 1 / price)
+end
+
+function swap!(pool::ConcentratedLiquidityPool, token_in::Int64, token_out::Int64, amount_in)
+    check_amount(amount_in)
+    amount_out, _, pool.sqrt_price, pool.liquidity =
+        concentrated_swap(pool, check_pair(pool, token_in, token_out), amount_in)
+    return amount_out
+end
+
+# Curve
+
+const STABLESWAP_MAX_ITERATIONS = 255
+
+"""
+    stableswap_invariant(balances, amplification) -> D
+
+Solve `A n^n Σx + D = A n^n D + D^(n+1) / (n^n Πx)` for `D` by Newton's
+method, as the Curve contracts do.
+"""
+function stableswap_invariant(balances::Vector{T}, amplification::T) where {T}
+    n = length(balances)
+    total = sum(balances)
+    ann = amplification * n^n
+    invariant = total
+
+    for _ in 1:STABLESWAP_MAX_ITERATIONS
+        product_term = invariant
+        for balance in balances
+            product_term = product_term * invariant / (n * balance)
+        end
+        previous = invariant
+        invariant = (ann * total + product_term * n) * invariant /
+                    ((ann - 1) * invariant + (n + 1) * product_term)
+        abs(invariant - previous) <= eps(T) * 10 * invariant && return invariant
+    end
+    throw(ErrorException("Stableswap invariant did not converge"))
+end
+
+# Balance of token j that keeps the invariant when token i's balance is x
+function stableswap_balance(pool::StableSwapPool{T}, i::Int, j::Int, x, invariant) where {T}
+    n = length(pool.balances)
+    ann = pool.amplification * n^n
+    c = invariant
+    partial_sum = zero(T)
+    for k in 1:n
+        k == j && continue
+        balance = k == i ? x : pool.balances[k]
+        partial_sum += balance
+        c = c * invariant / (balance * n)
+    end
+    c = c * invariant / (ann * n)
+    b = partial_sum + invariant / ann
+
+    y = invariant
+    for _ in 1:STABLESWAP_MAX_ITERATIONS
+        previous = y
+        y = (y^2 + c) / (2y + b - invariant)
+        abs(y - previous) <= eps(T) * 10 * y && return y
+    end
+    throw(ErrorException("Stableswap balance did not converge"))
+end
+
+function get_amount_out(pool::StableSwapPool, token_in::Int64, token_out::Int64, amount_in)
+    check_amount(amount_in)
+    i, j = pair_indices(pool, token_in, token_out)
+    invariant = stableswap_invariant(pool.balances, pool.amplification)
+    y = stableswap_balance(pool, i, j, pool.balances[i] + amount_in, invariant)
+    return max(pool.balances[j] - y, zero(y)) * (1 - pool.fee)
+end
+
+# Along the invariant, dy/dx is the ratio of its partial derivatives
+function marginal_price(pool::StableSwapPool, token_in::Int64, token_out::Int64)
+    i, j = pair_indices(pool, token_in, token_out)
+    n = length(pool.balances)
+    invariant = stableswap_invariant(pool.balances, pool.amplification)
+    ann = pool.amplification * n^n
+    product_term = prod(invariant / (n * balance) for balance in pool.balances)
+    slope(k) = ann + product_term * invariant / pool.balances[k]
+    return (1 - pool.fee) * slope(i) / slope(j)
+end
+
+function swap!(pool::StableSwapPool, token_in::Int64, token_out::Int64, amount_in)
+    amount_out = get_amount_out(pool, token_in, token_out, amount_in)
+    i, j = pair_indices(pool, token_in, token_out)
+    pool.balances[i] += amount_in
+    pool.balances[j] -= amount_out
+    return amount_out
+end
+
+# Balancer
+
+function get_amount_out(pool::WeightedPool, token_in::Int64, token_out::Int64, amount_in)
+    check_amount(amount_in)
+    i, j = pair_indices(pool, token_in, token_out)
+    balance_in, balance_out = pool.balances[i], pool.balances[j]
+    effective_in = amount_in * (1 - pool.fee)
+    return balance_out * (1 - (balance_in / (balance_in + effective_in))^(pool.weights[i] / pool.weights[j]))
+end
+
+function marginal_price(pool::WeightedPool, token_in::Int64, token_out::Int64)
+    i, j = pair_indices(pool, token_in, token_out)
+    return (1 - pool.fee) * (pool.balances[j] / pool.weights[j]) / (pool.balances[i] / pool.weights[i])
+end
+
+function swap!(pool::WeightedPool, token_in::Int64, token_out::Int64, amount_in)
+    amount_out = get_amount_out(pool, token_in, token_out, amount_in)
+    i, j = pair_indices(pool, token_in, token_out)
+    pool.balances[i] += amount_in
+    pool.balances[j] -= amount_out
+    return amount_out
+end
+
+# Snapshots
+
+# Required field of a snapshot entry
+function snapshot_field(data::AbstractDict, name::String)
+    haskey(data, name) || throw(ArgumentError("Pool snapshot entry is missing \"$name\""))
+    return data[name]
+end
+
+"""
+    parse_pool(data; numeric_type = Float64) -> AbstractPool
+
+Build a pool from one parsed entry of a snapshot (see the module docs).
+Throws `ArgumentError` for unknown pool types or missing fields.
+"""
+function parse_pool(data::AbstractDict; numeric_type::Type{T} = Float64) where {T}
+    kind = snapshot_field(data, "type")
+    tokens = Int64.(snapshot_field(data, "tokens"))
+    fee = T(get(data, "fee", 0))
+
+    if kind == "uniswap_v2"
+        length(tokens) == 2 || throw(ArgumentError("Uniswap V2 pools trade exactly two tokens"))
+        reserves = T.(snapshot_field(data, "reserves"))
+        length(reserves) == 2 || throw(ArgumentError("Uniswap V2 pools need two reserves"))
+        return ConstantProductPool(tokens[1], tokens[2], reserves[1], reserves[2], fee)
+    elseif kind == "uniswap_v3"
+        length(tokens) == 2 || throw(ArgumentError("Uniswap V3 pools trade exactly two tokens"))
+        ticks = TickLiquidity{T}[
+            TickLiquidity{T}(Int64(snapshot_field(t, "index")), T(snapshot_field(t, "liquidity_net")))
+            for t in get(data, "ticks", Any[])
+        ]
+        return ConcentratedLiquidityPool(
+            tokens[1],
+            tokens[2],
+            T(snapshot_field(data, "sqrt_price")),
+            T(snapshot_field(data, "liquidity")),
+            fee,
+            ticks,
+        )
+    elseif kind == "curve"
+        balances = T.(snapshot_field(data, "balances"))
+        return StableSwapPool(tokens, balances, T(snapshot_field(data, "amplification")), fee)
+    elseif kind == "balancer"
+        balances = T.(snapshot_field(data, "balances"))
+        return WeightedPool(tokens, balances, T.(snapshot_field(data, "weights")), fee)
+    end
+    throw(ArgumentError("Unknown pool type: $kind"))
+end
+
+"""
+    load_pool_snapshot(path; numeric_type = Float64) -> Vector{AbstractPool}
+
+Read the pools saved in the JSON snapshot at `path`, either an object with a
+`"pools"` list or the list itself.
+"""
+function load_pool_snapshot(path::AbstractString; numeric_type::Type{T} = Float64) where {T}
+    data = JSON.parsefile(path)
+    entries = data isa AbstractDict ? snapshot_field(data, "pools") : data
+    entries isa AbstractVector || throw(ArgumentError("Pool snapshot must hold a list of pools"))
+    return AbstractPool{T}[parse_pool(entry; numeric_type = T) for entry in entries]
+end
+
+end # module
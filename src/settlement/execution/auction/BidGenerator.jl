@@ -6,27 +6,59 @@ Provides abstract interface for generating bids during phantom auctions.
 
 This module defines the interface for bid generation without any test/simulation
 dependencies, allowing for proper dependency injection in production vs test environments.
+
+# Wire protocol
+
+`ProductionBidGenerator` talks JSON over HTTP to every configured endpoint:
+
+- `POST <endpoint>/commit` carries the `ImprovementBidRequest` plus an `auction_id`.
+  A participant answers `200` with `bidder_id`, `commitment_hash` and
+  `salt_commitment` (hex encoded), or `204` if it does not bid.
+- `POST <endpoint>/reveal` carries `auction_id`, `bidder_id` and `commitment_hash`.
+  The participant answers `200` with the committed `bid` and its hex `salt`.
+
+Timeouts, `5xx` responses and connection errors are retried; other responses are not.
 """
 module BidGenerator
 
 using Base: UUID
-using Dates: DateTime, now
+using Dates: Dates, DateTime, Millisecond, now
+using HTTP
+using JSON
 using UUIDs: uuid4
-export AbstractBidGenerator, ProductionBidGenerator, NetworkBidProvider
-export generate_bid, configure_bid_source, ConnectionValue, RetryPolicyValue
+export AbstractBidGenerator, ProductionBidGenerator, NetworkBidProvider, ParticipantStats
+export configure_bid_source, get_generator_stats, ConnectionValue, RetryPolicyValue
+export ImprovementBid, BidCommitment, collect_commitments, request_reveal, request_reveals
+
+const JSON_HEADERS = ["Content-Type" => "application/json"]
+
+"""Union type for retry policy values - replaces Any type for type safety."""
+const RetryPolicyValue = Union{Int64,Float64,String,Bool}
 
 """
-    AbstractBidGenerator
+    NetworkBidProvider
 
-Abstract interface for generating bids during phantom auctions.
-Production implementations should source bids from real participants.
+Interface for network-based bid providers.
 """
+struct NetworkBidProvider
+    endpoint::String
+    timeout_ms::Float64
+    retry_policy::Dict{Symbol,RetryPolicyValue}
+
+    function NetworkBidProvider(endpoint::String; timeout_ms::Float64 = 50.0, max_retries::Int = 2)
+        new(endpoint, timeout_ms, Dict(:max_retries => max_retries))
+    end
+end
+
 """Union type for connection values - replaces Any type for type safety."""
 const ConnectionValue = Union{NetworkBidProvider,String,Int64,Float64,Bool}
 
-"""Union type for retry policy values - replaces Any type for type safety."""
-const RetryPolicyValue = Union{Int64,Float64,String,Bool}
+"""
+    AbstractBidGenerator
 
+Abstract interface for generating bids during phantom auctions.
+Production implementations should source bids from real participants.
+"""
 abstract type AbstractBidGenerator end
 
 """
@@ -43,6 +75,35 @@ struct ImprovementBidRequest{T}
     deadline::DateTime
 end
 
+"""
+    ImprovementBid{T}
+
+A revealed bid for price improvement on a token pair.
+"""
+struct ImprovementBid{T}
+    bidder_id::String
+    token_pair::Tuple{Int64,Int64}
+    improved_price::T
+    volume::T
+    priority_fee::T
+    commitment_hash::Vector{UInt8}
+    nonce::Int64
+    timestamp::DateTime
+end
+
+"""
+    BidCommitment
+
+First message of the commit-reveal protocol. A participant sends only the
+hash of its bid (salted with a secret it keeps until the reveal phase) and
+the hash of that salt; the bid itself is disclosed later via `request_reveal`.
+"""
+struct BidCommitment
+    bidder_id::String
+    commitment_hash::Vector{UInt8}
+    salt_commitment::Vector{UInt8}
+end
+
 """
     BidGeneratorConfig
 
@@ -60,6 +121,7 @@ struct BidGeneratorConfig
 
     # Retry configuration
     retry_attempts::Int
+    retry_backoff_ms::Float64
     backoff_multiplier::Float64
 
     function BidGeneratorConfig(;
@@ -69,8 +131,13 @@ struct BidGeneratorConfig
         max_priority_fee_bps::Float64 = 100.0,
         volume_tolerance_ratio::Float64 = 2.0,
         retry_attempts::Int = 3,
+        retry_backoff_ms::Float64 = 5.0,
         backoff_multiplier::Float64 = 1.5,
     )
+        request_timeout_ms > 0 || throw(ArgumentError("request_timeout_ms must be positive"))
+        max_concurrent_requests > 0 || throw(ArgumentError("max_concurrent_requests must be positive"))
+        retry_attempts >= 0 || throw(ArgumentError("retry_attempts must be non-negative"))
+        retry_backoff_ms >= 0 || throw(ArgumentError("retry_backoff_ms must be non-negative"))
         new(
             request_timeout_ms,
             max_concurrent_requests,
@@ -78,11 +145,43 @@ struct BidGeneratorConfig
             max_priority_fee_bps,
             volume_tolerance_ratio,
             retry_attempts,
+            retry_backoff_ms,
             backoff_multiplier,
         )
     end
 end
 
+"""
+    ParticipantStats
+
+Response statistics for a single participant endpoint.
+"""
+mutable struct ParticipantStats
+    requests::Int
+    responses::Int
+    no_bids::Int
+    timeouts::Int
+    failures::Int
+    retries::Int
+    total_latency_ms::Float64
+
+    ParticipantStats() = new(0, 0, 0, 0, 0, 0, 0.0)
+end
+
+"""
+    CollectionRound{T}
+
+Bid collection state for the auction currently being served. Commitments are
+pushed into `inbox` by the per-endpoint request tasks as they arrive, and
+`routes` remembers which endpoint to ask when a bidder has to reveal.
+"""
+struct CollectionRound{T}
+    auction_id::String
+    request::ImprovementBidRequest{T}
+    inbox::Channel{BidCommitment}
+    routes::Dict{String,NetworkBidProvider}
+end
+
 """
     ProductionBidGenerator
 
@@ -93,6 +192,11 @@ mutable struct ProductionBidGenerator <: AbstractBidGenerator
     participant_endpoints::Vector{String}
     active_connections::Dict{String,ConnectionValue}
     request_stats::Dict{Symbol,Int}
+    participant_stats::Dict{String,ParticipantStats}
+
+    # Serves one auction at a time; a new request starts a new round
+    current_round::Union{CollectionRound,Nothing}
+    request_slots::Base.Semaphore
 
     function ProductionBidGenerator(config::BidGeneratorConfig = BidGeneratorConfig())
         new(
@@ -105,60 +209,257 @@ mutable struct ProductionBidGenerator <: AbstractBidGenerator
                 :timeout_failures => 0,
                 :network_failures => 0,
             ),
+            Dict{String,ParticipantStats}(),
+            nothing,
+            Base.Semaphore(config.max_concurrent_requests),
         )
     end
 end
 
 """
-    NetworkBidProvider
+    collect_commitments(generator, request) -> Vector{BidCommitment}
 
-Interface for network-based bid providers.
+Poll the bid source for sealed commitments during the collection phase.
+Generators that do not support sealed bidding return no commitments.
 """
-struct NetworkBidProvider
-    endpoint::String
-    timeout_ms::Float64
-    retry_policy::Dict{Symbol,RetryPolicyValue}
+collect_commitments(generator::AbstractBidGenerator, request::ImprovementBidRequest) = BidCommitment[]
 
-    function NetworkBidProvider(endpoint::String; timeout_ms::Float64 = 50.0, max_retries::Int = 2)
-        new(endpoint, timeout_ms, Dict(:max_retries => max_retries))
+function collect_commitments(generator::ProductionBidGenerator, request::ImprovementBidRequest{T}) where {T}
+    if isempty(generator.participant_endpoints)
+        return BidCommitment[]
     end
+
+    collection = generator.current_round
+    if collection === nothing || collection.request != request
+        collection = start_round!(generator, request)
+    end
+
+    # Hand over whatever has arrived since the last poll
+    commitments = BidCommitment[]
+    while isready(collection.inbox)
+        push!(commitments, take!(collection.inbox))
+    end
+    return commitments
+end
+
+# Fan the request out to every endpoint; each endpoint gets its own task
+function start_round!(generator::ProductionBidGenerator, request::ImprovementBidRequest{T}) where {T}
+    endpoints = generator.participant_endpoints
+    collection = CollectionRound{T}(
+        string(uuid4()),
+        request,
+        Channel{BidCommitment}(length(endpoints)),
+        Dict{String,NetworkBidProvider}(),
+    )
+    generator.current_round = collection
+
+    payload = Dict(
+        "auction_id" => collection.auction_id,
+        "token_pair" => collect(request.token_pair),
+        "baseline_price" => request.baseline_price,
+        "baseline_amount" => request.baseline_amount,
+        "min_improvement_bps" => request.min_improvement_bps,
+        "max_improvement_bps" => request.max_improvement_bps,
+        "deadline" => string(request.deadline),
+    )
+
+    for endpoint in endpoints
+        provider = generator.active_connections[endpoint]::NetworkBidProvider
+        @async begin
+            response = post_with_retries(generator, provider, "/commit", payload, request.deadline)
+            commitment = response === nothing ? nothing : parse_commitment(generator, provider, response)
+
+            # Late arrivals are dropped; the collection window has closed
+            if commitment !== nothing && now() < request.deadline && !haskey(collection.routes, commitment.bidder_id)
+                collection.routes[commitment.bidder_id] = provider
+                put!(collection.inbox, commitment)
+            end
+        end
+    end
+
+    return collection
 end
 
 """
-    generate_bid(generator, request) -> Union{ImprovementBid, Nothing}
+    request_reveal(generator, commitment) -> Union{Tuple{ImprovementBid, Vector{UInt8}}, Nothing}
 
-Generate an improvement bid using the configured bid generator.
-Returns `nothing` if no valid bid can be generated within constraints.
+Ask the participant behind `commitment` to open it. Returns the revealed bid
+together with the salt it was committed under, or `nothing` if the
+participant does not reveal.
+"""
+request_reveal(generator::AbstractBidGenerator, commitment::BidCommitment) = nothing
 
-# Arguments
-- `generator::AbstractBidGenerator` - Bid generator instance
-- `request::ImprovementBidRequest` - Bid request parameters
+function request_reveal(generator::ProductionBidGenerator, commitment::BidCommitment)
+    deadline = now() + Millisecond(round(Int, generator.config.request_timeout_ms))
+    return only(request_reveals(generator, [commitment], deadline))
+end
 
-# Returns
-- `ImprovementBid` if successful
-- `nothing` if no bid available or request failed
 """
-function generate_bid(generator::ProductionBidGenerator, request::ImprovementBidRequest{T}) where {T}
-    # Increment request counter
-    generator.request_stats[:total_requests] += 1
+    request_reveals(generator, commitments, deadline) -> Vector
 
-    # For production, this would:
-    # 1. Query registered participants via network
-    # 2. Collect bid responses within timeout
-    # 3. Validate and rank received bids
-    # 4. Return best valid bid
+Ask every committed participant to reveal, returning one entry per commitment
+in the same order (`nothing` where no opening arrived before `deadline`).
+Generators that can reveal in parallel should override this.
+"""
+function request_reveals(generator::AbstractBidGenerator, commitments::Vector{BidCommitment}, deadline::DateTime)
+    return [now() < deadline ? request_reveal(generator, commitment) : nothing for commitment in commitments]
+end
 
-    # Check if we have active participants
-    if isempty(generator.participant_endpoints)
-        return nothing
+function request_reveals(generator::ProductionBidGenerator, commitments::Vector{BidCommitment}, deadline::DateTime)
+    collection = generator.current_round
+    if collection === nothing
+        return Vector{Nothing}(nothing, length(commitments))
+    end
+
+    tasks = map(commitments) do commitment
+        provider = get(collection.routes, commitment.bidder_id, nothing)
+        provider === nothing && return nothing
+
+        payload = Dict(
+            "auction_id" => collection.auction_id,
+            "bidder_id" => commitment.bidder_id,
+            "commitment_hash" => bytes2hex(commitment.commitment_hash),
+        )
+        return @async begin
+            response = post_with_retries(generator, provider, "/reveal", payload, deadline)
+            response === nothing ? nothing : parse_reveal(generator, provider, response, collection.request)
+        end
+    end
+
+    # Every attempt is capped by the deadline, so these waits are bounded too
+    return [task === nothing ? nothing : fetch(task) for task in tasks]
+end
+
+# POST a JSON payload, retrying timeouts, connection errors and 5xx responses
+# until the endpoint's retry budget or the deadline runs out.
+# Returns the response body, or `nothing` if the participant declined or never answered.
+function post_with_retries(generator::ProductionBidGenerator, provider::NetworkBidProvider, path, payload, deadline)
+    stats = get!(ParticipantStats, generator.participant_stats, provider.endpoint)
+    max_retries = provider.retry_policy[:max_retries]
+    body = JSON.json(payload)
+
+    for attempt = 0:max_retries
+        now() < deadline || break
+
+        if attempt > 0
+            stats.retries += 1
+        end
+        stats.requests += 1
+        generator.request_stats[:total_requests] += 1
+
+        started = time_ns()
+        Base.acquire(generator.request_slots)
+        outcome = try
+            # Waiting for a slot eats into the budget, so recheck the deadline
+            timeout_ms = min(provider.timeout_ms, Float64(Dates.value(deadline - now())))
+            timeout_ms > 0 ? timed_post(provider.endpoint * path, body, timeout_ms) : :timeout
+        finally
+            Base.release(generator.request_slots)
+        end
+        latency_ms = (time_ns() - started) / 1_000_000
+
+        if outcome === :timeout
+            stats.timeouts += 1
+            generator.request_stats[:timeout_failures] += 1
+        elseif outcome isa Exception || outcome.status >= 500
+            stats.failures += 1
+            generator.request_stats[:network_failures] += 1
+        else
+            stats.responses += 1
+            stats.total_latency_ms += latency_ms
+            generator.request_stats[:successful_responses] += 1
+
+            if outcome.status == 200
+                return String(outcome.body)
+            end
+
+            # 204 means no bid; other statuses are final refusals, not worth retrying
+            if outcome.status == 204
+                stats.no_bids += 1
+            else
+                stats.failures += 1
+            end
+            return nothing
+        end
+
+        # Back off before the next attempt, but never past the deadline
+        backoff_ms = generator.config.retry_backoff_ms * generator.config.backoff_multiplier^attempt
+        wait_ms = min(backoff_ms, Float64(Dates.value(deadline - now())))
+        wait_ms > 0 && sleep(wait_ms / 1000)
     end
 
-    # In production, implement actual network communication here
-    # For now, return nothing to indicate no bid available
-    # This forces the auction to continue without simulation
     return nothing
 end
 
+# Issue a single POST and give up waiting after `timeout_ms`. HTTP.jl only takes
+# whole-second timeouts, so those serve as a backstop for the abandoned request.
+function timed_post(url::String, body::String, timeout_ms::Float64)
+    backstop_s = max(1, ceil(Int, timeout_ms / 1000))
+    task = @async try
+        HTTP.post(
+            url,
+            JSON_HEADERS,
+            body;
+            retry = false,
+            status_exception = false,
+            connect_timeout = backstop_s,
+            readtimeout = backstop_s,
+        )
+    catch e
+        e
+    end
+
+    status = timedwait(() -> istaskdone(task), timeout_ms / 1000; pollint = 0.001)
+    return status === :ok ? fetch(task) : :timeout
+end
+
+# Decode a commit response; malformed responses count against the participant
+function parse_commitment(generator::ProductionBidGenerator, provider::NetworkBidProvider, body::String)
+    try
+        data = JSON.parse(body)
+        return BidCommitment(
+            String(data["bidder_id"]),
+            hex2bytes(data["commitment_hash"]),
+            hex2bytes(data["salt_commitment"]),
+        )
+    catch e
+        record_malformed!(generator, provider, e)
+        return nothing
+    end
+end
+
+# Decode a reveal response into the bid and the salt it was committed under
+function parse_reveal(
+    generator::ProductionBidGenerator,
+    provider::NetworkBidProvider,
+    body::String,
+    request::ImprovementBidRequest{T},
+) where {T}
+    try
+        data = JSON.parse(body)
+        fields = data["bid"]
+        bid = ImprovementBid{T}(
+            String(fields["bidder_id"]),
+            (Int64(fields["token_pair"][1]), Int64(fields["token_pair"][2])),
+            T(fields["improved_price"]),
+            T(fields["volume"]),
+            T(fields["priority_fee"]),
+            hex2bytes(fields["commitment_hash"]),
+            Int64(fields["nonce"]),
+            DateTime(fields["timestamp"]),
+        )
+        return (bid, hex2bytes(data["salt"]))
+    catch e
+        record_malformed!(generator, provider, e)
+        return nothing
+    end
+end
+
+function record_malformed!(generator::ProductionBidGenerator, provider::NetworkBidProvider, error)
+    generator.participant_stats[provider.endpoint].failures += 1
+    @warn "Malformed response from bid provider" endpoint=provider.endpoint error=error
+end
+
 """
     configure_bid_source(generator, endpoints)
 
@@ -171,10 +472,14 @@ Configure the bid generator with participant endpoints.
 function configure_bid_source(generator::ProductionBidGenerator, endpoints::Vector{String})
     generator.participant_endpoints = copy(endpoints)
 
-    # Initialize connections to endpoints
+    # Each endpoint inherits the generator's timeout and retry budget
     for endpoint in endpoints
-        # In production, establish actual network connections
-        generator.active_connections[endpoint] = NetworkBidProvider(endpoint)
+        generator.active_connections[endpoint] = NetworkBidProvider(
+            endpoint;
+            timeout_ms = generator.config.request_timeout_ms,
+            max_retries = generator.config.retry_attempts,
+        )
+        get!(ParticipantStats, generator.participant_stats, endpoint)
     end
 
     println("INFO: Configured bid generator with $(length(endpoints)) participant endpoints")
@@ -231,11 +536,26 @@ function get_generator_stats(generator::ProductionBidGenerator)
     total = generator.request_stats[:total_requests]
     success_rate = total > 0 ? generator.request_stats[:successful_responses] / total * 100 : 0.0
 
+    participants = Dict(
+        endpoint => Dict(
+            :requests => stats.requests,
+            :responses => stats.responses,
+            :no_bids => stats.no_bids,
+            :timeouts => stats.timeouts,
+            :failures => stats.failures,
+            :retries => stats.retries,
+            :mean_latency_ms => stats.responses > 0 ? stats.total_latency_ms / stats.responses : 0.0,
+        ) for (endpoint, stats) in generator.participant_stats
+    )
+
     return Dict(
         :total_requests => total,
         :success_rate_percent => success_rate,
+        :timeout_failures => generator.request_stats[:timeout_failures],
+        :network_failures => generator.request_stats[:network_failures],
         :active_endpoints => length(generator.participant_endpoints),
         :connected_providers => length(generator.active_connections),
+        :participants => participants,
     )
 end
 
@@ -0,0 +1,230 @@
+"""
+    BidScoring
+
+Scoring rules used to rank revealed improvement bids in phantom auctions.
+
+Each rule turns a bid into a single score plus a breakdown of the components
+that produced it, so that losing participants can see why they lost. The rule
+is chosen per token pair from the `[bid_scoring]` configuration section.
+"""
+module BidScoring
+
+using ..BidGenerator: ImprovementBid
+using ..ConfigManager: AuctionConfig, get_config, get_config_section
+export BidScoringRule, LinearBlendScoring, NetSurplusScoring, VolumeWeightedScoring, ReputationScoring
+export BidScore, score_bid, rank_bids, scoring_rule_for, build_scoring_rule
+
+"""
+    BidScoringRule
+
+Abstract interface for phantom auction bid ranking. Implementations provide
+`score_components(rule, bid, baseline_price, baseline_amount)` returning the
+score and a `Dict{Symbol,Float64}` breakdown.
+"""
+abstract type BidScoringRule end
+
+"""
+    LinearBlendScoring(; price_weight = 0.8, fee_weight = 0.2)
+
+Weighted sum of the price improvement and the priority fee, both in basis points.
+"""
+struct LinearBlendScoring <: BidScoringRule
+    price_weight::Float64
+    fee_weight::Float64
+
+    function LinearBlendScoring(; price_weight::Real = 0.8, fee_weight::Real = 0.2)
+        price_weight >= 0 || throw(ArgumentError("price_weight must be non-negative"))
+        fee_weight >= 0 || throw(ArgumentError("fee_weight must be non-negative"))
+        new(Float64(price_weight), Float64(fee_weight))
+    end
+end
+
+"""
+    NetSurplusScoring(; gas_cost = 0.0)
+
+Surplus delivered to the user in quote units: the price improvement over the
+fillable volume plus the priority fee (valued at the baseline price), minus
+the estimated gas cost of settling against the bidder.
+"""
+struct NetSurplusScoring <: BidScoringRule
+    gas_cost::Float64
+
+    function NetSurplusScoring(; gas_cost::Real = 0.0)
+        gas_cost >= 0 || throw(ArgumentError("gas_cost must be non-negative"))
+        new(Float64(gas_cost))
+    end
+end
+
+"""
+    VolumeWeightedScoring()
+
+Price improvement in basis points scaled by the share of the baseline amount
+the bid can fill, so a small bid cannot win on price alone.
+"""
+struct VolumeWeightedScoring <: BidScoringRule end
+
+"""
+    ReputationScoring(base; reputations = Dict(), default_reputation = 1.0)
+
+Scales the score of a `base` rule by each bidder's reputation. Bidders missing
+from `reputations` get `default_reputation`.
+"""
+struct ReputationScoring{R<:BidScoringRule} <: BidScoringRule
+    base::R
+    reputations::Dict{String,Float64}
+    default_reputation::Float64
+
+    function ReputationScoring(
+        base::R;
+        reputations::AbstractDict = Dict{String,Float64}(),
+        default_reputation::Real = 1.0,
+    ) where {R<:BidScoringRule}
+        base isa ReputationScoring && throw(ArgumentError("Reputation scoring cannot wrap itself"))
+        default_reputation >= 0 || throw(ArgumentError("default_reputation must be non-negative"))
+        all(>=(0), values(reputations)) || throw(ArgumentError("Reputations must be non-negative"))
+        scores = Dict{String,Float64}(String(k) => Float64(v) for (k, v) in reputations)
+        new{R}(base, scores, Float64(default_reputation))
+    end
+end
+
+"""
+    BidScore{T}
+
+A revealed bid with its score, score breakdown and rank (1 = winner).
+"""
+struct BidScore{T}
+    bid::ImprovementBid{T}
+    score::Float64
+    components::Dict{Symbol,Float64}
+    rank::Int
+end
+
+# Shared inputs for the built-in rules
+improvement_bps(bid, baseline_price) =
+    iszero(baseline_price) ? 0.0 : Float64((bid.improved_price - baseline_price) / baseline_price * 10000)
+
+fill_ratio(bid, baseline_amount) =
+    iszero(baseline_amount) ? 0.0 : Float64(min(bid.volume, baseline_amount) / baseline_amount)
+
+function score_components(rule::LinearBlendScoring, bid::ImprovementBid, baseline_price, baseline_amount)
+    improvement = improvement_bps(bid, baseline_price)
+    fee_bps = iszero(baseline_amount) ? 0.0 : Float64(bid.priority_fee / baseline_amount * 10000)
+    price_component = improvement * rule.price_weight
+    fee_component = fee_bps * rule.fee_weight
+
+    components = Dict(
+        :improvement_bps => improvement,
+        :fee_bps => fee_bps,
+        :price_component => price_component,
+        :fee_component => fee_component,
+    )
+    return price_component + fee_component, components
+end
+
+function score_components(rule::NetSurplusScoring, bid::ImprovementBid, baseline_price, baseline_amount)
+    fill = min(bid.volume, baseline_amount)
+    price_surplus = Float64((bid.improved_price - baseline_price) * fill)
+    fee_value = Float64(bid.priority_fee * baseline_price)
+
+    components = Dict(
+        :price_surplus => price_surplus,
+        :priority_fee_value => fee_value,
+        :gas_cost => rule.gas_cost,
+    )
+    return price_surplus + fee_value - rule.gas_cost, components
+end
+
+function score_components(::VolumeWeightedScoring, bid::ImprovementBid, baseline_price, baseline_amount)
+    improvement = improvement_bps(bid, baseline_price)
+    ratio = fill_ratio(bid, baseline_amount)
+
+    components = Dict(:improvement_bps => improvement, :fill_ratio => ratio)
+    return improvement * ratio, components
+end
+
+function score_components(rule::ReputationScoring, bid::ImprovementBid, baseline_price, baseline_amount)
+    base_score, components = score_components(rule.base, bid, baseline_price, baseline_amount)
+    reputation = get(rule.reputations, bid.bidder_id, rule.default_reputation)
+
+    components[:base_score] = base_score
+    components[:reputation] = reputation
+    return base_score * reputation, components
+end
+
+"""
+    score_bid(rule, bid, baseline_price, baseline_amount) -> Tuple{Float64, Dict{Symbol,Float64}}
+
+Score a single bid under `rule`, returning the score and its breakdown.
+"""
+function score_bid(rule::BidScoringRule, bid::ImprovementBid, baseline_price, baseline_amount)
+    return score_components(rule, bid, baseline_price, baseline_amount)
+end
+
+"""
+    rank_bids(rule, bids, baseline_price, baseline_amount) -> Vector{BidScore{T}}
+
+Score every bid and rank them best first. Equal scores go to the earlier bid.
+"""
+function rank_bids(
+    rule::BidScoringRule,
+    bids::AbstractVector{ImprovementBid{T}},
+    baseline_price,
+    baseline_amount,
+) where {T}
+    scored = [(bid, score_bid(rule, bid, baseline_price, baseline_amount)...) for bid in bids]
+    sort!(scored, by = s -> (-s[2], s[1].timestamp))
+
+    return [BidScore{T}(bid, score, components, rank) for (rank, (bid, score, components)) in enumerate(scored)]
+end
+
+"""
+    build_scoring_rule(name, config) -> BidScoringRule
+
+Construct a scoring rule by its configuration name: `linear_blend`,
+`net_surplus`, `volume_weighted` or `reputation`.
+"""
+function build_scoring_rule(name::AbstractString, config::AuctionConfig)
+    section = scoring_section(config)
+
+    if name == "linear_blend"
+        return LinearBlendScoring(
+            price_weight = get_config(config, "auction_mechanics.price_weight", Float64; default = 0.8),
+            fee_weight = get_config(config, "auction_mechanics.fee_weight", Float64; default = 0.2),
+        )
+    elseif name == "net_surplus"
+        return NetSurplusScoring(gas_cost = get(section, "gas_cost", 0.0))
+    elseif name == "volume_weighted"
+        return VolumeWeightedScoring()
+    elseif name == "reputation"
+        base_name = get(section, "reputation_base_rule", "linear_blend")
+        base_name == "reputation" && throw(ArgumentError("reputation_base_rule cannot be \"reputation\""))
+        return ReputationScoring(
+            build_scoring_rule(base_name, config);
+            reputations = get(section, "reputation", Dict{String,Any}()),
+            default_reputation = get(section, "default_reputation", 1.0),
+        )
+    end
+
+    throw(ArgumentError("Unknown bid scoring rule: $name"))
+end
+
+"""
+    scoring_rule_for(config, token_pair) -> BidScoringRule
+
+Pick the scoring rule configured for `token_pair`. Per-pair overrides live in
+`[bid_scoring.pairs]` keyed `"<token_in>-<token_out>"`; other pairs use
+`bid_scoring.default_rule`.
+"""
+function scoring_rule_for(config::AuctionConfig, token_pair::Tuple{Int64,Int64})
+    section = scoring_section(config)
+    pairs = get(section, "pairs", Dict{String,Any}())
+    name = get(pairs, "$(token_pair[1])-$(token_pair[2])", get(section, "default_rule", "linear_blend"))
+    return build_scoring_rule(name, config)
+end
+
+# Missing section means every pair uses the linear blend
+function scoring_section(config::AuctionConfig)
+    return haskey(config.data, "bid_scoring") ? get_config_section(config, "bid_scoring") : Dict{String,Any}()
+end
+
+end # module
@@ -3,7 +3,7 @@ module PhantomAuction
 using Base.Threads: Atomic, SpinLock, ReentrantLock
 using Dates
 using SHA
-# Random removed - using BidGenerator abstraction instead
+using Random: RandomDevice
 using Logging
 # Import configuration manager
 include("../../../config/ConfigManager.jl")
@@ -11,23 +11,20 @@ using .ConfigManager: load_config, get_config, AuctionConfig
 # Import production bid generation interface
 include("BidGenerator.jl")
 using .BidGenerator: AbstractBidGenerator, ProductionBidGenerator, BidGeneratorConfig
-using .BidGenerator: generate_bid, configure_bid_source, ImprovementBidRequest
+using .BidGenerator: configure_bid_source, ImprovementBidRequest, ImprovementBid
+using .BidGenerator: BidCommitment, collect_commitments, request_reveals
+# Pluggable bid ranking
+include("BidScoring.jl")
+using .BidScoring: BidScoringRule, LinearBlendScoring, NetSurplusScoring, VolumeWeightedScoring, ReputationScoring
+using .BidScoring: BidScore, rank_bids, scoring_rule_for
 export Auction, ImprovementBid, BlockspaceImprovementBid, AuctionResult, BlockspaceAuctionResult
-export run_auction, submit_bid, reveal_bid, finalize_auction
+export SealedCommitment, UnrevealedCommitment, AuctionPhase, COMMIT_PHASE, REVEAL_PHASE, PhantomFill
+export run_auction, submit_commitment, open_reveal_phase!, reveal_bid, finalize_auction
+export create_commitment, generate_salt, seal_bid
+export BidScoringRule, LinearBlendScoring, NetSurplusScoring, VolumeWeightedScoring, ReputationScoring
+export BidScore, scoring_rule_for
 export configure_auction_bid_source, run_blockspace_auction, submit_blockspace_bid
 
-# Improvement bid structure
-struct ImprovementBid{T}
-    bidder_id::String
-    token_pair::Tuple{Int64,Int64}
-    improved_price::T
-    volume::T
-    priority_fee::T
-    commitment_hash::Vector{UInt8}
-    nonce::Int64
-    timestamp::DateTime
-end
-
 # Blockspace improvement bid structure - extends ImprovementBid for slot auctions
 struct BlockspaceImprovementBid{T} <: Any
     bidder_id::String
@@ -44,14 +41,48 @@ struct BlockspaceImprovementBid{T} <: Any
     bundle_hash::Vector{UInt8}
 end
 
-# Auction result
+# Phases of the commit-reveal protocol
+@enum AuctionPhase COMMIT_PHASE REVEAL_PHASE
+
+# Shorter salts would let an observer brute-force the committed bid
+const MIN_SALT_BYTES = 16
+
+# Commitment as stored by the auction - the bid itself stays hidden until reveal
+struct SealedCommitment
+    bidder_id::String
+    commitment_hash::Vector{UInt8}
+    salt_commitment::Vector{UInt8}
+    submitted_at::DateTime
+end
+
+# Commitment that was never validly opened, with the penalty charged for it
+struct UnrevealedCommitment{T}
+    bidder_id::String
+    commitment_hash::Vector{UInt8}
+    penalty::T
+end
+
+# One leg of the settled order; `bid === nothing` marks the remainder routed to the CFMM baseline
+struct PhantomFill{T}
+    bid::Union{ImprovementBid{T},Nothing}
+    price::T
+    volume::T
+    improvement_bps::Float64
+end
+
+# Auction result. `price` and `improvement_bps` are volume-weighted across all fills.
 struct AuctionResult{T}
-    winning_bid::Union{ImprovementBid{T},Nothing}
+    winning_bid::Union{ImprovementBid{T},Nothing}  # Top-ranked filled bid
     price::T
     amount::T
     improvement_bps::Float64
     num_participants::Int64
     auction_duration_ms::Float64
+    unrevealed::Vector{UnrevealedCommitment{T}}
+    scoring_rule::BidScoringRule
+    scores::Vector{BidScore{T}}  # Every revealed bid, best first, with its score breakdown
+    fills::Vector{PhantomFill{T}}
+    cfmm_remainder::T
 end
 
 # Blockspace auction result
@@ -84,12 +115,19 @@ mutable struct Auction{T}
     start_time::Int64
     deadline::DateTime
 
-    sealed_bids::Vector{ImprovementBid{T}}
+    phase::AuctionPhase
+    commitments::Dict{String,SealedCommitment}  # Keyed by bidder, one commitment each
     revealed_bids::Vector{ImprovementBid{T}}
     bid_lock::ReentrantLock  # Use ReentrantLock for complex operations
 
     is_finalized::Atomic{Bool}
     winning_bid::Union{ImprovementBid{T},Nothing}
+    fills::Vector{PhantomFill{T}}
+    unrevealed::Vector{UnrevealedCommitment{T}}
+
+    # Bid ranking, chosen per token pair
+    scoring_rule::BidScoringRule
+    scores::Vector{BidScore{T}}
 
     # Production bid generation
     bid_generator::AbstractBidGenerator
@@ -105,6 +143,7 @@ mutable struct Auction{T}
         deadline::DateTime,
         bid_generator::AbstractBidGenerator = ProductionBidGenerator(),
         global_config::AuctionConfig = load_config(),
+        scoring_rule::BidScoringRule = scoring_rule_for(global_config, token_pair),
     ) where {T}
         new{T}(
             config,
@@ -113,11 +152,16 @@ mutable struct Auction{T}
             token_pair,
             time_ns(),
             deadline,
-            Vector{ImprovementBid{T}}(),
+            COMMIT_PHASE,
+            Dict{String,SealedCommitment}(),
             Vector{ImprovementBid{T}}(),
             ReentrantLock(),
             Atomic{Bool}(false),
             nothing,
+            Vector{PhantomFill{T}}(),
+            Vector{UnrevealedCommitment{T}}(),
+            scoring_rule,
+            Vector{BidScore{T}}(),
             bid_generator,
             global_config,
         )
@@ -131,6 +175,8 @@ function run_auction(
     baseline_amount::T,
     deadline::DateTime;
     global_config::AuctionConfig = load_config(),
+    bid_generator::AbstractBidGenerator = ProductionBidGenerator(),
+    scoring_rule::Union{BidScoringRule,Nothing} = nothing,
 ) where {T}
     config = PhantomAuctionConfig(
         get_config(global_config, "phantom_auction.duration_ms", Int64),
@@ -142,11 +188,21 @@ function run_auction(
 
     token_pair = (request.token_in, request.token_out)
 
-    # Create auction with production bid generator
-    bid_generator = ProductionBidGenerator()
-    auction = Auction{T}(config, baseline_price, baseline_amount, token_pair, deadline, bid_generator, global_config)
+    if scoring_rule === nothing
+        scoring_rule = scoring_rule_for(global_config, token_pair)
+    end
+    auction = Auction{T}(
+        config,
+        baseline_price,
+        baseline_amount,
+        token_pair,
+        deadline,
+        bid_generator,
+        global_config,
+        scoring_rule,
+    )
 
-    # Collect sealed bids
+    # Commit phase: participants send only commitment hashes
     collection_deadline = Dates.now() + Millisecond(config.duration_ms - config.reveal_delay_ms)
 
     while Dates.now() < collection_deadline
@@ -160,21 +216,25 @@ function run_auction(
             collection_deadline,
         )
 
-        bid = generate_bid(auction.bid_generator, bid_request)
-        if bid !== nothing
-            submit_bid(auction, bid)
+        for commitment in collect_commitments(auction.bid_generator, bid_request)
+            submit_commitment(auction, commitment)
         end
 
         # Non-blocking yield for cooperative multitasking
         yield()
     end
 
-    # Reveal phase
+    # Reveal phase: each committed participant is asked to open its commitment
+    open_reveal_phase!(auction)
     reveal_deadline = Dates.now() + Millisecond(config.reveal_delay_ms)
 
-    for bid in auction.sealed_bids
-        if validate_commitment(bid)
-            reveal_bid(auction, bid)
+    pending = lock(auction.bid_lock) do
+        [BidCommitment(c.bidder_id, c.commitment_hash, c.salt_commitment) for c in values(auction.commitments)]
+    end
+    for opening in request_reveals(auction.bid_generator, pending, reveal_deadline)
+        if opening !== nothing
+            bid, salt = opening
+            reveal_bid(auction, bid, salt)
         end
     end
 
@@ -188,38 +248,74 @@ function run_auction(
     return finalize_auction(auction)
 end
 
-# Submit sealed bid to auction
-function submit_bid(auction::Auction{T}, bid::ImprovementBid{T}) where {T}
+# Submit a sealed commitment during the commit phase.
+# Only the bid hash and the hash of the bidder's secret salt are stored.
+function submit_commitment(
+    auction::Auction,
+    bidder_id::String,
+    commitment_hash::Vector{UInt8},
+    salt_commitment::Vector{UInt8},
+)
     # Check deadline
     if Dates.now() > auction.deadline
         return false
     end
 
-    # Validate bid parameters
-    if !validate_bid(auction, bid)
+    # Both values must be SHA-256 digests
+    if length(commitment_hash) != 32 || length(salt_commitment) != 32
         return false
     end
 
-    # Add to sealed bids
     lock(auction.bid_lock) do
-        push!(auction.sealed_bids, bid)
+        if auction.is_finalized[] || auction.phase != COMMIT_PHASE
+            return false
+        end
+
+        # One commitment per bidder, and no replaying another bidder's hash
+        if haskey(auction.commitments, bidder_id) ||
+           any(c -> c.commitment_hash == commitment_hash, values(auction.commitments))
+            return false
+        end
+
+        auction.commitments[bidder_id] =
+            SealedCommitment(bidder_id, copy(commitment_hash), copy(salt_commitment), Dates.now())
+        return true
     end
+end
 
-    return true
+function submit_commitment(auction::Auction, commitment::BidCommitment)
+    return submit_commitment(auction, commitment.bidder_id, commitment.commitment_hash, commitment.salt_commitment)
 end
 
-# Reveal bid after collection phase
-function reveal_bid(auction::Auction{T}, bid::ImprovementBid{T}) where {T}
-    # Verify commitment hash matches
-    if !verify_commitment(bid)
-        return false
+# Close the commit phase; no commitments are accepted afterwards
+function open_reveal_phase!(auction::Auction)
+    lock(auction.bid_lock) do
+        auction.phase = REVEAL_PHASE
     end
+    return auction
+end
 
+# Reveal bid after collection phase. The opening must match the stored
+# commitment and pass validation, otherwise the commitment stays unrevealed.
+function reveal_bid(auction::Auction{T}, bid::ImprovementBid{T}, salt::Vector{UInt8}) where {T}
     lock(auction.bid_lock) do
+        if auction.is_finalized[] || auction.phase != REVEAL_PHASE
+            return false
+        end
+
+        sealed = get(auction.commitments, bid.bidder_id, nothing)
+        if sealed === nothing || any(b -> b.bidder_id == bid.bidder_id, auction.revealed_bids)
+            return false
+        end
+
+        # Verify the opening against what was committed
+        if !verify_commitment(sealed, bid, salt) || !validate_bid(auction, bid)
+            return false
+        end
+
         push!(auction.revealed_bids, bid)
+        return true
     end
-
-    return true
 end
 
 # Finalize auction and determine winner
@@ -229,35 +325,64 @@ function finalize_auction(auction::Auction{T}) where {T}
     end
 
     lock(auction.bid_lock) do
-        # Check minimum participants
-        if length(auction.revealed_bids) < auction.config.min_participants
-            auction.is_finalized[] = true
-            return AuctionResult(
-                nothing,
-                auction.baseline_price,
-                auction.baseline_amount,
-                0.0,
-                length(auction.revealed_bids),
-                elapsed_time_ms(auction),
-            )
-        end
+        # Non-revealers are excluded from scoring and penalised
+        record_unrevealed!(auction)
 
-        # Score and rank bids
-        scored_bids = score_bids(auction)
+        # Score every revealed bid so losers can see the breakdown, even without a winner
+        auction.scores = score_bids(auction)
 
-        if isempty(scored_bids)
-            auction.is_finalized[] = true
-            return create_baseline_result(auction)
+        # Check minimum participants, then split the order across bids by score
+        if length(auction.revealed_bids) >= auction.config.min_participants
+            allocate_fills!(auction)
         end
 
-        # Select winner (highest score)
-        auction.winning_bid = scored_bids[1].bid
         auction.is_finalized[] = true
     end
 
     return create_result(auction)
 end
 
+# Fill the baseline amount from the ranked bids, best first. The last bid taken
+# may be partially filled; whatever no bid covers goes to the CFMM baseline.
+function allocate_fills!(auction::Auction{T}) where {T}
+    empty!(auction.fills)
+    remaining = auction.baseline_amount
+
+    for scored in auction.scores
+        # Scores are sorted, so nothing further down can beat the baseline either
+        (remaining > zero(T) && scored.score > 0) || break
+
+        bid = scored.bid
+        volume = min(bid.volume, remaining)
+        improvement_bps = calculate_improvement_bps(auction.baseline_price, bid.improved_price)
+        push!(auction.fills, PhantomFill{T}(bid, bid.improved_price, volume, improvement_bps))
+        remaining -= volume
+    end
+
+    auction.winning_bid = isempty(auction.fills) ? nothing : auction.fills[1].bid
+    return auction.fills
+end
+
+# Record every commitment without a valid reveal
+function record_unrevealed!(auction::Auction{T}) where {T}
+    penalty_bps = get_config(auction.global_config, "phantom_auction.non_reveal_penalty_bps", Float64; default = 0.0)
+    penalty = auction.baseline_amount * T(penalty_bps / 10000)
+    revealed = Set(b.bidder_id for b in auction.revealed_bids)
+
+    empty!(auction.unrevealed)
+    for sealed in sort!(collect(values(auction.commitments)), by = c->(c.submitted_at, c.bidder_id))
+        if !(sealed.bidder_id in revealed)
+            push!(auction.unrevealed, UnrevealedCommitment{T}(sealed.bidder_id, sealed.commitment_hash, penalty))
+        end
+    end
+
+    if !isempty(auction.unrevealed)
+        @warn "Commitments not revealed" count=length(auction.unrevealed) penalty=penalty
+    end
+
+    return auction.unrevealed
+end
+
 # Validate bid parameters
 function validate_bid(auction::Auction{T}, bid::ImprovementBid{T}) where {T}
     # Check token pair matches
@@ -287,45 +412,57 @@ function validate_bid(auction::Auction{T}, bid::ImprovementBid{T}) where {T}
     return true
 end
 
-# Score bids for ranking
+# Score bids for ranking under the auction's scoring rule
 function score_bids(auction::Auction{T}) where {T}
-    scores = []
-
-    for bid in auction.revealed_bids
-        # Score based on price improvement and priority fee
-        price_score = calculate_improvement_bps(auction.baseline_price, bid.improved_price)
-        fee_score = bid.priority_fee / auction.baseline_amount * 10000  # In bps
-
-        # Configurable scoring weights
-        price_weight = get_config(auction.global_config, "auction_mechanics.price_weight", Float64, 0.8)
-        fee_weight = get_config(auction.global_config, "auction_mechanics.fee_weight", Float64, 0.2)
-        total_score = price_score * price_weight + fee_score * fee_weight
-
-        push!(scores, (bid = bid, score = total_score))
-    end
-
-    # Sort by score descending
-    sort!(scores, by = x->x.score, rev = true)
-
-    return scores
+    return rank_bids(auction.scoring_rule, auction.revealed_bids, auction.baseline_price, auction.baseline_amount)
 end
 
-# Create commitment hash for bid
-function create_commitment(bid::ImprovementBid{T}) where {T}
-    data = string(bid.bidder_id, bid.token_pair, bid.improved_price, bid.volume, bid.nonce)
-    return sha256(data)
+# Create salted commitment hash for bid.
+# Fields are length-prefixed so that no two distinct bids share an encoding.
+function create_commitment(bid::ImprovementBid{T}, salt::Vector{UInt8}) where {T}
+    io = IOBuffer()
+    fields = (
+        bid.bidder_id,
+        bid.token_pair[1],
+        bid.token_pair[2],
+        bid.improved_price,
+        bid.volume,
+        bid.priority_fee,
+        bid.nonce,
+    )
+    for field in fields
+        encoded = string(field)
+        print(io, sizeof(encoded), ':', encoded)
+    end
+    write(io, salt)
+    return sha256(take!(io))
 end
 
-# Validate commitment hash
-function validate_commitment(bid::ImprovementBid{T}) where {T}
-    expected = create_commitment(bid)
-    return bid.commitment_hash == expected
+# Draw a fresh secret salt from the OS entropy source
+generate_salt(nbytes::Integer = 32) = rand(RandomDevice(), UInt8, nbytes)
+
+# Fill in the bid's commitment hash and build the matching commit message
+function seal_bid(bid::ImprovementBid{T}, salt::Vector{UInt8}) where {T}
+    commitment_hash = create_commitment(bid, salt)
+    sealed = ImprovementBid{T}(
+        bid.bidder_id,
+        bid.token_pair,
+        bid.improved_price,
+        bid.volume,
+        bid.priority_fee,
+        commitment_hash,
+        bid.nonce,
+        bid.timestamp,
+    )
+    return sealed, BidCommitment(bid.bidder_id, commitment_hash, sha256(salt))
 end
 
-# Verify revealed bid matches commitment
-function verify_commitment(bid::ImprovementBid{T}) where {T}
-    # In production, would verify against stored commitment
-    return validate_commitment(bid)
+# Verify revealed bid and salt against the stored commitment
+function verify_commitment(sealed::SealedCommitment, bid::ImprovementBid{T}, salt::Vector{UInt8}) where {T}
+    if length(salt) < MIN_SALT_BYTES || sha256(salt) != sealed.salt_commitment
+        return false
+    end
+    return bid.commitment_hash == sealed.commitment_hash && create_commitment(bid, salt) == sealed.commitment_hash
 end
 
 # Calculate improvement in basis points
@@ -347,19 +484,33 @@ function create_result(auction::Auction{T}) where {T}
         return create_baseline_result(auction)
     end
 
-    improvement_bps = calculate_improvement_bps(auction.baseline_price, auction.winning_bid.improved_price)
+    fills = copy(auction.fills)
+    remainder = auction.baseline_amount - sum(f.volume for f in fills)
+    if remainder > zero(T)
+        push!(fills, PhantomFill{T}(nothing, auction.baseline_price, remainder, 0.0))
+    end
+
+    # Blend price and improvement over every leg, including the CFMM remainder
+    amount = sum(f.volume for f in fills)
+    price = sum(f.price * f.volume for f in fills) / amount
+    improvement_bps = sum(f.improvement_bps * f.volume for f in fills) / amount
 
     return AuctionResult(
         auction.winning_bid,
-        auction.winning_bid.improved_price,
-        auction.winning_bid.volume,
-        improvement_bps,
+        price,
+        amount,
+        Float64(improvement_bps),
         length(auction.revealed_bids),
         elapsed_time_ms(auction),
+        copy(auction.unrevealed),
+        auction.scoring_rule,
+        copy(auction.scores),
+        fills,
+        max(remainder, zero(T)),
     )
 end
 
-# Create baseline result when no improvement
+# Create baseline result when no improvement; the whole order goes to the CFMM
 function create_baseline_result(auction::Auction{T}) where {T}
     return AuctionResult(
         nothing,
@@ -368,6 +519,11 @@ function create_baseline_result(auction::Auction{T}) where {T}
         0.0,
         length(auction.revealed_bids),
         elapsed_time_ms(auction),
+        copy(auction.unrevealed),
+        auction.scoring_rule,
+        copy(auction.scores),
+        [PhantomFill{T}(nothing, auction.baseline_price, auction.baseline_amount, 0.0)],
+        auction.baseline_amount,
     )
 end
 
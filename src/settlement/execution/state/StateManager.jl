@@ -1,16 +1,26 @@
 module StateManager
 
 using Base.Threads: @spawn, Atomic, ReentrantLock
+using CRC32c
 using Dates
+using JSON
 using UUIDs
+# Durable write-ahead log behind the store
+include("WriteAheadLog.jl")
+using .WriteAheadLog
 # Define StateValue union type for type safety
 const StateValue = Union{Float64, Int64, String, Bool, Vector{Float64}, Vector{Int64}, Set{UUID}, DateTime, UUID, Nothing}
 const StateDict = Dict{String, StateValue}
 
+# Isolation levels a transaction can run at; :repeatable_read is snapshot isolation
+const ISOLATION_LEVELS = (:read_committed, :snapshot, :repeatable_read, :serializable)
+
 export StateStore, StateSnapshot, StateTransaction, ConflictResolution, state_store, StateValue, StateDict
 export begin_transaction, commit_transaction!, rollback_transaction!
 export take_snapshot, restore_snapshot!, validate_state
-export get_state, update_state!, resolve_conflicts
+export get_state, update_state!, resolve_conflicts, run_transaction, collect_garbage!, ISOLATION_LEVELS
+export open_state_store, close_state_store!, compact_state_log!, calculate_state_checksum
+export SimulatedCrash, crash_at, CRASH_POINTS
 
 # State snapshot for rollback capability
 struct StateSnapshot
@@ -21,7 +31,7 @@ struct StateSnapshot
     token_balances::Dict{String,Dict{Int,Float64}}
     pending_settlements::Set{UUID}
     metadata::StateDict
-    checksum::UInt64
+    checksum::UInt32
 end
 
 # Transaction for optimistic concurrency control
@@ -32,7 +42,13 @@ mutable struct StateTransaction
     write_set::StateDict  # Keys to write
     timestamp::DateTime
     status::Symbol  # :active, :committed, :aborted
-    isolation_level::Symbol  # :read_committed, :repeatable_read, :serializable
+    isolation_level::Symbol  # One of ISOLATION_LEVELS
+end
+
+# One committed value of a key, visible to transactions whose snapshot is at or after `version`
+struct KeyVersion
+    version::Int
+    value::StateValue
 end
 
 # Conflict resolution strategy
@@ -49,18 +65,30 @@ mutable struct StateStore
     current_state::StateDict
     snapshots::Vector{StateSnapshot}
     active_transactions::Dict{UUID,StateTransaction}
-    version_history::Dict{Int,StateDict}
+    versions::Dict{String,Vector{KeyVersion}}  # Committed values of each key, oldest first
+    superseded_versions::Int  # Versions in the chains that are no longer the latest
+    gc_watermark::Int  # superseded_versions left by the last garbage collection
     locks::Dict{String,ReentrantLock}
-    global_lock::ReentrantLock
+    global_lock::ReentrantLock  # Serializes writers, including their log I/O
+    version_lock::ReentrantLock  # Guards versions, current_state and active_transactions; never held over I/O
     max_snapshots::Int
     max_versions::Int
     conflict_resolution::ConflictResolution
+    wal::Union{StateLog,Nothing}  # Write-ahead log, if the store is durable
 end
 
 """
     state_store(; kwargs...)
 
-Create a new state store with optimistic concurrency control.
+Create a new state store with multi-version concurrency control. Every commit
+keeps the values it replaces until no active transaction can still see them;
+garbage collection runs once `max_versions` superseded values accumulate.
+`conflict_strategy` resolves conflicts of `:read_committed` transactions only,
+and `retry_count` and `backoff_ms` pace `run_transaction` retries.
+
+Writers take the store's global lock for as long as they validate, log and
+compact; readers and new transactions only wait for the brief moment a commit
+installs its versions.
 """
 function state_store(;
     max_snapshots::Int=100,
@@ -81,30 +109,154 @@ function state_store(;
         StateDict(),
         Vector{StateSnapshot}(),
         Dict{UUID,StateTransaction}(),
-        Dict{Int,StateDict}(),
+        Dict{String,Vector{KeyVersion}}(),
+        0,
+        0,
         Dict{String,ReentrantLock}(),
         ReentrantLock(),
+        ReentrantLock(),
         max_snapshots,
         max_versions,
-        resolution
+        resolution,
+        nothing
     )
 end
 
 # Compatibility alias - use state_store() instead
 StateStore(args...; kwargs...) = state_store(args...; kwargs...)
+
+"""
+    open_state_store(directory; fsync_policy, fsync_interval_ms, max_log_bytes, crash_hook, kwargs...)
+
+Open a durable state store backed by a write-ahead log in `directory`,
+recovering the state it holds: the newest checkpoint, then every committed
+change logged after it. The checkpoint carries the `calculate_state_checksum`
+of its state, and recovery fails if the decoded state does not match; each
+logged change is covered by its record's CRC. Changes are logged before they
+are applied, so a commit that returned is never lost (up to the fsync policy)
+and one cut short by a crash is either recovered whole or not at all. The log
+is compacted into a checkpoint once it outgrows `max_log_bytes`. See
+`open_state_log` for the fsync policies and crash injection; other keywords
+go to `state_store`.
+"""
+function open_state_store(directory::AbstractString;
+                          fsync_policy::Symbol=:always,
+                          fsync_interval_ms::Int=100,
+                          max_log_bytes::Int=64 * 1024 * 1024,
+                          crash_hook::Union{Function,Nothing}=nothing,
+                          kwargs...)
+    
+    store = state_store(; kwargs...)
+    wal, checkpoint, records = open_state_log(directory;
+        fsync_policy=fsync_policy,
+        fsync_interval_ms=fsync_interval_ms,
+        max_log_bytes=max_log_bytes,
+        crash_hook=crash_hook
+    )
+    
+    try
+        if checkpoint !== nothing
+            merge!(store.current_state, decode_state(checkpoint["state"]))
+            store.current_version[] = checkpoint["version"]
+            verify_recovered_checksum(store, checkpoint)
+        end
+        
+        for record in records
+            if record["type"] == "restore"
+                empty!(store.current_state)
+            end
+            merge!(store.current_state, decode_state(record["writes"]))
+            store.current_version[] = record["version"]
+        end
+    catch
+        close_state_log!(wal)
+        rethrow()
+    end
+    
+    reset_versions!(store)
+    store.wal = wal
+    return store
+end
+
+function verify_recovered_checksum(store::StateStore, checkpoint::AbstractDict)
+    expected = parse(UInt32, checkpoint["checksum"])
+    actual = calculate_state_checksum(store.current_state)
+    if actual != expected
+        throw(ErrorException(
+            "State checksum mismatch after checkpoint $(checkpoint["lsn"]): expected $expected, got $actual"
+        ))
+    end
 end
 
 """
-    begin_transaction(store; isolation_level)
+    close_state_store!(store)
 
-Begin a new transaction with specified isolation level.
+Sync and close the store's write-ahead log. The store stays usable in memory.
+"""
+function close_state_store!(store::StateStore)
+    lock(store.global_lock) do
+        store.wal === nothing || close_state_log!(store.wal)
+        store.wal = nothing
+    end
+end
+
+"""
+    compact_state_log!(store)
+
+Write the current state as a checkpoint and drop the log it replaces.
+"""
+function compact_state_log!(store::StateStore)
+    lock(store.global_lock) do
+        store.wal === nothing && return nothing
+        return write_checkpoint!(store.wal, Dict{String,Any}(
+            "version" => store.current_version[],
+            "state" => encode_state(store.current_state),
+            "checksum" => string(calculate_state_checksum(store.current_state))
+        ))
+    end
+end
+
+# Log a change before it is applied. Only the writes are logged, so a commit costs
+# its write set; the state is checksummed at checkpoints.
+# A "restore" record replaces the whole state with its writes.
+function log_state_change!(store::StateStore, type::String, writes::StateDict, version::Int)
+    store.wal === nothing && return
+    append_log_record!(store.wal, Dict{String,Any}(
+        "type" => type,
+        "version" => version,
+        "writes" => encode_state(writes)
+    ))
+end
+
+# Compact once the log outgrows its limit
+function maybe_compact_state_log!(store::StateStore)
+    store.wal !== nothing && needs_compaction(store.wal) && compact_state_log!(store)
+end
+
+"""
+    begin_transaction(store; isolation_level=:snapshot)
+
+Begin a new transaction at one of `ISOLATION_LEVELS`:
+
+- `:read_committed` reads the latest committed values; conflicting commits are
+  settled by the store's `conflict_strategy`.
+- `:snapshot` (or `:repeatable_read`) reads the state as of `begin_transaction`,
+  however many commits land meanwhile, and aborts at commit if another
+  transaction committed a key it writes since then (first committer wins).
+- `:serializable` is `:snapshot` that also aborts if a key it read was
+  committed since, which rules out write skew between transactions.
+
+Reads never wait for other transactions and writes stay private until commit.
 """
 function begin_transaction(store::StateStore;
-                         isolation_level::Symbol=:read_committed)
+                         isolation_level::Symbol=:snapshot)
     
+    if !(isolation_level in ISOLATION_LEVELS)
+        throw(ArgumentError("Invalid isolation level: $isolation_level"))
+    end
     transaction_id = uuid4()
     
-    lock(store.global_lock) do
+    lock(store.version_lock) do
         current_ver = store.current_version[]
         
         transaction = StateTransaction(
@@ -126,7 +278,9 @@ end
 """
     commit_transaction!(store, transaction)
 
-Attempt to commit a transaction using optimistic concurrency control.
+Validate a transaction against the commits since its snapshot and, if it
+passes, install its writes as one new version. A transaction that wrote
+nothing commits without a new version, as of its snapshot.
 """
 function commit_transaction!(store::StateStore, transaction::StateTransaction)
     if transaction.status != :active
@@ -134,44 +288,49 @@ function commit_transaction!(store::StateStore, transaction::StateTransaction)
     end
     
     lock(store.global_lock) do
+        # Read-only transactions serialize at their snapshot
+        if isempty(transaction.write_set)
+            transaction.status = :committed
+            lock(() -> delete!(store.active_transactions, transaction.id), store.version_lock)
+            return (success=true, reason="Committed", version=transaction.start_version)
+        end
+        
         # Check for conflicts
         conflicts = detect_conflicts(store, transaction)
         
         if !isempty(conflicts)
-            # Try to resolve conflicts
-            resolution = resolve_conflicts(store, transaction, conflicts)
+            # Snapshot transactions may only be rebased by a merge
+            resolution = if transaction.isolation_level == :read_committed ||
+                            store.conflict_resolution.strategy == :merge
+                resolve_conflicts(store, transaction, conflicts)
+            else
+                (success=false, reason="Serialization failure")
+            end
             
             if !resolution.success
                 transaction.status = :aborted
-                delete!(store.active_transactions, transaction.id)
+                lock(() -> delete!(store.active_transactions, transaction.id), store.version_lock)
                 return (success=false, reason="Conflict resolution failed", conflicts=conflicts)
             end
         end
         
-        # Apply writes
-        new_version = atomic_add!(store.current_version, 1)
-        
-        # Create version snapshot
-        version_state = copy(store.current_state)
-        
-        # Apply transaction writes
-        for (key, value) in transaction.write_set
-            store.current_state[key] = value
-            version_state[key] = value
-        end
+        # Make the commit durable before applying it
+        new_version = store.current_version[] + 1
+        log_state_change!(store, "commit", transaction.write_set, new_version)
         
-        # Store version history
-        store.version_history[new_version] = version_state
-        
-        # Clean old versions
-        if length(store.version_history) > store.max_versions
-            min_version = minimum(keys(store.version_history))
-            delete!(store.version_history, min_version)
+        # Install the writes as the new version, all at once for readers
+        lock(store.version_lock) do
+            for (key, value) in transaction.write_set
+                install_version!(store, key, value, new_version)
+            end
+            store.current_version[] = new_version
+            
+            # Mark transaction as committed
+            transaction.status = :committed
+            delete!(store.active_transactions, transaction.id)
         end
-        
-        # Mark transaction as committed
-        transaction.status = :committed
-        delete!(store.active_transactions, transaction.id)
+        maybe_collect_garbage!(store)
+        maybe_compact_state_log!(store)
         
         return (success=true, reason="Committed", version=new_version)
     end
@@ -183,7 +342,7 @@ end
 Rollback an active transaction.
 """
 function rollback_transaction!(store::StateStore, transaction::StateTransaction)
-    lock(store.global_lock) do
+    lock(store.version_lock) do
         if transaction.status == :active
             transaction.status = :aborted
             delete!(store.active_transactions, transaction.id)
@@ -197,6 +356,36 @@ function rollback_transaction!(store::StateStore, transaction::StateTransaction)
     end
 end
 
+"""
+    run_transaction(f, store; isolation_level=:snapshot)
+
+Run `f(transaction)` in a new transaction and commit it. On a conflict, start
+over from a fresh snapshot, up to the store's `retry_count` times, backing off
+exponentially from `backoff_ms`. If `f` throws, the transaction is rolled back
+and the error rethrown. Returns the last commit result with `f`'s return value
+as `value` and the number of `attempts`.
+"""
+function run_transaction(f::Function, store::StateStore; isolation_level::Symbol=:snapshot)
+    retry_count = store.conflict_resolution.retry_count
+    backoff_ms = store.conflict_resolution.backoff_ms
+    
+    for attempt in 1:retry_count+1
+        transaction = begin_transaction(store; isolation_level=isolation_level)
+        value = try
+            f(transaction)
+        catch
+            rollback_transaction!(store, transaction)
+            rethrow()
+        end
+        
+        result = commit_transaction!(store, transaction)
+        if result.success || attempt > retry_count
+            return merge(result, (value=value, attempts=attempt))
+        end
+        sleep(backoff_ms * 2^(attempt - 1) / 1000)
+    end
+end
+
 """
     take_snapshot(store)
 
@@ -277,37 +466,42 @@ function restore_snapshot!(store::StateStore, snapshot_id::UUID)
         
         snapshot = store.snapshots[snapshot_idx]
         
-        # Abort all active transactions
-        for transaction in values(store.active_transactions)
-            transaction.status = :aborted
-        end
-        empty!(store.active_transactions)
-        
-        # Clear current state
-        empty!(store.current_state)
-        
-        # Restore pool reserves
+        # Rebuild the snapshot's state: pool reserves, token balances and pending settlements
+        restored = StateDict()
         for (pool_id, reserves) in snapshot.pool_reserves
-            store.current_state["pool:$pool_id"] = copy(reserves)
+            restored["pool:$pool_id"] = copy(reserves)
         end
-        
-        # Restore token balances
         for (address, balances) in snapshot.token_balances
             for (token_id, balance) in balances
-                store.current_state["balance:$address:$token_id"] = balance
+                restored["balance:$address:$token_id"] = balance
             end
         end
-        
-        # Restore pending settlements
         for settlement_id in snapshot.pending_settlements
-            store.current_state["pending:$settlement_id"] = true
+            restored["pending:$settlement_id"] = true
         end
         
-        # Update version
-        store.current_version[] = snapshot.version
+        # Log the restored state as a whole before anyone can read it
+        log_state_change!(store, "restore", restored, snapshot.version)
+        
+        # Swap the state in while readers wait
+        lock(store.version_lock) do
+            # Abort all active transactions
+            for transaction in values(store.active_transactions)
+                transaction.status = :aborted
+            end
+            empty!(store.active_transactions)
+            
+            empty!(store.current_state)
+            merge!(store.current_state, restored)
+            
+            # Update version; with every transaction gone, the restored values are the only versions
+            store.current_version[] = snapshot.version
+            reset_versions!(store)
+        end
+        maybe_compact_state_log!(store)
         
         # Verify checksum
-        new_checksum = calculate_state_checksum(store.current_state)
+        new_checksum = calculate_state_checksum(restored)
         if new_checksum != snapshot.checksum
             @warn "Checksum mismatch after restore" expected=snapshot.checksum actual=new_checksum
         end
@@ -319,7 +513,9 @@ end
 """
     get_state(store, key, transaction)
 
-Read state value within a transaction context.
+Read state value within a transaction context: the transaction's own write if
+it made one, else the latest value committed as of its snapshot (or the latest
+committed value at `:read_committed`, or without a transaction).
 """
 function get_state(store::StateStore, key::String, transaction::Union{StateTransaction,Nothing}=nothing)
     if transaction !== nothing && transaction.status == :active
@@ -331,18 +527,16 @@ function get_state(store::StateStore, key::String, transaction::Union{StateTrans
             return transaction.write_set[key]
         end
         
-        # Isolation level handling
-        if transaction.isolation_level == :serializable
-            # Use snapshot from transaction start
-            version = transaction.start_version
-            if haskey(store.version_history, version)
-                return get(store.version_history[version], key, nothing)
+        # Read from the transaction's snapshot
+        if transaction.isolation_level != :read_committed
+            return lock(store.version_lock) do
+                return visible_value(store, key, transaction.start_version)
             end
         end
     end
     
     # Read from current state
-    lock(store.global_lock) do
+    lock(store.version_lock) do
         return get(store.current_state, key, nothing)
     end
 end
@@ -362,8 +556,15 @@ function update_state!(store::StateStore, key::String, value::StateValue,
     else
         # Direct update (auto-commit)
         lock(store.global_lock) do
-            store.current_state[key] = value
-            atomic_add!(store.current_version, 1)
+            version = store.current_version[] + 1
+            log_state_change!(store, "commit", StateDict(key => value), version)
+            
+            lock(store.version_lock) do
+                install_version!(store, key, value, version)
+                store.current_version[] = version
+            end
+            maybe_collect_garbage!(store)
+            maybe_compact_state_log!(store)
             return true
         end
     end
@@ -405,10 +606,12 @@ function validate_state(store::StateStore)
         
         # Check version consistency
         current_ver = store.current_version[]
-        if !isempty(store.version_history)
-            max_stored = maximum(keys(store.version_history))
-            if max_stored > current_ver
-                push!(issues, "Version inconsistency: stored=$max_stored, current=$current_ver")
+        for (key, chain) in store.versions
+            stored = last(chain).version
+            if stored > current_ver
+                push!(issues, "Version inconsistency: $key stored=$stored, current=$current_ver")
+            elseif last(chain).value != get(store.current_state, key, nothing)
+                push!(issues, "Version inconsistency: $key differs from its latest version")
             end
         end
         
@@ -416,30 +619,101 @@ function validate_state(store::StateStore)
     end
 end
 
+# Version chains
+
+# Append a committed value to the key's chain and make it current
+function install_version!(store::StateStore, key::String, value::StateValue, version::Int)
+    chain = get!(Vector{KeyVersion}, store.versions, key)
+    isempty(chain) || (store.superseded_versions += 1)
+    push!(chain, KeyVersion(version, value))
+    store.current_state[key] = value
+end
+
+# Latest value of the key committed at or before `version`
+function visible_value(store::StateStore, key::String, version::Int)
+    chain = get(store.versions, key, nothing)
+    chain === nothing && return nothing
+    index = findlast(v -> v.version <= version, chain)
+    return index === nothing ? nothing : chain[index].value
+end
+
+# Version of the key's latest commit, or 0 if it was never written
+function last_committed_version(store::StateStore, key::String)
+    chain = get(store.versions, key, nothing)
+    return chain === nothing ? 0 : last(chain).version
+end
+
+# Rebuild the chains as one version of the current state
+function reset_versions!(store::StateStore)
+    empty!(store.versions)
+    for (key, value) in store.current_state
+        store.versions[key] = [KeyVersion(store.current_version[], value)]
+    end
+    store.superseded_versions = 0
+    store.gc_watermark = 0
+end
+
+"""
+    collect_garbage!(store) -> Int
+
+Drop the versions no transaction can see: for each key, all but its latest
+version and the one visible at each active snapshot. Returns the number of
+versions dropped. A transaction left open keeps its snapshot's versions alive.
+"""
+function collect_garbage!(store::StateStore)
+    lock(store.global_lock) do
+        # A transaction that begins after this sees only latest versions, which stay
+        snapshots = lock(store.version_lock) do
+            Set{Int}(t.start_version for t in values(store.active_transactions) if t.isolation_level != :read_committed)
+        end
+        
+        # Prune copies of the chains, then swap them in; readers keep the old ones meanwhile
+        pruned = Dict{String,Vector{KeyVersion}}()
+        dropped = 0
+        for (key, chain) in store.versions
+            length(chain) == 1 && continue
+            visible = Set([length(chain)])
+            for snapshot in snapshots
+                index = findlast(v -> v.version <= snapshot, chain)
+                index === nothing || push!(visible, index)
+            end
+            length(visible) == length(chain) && continue
+            pruned[key] = chain[sort!(collect(visible))]
+            dropped += length(chain) - length(visible)
+        end
+        lock(() -> merge!(store.versions, pruned), store.version_lock)
+        
+        store.superseded_versions -= dropped
+        store.gc_watermark = store.superseded_versions
+        return dropped
+    end
+end
+
+# Collect once max_versions more values were superseded than the last collection left
+function maybe_collect_garbage!(store::StateStore)
+    if store.superseded_versions - store.gc_watermark >= store.max_versions
+        collect_garbage!(store)
+    end
+end
+
 # Conflict detection and resolution
 
+# Keys committed by others since the transaction's snapshot: those it writes,
+# and at :serializable those it read
 function detect_conflicts(store::StateStore, transaction::StateTransaction)
     conflicts = String[]
     
-    # Check if any read values have changed
-    for key in transaction.read_set
-        if haskey(store.version_history, transaction.start_version)
-            old_value = get(store.version_history[transaction.start_version], key, nothing)
-            current_value = get(store.current_state, key, nothing)
-            
-            if old_value != current_value
-                push!(conflicts, key)
-            end
+    for key in keys(transaction.write_set)
+        if last_committed_version(store, key) > transaction.start_version
+            push!(conflicts, "write-write:$key")
         end
     end
     
-    # Check write-write conflicts with other transactions
-    for other_tx in values(store.active_transactions)
-        if other_tx.id != transaction.id && other_tx.status == :active
-            for key in keys(transaction.write_set)
-                if key in keys(other_tx.write_set)
-                    push!(conflicts, "write-write:$key")
-                end
+    if transaction.isolation_level == :serializable
+        for key in transaction.read_set
+            haskey(transaction.write_set, key) && continue
+            if last_committed_version(store, key) > transaction.start_version
+                push!(conflicts, "read-write:$key")
             end
         end
     end
@@ -463,11 +737,12 @@ function resolve_conflicts(store::StateStore, transaction::StateTransaction, con
     elseif strategy == :first_write_wins
         # Check if we're first
         our_time = transaction.timestamp
-        for other_tx in values(store.active_transactions)
-            if other_tx.id != transaction.id && other_tx.timestamp < our_time
-                # Another transaction is older
-                return (success=false, reason="First write wins - older transaction exists")
-            end
+        older = lock(store.version_lock) do
+            any(t -> t.id != transaction.id && t.timestamp < our_time, values(store.active_transactions))
+        end
+        if older
+            # Another transaction is older
+            return (success=false, reason="First write wins - older transaction exists")
         end
         return (success=true, reason="First write wins - we are first")
     elseif strategy == :merge && store.conflict_resolution.merge_function !== nothing
@@ -486,14 +761,47 @@ end
 
 # Helper functions
 
-function calculate_state_checksum(state::StateDict)
-    # Simple checksum based on sorted keys and values
-    checksum = UInt64(0)
-    for key in sort(collect(keys(state)))
-        checksum = checksum ⊻ hash(key)
-        checksum = checksum ⊻ hash(state[key])
-    end
-    return checksum
+# Tagged JSON form of a state value, so it decodes to the same type
+encode_state_value(value::Float64) = ["Float64", string(value)]
+encode_state_value(value::Int64) = ["Int64", value]
+encode_state_value(value::String) = ["String", value]
+encode_state_value(value::Bool) = ["Bool", value]
+encode_state_value(value::Vector{Float64}) = ["Vector{Float64}", string.(value)]
+encode_state_value(value::Vector{Int64}) = ["Vector{Int64}", value]
+encode_state_value(value::Set{UUID}) = ["Set{UUID}", sort!(string.(collect(value)))]
+encode_state_value(value::DateTime) = ["DateTime", string(value)]
+encode_state_value(value::UUID) = ["UUID", string(value)]
+encode_state_value(::Nothing) = ["Nothing", nothing]
+
+function decode_state_value(encoded::AbstractVector)
+    tag, payload = encoded
+    tag == "Float64" && return parse(Float64, payload)
+    tag == "Int64" && return Int64(payload)
+    tag == "String" && return String(payload)
+    tag == "Bool" && return Bool(payload)
+    tag == "Vector{Float64}" && return Float64[parse(Float64, v) for v in payload]
+    tag == "Vector{Int64}" && return Int64[v for v in payload]
+    tag == "Set{UUID}" && return Set{UUID}(UUID(v) for v in payload)
+    tag == "DateTime" && return DateTime(payload)
+    tag == "UUID" && return UUID(payload)
+    tag == "Nothing" && return nothing
+    throw(ArgumentError("Unknown state value type: $tag"))
 end
 
+encode_state(state::StateDict) = Dict{String,Any}(key => encode_state_value(value) for (key, value) in state)
+decode_state(encoded::AbstractDict) = StateDict(key => decode_state_value(value) for (key, value) in encoded)
+
+# `encode_state` as JSON with its keys sorted: the same bytes for the same state
+function canonical_state_json(state::StateDict)
+    entries = (JSON.json(key) * ":" * JSON.json(encode_state_value(state[key])) for key in sort!(collect(keys(state))))
+    return string("{", join(entries, ","), "}")
+end
+
+"""
+    calculate_state_checksum(state) -> UInt32
+
+CRC32c of the state's canonical JSON, the same in every process and Julia version.
+"""
+calculate_state_checksum(state::StateDict) = crc32c(canonical_state_json(state))
+
 end # module
\ No newline at end of file
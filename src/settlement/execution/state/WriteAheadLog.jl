@@ -0,0 +1,300 @@
+module WriteAheadLog
+
+using CRC32c
+using JSON
+export StateLog, SimulatedCrash, CRASH_POINTS, crash_at
+export open_state_log, append_log_record!, sync_log!, write_checkpoint!, close_state_log!
+export log_bytes, needs_compaction
+
+# Steps at which a crash hook is consulted, in the order they happen
+const CRASH_POINTS = (
+    :before_append,       # Record not yet written
+    :torn_append,         # Half the record written
+    :before_sync,         # Record written, not yet synced
+    :after_sync,          # Record durable, not yet applied in memory
+    :checkpoint_written,  # Checkpoint in its temporary file
+    :checkpoint_renamed,  # Checkpoint in place, old segments still live
+    :segment_rotated,     # New segment open, old segments not yet deleted
+    :segments_pruned,     # Compaction done
+)
+
+# Thrown by a `crash_at` hook to stop a write partway, as a crash would
+struct SimulatedCrash <: Exception
+    step::Symbol
+end
+
+# Crash hook failing at one step
+function crash_at(step::Symbol)
+    step in CRASH_POINTS || throw(ArgumentError("Unknown crash point: $step"))
+    return current -> current == step && throw(SimulatedCrash(step))
+end
+
+# Append-only log of state changes in numbered segments (`wal-<first lsn>.log`),
+# one CRC-framed JSON record per line, compacted into checkpoints
+# (`checkpoint-<last lsn>.json`). Records carry consecutive log sequence numbers.
+mutable struct StateLog
+    directory::String
+    fsync_policy::Symbol  # :always, :interval, :never
+    fsync_interval_ms::Int
+    max_log_bytes::Int  # Compact once the live segments grow past this
+    next_lsn::Int
+    segment_start::Int  # First lsn of the active segment
+    segment_bytes::Int
+    retained_bytes::Int  # Bytes in older segments not yet compacted away
+    io::Union{IOStream,Nothing}
+    last_sync_ns::UInt64
+    crash_hook::Union{Function,Nothing}
+end
+
+segment_path(log::StateLog, start_lsn::Int) = joinpath(log.directory, "wal-$(lpad(start_lsn, 12, '0')).log")
+checkpoint_path(log::StateLog, lsn::Int) = joinpath(log.directory, "checkpoint-$(lpad(lsn, 12, '0')).json")
+
+# Numbered files with the given prefix and suffix, in order
+function numbered_files(directory::String, prefix::String, suffix::String)
+    files = Tuple{Int,String}[]
+    for name in readdir(directory)
+        if startswith(name, prefix) && endswith(name, suffix)
+            number = tryparse(Int, name[length(prefix)+1:end-length(suffix)])
+            number === nothing || push!(files, (number, joinpath(directory, name)))
+        end
+    end
+    return sort!(files)
+end
+
+function frame_record(record::AbstractDict)
+    body = JSON.json(record)
+    return string(lpad(string(crc32c(body), base = 16), 8, '0'), ' ', body, '\n')
+end
+
+# Record in a framed line, or nothing if the line is torn or corrupt
+function parse_record(line::AbstractString)
+    bytes = codeunits(line)
+    length(bytes) > 9 && bytes[9] == UInt8(' ') || return nothing
+    checksum = tryparse(UInt32, String(bytes[1:8]), base = 16)
+    body = String(bytes[10:end])
+    checksum == crc32c(body) || return nothing
+    try
+        record = JSON.parse(body)
+        return record isa AbstractDict ? record : nothing
+    catch
+        return nothing
+    end
+end
+
+function sync_file(io::IOStream)
+    flush(io)
+    result = Sys.iswindows() ? ccall(:_commit, Cint, (Cint,), fd(io)) : ccall(:fsync, Cint, (Cint,), fd(io))
+    result == 0 || throw(SystemError("fsync", Libc.errno()))
+end
+
+# Make a rename or unlink in the directory durable
+function sync_directory(directory::String)
+    Sys.iswindows() && return
+    descriptor = ccall(:open, Cint, (Cstring, Cint), directory, 0)
+    descriptor < 0 && throw(SystemError("open", Libc.errno()))
+    try
+        ccall(:fsync, Cint, (Cint,), descriptor) == 0 || throw(SystemError("fsync", Libc.errno()))
+    finally
+        ccall(:close, Cint, (Cint,), descriptor)
+    end
+end
+
+function inject_crash(log::StateLog, step::Symbol)
+    log.crash_hook === nothing || log.crash_hook(step)
+end
+
+"""
+    open_state_log(directory; fsync_policy=:always, fsync_interval_ms=100, max_log_bytes, crash_hook)
+
+Open the log in `directory`, creating it if needed, and recover what it holds.
+Returns `(log, checkpoint, records)`: the newest checkpoint (or nothing) and
+the records after it, in order. A torn or corrupt record at the end of the last
+segment is what a crash mid-append leaves, and is truncated; anywhere else, or
+a gap in the sequence, is an error. Leftover temporary checkpoints are removed.
+
+`fsync_policy` is `:always` (fsync every record), `:interval` (at most one
+fsync per `fsync_interval_ms`, flushing in between) or `:never` (flush only,
+leaving durability to the OS). `crash_hook(step)` is called at each of
+`CRASH_POINTS` and may throw to simulate a crash there. `max_log_bytes`
+(64 MiB by default) is the size past which `needs_compaction` says to write
+a checkpoint.
+"""
+function open_state_log(
+    directory::AbstractString;
+    fsync_policy::Symbol = :always,
+    fsync_interval_ms::Int = 100,
+    max_log_bytes::Int = 64 * 1024 * 1024,
+    crash_hook::Union{Function,Nothing} = nothing,
+)
+    if !(fsync_policy in (:always, :interval, :never))
+        throw(ArgumentError("Invalid fsync policy: $fsync_policy"))
+    end
+    mkpath(directory)
+    directory = String(directory)
+
+    for name in readdir(directory)
+        endswith(name, ".tmp") && rm(joinpath(directory, name))
+    end
+
+    checkpoint = nothing
+    for (_, path) in reverse(numbered_files(directory, "checkpoint-", ".json"))
+        checkpoint = parse_record(strip(read(path, String), '\n'))
+        checkpoint === nothing || break
+        @warn "Skipping corrupt checkpoint" path
+    end
+    checkpoint_lsn = checkpoint === nothing ? 0 : Int(checkpoint["lsn"])
+
+    log = StateLog(
+        directory,
+        fsync_policy,
+        fsync_interval_ms,
+        max_log_bytes,
+        checkpoint_lsn + 1,
+        0,
+        0,
+        0,
+        nothing,
+        time_ns(),
+        crash_hook,
+    )
+
+    records = Dict{String,Any}[]
+    segments = numbered_files(directory, "wal-", ".log")
+    for (index, (start_lsn, path)) in enumerate(segments)
+        is_last = index == length(segments)
+        valid_bytes = 0
+        data = read(path, String)
+        for line in split(data, '\n'; keepempty = true)
+            line_end = valid_bytes + sizeof(line)
+            complete = line_end < sizeof(data)  # Followed by a newline
+            record = complete ? parse_record(line) : nothing
+            if record === nothing
+                isempty(line) && !complete && break
+                # Only the final line of the last segment can be a torn append
+                if !is_last || line_end + 1 < sizeof(data)
+                    error("Corrupt record in write-ahead log $path at byte $valid_bytes")
+                end
+                @warn "Truncating torn write-ahead log record" path offset=valid_bytes
+                open(io -> truncate(io, valid_bytes), path, "r+")
+                break
+            end
+            valid_bytes += sizeof(line) + 1
+
+            lsn = Int(record["lsn"])
+            lsn <= checkpoint_lsn && continue
+            lsn == log.next_lsn || error("Write-ahead log sequence gap: expected $(log.next_lsn), found $lsn")
+            push!(records, record)
+            log.next_lsn += 1
+        end
+
+        if is_last
+            log.segment_start = start_lsn
+            log.segment_bytes = valid_bytes
+        else
+            log.retained_bytes += valid_bytes
+        end
+    end
+
+    if isempty(segments)
+        log.segment_start = log.next_lsn
+    end
+    log.io = open(segment_path(log, log.segment_start), "a")
+    return log, checkpoint, records
+end
+
+"""
+    append_log_record!(log, record) -> Int
+
+Append `record` under the next sequence number, which is returned, and make
+it durable as the fsync policy says.
+"""
+function append_log_record!(log::StateLog, record::AbstractDict)
+    log.io === nothing && throw(ErrorException("Write-ahead log is closed"))
+    lsn = log.next_lsn
+    line = frame_record(merge(record, Dict("lsn" => lsn)))
+
+    inject_crash(log, :before_append)
+    try
+        inject_crash(log, :torn_append)
+    catch
+        write(log.io, codeunits(line)[1:sizeof(line)÷2])
+        flush(log.io)
+        rethrow()
+    end
+    write(log.io, line)
+    log.segment_bytes += sizeof(line)
+    log.next_lsn += 1
+
+    inject_crash(log, :before_sync)
+    if log.fsync_policy == :always ||
+       (log.fsync_policy == :interval && time_ns() - log.last_sync_ns >= log.fsync_interval_ms * 1_000_000)
+        sync_log!(log)
+    else
+        flush(log.io)
+    end
+    inject_crash(log, :after_sync)
+    return lsn
+end
+
+# Force everything appended so far to disk
+function sync_log!(log::StateLog)
+    log.io === nothing && return
+    sync_file(log.io)
+    log.last_sync_ns = time_ns()
+end
+
+log_bytes(log::StateLog) = log.retained_bytes + log.segment_bytes
+needs_compaction(log::StateLog) = log_bytes(log) > log.max_log_bytes
+
+"""
+    write_checkpoint!(log, checkpoint)
+
+Compact the log: persist `checkpoint`, the state as of the last appended
+record, then start a new segment and delete the segments and checkpoints it
+supersedes. The checkpoint is written to a temporary file and renamed into
+place, so a crash at any step leaves either the old or the new checkpoint
+readable, with every record after it.
+"""
+function write_checkpoint!(log::StateLog, checkpoint::AbstractDict)
+    log.io === nothing && throw(ErrorException("Write-ahead log is closed"))
+    sync_log!(log)
+    lsn = log.next_lsn - 1
+    path = checkpoint_path(log, lsn)
+
+    open(path * ".tmp", "w") do io
+        write(io, frame_record(merge(checkpoint, Dict("lsn" => lsn))))
+        sync_file(io)
+    end
+    inject_crash(log, :checkpoint_written)
+    mv(path * ".tmp", path; force = true)
+    sync_directory(log.directory)
+    inject_crash(log, :checkpoint_renamed)
+
+    if log.segment_bytes > 0
+        close(log.io)
+        log.segment_start = log.next_lsn
+        log.segment_bytes = 0
+        log.io = open(segment_path(log, log.segment_start), "a")
+    end
+    inject_crash(log, :segment_rotated)
+
+    for (start_lsn, old_path) in numbered_files(log.directory, "wal-", ".log")
+        start_lsn < log.segment_start && rm(old_path)
+    end
+    for (old_lsn, old_path) in numbered_files(log.directory, "checkpoint-", ".json")
+        old_lsn < lsn && rm(old_path)
+    end
+    log.retained_bytes = 0
+    sync_directory(log.directory)
+    inject_crash(log, :segments_pruned)
+    return path
+end
+
+function close_state_log!(log::StateLog)
+    log.io === nothing && return
+    sync_log!(log)
+    close(log.io)
+    log.io = nothing
+end
+
+end # module
@@ -0,0 +1,156 @@
+module BatchNetting
+
+using UUIDs
+export BatchOrder, ResidualOrder, NettingPlan, TraderFill, BatchReceipt
+export net_batch, peer_fraction, residual_outputs_by_token, allocate_fills, total_amount_out
+
+# Order collected into a batch: sell amount_in of token_in for token_out
+struct BatchOrder{T}
+    id::UUID
+    token_in::Int64
+    token_out::Int64
+    amount_in::T
+
+    function BatchOrder(id::UUID, token_in::Int64, token_out::Int64, amount_in::T) where {T}
+        token_in == token_out && throw(ArgumentError("Order must trade two different tokens"))
+        amount_in > zero(T) || throw(ArgumentError("Order amount_in must be positive"))
+        new{T}(id, token_in, token_out, amount_in)
+    end
+end
+
+# Imbalance the batch could not net, to be routed through the CFMMs
+struct ResidualOrder{T}
+    token_in::Int64
+    token_out::Int64
+    amount_in::T
+    value::T  # amount_in at the clearing price, in the numeraire
+end
+
+# Supply and demand of each token, valued at the clearing prices
+struct NettingPlan{T}
+    clearing_prices::Dict{Int64,T}
+    supply::Dict{Int64,T}
+    demand::Dict{Int64,T}
+    residual_orders::Vector{ResidualOrder{T}}
+end
+
+# One trader's fill, split into what peers delivered and what the CFMMs did
+struct TraderFill{T}
+    order_id::UUID
+    peer_amount_in::T
+    peer_amount_out::T
+    amm_amount_in::T
+    amm_amount_out::T
+    peer_surplus::T  # Over the trader's own CFMM route, for the peer-matched part
+    amm_surplus::T
+end
+
+total_amount_out(fill::TraderFill) = fill.peer_amount_out + fill.amm_amount_out
+
+# Settled batch
+struct BatchReceipt{T}
+    batch_id::UUID
+    clearing_prices::Dict{Int64,T}
+    fills::Vector{TraderFill{T}}
+    residual_orders::Vector{ResidualOrder{T}}
+    residual_outputs::Vector{T}
+    execution_time_ms::Float64
+end
+
+# Net the orders of a batch at one clearing price per token (in a common numeraire).
+# Every unit of a token sold goes to a buyer of that token before any reaches the
+# CFMMs, which nets opposing orders on a pair and cycles across pairs alike. What
+# is left over, each token's excess supply, is paired greedily with the tokens in
+# deficit as residual orders. Imbalances below `tolerance` of the batch value are dropped.
+function net_batch(
+    orders::Vector{BatchOrder{T}},
+    clearing_prices::Dict{Int64,T};
+    tolerance::T = sqrt(eps(T)),
+) where {T}
+    supply = Dict{Int64,T}()
+    demand = Dict{Int64,T}()
+    for order in orders
+        for token in (order.token_in, order.token_out)
+            price = get(clearing_prices, token, zero(T))
+            price > zero(T) || throw(ArgumentError("No clearing price for token $token"))
+        end
+        value = order.amount_in * clearing_prices[order.token_in]
+        supply[order.token_in] = get(supply, order.token_in, zero(T)) + value
+        demand[order.token_out] = get(demand, order.token_out, zero(T)) + value
+    end
+
+    threshold = tolerance * sum(values(supply); init = zero(T))
+    tokens = sort!(collect(union(keys(supply), keys(demand))))
+    imbalance = Dict(token => get(supply, token, zero(T)) - get(demand, token, zero(T)) for token in tokens)
+    excess = sort([token for token in tokens if imbalance[token] > threshold], by = token -> -imbalance[token])
+    deficit = sort([token for token in tokens if -imbalance[token] > threshold], by = token -> imbalance[token])
+
+    residual_orders = ResidualOrder{T}[]
+    i, j = 1, 1
+    while i <= length(excess) && j <= length(deficit)
+        token_in, token_out = excess[i], deficit[j]
+        value = min(imbalance[token_in], -imbalance[token_out])
+        push!(residual_orders, ResidualOrder(token_in, token_out, value / clearing_prices[token_in], value))
+
+        imbalance[token_in] -= value
+        imbalance[token_out] += value
+        imbalance[token_in] <= threshold && (i += 1)
+        -imbalance[token_out] <= threshold && (j += 1)
+    end
+
+    return NettingPlan(clearing_prices, supply, demand, residual_orders)
+end
+
+# Share of the demand for a token that sellers in the batch deliver
+function peer_fraction(plan::NettingPlan{T}, token::Int64) where {T}
+    demand = get(plan.demand, token, zero(T))
+    demand > zero(T) || return zero(T)
+    return min(get(plan.supply, token, zero(T)), demand) / demand
+end
+
+# CFMM output of the residual orders, summed per token bought
+function residual_outputs_by_token(plan::NettingPlan{T}, residual_outputs::Vector{T}) where {T}
+    if length(residual_outputs) != length(plan.residual_orders)
+        throw(ArgumentError("Need one output per residual order"))
+    end
+    outputs = Dict{Int64,T}()
+    for (order, amount_out) in zip(plan.residual_orders, residual_outputs)
+        outputs[order.token_out] = get(outputs, order.token_out, zero(T)) + amount_out
+    end
+    return outputs
+end
+
+# Split each order's fill into a peer-matched and a CFMM-routed portion.
+# The peer portion is the order's share of the token's peer fraction, filled at the
+# clearing prices; the CFMM output for a token goes to its buyers pro rata by value.
+# Surplus is measured against the order's own CFMM quote in `baseline_outputs`,
+# split in the same proportions, or against the clearing price without one.
+function allocate_fills(
+    orders::Vector{BatchOrder{T}},
+    plan::NettingPlan{T},
+    residual_outputs::Vector{T},
+    baseline_outputs::Dict{UUID,T} = Dict{UUID,T}(),
+) where {T}
+    amm_outputs = residual_outputs_by_token(plan, residual_outputs)
+    prices = plan.clearing_prices
+
+    return map(orders) do order
+        value = order.amount_in * prices[order.token_in]
+        fraction = peer_fraction(plan, order.token_out)
+        peer_amount_out = fraction * value / prices[order.token_out]
+        amm_amount_out = get(amm_outputs, order.token_out, zero(T)) * value / plan.demand[order.token_out]
+        baseline = get(baseline_outputs, order.id, value / prices[order.token_out])
+
+        TraderFill(
+            order.id,
+            fraction * order.amount_in,
+            peer_amount_out,
+            (one(T) - fraction) * order.amount_in,
+            amm_amount_out,
+            peer_amount_out - fraction * baseline,
+            amm_amount_out - (one(T) - fraction) * baseline,
+        )
+    end
+end
+
+end # module
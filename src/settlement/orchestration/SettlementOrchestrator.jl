@@ -3,8 +3,14 @@ module SettlementOrchestrator
 using Base.Threads: @spawn, Atomic, SpinLock
 using Dates
 using UUIDs
+# Routing and direct trades, from the parent's CFMMBridge
+using ..CFMMBridge: get_route, execute_direct, get_baseline_price
+# Coincidence-of-wants netting for batch settlement
+include("BatchNetting.jl")
+using .BatchNetting
 export Orchestrator, SettlementRequest, SettlementResult, SettlementStatus
 export process_settlement!, get_status, cancel_settlement!
+export submit_batch_request!, settle_batch!, get_batch_receipt, BatchReceipt, TraderFill
 
 # Settlement status enum
 @enum SettlementStatus begin
@@ -25,6 +31,24 @@ struct OrchestratorConfig
     fallback_threshold_ms::Float64
     max_retry_attempts::Int64
     circuit_breaker_threshold::Float64
+    batch_window_ms::Int64  # How long a batch collects requests before it settles
+end
+
+function OrchestratorConfig(
+    max_auction_duration_ms,
+    min_improvement_bps,
+    fallback_threshold_ms,
+    max_retry_attempts,
+    circuit_breaker_threshold,
+)
+    OrchestratorConfig(
+        max_auction_duration_ms,
+        min_improvement_bps,
+        fallback_threshold_ms,
+        max_retry_attempts,
+        circuit_breaker_threshold,
+        50,
+    )
 end
 
 # Settlement request from user
@@ -53,17 +77,23 @@ end
 # Main orchestrator managing settlement lifecycle
 mutable struct Orchestrator{T}
     config::OrchestratorConfig
-    cfmm_bridge::Union{CFMMBridge,Nothing}
-    phantom_auction::Union{PhantomAuction,Nothing}
-    state_manager::Union{StateManager,Nothing}
-    atomic_settler::Union{AtomicSettlement,Nothing}
-    latency_monitor::Union{LatencyMonitor,Nothing}
+    # Dependencies, nothing until initialize! wires them
+    cfmm_bridge::Any  # CFMMBridge.Bridge
+    phantom_auction::Any  # PhantomAuction module
+    state_manager::Any
+    atomic_settler::Any
+    latency_monitor::Any
 
     active_settlements::Dict{UUID,SettlementRequest{T}}
     settlement_status::Dict{UUID,Atomic{SettlementStatus}}
     circuit_breaker::Atomic{Bool}
     lock::SpinLock
 
+    # Batch settlement
+    batch_queue::Vector{SettlementRequest{T}}
+    batch_timer::Union{Timer,Nothing}
+    batch_receipts::Dict{UUID,BatchReceipt{T}}  # Request id -> receipt of its batch
+
     function Orchestrator{T}(config::OrchestratorConfig) where {T}
         new{T}(
             config,
@@ -76,6 +106,9 @@ mutable struct Orchestrator{T}
             Dict{UUID,Atomic{SettlementStatus}}(),
             Atomic{Bool}(false),
             SpinLock(),
+            SettlementRequest{T}[],
+            nothing,
+            Dict{UUID,BatchReceipt{T}}(),
         )
     end
 end
@@ -254,7 +287,8 @@ end
 # Fallback to direct CFMM execution
 function execute_cfmm_fallback(orch::Orchestrator{T}, request::SettlementRequest{T}) where {T}
     try
-        result = orch.cfmm_bridge.execute_direct(
+        result = execute_direct(
+            orch.cfmm_bridge,
             request.token_in,
             request.token_out,
             request.amount_in,
@@ -283,6 +317,228 @@ function execute_cfmm_fallback(orch::Orchestrator{T}, request::SettlementRequest
     return nothing
 end
 
+# Queue a request for the next batch; the first request of a batch starts its window
+function submit_batch_request!(orch::Orchestrator{T}, request::SettlementRequest{T}) where {T}
+    if request.amount_in <= zero(T)
+        throw(ArgumentError("Invalid amount_in: must be positive"))
+    end
+    if request.token_in == request.token_out
+        throw(ArgumentError("Request must trade two different tokens"))
+    end
+    if request.deadline < Dates.now()
+        throw(ArgumentError("Request deadline already passed"))
+    end
+
+    lock(orch.lock) do
+        orch.active_settlements[request.id] = request
+        orch.settlement_status[request.id] = Atomic{SettlementStatus}(PENDING)
+        push!(orch.batch_queue, request)
+
+        if orch.batch_timer === nothing
+            orch.batch_timer = Timer(orch.config.batch_window_ms / 1000) do _
+                try
+                    settle_batch!(orch)
+                catch e
+                    @error "Batch settlement failed" exception=e
+                end
+            end
+        end
+    end
+    return request.id
+end
+
+# Settle the queued requests as one batch. Opposing flows are netted at one uniform
+# clearing price per token and only the residual imbalance is routed through the
+# CFMM bridge, every residual quoted before any is traded. A request whose fill would
+# fall short of its own CFMM route by more than its slippage tolerance leaves the
+# batch and is settled on its own; without clearing prices or a route for every
+# residual, all requests are. If a residual trade fails, the receipt records the
+# residuals already traded and the batch's requests fail rather than trade again.
+# Returns the receipt, or nothing if the requests were settled on their own before any trade.
+function settle_batch!(orch::Orchestrator{T}) where {T}
+    requests = lock(orch.lock) do
+        orch.batch_timer === nothing || close(orch.batch_timer)
+        orch.batch_timer = nothing
+        queued = copy(orch.batch_queue)
+        empty!(orch.batch_queue)
+        queued
+    end
+    isempty(requests) && return nothing
+
+    start_time = time_ns()
+
+    if orch.circuit_breaker[]
+        foreach(r -> finish_batch_request!(orch, r.id, FAILED), requests)
+        return nothing
+    end
+    foreach(r -> update_status!(orch, r.id, ROUTING), requests)
+
+    prices = batch_clearing_prices(orch, requests)
+    if prices === nothing
+        @warn "Batch cannot be netted, settling requests individually" batch_size=length(requests)
+        settle_individually!(orch, requests)
+        return nothing
+    end
+    baseline_outputs = Dict{UUID,T}()
+    for r in requests
+        route = get_route(orch.cfmm_bridge, r.token_in, r.token_out, r.amount_in, zero(T))
+        route === nothing || (baseline_outputs[r.id] = route.amount_out)
+    end
+
+    # Net and quote until every request left in the batch fills within its tolerance
+    batch = requests
+    individual = SettlementRequest{T}[]
+    local orders, plan
+    while true
+        orders = [BatchOrder(r.id, r.token_in, r.token_out, r.amount_in) for r in batch]
+        plan = net_batch(orders, prices)
+        routes = [route_residual(orch, residual) for residual in plan.residual_orders]
+        if any(isnothing, routes)
+            @warn "Batch cannot be netted, settling requests individually" batch_size=length(requests)
+            settle_individually!(orch, requests)
+            return nothing
+        end
+
+        quoted_fills = allocate_fills(orders, plan, T[route.amount_out for route in routes], baseline_outputs)
+        short = Set(
+            r.id for (r, fill) in zip(batch, quoted_fills) if !within_slippage(r, fill, prices, baseline_outputs)
+        )
+        isempty(short) && break
+
+        @warn "Batch fills short of own routes, settling those requests individually" count=length(short)
+        append!(individual, filter(r -> r.id in short, batch))
+        batch = filter(r -> !(r.id in short), batch)
+        if isempty(batch)
+            settle_individually!(orch, individual)
+            return nothing
+        end
+    end
+
+    foreach(r -> update_status!(orch, r.id, COMMITTING), batch)
+    slippage = minimum(r.slippage_tolerance for r in batch)
+    executed = ResidualOrder{T}[]
+    residual_outputs = T[]
+    for residual in plan.residual_orders
+        result = execute_direct(
+            orch.cfmm_bridge,
+            residual.token_in,
+            residual.token_out,
+            residual.amount_in,
+            slippage,
+        )
+        if result === nothing
+            @error "Residual CFMM trade failed" token_in=residual.token_in token_out=residual.token_out
+            execution_time_ms = (time_ns() - start_time) / 1_000_000
+            receipt = BatchReceipt(uuid4(), prices, TraderFill{T}[], executed, residual_outputs, execution_time_ms)
+            store_batch_receipt!(orch, batch, receipt)
+            # The pooled input is partly traded already, so the batch cannot be settled
+            # again one request at a time; the receipt records what the CFMMs delivered
+            foreach(r -> finish_batch_request!(orch, r.id, FAILED), batch)
+            settle_individually!(orch, individual)
+            return receipt
+        end
+        push!(executed, residual)
+        push!(residual_outputs, result.amount_out)
+    end
+
+    fills = allocate_fills(orders, plan, residual_outputs, baseline_outputs)
+    execution_time_ms = (time_ns() - start_time) / 1_000_000
+    receipt = BatchReceipt(uuid4(), prices, fills, plan.residual_orders, residual_outputs, execution_time_ms)
+    store_batch_receipt!(orch, batch, receipt)
+
+    # The residuals are traded by now, so a fill that slipped past its tolerance fails
+    for (request, fill) in zip(batch, fills)
+        status = within_slippage(request, fill, prices, baseline_outputs) ? COMPLETED : FAILED
+        finish_batch_request!(orch, request.id, status)
+    end
+    settle_individually!(orch, individual)
+    return receipt
+end
+
+# Uniform clearing price of each token in units of the batch's lowest token id.
+# The geometric mean of the CFMM spot prices both ways cancels the pool fees.
+function batch_clearing_prices(orch::Orchestrator{T}, requests::Vector{SettlementRequest{T}}) where {T}
+    orch.cfmm_bridge === nothing && return nothing
+    tokens = sort!(unique(vcat([r.token_in for r in requests], [r.token_out for r in requests])))
+    numeraire = first(tokens)
+
+    prices = Dict{Int64,T}(numeraire => one(T))
+    for token in tokens[2:end]
+        sell_price = get_baseline_price(orch.cfmm_bridge, token, numeraire)
+        buy_price = get_baseline_price(orch.cfmm_bridge, numeraire, token)
+        if sell_price <= zero(T) || buy_price <= zero(T)
+            return nothing
+        end
+        prices[token] = sqrt(sell_price / buy_price)
+    end
+    return prices
+end
+
+# Quote the expected output of a residual order through the CFMM bridge
+function route_residual(orch::Orchestrator{T}, residual::ResidualOrder{T}) where {T}
+    try
+        return get_route(
+            orch.cfmm_bridge,
+            residual.token_in,
+            residual.token_out,
+            residual.amount_in,
+            zero(T),
+        )
+    catch e
+        @error "Residual routing failed" exception=e token_in=residual.token_in token_out=residual.token_out
+        return nothing
+    end
+end
+
+# Whether a fill delivers the request's own CFMM output less its slippage tolerance,
+# held to the clearing price when the request has no route of its own
+function within_slippage(
+    request::SettlementRequest{T},
+    fill::TraderFill{T},
+    prices::Dict{Int64,T},
+    baseline_outputs::Dict{UUID,T},
+) where {T}
+    clearing_output = request.amount_in * prices[request.token_in] / prices[request.token_out]
+    baseline = get(baseline_outputs, request.id, clearing_output)
+    return total_amount_out(fill) >= (one(T) - request.slippage_tolerance) * baseline
+end
+
+# Settle requests one at a time, outside any batch
+function settle_individually!(orch::Orchestrator{T}, requests::Vector{SettlementRequest{T}}) where {T}
+    for request in requests
+        lock(() -> delete!(orch.active_settlements, request.id), orch.lock)
+        try
+            result = process_settlement!(orch, request)
+            update_status!(orch, request.id, result.status)
+        catch e
+            @error "Individual settlement failed" exception=e request_id=request.id
+            update_status!(orch, request.id, FAILED)
+        end
+    end
+end
+
+function store_batch_receipt!(orch::Orchestrator, requests::Vector{<:SettlementRequest}, receipt::BatchReceipt)
+    lock(orch.lock) do
+        for request in requests
+            orch.batch_receipts[request.id] = receipt
+        end
+    end
+end
+
+function finish_batch_request!(orch::Orchestrator, request_id::UUID, status::SettlementStatus)
+    update_status!(orch, request_id, status)
+    lock(orch.lock) do
+        delete!(orch.active_settlements, request_id)
+    end
+end
+
+# Receipt of the batch a request settled in
+function get_batch_receipt(orch::Orchestrator, request_id::UUID)
+    lock(orch.lock) do
+        get(orch.batch_receipts, request_id, nothing)
+    end
+end
+
 # Update settlement status
 function update_status!(orch::Orchestrator, request_id::UUID, status::SettlementStatus)
     if haskey(orch.settlement_status, request_id)
@@ -306,6 +562,7 @@ function cancel_settlement!(orch::Orchestrator, request_id::UUID)
         if haskey(orch.active_settlements, request_id)
             update_status!(orch, request_id, CANCELLED)
             delete!(orch.active_settlements, request_id)
+            filter!(r -> r.id != request_id, orch.batch_queue)
             return true
         end
         return false
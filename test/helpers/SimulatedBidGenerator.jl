@@ -10,52 +10,46 @@ module SimulatedBidGenerator
 
 using Dates: DateTime, now
 using Random
-using SHA: sha256
-# Import the production types we need to simulate
-include("../../src/settlement/execution/auction/BidGenerator.jl")
-using .BidGenerator: AbstractBidGenerator, ImprovementBidRequest
+# Import the production types we need to simulate, as the phantom auction sees them
+include("../../src/settlement/execution/auction/PhantomAuction.jl")
+using .PhantomAuction: BidGenerator, ImprovementBid, generate_salt, seal_bid
+using .PhantomAuction.BidGenerator: AbstractBidGenerator, BidCommitment, ImprovementBidRequest
 export SimulatedGenerator, ImprovementBid, generate_simulated_bid
 
-"""
-    ImprovementBid{T}
-
-Test version of improvement bid structure for simulation.
-"""
-struct ImprovementBid{T}
-    bidder_id::String
-    token_pair::Tuple{Int64,Int64}
-    improved_price::T
-    volume::T
-    priority_fee::T
-    commitment_hash::Vector{UInt8}
-    nonce::Int64
-    timestamp::DateTime
-end
-
 """
     SimulatedGenerator
 
-Test implementation of bid generator that uses random simulation.
+Test implementation of bid generator that uses random simulation. It speaks
+the sealed protocol: each poll of `collect_commitments` may bring a salted
+commitment from a new simulated bidder, opened later by `request_reveal`.
 """
 mutable struct SimulatedGenerator <: AbstractBidGenerator
     bid_generation_rate::Float64  # Probability of generating bid per request
     price_improvement_range::Tuple{Float64,Float64}  # Min/max improvement
     volume_variation_range::Tuple{Float64,Float64}   # Volume multiplier range
+    openings::Dict{String,Tuple{ImprovementBid,Vector{UInt8}}}  # Bidder -> committed bid and salt
+    bidders::Int  # Simulated bidders so far, to number the next one
 
     function SimulatedGenerator(;
         bid_generation_rate::Float64 = 0.3,  # 30% chance by default
         price_improvement_range::Tuple{Float64,Float64} = (10.0, 50.0),  # 0.1-0.5% improvement
         volume_variation_range::Tuple{Float64,Float64} = (0.8, 1.2),      # 80-120% of baseline
     )
-        new(bid_generation_rate, price_improvement_range, volume_variation_range)
+        new(
+            bid_generation_rate,
+            price_improvement_range,
+            volume_variation_range,
+            Dict{String,Tuple{ImprovementBid,Vector{UInt8}}}(),
+            0,
+        )
     end
 end
 
 """
-    generate_simulated_bid(auction_config) -> ImprovementBid{T}
+    generate_simulated_bid(baseline_price, baseline_amount, token_pair, min_bps, max_bps; bidder_id) -> ImprovementBid
 
-Generate a simulated improvement bid for testing phantom auctions.
-Uses random values within realistic ranges.
+Generate an unsealed simulated improvement bid for testing phantom auctions.
+Uses random values within realistic ranges; `seal_bid` commits to it.
 
 **FOR TESTING ONLY**
 """
@@ -64,10 +58,9 @@ function generate_simulated_bid(
     baseline_amount::T,
     token_pair::Tuple{Int64,Int64},
     min_improvement_bps::Float64,
-    max_improvement_bps::Float64,
+    max_improvement_bps::Float64;
+    bidder_id::String = string("test_bidder_", rand(1:1000)),
 ) where {T}
-    bidder_id = string("test_bidder_", rand(1:1000))
-
     # Generate improvement within bounds
     min_improvement = min_improvement_bps / 10000
     max_improvement = max_improvement_bps / 10000
@@ -79,60 +72,52 @@ function generate_simulated_bid(
 
     nonce = rand(Int64)
 
-    bid = ImprovementBid(
+    return ImprovementBid(
         bidder_id,
         token_pair,
         improved_price,
         volume,
         priority_fee,
-        UInt8[],  # Will be filled by commitment
+        UInt8[],  # Filled in by seal_bid
         nonce,
         now(),
     )
-
-    # Add commitment hash
-    commitment = create_commitment(bid)
-
-    return ImprovementBid(
-        bid.bidder_id,
-        bid.token_pair,
-        bid.improved_price,
-        bid.volume,
-        bid.priority_fee,
-        commitment,
-        bid.nonce,
-        bid.timestamp,
-    )
 end
 
 """
-    BidGenerator.generate_bid(generator::SimulatedGenerator, request) -> Union{ImprovementBid, Nothing}
+    BidGenerator.collect_commitments(generator::SimulatedGenerator, request) -> Vector{BidCommitment}
 
-Test implementation that generates random bids for simulation.
+Test implementation: with the generator's bid rate, a new simulated bidder
+commits to a random bid under a fresh salt, which it keeps for the reveal.
 """
-function BidGenerator.generate_bid(generator::SimulatedGenerator, request::ImprovementBidRequest{T}) where {T}
+function BidGenerator.collect_commitments(generator::SimulatedGenerator, request::ImprovementBidRequest{T}) where {T}
     # Random chance of generating a bid
     if rand() > generator.bid_generation_rate
-        return nothing
+        return BidCommitment[]
     end
 
-    return generate_simulated_bid(
+    generator.bidders += 1
+    bid = generate_simulated_bid(
         request.baseline_price,
         request.baseline_amount,
         request.token_pair,
         request.min_improvement_bps,
-        request.max_improvement_bps,
+        request.max_improvement_bps;
+        bidder_id = string("test_bidder_", generator.bidders),
     )
+    salt = generate_salt()
+    sealed, commitment = seal_bid(bid, salt)
+    generator.openings[bid.bidder_id] = (sealed, salt)
+    return [commitment]
 end
 
 """
-    create_commitment(bid) -> Vector{UInt8}
+    BidGenerator.request_reveal(generator::SimulatedGenerator, commitment) -> Union{Tuple, Nothing}
 
-Create a commitment hash for a bid (test implementation).
+Test implementation: open the simulated bidder's commitment with its bid and salt.
 """
-function create_commitment(bid::ImprovementBid{T}) where {T}
-    data = string(bid.bidder_id, bid.token_pair, bid.improved_price, bid.volume, bid.nonce)
-    return sha256(data)
+function BidGenerator.request_reveal(generator::SimulatedGenerator, commitment::BidCommitment)
+    return pop!(generator.openings, commitment.bidder_id, nothing)
 end
 
 """
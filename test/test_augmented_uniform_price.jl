@@ -0,0 +1,290 @@
+using Random
+using Test
+# Load augmented uniform price auction module
+include("../src/AugmentedUniformPriceAuction.jl")
+
+using .AugmentedUniformPriceAuction
+using .AugmentedUniformPriceAuction: bid_value, demand_above_price, validate_bids
+
+@testset "Augmented Uniform Price Auction Tests" begin
+    supply = create_elastic_schedule(base_quantity = 100.0, price_floor = 10.0, price_ceiling = 100.0)
+
+    @testset "Demand Schedules" begin
+        @testset "Schedule Construction" begin
+            bid = ScheduleBid("alice", [40.0, 60.0, 50.0], [5.0, 10.0, 20.0])
+            @test [s.price for s in bid.steps] == [60.0, 50.0, 40.0]
+            @test bid.cumulative == [10.0, 30.0, 35.0]
+
+            @test_throws ArgumentError ScheduleBid("alice", DemandStep[])
+            @test_throws ArgumentError ScheduleBid("alice", [50.0, 50.0], [1.0, 2.0])
+            @test_throws ArgumentError ScheduleBid("alice", [50.0], [0.0])
+            @test_throws ArgumentError ScheduleBid("alice", [50.0, 40.0], [1.0])
+        end
+
+        @testset "Stepwise Demand" begin
+            bid = ScheduleBid("alice", [60.0, 50.0, 40.0], [10.0, 20.0, 5.0])
+            @test demand_at_price(bid, 70.0) == 0.0
+            @test demand_at_price(bid, 60.0) == 10.0
+            @test demand_at_price(bid, 55.0) == 10.0
+            @test demand_at_price(bid, 50.0) == 30.0
+            @test demand_at_price(bid, 10.0) == 35.0
+            @test demand_above_price(bid, 50.0) == 10.0
+            @test bid_value(bid, 15.0) == 60.0 * 10.0 + 50.0 * 5.0
+        end
+
+        @testset "Piecewise Linear Demand" begin
+            bid = ScheduleBid("bob", [60.0, 40.0], [10.0, 20.0], interpolation = PIECEWISE_LINEAR)
+            @test demand_at_price(bid, 60.0) == 10.0
+            @test demand_at_price(bid, 50.0) ≈ 20.0
+            @test demand_at_price(bid, 40.0) == 30.0
+            @test demand_above_price(bid, 60.0) == 0.0
+            @test demand_above_price(bid, 50.0) ≈ 20.0
+            # 10 units at 60, then 20 units priced linearly from 60 down to 40
+            @test bid_value(bid, 30.0) ≈ 600.0 + 20.0 * 50.0
+        end
+
+        @testset "Aggregate Demand" begin
+            bids = AbstractBid[Bid("carol", 15.0, 55.0), ScheduleBid("alice", [60.0, 50.0], [10.0, 20.0])]
+            @test aggregate_demand(bids, 55.0) == 25.0
+            @test aggregate_demand(bids, 50.0) == 30.0
+            @test aggregate_demand(bids, 65.0) == 0.0
+        end
+    end
+
+    @testset "Schedule Auctions" begin
+        @testset "Schedule Matches Equivalent Point Bids" begin
+            config = AuctionConfig(supply_schedule = supply, min_bid_increment = 0.0)
+            schedule = ScheduleBid("alice", [80.0, 60.0, 40.0], [40.0, 60.0, 80.0], timestamp = 1.0)
+            points = [
+                Bid("alice", 40.0, 80.0, timestamp = 1.0),
+                Bid("alice", 60.0, 60.0, timestamp = 1.0),
+                Bid("alice", 80.0, 40.0, timestamp = 1.0),
+            ]
+
+            schedule_result = run_auction([schedule], config)
+            point_result = run_auction(points, config)
+
+            @test schedule_result.clearing_price ≈ point_result.clearing_price
+            @test schedule_result.total_quantity ≈ point_result.total_quantity
+            @test length(schedule_result.allocations) == 1
+            @test schedule_result.allocations[1].bid === schedule
+        end
+
+        @testset "Mixed Bid Types" begin
+            config = AuctionConfig(supply_schedule = supply, reserve_price = 20.0)
+            bids = AbstractBid[
+                ScheduleBid("alice", [90.0, 70.0, 50.0], [30.0, 40.0, 50.0]),
+                ScheduleBid("bob", [85.0, 45.0], [20.0, 60.0], interpolation = PIECEWISE_LINEAR),
+                Bid("carol", 25.0, 65.0),
+            ]
+
+            result = run_auction(bids, config)
+            supply_at_clearing = calculate_supply_at_price(supply, result.clearing_price)
+
+            @test result.clearing_price >= 20.0
+            @test result.total_quantity <= supply_at_clearing + 1e-6
+            @test all(a.allocated_quantity <= demand_at_price(a.bid, result.clearing_price) + 1e-6 for a in result.allocations)
+            @test 0.0 <= result.efficiency_score <= 100.0
+            @test result.total_revenue ≈ result.clearing_price * result.total_quantity
+        end
+
+        @testset "Reserve Filters Schedules" begin
+            config = AuctionConfig(supply_schedule = supply, reserve_price = 50.0)
+            bids = [ScheduleBid("alice", [40.0, 30.0], [10.0, 10.0]), ScheduleBid("bob", [60.0], [10.0])]
+            @test length(validate_bids(bids, config)) == 1
+        end
+
+        @testset "Efficiency Along Demand Curve" begin
+            bids = AbstractBid[ScheduleBid("alice", [80.0, 40.0], [10.0, 10.0]), Bid("bob", 10.0, 60.0)]
+            best = [BidAllocation(bids[1], 10.0, 0.0), BidAllocation(bids[2], 10.0, 0.0)]
+            worse = [BidAllocation(bids[1], 20.0, 0.0)]
+
+            @test calculate_efficiency(best, bids, 50.0) ≈ 100.0
+            @test calculate_efficiency(worse, bids, 50.0) ≈ 1200.0 / 1400.0 * 100
+        end
+    end
+
+    @testset "Exact Clearing" begin
+        config = AuctionConfig(supply_schedule = supply)
+
+        @testset "Clears At Marginal Bid Price" begin
+            bids = [Bid("a", 100.0, 80.0), Bid("b", 100.0, 40.0)]
+            solution = solve_clearing(bids, config)
+            @test solution.price == 40.0
+            @test solution.limit == SUPPLY_LIMITED
+            @test solution.supply ≈ 150.0
+            @test find_clearing_price(bids, config) == 40.0
+        end
+
+        @testset "Clears On Supply Curve" begin
+            bids = [Bid("a", 180.0, 80.0), Bid("b", 100.0, 40.0)]
+            solution = solve_clearing(bids, config)
+            @test solution.price ≈ 58.0
+            @test solution.limit == DEMAND_LIMITED
+            @test solution.demand ≈ 180.0
+
+            result = run_auction(bids, config)
+            @test result.clearing_limit == DEMAND_LIMITED
+            @test result.total_quantity ≈ 180.0
+        end
+
+        @testset "Linear Demand Crossing" begin
+            bids = [ScheduleBid("a", [90.0, 30.0], [50.0, 150.0], interpolation = PIECEWISE_LINEAR)]
+            solution = solve_clearing(bids, config)
+            @test solution.limit == DEMAND_LIMITED
+            @test aggregate_demand(bids, solution.price) ≈
+                  calculate_supply_at_price(supply, solution.price)
+        end
+
+        @testset "Undersubscribed And Capped" begin
+            under = solve_clearing([Bid("a", 10.0, 50.0)], config)
+            @test under.price == 10.0
+            @test under.limit == DEMAND_LIMITED
+
+            capped = solve_clearing([Bid("a", 1000.0, 150.0)], config)
+            @test capped.price == 100.0
+            @test capped.limit == SUPPLY_LIMITED
+        end
+
+        @testset "Large Bid Sets" begin
+            rng = MersenneTwister(7)
+            bids = [Bid("b$i", 0.01 + rand(rng), 10.0 + 80.0 * rand(rng)) for i = 1:100_000]
+            curve = DemandCurve(bids)
+
+            for p in (15.0, 42.5, 77.0)
+                @test aggregate_demand(curve, p) ≈ aggregate_demand(bids, p)
+            end
+
+            solution = solve_clearing(curve, config)
+            @test aggregate_demand(curve, solution.price) >= calculate_supply_at_price(supply, solution.price) - 1e-6
+            @test demand_above_price(curve, solution.price) <= calculate_supply_at_price(supply, solution.price) + 1e-6
+            if solution.limit == SUPPLY_LIMITED
+                @test any(b.price == solution.price for b in bids)
+            end
+        end
+    end
+
+    @testset "Pricing Rules" begin
+        bids = [Bid("a", 180.0, 80.0), Bid("b", 100.0, 40.0)]
+
+        @testset "Rule Prices" begin
+            rules = [MarketClearingPricing(), LastAcceptedPricing(), FirstRejectedPricing(), MidpointPricing()]
+            results = [run_auction(bids, AuctionConfig(supply_schedule = supply, pricing_rule = r)) for r in rules]
+
+            @test results[1].clearing_price ≈ 58.0
+            @test results[2].clearing_price == 80.0
+            @test results[3].clearing_price == 40.0
+            @test results[4].clearing_price == 60.0
+            @test all(r.pricing_rule === rule for (r, rule) in zip(results, rules))
+
+            # Allocation is fixed by clearing; only the uniform price moves
+            @test all(r.total_quantity ≈ 180.0 for r in results)
+            @test results[2].total_revenue == 80.0 * 180.0
+            @test all(a.payment == 40.0 * a.allocated_quantity for a in results[3].allocations)
+
+            efficiencies = [calculate_efficiency(r, bids) for r in results]
+            @test all(e ≈ efficiencies[1] for e in efficiencies)
+        end
+
+        @testset "Rationed Marginal Bid" begin
+            rationed = [Bid("a", 100.0, 80.0), Bid("b", 100.0, 40.0)]
+            for rule in (LastAcceptedPricing(), FirstRejectedPricing())
+                result = run_auction(rationed, AuctionConfig(supply_schedule = supply, pricing_rule = rule))
+                @test result.clearing_price == 40.0
+            end
+        end
+
+        @testset "Nothing Rejected" begin
+            config = AuctionConfig(supply_schedule = supply, reserve_price = 15.0, pricing_rule = FirstRejectedPricing())
+            result = run_auction([Bid("a", 10.0, 50.0)], config)
+            @test result.clearing_price == 15.0
+        end
+
+        @test_throws ArgumentError MidpointPricing(1.5)
+    end
+
+    @testset "Payment Modes" begin
+        bids = [Bid("a", 100.0, 80.0), Bid("b", 100.0, 40.0)]
+        config = AuctionConfig(supply_schedule = supply)
+        results = compare_payment_modes(bids, config)
+
+        uniform = results[UNIFORM_PRICE]
+        pay_as_bid = results[PAY_AS_BID]
+        spanish = results[SPANISH_HYBRID]
+
+        @test uniform.payment_mode == UNIFORM_PRICE
+        @test uniform.total_revenue ≈ 40.0 * 150.0
+        @test pay_as_bid.total_revenue ≈ 80.0 * 100.0 + 40.0 * 50.0
+
+        # Bidder a is capped at the weighted average accepted price, b pays its bid
+        average_price = (80.0 * 100.0 + 40.0 * 50.0) / 150.0
+        @test spanish.total_revenue ≈ average_price * 100.0 + 40.0 * 50.0
+
+        @test uniform.total_revenue <= spanish.total_revenue <= pay_as_bid.total_revenue
+        @test all(r.total_quantity ≈ uniform.total_quantity for r in values(results))
+        @test all(r.efficiency_score ≈ uniform.efficiency_score for r in values(results))
+        @test all(r.bid_shading_estimate == uniform.bid_shading_estimate for r in values(results))
+
+        @testset "Schedule Payments" begin
+            schedule = ScheduleBid("c", [90.0, 50.0], [40.0, 40.0], interpolation = PIECEWISE_LINEAR)
+            result = run_auction([schedule], AuctionConfig(supply_schedule = supply, payment_mode = PAY_AS_BID))
+            allocation = result.allocations[1]
+            @test allocation.payment ≈ bid_value(schedule, allocation.allocated_quantity)
+        end
+    end
+
+    @testset "Supply Schedule Fitting" begin
+        truth = create_elastic_schedule(
+            base_quantity = 500.0,
+            price_floor = 20.0,
+            price_ceiling = 80.0,
+            elasticity_type = EXPONENTIAL,
+            elasticity_factor = 1.2,
+        )
+
+        @testset "Recovers Known Schedule" begin
+            prices = collect(range(20.0, 80.0, length = 25))
+            quantities = [calculate_supply_at_price(truth, p) for p in prices]
+            fit = fit_supply_schedule(prices, quantities)
+
+            @test fit.elasticity_type == EXPONENTIAL
+            @test fit.base_quantity ≈ 500.0 rtol = 1e-2
+            @test fit.elasticity_factor ≈ 1.2 rtol = 1e-2
+            @test fit.r_squared > 0.999
+            @test fit.r_squared_by_type[EXPONENTIAL] >= fit.r_squared_by_type[LINEAR]
+            @test length(fit.bands) == length(fit.schedule.points)
+        end
+
+        @testset "Noisy Observations" begin
+            rng = MersenneTwister(11)
+            prices = [20.0 + 60.0 * rand(rng) for _ = 1:60]
+            linear = create_elastic_schedule(base_quantity = 300.0, price_floor = 20.0, price_ceiling = 80.0)
+            quantities = [calculate_supply_at_price(linear, p) * (1 + 0.02 * randn(rng)) for p in prices]
+            fit = fit_supply_schedule(prices, quantities, price_floor = 20.0, price_ceiling = 80.0)
+
+            band = supply_confidence_band(fit, 50.0)
+            @test band.lower < band.fitted < band.upper
+            @test band.fitted ≈ calculate_supply_at_price(linear, 50.0) rtol = 0.02
+            @test fit.r_squared > 0.9
+        end
+
+        @testset "From Auction Results" begin
+            config = AuctionConfig(supply_schedule = truth)
+            results = [run_auction([Bid("a", 2000.0, p)], config) for p in 25.0:5.0:75.0]
+            fit = fit_supply_schedule(results)
+            @test fit.num_observations == length(results)
+            @test fit.elasticity_type == EXPONENTIAL
+
+            # Prices set by other rules are off the supply curve
+            stop_out = AuctionConfig(supply_schedule = truth, pricing_rule = LastAcceptedPricing())
+            mixed = [results; [run_auction([Bid("a", 2000.0, p)], stop_out) for p in 30.0:10.0:70.0]]
+            @test fit_supply_schedule(mixed).num_observations == length(results)
+        end
+
+        @test_throws ArgumentError fit_supply_schedule([10.0, 20.0], [1.0, 2.0])
+        @test_throws ArgumentError fit_supply_schedule([10.0, 20.0, 30.0], [1.0, -2.0, 3.0])
+        # Observations outside the schedule's range would leave the logarithmic shape's domain
+        @test_throws ArgumentError fit_supply_schedule([10.0, 20.0, 30.0], [1.0, 2.0, 3.0], price_floor = 15.0)
+        @test_throws ArgumentError fit_supply_schedule([10.0, 20.0, 30.0], [1.0, 2.0, 3.0], price_ceiling = 25.0)
+    end
+end
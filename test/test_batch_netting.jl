@@ -0,0 +1,73 @@
+using Test
+using UUIDs
+# Load the netting on its own; the orchestrator also needs the CFMM bridge
+include("../src/settlement/orchestration/BatchNetting.jl")
+
+using .BatchNetting
+
+@testset "Batch Netting" begin
+    @testset "Opposing flows on a pair" begin
+        seller = BatchOrder(uuid4(), 1, 2, 1.0)     # Worth 2000 at the clearing prices
+        buyer = BatchOrder(uuid4(), 2, 1, 3000.0)  # Worth 3000
+        orders = [seller, buyer]
+        plan = net_batch(orders, Dict(1 => 2000.0, 2 => 1.0))
+
+        # Only the 1000 of token 2 the seller could not absorb reaches the CFMMs
+        @test length(plan.residual_orders) == 1
+        residual = only(plan.residual_orders)
+        @test (residual.token_in, residual.token_out) == (2, 1)
+        @test residual.amount_in ≈ 1000.0
+        @test peer_fraction(plan, 2) == 1.0
+        @test peer_fraction(plan, 1) ≈ 2 / 3
+
+        baselines = Dict(seller.id => 1990.0, buyer.id => 1.48)
+        fills = allocate_fills(orders, plan, [0.49], baselines)
+
+        @test fills[1].peer_amount_in ≈ 1.0
+        @test fills[1].peer_amount_out ≈ 2000.0
+        @test fills[1].amm_amount_out == 0.0
+        @test fills[1].peer_surplus ≈ 10.0
+        @test fills[1].amm_surplus == 0.0
+
+        @test fills[2].peer_amount_in ≈ 2000.0
+        @test fills[2].amm_amount_in ≈ 1000.0
+        @test fills[2].peer_amount_out ≈ 1.0
+        @test fills[2].amm_amount_out ≈ 0.49
+        @test fills[2].peer_surplus ≈ 1.0 - 1.48 * 2 / 3
+        @test fills[2].amm_surplus ≈ 0.49 - 1.48 / 3
+        @test total_amount_out(fills[2]) ≈ 1.49
+    end
+
+    @testset "Cycles across pairs" begin
+        orders = [
+            BatchOrder(uuid4(), 1, 2, 100.0),
+            BatchOrder(uuid4(), 2, 3, 50.0),
+            BatchOrder(uuid4(), 3, 1, 25.0),
+        ]
+        plan = net_batch(orders, Dict(1 => 1.0, 2 => 2.0, 3 => 4.0))
+        @test isempty(plan.residual_orders)
+
+        fills = allocate_fills(orders, plan, Float64[])
+        @test all(fill -> fill.amm_amount_out == 0.0 && fill.peer_surplus == 0.0, fills)
+        @test [fill.peer_amount_out for fill in fills] ≈ [50.0, 25.0, 100.0]
+    end
+
+    @testset "Residual pairing" begin
+        # Token 1 in excess pays for both deficits, the larger first
+        first_order, second_order = BatchOrder(uuid4(), 1, 2, 100.0), BatchOrder(uuid4(), 1, 3, 50.0)
+        plan = net_batch([first_order, second_order], Dict(1 => 1.0, 2 => 1.0, 3 => 1.0))
+        residuals = [(r.token_in, r.token_out, r.amount_in) for r in plan.residual_orders]
+        @test residuals == [(1, 2, 100.0), (1, 3, 50.0)]
+
+        fills = allocate_fills([first_order, second_order], plan, [99.0, 49.9])
+        @test [fill.amm_amount_out for fill in fills] ≈ [99.0, 49.9]
+        @test all(fill -> fill.peer_amount_out == 0.0, fills)
+        @test_throws ArgumentError allocate_fills([first_order, second_order], plan, [99.0])
+    end
+
+    @testset "Validation" begin
+        @test_throws ArgumentError BatchOrder(uuid4(), 1, 1, 10.0)
+        @test_throws ArgumentError BatchOrder(uuid4(), 1, 2, 0.0)
+        @test_throws ArgumentError net_batch([BatchOrder(uuid4(), 1, 2, 10.0)], Dict(1 => 1.0))
+    end
+end
@@ -0,0 +1,149 @@
+using Test
+using Dates
+using UUIDs
+
+# Stand-in for the CFMM bridge the orchestrator imports from its parent: fixed
+# prices per direction, fees included, and trades on chosen pairs that fail
+module CFMMBridge
+
+export StubBridge, get_route, execute_direct, get_baseline_price
+
+struct StubBridge
+    prices::Dict{Tuple{Int64,Int64},Float64}
+    failing::Set{Tuple{Int64,Int64}}
+    trades::Vector{Tuple{Int64,Int64,Float64}}  # Executed (token_in, token_out, amount_in)
+end
+
+StubBridge(prices; failing = Set{Tuple{Int64,Int64}}()) = StubBridge(prices, failing, Tuple{Int64,Int64,Float64}[])
+
+function get_route(bridge::StubBridge, token_in::Int64, token_out::Int64, amount_in::Float64, slippage::Float64)
+    haskey(bridge.prices, (token_in, token_out)) || return nothing
+    price = bridge.prices[(token_in, token_out)]
+    return (price = price, amount_out = amount_in * price * (1 - slippage), gas_estimate = 160_000)
+end
+
+function execute_direct(bridge::StubBridge, token_in::Int64, token_out::Int64, amount_in::Float64, slippage::Float64)
+    pair = (token_in, token_out)
+    (haskey(bridge.prices, pair) && !(pair in bridge.failing)) || return nothing
+    push!(bridge.trades, (token_in, token_out, amount_in))
+    price = bridge.prices[pair]
+    return (price = price, amount_out = amount_in * price, gas_used = 160_000)
+end
+
+get_baseline_price(bridge::StubBridge, token_in::Int64, token_out::Int64) =
+    get(bridge.prices, (token_in, token_out), 0.0)
+
+end # module
+
+include("../src/settlement/orchestration/SettlementOrchestrator.jl")
+
+using .CFMMBridge
+using .SettlementOrchestrator
+using .SettlementOrchestrator: COMPLETED, FAILED, OrchestratorConfig, get_status, initialize!
+using .SettlementOrchestrator.BatchNetting: total_amount_out
+
+function stub_orchestrator(bridge)
+    orch = Orchestrator{Float64}(OrchestratorConfig(100, 10.0, 80.0, 3, 0.95, 60_000))
+    initialize!(orch, bridge, nothing, nothing, nothing, nothing)
+    return orch
+end
+
+request(token_in, token_out, amount_in; slippage = 0.01) =
+    SettlementRequest(uuid4(), token_in, token_out, amount_in, slippage, now() + Minute(5), "0x0000")
+
+# Token 1 at about 2000 of token 2, with a spread of 20 around it
+const ETH_USDC = Dict((1, 2) => 1990.0, (2, 1) => 1 / 2010)
+
+@testset "Batch Settlement" begin
+    @testset "Netted batch" begin
+        bridge = StubBridge(ETH_USDC)
+        orch = stub_orchestrator(bridge)
+        seller = request(1, 2, 1.0)
+        buyer = request(2, 1, 3000.0)
+        submit_batch_request!(orch, seller)
+        submit_batch_request!(orch, buyer)
+
+        receipt = settle_batch!(orch)
+        @test receipt !== nothing
+        @test get_batch_receipt(orch, seller.id) === receipt
+        @test get_batch_receipt(orch, buyer.id) === receipt
+        @test get_status(orch, seller.id) == COMPLETED
+        @test get_status(orch, buyer.id) == COMPLETED
+
+        # Only the buyer's unmatched third reaches the CFMMs
+        @test length(bridge.trades) == 1
+        token_in, token_out, amount_in = only(bridge.trades)
+        @test (token_in, token_out) == (2, 1)
+        @test amount_in ≈ 3000.0 - sqrt(1990.0 * 2010.0) rtol = 1e-9
+        @test only(receipt.residual_outputs) ≈ amount_in / 2010
+
+        # Both beat their own routes
+        @test total_amount_out(receipt.fills[1]) > 1990.0
+        @test total_amount_out(receipt.fills[2]) > 3000.0 / 2010
+    end
+
+    @testset "Individual fallback without a netting price" begin
+        bridge = StubBridge(Dict((1, 2) => 1990.0))  # No quote back to token 1
+        orch = stub_orchestrator(bridge)
+        seller = request(1, 2, 1.0)
+        submit_batch_request!(orch, seller)
+
+        @test settle_batch!(orch) === nothing
+        @test get_batch_receipt(orch, seller.id) === nothing
+        @test get_status(orch, seller.id) == COMPLETED
+        @test bridge.trades == [(1, 2, 1.0)]
+    end
+
+    @testset "Fill short of own route" begin
+        # The pool prices cross, so the clearing price between them is worse for both
+        # sides than their own routes; only the seller's tolerance is too tight for it
+        bridge = StubBridge(Dict((1, 2) => 2000.0, (2, 1) => 1 / 1800))
+        orch = stub_orchestrator(bridge)
+        seller = request(1, 2, 1.0)
+        buyer = request(2, 1, 1800.0; slippage = 0.1)
+        submit_batch_request!(orch, seller)
+        submit_batch_request!(orch, buyer)
+
+        receipt = settle_batch!(orch)
+        @test receipt !== nothing
+        @test [fill.order_id for fill in receipt.fills] == [buyer.id]
+        @test get_batch_receipt(orch, seller.id) === nothing
+        @test get_status(orch, seller.id) == COMPLETED
+        @test get_status(orch, buyer.id) == COMPLETED
+
+        # Netted alone, the buyer's whole order is the residual; the seller trades afterwards
+        @test length(bridge.trades) == 2
+        @test bridge.trades[1][1:2] == (2, 1)
+        @test bridge.trades[1][3] ≈ 1800.0
+        @test bridge.trades[2] == (1, 2, 1.0)
+    end
+
+    @testset "Residual trade failure" begin
+        prices = Dict((1, 2) => 1990.0, (2, 1) => 1 / 2010, (1, 3) => 0.99, (3, 1) => 1 / 1.01)
+        bridge = StubBridge(prices; failing = Set([(1, 3)]))
+        orch = stub_orchestrator(bridge)
+        to_usdc = request(1, 2, 2.0)
+        to_token3 = request(1, 3, 1.0)
+        submit_batch_request!(orch, to_usdc)
+        submit_batch_request!(orch, to_token3)
+
+        # The larger residual trades first; the one after it fails
+        receipt = settle_batch!(orch)
+        @test receipt !== nothing
+        @test isempty(receipt.fills)
+        residual = only(receipt.residual_orders)
+        @test (residual.token_in, residual.token_out) == (1, 2)
+        @test residual.amount_in ≈ 2.0
+        @test only(receipt.residual_outputs) ≈ 2.0 * 1990.0
+        @test get_batch_receipt(orch, to_usdc.id) === receipt
+
+        @test get_batch_receipt(orch, to_token3.id) === receipt
+
+        # The batch fails instead of spending the traded input again
+        @test bridge.trades == [(1, 2, 2.0)]
+        @test sum(amount_in for (token_in, _, amount_in) in bridge.trades if token_in == 1) <=
+              to_usdc.amount_in + to_token3.amount_in
+        @test get_status(orch, to_usdc.id) == FAILED
+        @test get_status(orch, to_token3.id) == FAILED
+    end
+end
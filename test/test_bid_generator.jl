@@ -0,0 +1,173 @@
+using Dates
+using HTTP
+using JSON
+using Test
+# Load phantom auction module (brings in BidGenerator)
+include("../src/settlement/execution/auction/PhantomAuction.jl")
+
+using .PhantomAuction
+using .PhantomAuction: load_config
+using .PhantomAuction.ConfigManager: set_config!
+using .PhantomAuction.BidGenerator: BidGeneratorConfig, ImprovementBidRequest, ProductionBidGenerator
+using .PhantomAuction.BidGenerator: collect_commitments, configure_bid_source, get_generator_stats, request_reveals
+
+# Local bidder speaking the generator's wire protocol
+mutable struct StubBidder
+    bid::Union{ImprovementBid{Float64},Nothing}
+    salt::Vector{UInt8}
+    commit_delay_s::Float64
+    commit_failures::Int  # Number of 503s served before answering commits
+    reveals::Bool
+    commit_calls::Int
+    reveal_calls::Int
+    auction_ids::Set{String}
+end
+
+function StubBidder(bid; commit_delay_s = 0.0, commit_failures = 0, reveals = true)
+    return StubBidder(bid, generate_salt(), commit_delay_s, commit_failures, reveals, 0, 0, Set{String}())
+end
+
+function stub_handler(bidders::Dict{String,StubBidder})
+    return function (req::HTTP.Request)
+        path = HTTP.URI(req.target).path
+        path == "/health" && return HTTP.Response(200)
+
+        _, name, action = split(path, '/')
+        bidder = bidders[name]
+        payload = JSON.parse(String(req.body))
+
+        if action == "commit"
+            bidder.commit_calls += 1
+            push!(bidder.auction_ids, payload["auction_id"])
+            sleep(bidder.commit_delay_s)
+
+            bidder.commit_calls <= bidder.commit_failures && return HTTP.Response(503)
+            bidder.bid === nothing && return HTTP.Response(204)
+
+            _, commitment = seal_bid(bidder.bid, bidder.salt)
+            body = Dict(
+                "bidder_id" => commitment.bidder_id,
+                "commitment_hash" => bytes2hex(commitment.commitment_hash),
+                "salt_commitment" => bytes2hex(commitment.salt_commitment),
+            )
+            return HTTP.Response(200, JSON.json(body))
+        end
+
+        bidder.reveal_calls += 1
+        bidder.reveals || return HTTP.Response(503)
+
+        sealed, _ = seal_bid(bidder.bid, bidder.salt)
+        bid = Dict(
+            "bidder_id" => sealed.bidder_id,
+            "token_pair" => collect(sealed.token_pair),
+            "improved_price" => sealed.improved_price,
+            "volume" => sealed.volume,
+            "priority_fee" => sealed.priority_fee,
+            "commitment_hash" => bytes2hex(sealed.commitment_hash),
+            "nonce" => sealed.nonce,
+            "timestamp" => string(sealed.timestamp),
+        )
+        return HTTP.Response(200, JSON.json(Dict("bid" => bid, "salt" => bytes2hex(bidder.salt))))
+    end
+end
+
+@testset "Networked Bid Generator Tests" begin
+    token_pair = (1, 2)
+    make_bid(bidder_id, price) =
+        ImprovementBid{Float64}(bidder_id, token_pair, price, 1000.0, 1.0, UInt8[], 7, now())
+
+    bidders = Dict(
+        "alice" => StubBidder(make_bid("alice", 100.2)),
+        "bob" => StubBidder(make_bid("bob", 100.3)),
+        "flaky" => StubBidder(make_bid("flaky", 100.25); commit_failures = 1),
+        "silent" => StubBidder(nothing),
+        "slow" => StubBidder(make_bid("slow", 100.4); commit_delay_s = 3.0),
+        "shy" => StubBidder(make_bid("shy", 100.45); reveals = false),
+        "warmup" => StubBidder(make_bid("warmup", 100.1)),
+    )
+    handler = stub_handler(bidders)
+    server = HTTP.serve!(handler, "127.0.0.1", 18080; listenany = true)
+    base_url = "http://127.0.0.1:$(HTTP.port(server))"
+
+    # Compile the request and handler paths up front so timeouts measure the network
+    handler(HTTP.Request("POST", "/warmup/commit", [], JSON.json(Dict("auction_id" => "warmup"))))
+    handler(HTTP.Request("POST", "/warmup/reveal", [], JSON.json(Dict("auction_id" => "warmup"))))
+    HTTP.post("$base_url/health", ["Content-Type" => "application/json"], "{}"; retry = false)
+
+    function make_generator(names...; extra = String[])
+        config = BidGeneratorConfig(request_timeout_ms = 500.0, retry_attempts = 2, retry_backoff_ms = 5.0)
+        generator = ProductionBidGenerator(config)
+        configure_bid_source(generator, vcat(["$base_url/$name" for name in names], extra))
+        return generator
+    end
+
+    try
+        @testset "No Endpoints" begin
+            generator = ProductionBidGenerator()
+            request = ImprovementBidRequest(token_pair, 100.0, 1000.0, 10.0, 50.0, now() + Second(1))
+            @test isempty(collect_commitments(generator, request))
+            @test generator.current_round === nothing
+        end
+
+        @testset "Commit And Reveal Over HTTP" begin
+            dead_endpoint = "http://127.0.0.1:1/dead"
+            generator = make_generator("alice", "bob", "flaky", "silent", "slow"; extra = [dead_endpoint])
+            request = ImprovementBidRequest(token_pair, 100.0, 1000.0, 10.0, 50.0, now() + Millisecond(2500))
+
+            commitments = PhantomAuction.BidCommitment[]
+            while now() < request.deadline
+                append!(commitments, collect_commitments(generator, request))
+                sleep(0.01)
+            end
+
+            @test sort([c.bidder_id for c in commitments]) == ["alice", "bob", "flaky"]
+
+            # One fan-out per auction, however often the auction polls
+            @test bidders["alice"].commit_calls == 1
+            @test length(union(bidders["alice"].auction_ids, bidders["bob"].auction_ids)) == 1
+
+            openings = request_reveals(generator, commitments, now() + Second(2))
+            @test all(o -> o !== nothing, openings)
+            for (commitment, (bid, salt)) in zip(commitments, openings)
+                @test bid.bidder_id == commitment.bidder_id
+                @test create_commitment(bid, salt) == commitment.commitment_hash
+            end
+
+            stats = get_generator_stats(generator)[:participants]
+            @test stats["$base_url/alice"][:responses] == 2
+            @test stats["$base_url/alice"][:mean_latency_ms] > 0
+            @test stats["$base_url/flaky"][:retries] == 1
+            @test stats["$base_url/flaky"][:failures] == 1
+            @test stats["$base_url/silent"][:no_bids] == 1
+            @test stats["$base_url/slow"][:timeouts] == 3
+            @test stats["$base_url/slow"][:responses] == 0
+            @test stats[dead_endpoint][:failures] >= 1
+            @test stats[dead_endpoint][:responses] == 0
+        end
+
+        @testset "Phantom Auction Over HTTP" begin
+            global_config = load_config("development", joinpath(@__DIR__, "..", "config"))
+            set_config!(global_config, "phantom_auction.duration_ms", 2500)
+            set_config!(global_config, "phantom_auction.reveal_delay_ms", 1000)
+
+            generator = make_generator("alice", "bob", "shy")
+            request = (token_in = 1, token_out = 2)
+            result = run_auction(
+                request,
+                100.0,
+                1000.0,
+                now() + Second(10);
+                global_config = global_config,
+                bid_generator = generator,
+            )
+
+            @test result.winning_bid !== nothing
+            @test result.winning_bid.bidder_id == "bob"
+            @test result.num_participants == 2
+            @test [u.bidder_id for u in result.unrevealed] == ["shy"]
+            @test bidders["shy"].reveal_calls == 3
+        end
+    finally
+        close(server)
+    end
+end
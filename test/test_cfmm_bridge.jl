@@ -0,0 +1,93 @@
+using Test
+
+# Stand-in for the CFMMRouter package the bridge imports from its parent. Only the
+# names are needed: without a router the bridge quotes and trades against pool models
+module CFMMRouter
+
+export Router, route!, LinearNonnegative, ProductTwoCoin, GeometricMeanTwoCoin, UniV3, CFMM
+
+abstract type CFMM end
+struct ProductTwoCoin <: CFMM end
+struct GeometricMeanTwoCoin <: CFMM end
+struct UniV3 <: CFMM end
+struct LinearNonnegative end
+struct Router end
+
+route!(router::Router; verbose = false) = error("No router in these tests")
+
+end # module
+
+include("../src/settlement/bridge/cfmm/CFMMBridge.jl")
+
+using .CFMMBridge
+using .CFMMBridge: BridgeConfig
+using .CFMMBridge.CFMMPools
+
+const POOL_SNAPSHOT = joinpath(@__DIR__, "fixtures", "cfmm_pools.json")
+
+pool_bridge(; max_price_impact_bps = 500.0) =
+    load_pools!(Bridge{Float64}(BridgeConfig(3, max_price_impact_bps, 30.0)), POOL_SNAPSHOT)
+
+# The snapshot's pools, loaded apart from any bridge, with the one filling a trade best
+function best_fill(token_in, token_out, amount_in)
+    pools = filter(pool -> has_pair(pool, token_in, token_out), load_pool_snapshot(POOL_SNAPSHOT))
+    outputs = [get_amount_out(pool, token_in, token_out, amount_in) for pool in pools]
+    return pools[argmax(outputs)], maximum(outputs)
+end
+
+@testset "CFMM Bridge" begin
+    @testset "Routes" begin
+        best, amount_out = best_fill(1, 2, 1.0)
+        route = get_route(pool_bridge(), 1, 2, 1.0, 0.0)
+        @test route isa RoutingResult{Float64}
+        @test route.amount_out ≈ amount_out
+        @test route.price ≈ amount_out
+        @test route.path == [1, 2]
+        @test route.pools == [pool_type(best)]
+        @test route.price_impact ≈ price_impact(best, 1, 2, 1.0)
+
+        # Slippage comes off the best pool's output
+        @test get_route(pool_bridge(), 1, 2, 1.0, 0.01).amount_out ≈ 0.99 * amount_out
+
+        # Curve is the only pool for the pair
+        best, amount_out = best_fill(2, 3, 1000.0)
+        @test pool_type(best) == CURVE
+        @test get_route(pool_bridge(), 2, 3, 1000.0, 0.0).amount_out ≈ amount_out
+
+        @test get_route(pool_bridge(), 1, 3, 1.0, 0.0) === nothing
+    end
+
+    @testset "Direct execution" begin
+        bridge = pool_bridge()
+        best, amount_out = best_fill(1, 2, 1.0)
+        result = execute_direct(bridge, 1, 2, 1.0, 0.0)
+        @test result isa ExecutionResult{Float64}
+        @test result.amount_out ≈ amount_out
+        @test result.price ≈ amount_out
+
+        # The trade moved the pool, so the same trade now fills worse
+        @test get_route(bridge, 1, 2, 1.0, 0.0).amount_out < amount_out
+
+        @test execute_direct(bridge, 1, 3, 1.0, 0.0) === nothing
+
+        # Too large for the price impact limit: nothing trades
+        bridge = pool_bridge(max_price_impact_bps = 10.0)
+        pools = deepcopy(bridge.pools)
+        @test execute_direct(bridge, 1, 2, 100.0, 0.0) === nothing
+        @test all(
+            get_amount_out(before, 1, 2, 1.0) == get_amount_out(after, 1, 2, 1.0) for
+            (before, after) in zip(pools, bridge.pools) if has_pair(before, 1, 2)
+        )
+    end
+
+    @testset "Baseline prices" begin
+        # Every 1/2 pool in the snapshot sits at 2000, less its fee
+        pools = filter(pool -> has_pair(pool, 1, 2), load_pool_snapshot(POOL_SNAPSHOT))
+        price = get_baseline_price(pool_bridge(), 1, 2)
+        @test price ≈ maximum(marginal_price(pool, 1, 2) for pool in pools)
+        @test 1990 < price < 2000
+
+        # No pool trades the pair: the bridge falls back to parity
+        @test get_baseline_price(pool_bridge(), 1, 3) == 1.0
+    end
+end
@@ -0,0 +1,104 @@
+using Test
+# Load the pool models on their own; the bridge also needs a router
+include("../src/settlement/bridge/cfmm/CFMMPools.jl")
+
+using .CFMMPools
+using .CFMMPools: stableswap_invariant
+
+const POOL_SNAPSHOT = joinpath(@__DIR__, "fixtures", "cfmm_pools.json")
+
+# Output per unit of a small trade, to check marginal prices against
+numeric_price(pool, token_in, token_out; size = 1e-2) = get_amount_out(pool, token_in, token_out, size) / size
+
+@testset "CFMM Pools" begin
+    @testset "Uniswap V2" begin
+        pool = ConstantProductPool(1, 2, 1000.0, 2_000_000.0, 0.003)
+        @test get_amount_out(pool, 1, 2, 10.0) ≈ 2_000_000 * 9.97 / 1009.97
+        @test marginal_price(pool, 1, 2) ≈ 0.997 * 2000
+        @test marginal_price(pool, 2, 1) ≈ 0.997 / 2000
+        @test price_impact(pool, 1, 2, 10.0) ≈ 1 - 1000 / 1009.97
+        @test price_impact(pool, 1, 2, 0.0) == 0.0
+
+        k = pool.reserve0 * pool.reserve1
+        amount_out = swap!(pool, 1, 2, 10.0)
+        @test pool.reserve0 == 1010.0
+        @test pool.reserve1 ≈ 2_000_000 - amount_out
+        @test pool.reserve0 * pool.reserve1 > k  # The fee stays in the pool
+
+        @test_throws ArgumentError get_amount_out(pool, 1, 3, 1.0)
+        @test_throws ArgumentError get_amount_out(pool, 1, 2, -1.0)
+        @test_throws ArgumentError ConstantProductPool(1, 2, 0.0, 1.0, 0.003)
+        @test_throws ArgumentError ConstantProductPool(1, 1, 1.0, 1.0, 0.003)
+    end
+
+    @testset "Uniswap V3" begin
+        ticks = [TickLiquidity(-2000, 5000.0), TickLiquidity(-1000, 10000.0), TickLiquidity(1000, -15000.0)]
+        pool() = ConcentratedLiquidityPool(1, 2, 1.0, 15000.0, 0.0, ticks)
+        lower, lowest = 1.0001^-500, 1.0001^-1000  # Square root prices at ticks -1000 and -2000
+
+        # Within a range it is a constant product pool with virtual reserves L/√P and L√P
+        @test get_amount_out(pool(), 1, 2, 10.0) ≈ 15000 * 10 / 15010
+        @test marginal_price(pool(), 1, 2) == 1.0
+        @test numeric_price(pool(), 2, 1) ≈ marginal_price(pool(), 2, 1) rtol = 1e-5
+
+        # Past tick -1000 only the wider position's liquidity is left
+        to_lower = 15000 * (1 / lower - 1)
+        crossed = pool()
+        amount_out = swap!(crossed, 1, 2, to_lower + 100)
+        next_sqrt_price = 5000 * lower / (5000 + 100 * lower)
+        @test amount_out ≈ 15000 * (1 - lower) + 5000 * (lower - next_sqrt_price)
+        @test crossed.liquidity ≈ 5000.0
+        @test crossed.sqrt_price ≈ next_sqrt_price
+
+        # Below the last position there is nothing left to buy
+        @test get_amount_out(pool(), 1, 2, 1e6) ≈ 15000 * (1 - lower) + 5000 * (lower - lowest)
+        @test price_impact(pool(), 1, 2, 1e6) > 0.99
+
+        # The fee comes off the input
+        with_fee = ConcentratedLiquidityPool(1, 2, 1.0, 15000.0, 0.003, ticks)
+        @test get_amount_out(with_fee, 1, 2, 10.0) ≈ 15000 * 9.97 / 15009.97
+    end
+
+    @testset "Curve" begin
+        pool = StableSwapPool([2, 3], [1.0e6, 3.0e6], 50.0, 0.0004)
+        @test numeric_price(pool, 2, 3; size = 1.0) ≈ marginal_price(pool, 2, 3) rtol = 1e-5
+        @test numeric_price(pool, 3, 2; size = 1.0) ≈ marginal_price(pool, 3, 2) rtol = 1e-5
+
+        # Balanced stable pools trade near one to one, far flatter than x * y = k
+        balanced = StableSwapPool([2, 3], [1.0e6, 1.0e6], 100.0, 0.0)
+        @test marginal_price(balanced, 2, 3) ≈ 1.0
+        product = ConstantProductPool(2, 3, 1.0e6, 1.0e6, 0.0)
+        @test 0 < price_impact(balanced, 2, 3, 1.0e5) < price_impact(product, 2, 3, 1.0e5) / 10
+
+        # Without a fee a swap keeps the invariant
+        three = StableSwapPool([1, 2, 3], [1.0e6, 1.0e6, 2.0e6], 100.0, 0.0)
+        invariant = stableswap_invariant(three.balances, three.amplification)
+        swap!(three, 3, 1, 5.0e4)
+        @test stableswap_invariant(three.balances, three.amplification) ≈ invariant
+    end
+
+    @testset "Balancer" begin
+        pool = WeightedPool([1, 2], [500.0, 250_000.0], [80.0, 20.0], 0.002)
+        @test pool.weights == [0.8, 0.2]
+        @test marginal_price(pool, 1, 2) ≈ 0.998 * 2000
+        @test get_amount_out(pool, 1, 2, 5.0) ≈ 250_000 * (1 - (500 / (500 + 5 * 0.998))^4)
+        @test numeric_price(pool, 2, 1) ≈ marginal_price(pool, 2, 1) rtol = 1e-5
+        @test_throws ArgumentError WeightedPool([1, 2], [1.0, 1.0], [1.0, 0.0], 0.0)
+    end
+
+    @testset "JSON Snapshot" begin
+        pools = load_pool_snapshot(POOL_SNAPSHOT)
+        @test pool_type.(pools) == [UNISWAP_V2, UNISWAP_V3, CURVE, BALANCER]
+
+        # The three pools of tokens 1 and 2 agree on the price before fees
+        for pool in pools[[1, 2, 4]]
+            @test marginal_price(pool, 1, 2) / (1 - pool.fee) ≈ 2000 rtol = 1e-6
+            @test 0 < price_impact(pool, 1, 2, 5.0) < 0.05
+        end
+        @test !has_pair(pools[3], 1, 2)
+
+        @test eltype(load_pool_snapshot(POOL_SNAPSHOT; numeric_type = Float32)) == AbstractPool{Float32}
+        @test_throws ArgumentError parse_pool(Dict("type" => "uniswap_v4", "tokens" => [1, 2]))
+        @test_throws ArgumentError parse_pool(Dict("type" => "uniswap_v2", "tokens" => [1, 2]))
+    end
+end
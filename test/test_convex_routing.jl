@@ -0,0 +1,155 @@
+using Test
+# Load the convex router on its own; Routing also needs the settlement types, config and cache
+include("../settlement/routing/ConvexRouter.jl")
+
+using .ConvexRouter
+
+pool(from, to, protocol, liquidity, price; fee = 0.003, address = "$from-$to", parameters...) =
+    LiquidityEdge{Float64}(
+        from, to, protocol, address, liquidity, fee, price, 100_000.0, Dict{Symbol,Float64}(parameters)
+    )
+
+total_in(paths) = sum((path.inputs[1] for path in paths); init = 0.0)
+total_out(paths) = sum((path.outputs[end] for path in paths); init = 0.0)
+
+# The whole amount along one path, as find_fast_routes routes a trade
+function single_path(edges, indices, amount)
+    inputs, outputs = Float64[], Float64[]
+    for i in indices
+        push!(inputs, amount)
+        amount = edge_amount_out(edges[i], amount)
+        push!(outputs, amount)
+    end
+    return FlowPath{Float64}(indices, inputs, outputs)
+end
+
+# That path split evenly, as split_into_multiple_paths does, each part quoted alone
+split_path(edges, indices, amount, n) = [single_path(edges, indices, amount / n) for _ in 1:n]
+
+# Marginal output of a constant product edge at an input
+marginal_out(edge, input) = edge.liquidity^2 * edge.price * (1 - edge.fee_rate) /
+    (edge.liquidity + (1 - edge.fee_rate) * input)^2
+
+@testset "Convex Routing" begin
+    @testset "Single constant product pool" begin
+        edges = [pool(:A, :B, :uniswap_v2, 1000.0, 2.0)]
+
+        paths = find_convex_flows(edges, :A, :B; amount_in = 100.0)
+        @test length(paths) == 1
+        @test only(paths).edges == [1]
+        @test total_in(paths) ≈ 100.0 rtol = 1e-6
+        @test total_out(paths) ≈ 2000 * 99.7 / 1099.7 rtol = 1e-6
+
+        # Buying an exact output takes the inverse of the trading function
+        paths = find_convex_flows(edges, :A, :B; amount_out = 150.0)
+        @test total_out(paths) ≈ 150.0 rtol = 1e-6
+        @test total_in(paths) ≈ 1000 * 150 / (0.997 * (2000 - 150)) rtol = 1e-6
+
+        @test find_convex_flows(edges, :A, :B; amount_out = 2500.0) === nothing  # More than the pool holds
+        @test_throws ArgumentError find_convex_flows(edges, :A, :B)
+        @test_throws ArgumentError find_convex_flows(edges, :A, :B; amount_in = 1.0, amount_out = 1.0)
+    end
+
+    @testset "Parallel pools" begin
+        edges = [
+            pool(:A, :B, :uniswap_v2, 1000.0, 2.0; address = "shallow"),
+            pool(:A, :B, :uniswap_v2, 3000.0, 2.0; address = "deep"),
+        ]
+        paths = find_convex_flows(edges, :A, :B; amount_in = 400.0)
+        inputs = Dict(only(path.edges) => path.inputs[1] for path in paths)
+
+        # At the same price, the split follows depth and equalizes marginal prices
+        @test inputs[1] ≈ 100.0 rtol = 1e-4
+        @test inputs[2] ≈ 300.0 rtol = 1e-4
+        @test marginal_out(edges[1], inputs[1]) ≈ marginal_out(edges[2], inputs[2]) rtol = 1e-4
+        @test total_out(paths) > edge_amount_out(edges[2], 400.0)
+    end
+
+    @testset "Balancer pool" begin
+        edges = [pool(:A, :B, :balancer, 1000.0, 2.0; weight_in = 0.8, weight_out = 0.2)]
+        paths = find_convex_flows(edges, :A, :B; amount_in = 100.0)
+
+        reserve_out = 1000 * 2.0 * 0.2 / 0.8
+        @test total_out(paths) ≈ reserve_out * (1 - (1000 / (1000 + 99.7))^4) rtol = 1e-6
+        @test total_out(paths) ≈ edge_amount_out(edges[1], 100.0) rtol = 1e-6
+    end
+
+    @testset "Curve pool" begin
+        edges = [pool(:A, :B, :curve, 1_000_000.0, 1.0; fee = 0.0004, amplification = 100.0)]
+        paths = find_convex_flows(edges, :A, :B; amount_in = 100_000.0)
+        @test total_out(paths) ≈ edge_amount_out(edges[1], 100_000.0) rtol = 1e-6
+
+        # Flatter than a constant product pool of the same depth, short of the spot price
+        constant_product = pool(:A, :B, :uniswap_v2, 1_000_000.0, 1.0; fee = 0.0004)
+        @test total_out(paths) > edge_amount_out(constant_product, 100_000.0)
+        @test total_out(paths) < 100_000 * (1 - 0.0004)
+
+        paths = find_convex_flows(edges, :A, :B; amount_out = 50_000.0)
+        @test total_out(paths) ≈ 50_000.0 rtol = 1e-6
+    end
+
+    @testset "Unreachable target" begin
+        edges = [pool(:A, :B, :uniswap_v2, 1000.0, 2.0), pool(:C, :D, :uniswap_v2, 1000.0, 2.0)]
+        @test find_convex_flows(edges, :A, :D; amount_in = 10.0) === nothing
+        @test find_convex_flows(edges, :A, :D; amount_out = 10.0) === nothing
+        @test find_convex_flows(edges, :A, :E; amount_in = 10.0) === nothing
+        @test find_convex_flows(LiquidityEdge{Float64}[], :A, :B; amount_in = 10.0) === nothing
+    end
+
+    @testset "Path decomposition" begin
+        edges = [
+            pool(:A, :B, :uniswap_v2, 1000.0, 2.0),
+            pool(:B, :D, :uniswap_v2, 1000.0, 1.0),
+            pool(:B, :C, :uniswap_v2, 1000.0, 1.0),
+            pool(:A, :C, :uniswap_v2, 1000.0, 1.0),
+            pool(:C, :D, :uniswap_v2, 1000.0, 1.0),
+        ]
+        inputs = [10.0, 12.0, 8.0, 5.0, 13.0]
+        outputs = [20.0, 12.0, 8.0, 5.0, 13.0]
+        paths = flow_paths(edges, inputs, outputs, :A, :D)
+
+        @test [path.edges for path in paths] == [[1, 2], [1, 3, 5], [4, 5]]
+        @test [path.inputs[1] for path in paths] == [6.0, 4.0, 5.0]
+        @test total_out(paths) == 25.0
+        for i in eachindex(edges)
+            carried = [path.inputs[k] for path in paths for (k, j) in enumerate(path.edges) if j == i]
+            @test sum(carried) == inputs[i]
+        end
+    end
+
+    @testset "Executed output" begin
+        edges = [pool(:A, :B, :uniswap_v2, 1000.0, 2.0), pool(:B, :C, :uniswap_v2, 2000.0, 1.0)]
+        whole = single_path(edges, [1, 2], 200.0)
+        @test executed_output(edges, [whole]) ≈ whole.outputs[end]
+
+        # Parts of a split trade the same pools, so together they realize what the whole does
+        parts = split_path(edges, [1, 2], 200.0, 4)
+        @test executed_output(edges, parts) ≈ whole.outputs[end]
+        @test total_out(parts) > executed_output(edges, parts)
+
+        # A pool outside the graph keeps its quoted rate
+        outside = FlowPath{Float64}([1, nothing], [200.0, 300.0], [300.0, 150.0])
+        @test executed_output(edges, [outside]) ≈ edge_amount_out(edges[1], 200.0) / 2
+        @test executed_output(edges, FlowPath{Float64}[]) == 0.0
+    end
+
+    # ETH to DAI directly and through USDC, as in the routing benchmarks
+    @testset "Standard scenario against single-path routing ($amount ETH)" for amount in (10.0, 100.0, 1000.0)
+        edges = [
+            pool(:ETH, :USDC, :uniswap_v3, 20_000.0, 3000.0; fee = 0.0005),
+            pool(:ETH, :DAI, :uniswap_v2, 5_000.0, 3000.0),
+            pool(:USDC, :DAI, :curve, 50_000_000.0, 1.0; fee = 0.0004, amplification = 200.0),
+        ]
+        paths = find_convex_flows(edges, :ETH, :DAI; amount_in = amount)
+        @test total_in(paths) ≈ amount rtol = 1e-6
+        convex = executed_output(edges, paths)
+        @test convex ≈ total_out(paths) rtol = 1e-6
+
+        for indices in ([2], [1, 3])
+            fast = executed_output(edges, [single_path(edges, indices, amount)])
+            split = executed_output(edges, split_path(edges, indices, amount, 5))
+            @test convex >= fast * (1 - 1e-6)
+            @test convex >= split * (1 - 1e-6)
+        end
+    end
+end
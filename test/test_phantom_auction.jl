@@ -0,0 +1,319 @@
+using Dates
+using SHA
+using Test
+# Load phantom auction module
+include("../src/settlement/execution/auction/PhantomAuction.jl")
+
+using .PhantomAuction
+using .PhantomAuction: PhantomAuctionConfig, get_config, load_config
+using .PhantomAuction.BidScoring: rank_bids
+using .PhantomAuction.ConfigManager: set_config!
+using .PhantomAuction.BidGenerator: AbstractBidGenerator, BidCommitment, ImprovementBidRequest
+import .PhantomAuction.BidGenerator: collect_commitments, request_reveal
+
+# Bid source that commits a fixed set of bids and reveals all but the withheld ones
+mutable struct ScriptedGenerator <: AbstractBidGenerator
+    commitments::Vector{BidCommitment}
+    openings::Dict{String,Tuple{ImprovementBid{Float64},Vector{UInt8}}}
+    withheld::Set{String}
+    delivered::Bool
+end
+
+function ScriptedGenerator(bids::Vector{ImprovementBid{Float64}}; withheld = String[])
+    commitments = BidCommitment[]
+    openings = Dict{String,Tuple{ImprovementBid{Float64},Vector{UInt8}}}()
+    for bid in bids
+        salt = generate_salt()
+        sealed, commitment = seal_bid(bid, salt)
+        push!(commitments, commitment)
+        openings[bid.bidder_id] = (sealed, salt)
+    end
+    return ScriptedGenerator(commitments, openings, Set(withheld), false)
+end
+
+function collect_commitments(generator::ScriptedGenerator, request::ImprovementBidRequest)
+    generator.delivered && return BidCommitment[]
+    generator.delivered = true
+    return generator.commitments
+end
+
+function request_reveal(generator::ScriptedGenerator, commitment::BidCommitment)
+    commitment.bidder_id in generator.withheld && return nothing
+    return generator.openings[commitment.bidder_id]
+end
+
+@testset "Phantom Auction Tests" begin
+    global_config = load_config("development", joinpath(@__DIR__, "..", "config"))
+    config = PhantomAuctionConfig(100, 10.0, 50.0, 20, 2)
+    token_pair = (1, 2)
+
+    make_bid(bidder_id, price; fee = 1.0, nonce = 1) =
+        ImprovementBid{Float64}(bidder_id, token_pair, price, 1000.0, fee, UInt8[], nonce, now())
+    make_auction(; generator = ScriptedGenerator(ImprovementBid{Float64}[])) =
+        Auction{Float64}(config, 100.0, 1000.0, token_pair, now() + Second(5), generator, global_config)
+
+    @testset "Salted Commitments" begin
+        bid = make_bid("alice", 100.2)
+        salt = generate_salt()
+
+        @test length(salt) == 32
+        @test generate_salt() != salt
+        @test create_commitment(bid, salt) == create_commitment(bid, copy(salt))
+        @test create_commitment(bid, salt) != create_commitment(bid, generate_salt())
+
+        # Every economic field is bound by the commitment
+        @test create_commitment(make_bid("alice", 100.3), salt) != create_commitment(bid, salt)
+        @test create_commitment(make_bid("alice", 100.2; fee = 2.0), salt) != create_commitment(bid, salt)
+        @test create_commitment(make_bid("alice", 100.2; nonce = 2), salt) != create_commitment(bid, salt)
+
+        sealed, commitment = seal_bid(bid, salt)
+        @test sealed.commitment_hash == commitment.commitment_hash
+        @test commitment.salt_commitment == sha256(salt)
+        @test commitment.bidder_id == "alice"
+    end
+
+    @testset "Commit Phase" begin
+        auction = make_auction()
+        _, commitment = seal_bid(make_bid("alice", 100.2), generate_salt())
+
+        @test submit_commitment(auction, commitment)
+        @test auction.commitments["alice"].commitment_hash == commitment.commitment_hash
+
+        # One commitment per bidder, and no copying someone else's hash
+        _, second = seal_bid(make_bid("alice", 100.3), generate_salt())
+        @test !submit_commitment(auction, second)
+        @test !submit_commitment(auction, "mallory", commitment.commitment_hash, commitment.salt_commitment)
+
+        # Malformed digests are rejected
+        @test !submit_commitment(auction, "bob", UInt8[1, 2, 3], commitment.salt_commitment)
+
+        open_reveal_phase!(auction)
+        _, late = seal_bid(make_bid("carol", 100.2), generate_salt())
+        @test !submit_commitment(auction, late)
+    end
+
+    @testset "Reveal Phase" begin
+        auction = make_auction()
+        bid = make_bid("alice", 100.2)
+        salt = generate_salt()
+        sealed, commitment = seal_bid(bid, salt)
+        submit_commitment(auction, commitment)
+
+        # Reveals are only accepted once the commit phase has closed
+        @test !reveal_bid(auction, sealed, salt)
+        open_reveal_phase!(auction)
+
+        # Wrong salt, altered bid or unknown bidder
+        @test !reveal_bid(auction, sealed, generate_salt())
+        tampered = ImprovementBid{Float64}(
+            "alice",
+            token_pair,
+            100.4,
+            1000.0,
+            1.0,
+            sealed.commitment_hash,
+            sealed.nonce,
+            sealed.timestamp,
+        )
+        @test !reveal_bid(auction, tampered, salt)
+        stranger, _ = seal_bid(make_bid("bob", 100.2), salt)
+        @test !reveal_bid(auction, stranger, salt)
+
+        @test reveal_bid(auction, sealed, salt)
+        @test !reveal_bid(auction, sealed, salt)
+        @test length(auction.revealed_bids) == 1
+    end
+
+    @testset "Short Salts Rejected" begin
+        auction = make_auction()
+        salt = UInt8[0x01, 0x02]
+        sealed, commitment = seal_bid(make_bid("alice", 100.2), salt)
+        submit_commitment(auction, commitment)
+        open_reveal_phase!(auction)
+
+        @test !reveal_bid(auction, sealed, salt)
+    end
+
+    @testset "Non-Revealers" begin
+        auction = make_auction()
+        openings = Dict{String,Tuple{ImprovementBid{Float64},Vector{UInt8}}}()
+        for (bidder, price) in [("alice", 100.2), ("bob", 100.3), ("carol", 100.4), ("dave", 100.6)]
+            salt = generate_salt()
+            sealed, commitment = seal_bid(make_bid(bidder, price), salt)
+            submit_commitment(auction, commitment)
+            openings[bidder] = (sealed, salt)
+        end
+
+        open_reveal_phase!(auction)
+        reveal_bid(auction, openings["alice"]...)
+        reveal_bid(auction, openings["bob"]...)
+
+        # Dave's bid is out of bounds, so opening it does not count as a reveal
+        @test !reveal_bid(auction, openings["dave"]...)
+
+        result = finalize_auction(auction)
+        penalty = 1000.0 * get_config(global_config, "phantom_auction.non_reveal_penalty_bps", Float64) / 10000
+
+        @test result.winning_bid.bidder_id == "bob"
+        @test result.num_participants == 2
+        @test sort([u.bidder_id for u in result.unrevealed]) == ["carol", "dave"]
+        @test all(u -> u.penalty ≈ penalty, result.unrevealed)
+        first_unrevealed = result.unrevealed[1]
+        @test first_unrevealed.commitment_hash == auction.commitments[first_unrevealed.bidder_id].commitment_hash
+
+        # Finalized auctions accept nothing further
+        @test !reveal_bid(auction, openings["carol"]...)
+    end
+
+    @testset "Bid Scoring" begin
+        # Bob improves the price more, but Alice fills the whole order and pays a fee
+        alice = ImprovementBid{Float64}("alice", token_pair, 100.2, 1000.0, 2.0, UInt8[], 1, now())
+        bob = ImprovementBid{Float64}("bob", token_pair, 100.3, 400.0, 0.0, UInt8[], 1, now())
+        bids = [alice, bob]
+
+        linear = rank_bids(LinearBlendScoring(), bids, 100.0, 1000.0)
+        @test [x.bid.bidder_id for x in linear] == ["bob", "alice"]
+        @test linear[1].rank == 1 && linear[2].rank == 2
+        @test linear[2].components[:improvement_bps] ≈ 20.0
+        @test linear[2].components[:fee_bps] ≈ 20.0
+        @test linear[2].score ≈ 0.8 * 20.0 + 0.2 * 20.0
+
+        volume = rank_bids(VolumeWeightedScoring(), bids, 100.0, 1000.0)
+        @test volume[1].bid.bidder_id == "alice"
+        @test volume[2].components[:fill_ratio] ≈ 0.4
+        @test volume[2].score ≈ 30.0 * 0.4
+
+        surplus = rank_bids(NetSurplusScoring(gas_cost = 50.0), bids, 100.0, 1000.0)
+        @test surplus[1].bid.bidder_id == "alice"
+        @test surplus[1].components[:price_surplus] ≈ 200.0
+        @test surplus[1].components[:priority_fee_value] ≈ 200.0
+        @test surplus[1].score ≈ 200.0 + 200.0 - 50.0
+        @test surplus[2].score ≈ 120.0 - 50.0
+
+        reputation = ReputationScoring(LinearBlendScoring(); reputations = Dict("alice" => 0.5))
+        ranked = rank_bids(reputation, bids, 100.0, 1000.0)
+        @test ranked[1].bid.bidder_id == "bob"
+        @test ranked[1].components[:reputation] == 1.0
+        @test ranked[2].score ≈ 0.5 * ranked[2].components[:base_score]
+
+        # Ties go to the earlier bid
+        early = ImprovementBid{Float64}("early", token_pair, 100.2, 1000.0, 1.0, UInt8[], 1, DateTime(2024, 1, 1))
+        late = ImprovementBid{Float64}("late", token_pair, 100.2, 1000.0, 1.0, UInt8[], 1, DateTime(2024, 1, 2))
+        tied = rank_bids(LinearBlendScoring(), [late, early], 100.0, 1000.0)
+        @test tied[1].bid.bidder_id == "early"
+
+        @test_throws ArgumentError LinearBlendScoring(price_weight = -1.0)
+        @test_throws ArgumentError NetSurplusScoring(gas_cost = -1.0)
+        @test_throws ArgumentError ReputationScoring(VolumeWeightedScoring(); reputations = Dict("x" => -0.1))
+        @test_throws ArgumentError ReputationScoring(reputation)
+    end
+
+    @testset "Scoring Rule Per Token Pair" begin
+        scoring_config = load_config("development", joinpath(@__DIR__, "..", "config"))
+        @test scoring_rule_for(scoring_config, token_pair) isa LinearBlendScoring
+
+        set_config!(scoring_config, "bid_scoring.pairs.1-2", "volume_weighted")
+        set_config!(scoring_config, "bid_scoring.pairs.3-4", "reputation")
+        set_config!(scoring_config, "bid_scoring.reputation_base_rule", "net_surplus")
+        set_config!(scoring_config, "bid_scoring.gas_cost", 25.0)
+        set_config!(scoring_config, "bid_scoring.reputation.alice", 0.8)
+
+        @test scoring_rule_for(scoring_config, (1, 2)) isa VolumeWeightedScoring
+        @test scoring_rule_for(scoring_config, (2, 1)) isa LinearBlendScoring
+
+        rule = scoring_rule_for(scoring_config, (3, 4))
+        @test rule isa ReputationScoring
+        @test rule.base isa NetSurplusScoring && rule.base.gas_cost == 25.0
+        @test rule.reputations["alice"] == 0.8
+
+        set_config!(scoring_config, "bid_scoring.pairs.5-6", "coin_flip")
+        @test_throws ArgumentError scoring_rule_for(scoring_config, (5, 6))
+
+        # The configured rule ranks the auction and every score is reported
+        generator = ScriptedGenerator(ImprovementBid{Float64}[])
+        auction = Auction{Float64}(config, 100.0, 1000.0, token_pair, now() + Second(5), generator, scoring_config)
+        @test auction.scoring_rule isa VolumeWeightedScoring
+
+        openings = Tuple{ImprovementBid{Float64},Vector{UInt8}}[]
+        for (bidder, price) in [("a", 100.2), ("b", 100.3)]
+            salt = generate_salt()
+            sealed, commitment = seal_bid(make_bid(bidder, price), salt)
+            submit_commitment(auction, commitment)
+            push!(openings, (sealed, salt))
+        end
+        open_reveal_phase!(auction)
+        for opening in openings
+            reveal_bid(auction, opening...)
+        end
+
+        result = finalize_auction(auction)
+        @test result.scoring_rule isa VolumeWeightedScoring
+        @test [s.bid.bidder_id for s in result.scores] == ["b", "a"]
+        @test result.scores[2].components[:improvement_bps] ≈ 20.0
+    end
+
+    @testset "Partial Fills" begin
+        function settle(specs)
+            auction = make_auction()
+            openings = Tuple{ImprovementBid{Float64},Vector{UInt8}}[]
+            for (bidder, price, volume) in specs
+                bid = ImprovementBid{Float64}(bidder, token_pair, price, volume, 1.0, UInt8[], 1, now())
+                salt = generate_salt()
+                sealed, commitment = seal_bid(bid, salt)
+                submit_commitment(auction, commitment)
+                push!(openings, (sealed, salt))
+            end
+            open_reveal_phase!(auction)
+            foreach(opening -> reveal_bid(auction, opening...), openings)
+            return finalize_auction(auction)
+        end
+
+        # Best bids fill first; the last one taken is only partially filled
+        result = settle([("c", 100.2, 600.0), ("a", 100.4, 300.0), ("b", 100.3, 500.0)])
+        @test [f.bid.bidder_id for f in result.fills] == ["a", "b", "c"]
+        @test [f.volume for f in result.fills] == [300.0, 500.0, 200.0]
+        @test result.fills[2].price == 100.3
+        @test result.fills[2].improvement_bps ≈ 30.0
+        @test result.cfmm_remainder == 0.0
+        @test result.winning_bid.bidder_id == "a"
+        @test result.amount ≈ 1000.0
+        @test result.improvement_bps ≈ (300 * 40 + 500 * 30 + 200 * 20) / 1000
+        @test result.price ≈ 100.31
+
+        # Volume no bid covers is routed to the CFMM baseline at 0 bps
+        result = settle([("a", 100.4, 300.0), ("b", 100.3, 400.0)])
+        @test length(result.fills) == 3
+        @test result.fills[end].bid === nothing
+        @test result.fills[end].price == 100.0
+        @test result.fills[end].volume ≈ 300.0
+        @test result.cfmm_remainder ≈ 300.0
+        @test result.amount ≈ 1000.0
+        @test result.improvement_bps ≈ (300 * 40 + 400 * 30) / 1000
+
+        # Without enough participants the whole order goes to the CFMM
+        result = settle([("a", 100.4, 300.0)])
+        @test result.winning_bid === nothing
+        @test length(result.fills) == 1
+        @test result.fills[1].bid === nothing
+        @test result.cfmm_remainder == 1000.0
+        @test result.improvement_bps == 0.0
+    end
+
+    @testset "Run Auction" begin
+        request = (token_in = 1, token_out = 2)
+        deadline = now() + Second(5)
+        bids = [make_bid("alice", 100.2), make_bid("bob", 100.3), make_bid("carol", 100.4)]
+
+        generator = ScriptedGenerator(bids; withheld = ["carol"])
+        result = run_auction(request, 100.0, 1000.0, deadline; global_config = global_config, bid_generator = generator)
+        @test result.winning_bid.bidder_id == "bob"
+        @test [u.bidder_id for u in result.unrevealed] == ["carol"]
+
+        # Withholding reveals can push the auction below the participation threshold
+        generator = ScriptedGenerator(bids; withheld = ["bob", "carol"])
+        result = run_auction(request, 100.0, 1000.0, deadline; global_config = global_config, bid_generator = generator)
+        @test result.winning_bid === nothing
+        @test result.price == 100.0
+        @test length(result.unrevealed) == 2
+    end
+end
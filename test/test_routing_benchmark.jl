@@ -0,0 +1,95 @@
+using Test
+using Dates
+using UUIDs
+
+# Routing imports the settlement types, config and cache from its parent. The
+# types load as they are; the config and cache need JSON3 and a cache layer, so
+# stand-ins provide the routing config and an empty cache manager
+include("../settlement/types/Types.jl")
+
+module Config
+
+export RoutingConfig
+
+Base.@kwdef struct RoutingConfig
+    enable_multi_path::Bool = true
+    max_path_splits::Int = 5
+    min_path_value::Float64 = 100.0
+    price_impact_threshold::Float64 = 0.01
+    enable_dynamic_routing::Bool = true
+    routing_algorithm::Symbol = :optimal
+    enable_route_caching::Bool = true
+    route_cache_duration_ms::Int = 1000
+end
+
+end # module
+
+module Cache
+
+export CacheManager
+
+struct CacheManager end
+
+end # module
+
+include("../settlement/routing/Routing.jl")
+
+using .Types
+using .Config
+using .Routing
+using .Routing.ConvexRouter: LiquidityEdge
+
+# ETH to DAI directly and through USDC, as in test_convex_routing.jl
+function eth_dai_optimizer()
+    optimizer = RouteOptimizer{Float64}(RoutingConfig(min_path_value = 1.0))
+    graph = optimizer.liquidity_graph
+    append!(graph.edges, [
+        LiquidityEdge{Float64}(
+            :ETH, :USDC, :uniswap_v3, "eth-usdc", 20_000.0, 0.0005, 3000.0, 100_000.0, Dict{Symbol,Float64}()
+        ),
+        LiquidityEdge{Float64}(
+            :ETH, :DAI, :uniswap_v2, "eth-dai", 5_000.0, 0.003, 3000.0, 100_000.0, Dict{Symbol,Float64}()
+        ),
+        LiquidityEdge{Float64}(
+            :USDC, :DAI, :curve, "usdc-dai", 50_000_000.0, 0.0004, 1.0, 100_000.0,
+            Dict(:amplification => 200.0)
+        ),
+    ])
+    merge!(graph.nodes, Dict(:ETH => 1, :USDC => 2, :DAI => 3))
+    return optimizer
+end
+
+swap(amount) = AtomicTransaction{Float64}(
+    uuid4(), uuid4(), now(), :pending,
+    [AssetPair{Float64}(:ETH, :DAI, amount, 0.0)], [AssetPair{Float64}(:DAI, :ETH, 0.0, 0.0)],
+    Route{Float64}[], 1_000_000.0, now() + Minute(1), Dict{String,Any}(), 0
+)
+
+@testset "Routing Benchmark" begin
+    optimizer = eth_dai_optimizer()
+    transactions = [swap(amount) for amount in (10.0, 100.0, 1000.0)]
+
+    @testset "Routers" begin
+        transaction = transactions[2]
+        fast = find_fast_routes(optimizer, transaction)
+        @test length(fast) == 1
+        @test [s.pool_address for s in only(fast).segments] == ["eth-dai"]
+
+        split = split_into_multiple_paths(optimizer, only(fast), transaction)
+        @test length(split) == optimizer.config.max_path_splits
+        @test sum(r.segments[1].input_amount for r in split) ≈ 100.0
+
+        convex = find_convex_routes(optimizer.liquidity_graph, :ETH, :DAI; amount_in = 100.0)
+        @test sum(r.segments[1].input_amount for r in convex) ≈ 100.0 rtol = 1e-6
+        @test all(r.is_optimal for r in convex)
+    end
+
+    @testset "Convex against fast and split routes ($(row.amount_in) ETH)" for row in
+            benchmark_routers(optimizer, transactions)
+        @test row.convex.output > 0
+        @test row.convex.output >= row.fast.output * (1 - 1e-6)
+        @test row.convex.output >= row.split.output * (1 - 1e-6)
+        @test row.fast.paths == 1
+        @test row.split.paths == optimizer.config.max_path_splits
+    end
+end
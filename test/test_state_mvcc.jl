@@ -0,0 +1,172 @@
+using Test
+# Load the state manager on its own
+include("../src/settlement/execution/state/StateManager.jl")
+
+using .StateManager
+
+# Versions kept for one key
+chain_length(store, key) = length(store.versions[key])
+
+@testset "State MVCC" begin
+    @testset "Snapshot reads" begin
+        store = state_store()
+        update_state!(store, "pool:1", [1000.0, 2000.0])
+
+        reader = begin_transaction(store)
+        committed = begin_transaction(store; isolation_level = :read_committed)
+        update_state!(store, "pool:1", [900.0, 2250.0])
+        update_state!(store, "balance:0xabc:1", 5.0)
+
+        # The snapshot is fixed at begin; read committed follows the latest commit
+        @test get_state(store, "pool:1", reader) == [1000.0, 2000.0]
+        @test get_state(store, "balance:0xabc:1", reader) === nothing
+        @test get_state(store, "pool:1", committed) == [900.0, 2250.0]
+        @test get_state(store, "pool:1") == [900.0, 2250.0]
+
+        # Own writes are visible before commit, to no one else
+        update_state!(store, "pool:1", [800.0, 2500.0], reader)
+        @test get_state(store, "pool:1", reader) == [800.0, 2500.0]
+        @test get_state(store, "pool:1", committed) == [900.0, 2250.0]
+        @test_throws ArgumentError begin_transaction(store; isolation_level = :dirty)
+    end
+
+    @testset "Write-write conflicts" begin
+        store = state_store()
+        update_state!(store, "pool:1", [1000.0, 2000.0])
+        first, second = begin_transaction(store), begin_transaction(store)
+        update_state!(store, "pool:1", [900.0, 2250.0], first)
+        update_state!(store, "pool:1", [1100.0, 1850.0], second)
+
+        # First committer wins, whatever the conflict strategy
+        @test commit_transaction!(store, first).success
+        result = commit_transaction!(store, second)
+        @test !result.success
+        @test result.conflicts == ["write-write:pool:1"]
+        @test second.status == :aborted
+        @test get_state(store, "pool:1") == [900.0, 2250.0]
+
+        # Read committed leaves it to the strategy, last write wins by default
+        first = begin_transaction(store; isolation_level = :read_committed)
+        second = begin_transaction(store; isolation_level = :read_committed)
+        update_state!(store, "pool:1", [1.0, 1.0], first)
+        update_state!(store, "pool:1", [2.0, 2.0], second)
+        @test commit_transaction!(store, first).success
+        @test commit_transaction!(store, second).success
+        @test get_state(store, "pool:1") == [2.0, 2.0]
+    end
+
+    @testset "Write skew under $level" for level in (:snapshot, :serializable)
+        # Two settlements each check both balances cover 1.0, then spend from one
+        store = state_store()
+        update_state!(store, "balance:0xabc:1", 1.0)
+        update_state!(store, "balance:0xabc:2", 1.0)
+        function spend(transaction, key)
+            total = sum(get_state(store, "balance:0xabc:$i", transaction) for i in 1:2)
+            total >= 1.0 && update_state!(store, key, get_state(store, key, transaction) - 1.0, transaction)
+        end
+
+        first = begin_transaction(store; isolation_level = level)
+        second = begin_transaction(store; isolation_level = level)
+        spend(first, "balance:0xabc:1")
+        spend(second, "balance:0xabc:2")
+        @test commit_transaction!(store, first).success
+
+        result = commit_transaction!(store, second)
+        if level == :serializable
+            @test !result.success
+            @test result.conflicts == ["read-write:balance:0xabc:1"]
+        else
+            @test result.success  # Snapshot isolation permits write skew
+        end
+    end
+
+    @testset "Readers do not block writers" begin
+        store = state_store()
+        update_state!(store, "pool:1", [1000.0, 2000.0])
+        reader = begin_transaction(store; isolation_level = :serializable)
+        @test get_state(store, "pool:1", reader) == [1000.0, 2000.0]
+
+        for i in 1:10
+            result = run_transaction(store) do transaction
+                update_state!(store, "pool:1", [1000.0 + i, 2000.0], transaction)
+            end
+            @test result.success
+        end
+        @test get_state(store, "pool:1", reader) == [1000.0, 2000.0]
+
+        # A read-only transaction commits as of its snapshot
+        result = commit_transaction!(store, reader)
+        @test result.success
+        @test result.version == 2
+        @test store.current_version[] == 12
+    end
+
+    @testset "Readers do not wait for writers" begin
+        store = state_store()
+        update_state!(store, "pool:1", [1000.0, 2000.0])
+        reader = begin_transaction(store)
+
+        # A commit holds the global lock through its log I/O, garbage collection and compaction
+        local task
+        lock(store.global_lock)
+        try
+            task = Threads.@spawn begin
+                latest = begin_transaction(store; isolation_level = :read_committed)
+                (get_state(store, "pool:1", reader), get_state(store, "pool:1", latest), get_state(store, "pool:1"))
+            end
+            @test timedwait(() -> istaskdone(task), 5.0) == :ok
+        finally
+            unlock(store.global_lock)
+        end
+        @test fetch(task) == ([1000.0, 2000.0], [1000.0, 2000.0], [1000.0, 2000.0])
+    end
+
+    @testset "Garbage collection" begin
+        store = state_store(max_versions = 10)
+        update_state!(store, "pool:1", [0.0, 1.0])
+        reader = begin_transaction(store)
+        for i in 1:50
+            update_state!(store, "pool:1", [Float64(i), 1.0])
+        end
+
+        # Collections keep the latest version and the one the reader can see
+        @test chain_length(store, "pool:1") <= 11
+        @test get_state(store, "pool:1", reader) == [0.0, 1.0]
+        collect_garbage!(store)
+        @test chain_length(store, "pool:1") == 2
+        @test get_state(store, "pool:1", reader) == [0.0, 1.0]
+
+        rollback_transaction!(store, reader)
+        @test collect_garbage!(store) > 0
+        @test chain_length(store, "pool:1") == 1
+        @test collect_garbage!(store) == 0
+        @test validate_state(store).valid
+    end
+
+    @testset "Concurrent settlements on shared pools" begin
+        store = state_store(retry_count = 1000, backoff_ms = 0.0)
+        update_state!(store, "pool:1", [0.0, 0.0])
+        tasks = map(1:20) do i
+            Threads.@spawn run_transaction(store) do transaction
+                reserves = get_state(store, "pool:1", transaction)
+                yield()  # Let the other settlements interleave
+                update_state!(store, "pool:1", reserves .+ [1.0, 2.0], transaction)
+                update_state!(store, "balance:0x$i:1", 1.0, transaction)
+            end
+        end
+        results = fetch.(tasks)
+
+        # No update is lost, and conflicting settlements retried
+        @test all(result -> result.success, results)
+        @test get_state(store, "pool:1") == [20.0, 40.0]
+        @test count(key -> startswith(key, "balance:"), keys(store.current_state)) == 20
+        @test isempty(store.active_transactions)
+
+        @test_throws DomainError run_transaction(store) do transaction
+            update_state!(store, "pool:1", [-1.0, 0.0], transaction)
+            sqrt(-1.0)
+        end
+        @test get_state(store, "pool:1") == [20.0, 40.0]
+        @test isempty(store.active_transactions)
+    end
+end
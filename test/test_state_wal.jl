@@ -0,0 +1,214 @@
+using CRC32c
+using Dates
+using Test
+using UUIDs
+# Load the state manager on its own
+include("../src/settlement/execution/state/StateManager.jl")
+
+using .StateManager
+using .StateManager.WriteAheadLog: log_bytes
+
+# Commit one transaction writing every pair in `writes`
+function commit_writes!(store, writes)
+    transaction = begin_transaction(store)
+    for (key, value) in writes
+        update_state!(store, key, value, transaction)
+    end
+    return commit_transaction!(store, transaction)
+end
+
+# Recover the store in `directory`, hand it to `f`, and close it again
+function with_recovered_store(f, directory; kwargs...)
+    store = open_state_store(directory; kwargs...)
+    try
+        return f(store)
+    finally
+        close_state_store!(store)
+    end
+end
+
+@testset "State Write-Ahead Log" begin
+    @testset "Recovery" begin
+        mktempdir() do directory
+            settlement = uuid4()
+            expected, version = with_recovered_store(directory) do store
+                commit_writes!(store, Dict("pool:1" => [1000.0, 2_000_000.0], "balance:0xabc:1" => 5.0))
+                commit_writes!(store, Dict(
+                    "pending:$settlement" => true,
+                    "meta:settlements" => Set([settlement]),
+                    "meta:updated" => DateTime(2026, 1, 2, 3, 4, 5),
+                    "meta:hops" => [1, 2],
+                    "meta:count" => 3,
+                    "meta:id" => settlement,
+                    "meta:note" => "0.1 + 0.2",
+                    "meta:cleared" => nothing,
+                ))
+                update_state!(store, "pool:1", [1010.0, 0.1 + 0.2])
+                copy(store.current_state), store.current_version[]
+            end
+
+            with_recovered_store(directory) do store
+                @test store.current_state == expected
+                @test store.current_state["meta:hops"] isa Vector{Int64}
+                @test store.current_state["meta:id"] isa UUID
+                @test store.current_version[] == version
+                @test calculate_state_checksum(store.current_state) == calculate_state_checksum(expected)
+            end
+        end
+    end
+
+    commit_steps = (:before_append, :torn_append, :before_sync, :after_sync)
+    @testset "Crash during commit at $step" for step in commit_steps
+        mktempdir() do directory
+            before = with_recovered_store(directory) do store
+                commit_writes!(store, Dict("balance:0xabc:1" => 5.0))
+                copy(store.current_state)
+            end
+
+            writes = Dict("balance:0xabc:1" => 7.0, "balance:0xdef:1" => 1.0)
+            with_recovered_store(directory; crash_hook = crash_at(step)) do store
+                @test_throws SimulatedCrash commit_writes!(store, writes)
+            end
+
+            # A commit is recovered whole once its record is written, and not at all before
+            written = step in (:before_sync, :after_sync)
+            with_recovered_store(directory) do store
+                @test store.current_state == (written ? merge(before, writes) : before)
+                commit_writes!(store, Dict("balance:0xabc:1" => 9.0))
+            end
+            with_recovered_store(directory) do store
+                @test store.current_state["balance:0xabc:1"] == 9.0
+            end
+        end
+    end
+
+    compaction_steps = (:checkpoint_written, :checkpoint_renamed, :segment_rotated, :segments_pruned)
+    @testset "Crash during compaction at $step" for step in compaction_steps
+        mktempdir() do directory
+            expected, version = with_recovered_store(directory; crash_hook = crash_at(step)) do store
+                for i in 1:5
+                    update_state!(store, "balance:0xabc:$i", Float64(i))
+                end
+                @test_throws SimulatedCrash compact_state_log!(store)
+                copy(store.current_state), store.current_version[]
+            end
+
+            with_recovered_store(directory) do store
+                @test store.current_state == expected
+                @test store.current_version[] == version
+                update_state!(store, "balance:0xabc:6", 6.0)
+            end
+            with_recovered_store(directory) do store
+                @test length(store.current_state) == 6
+            end
+        end
+    end
+
+    @testset "Compaction" begin
+        mktempdir() do directory
+            with_recovered_store(directory; max_log_bytes = 2000) do store
+                for i in 1:100
+                    update_state!(store, "balance:0xabc:1", Float64(i))
+                end
+                @test log_bytes(store.wal) <= 2000
+            end
+            @test count(name -> startswith(name, "checkpoint-"), readdir(directory)) == 1
+
+            with_recovered_store(directory) do store
+                @test store.current_state["balance:0xabc:1"] == 100.0
+                @test store.current_version[] == 101
+            end
+        end
+    end
+
+    @testset "Snapshot restore" begin
+        mktempdir() do directory
+            restored = with_recovered_store(directory) do store
+                update_state!(store, "pool:1", [1000.0, 2000.0])
+                snapshot = take_snapshot(store)
+                update_state!(store, "pool:1", [900.0, 2250.0])
+                update_state!(store, "balance:0xabc:2", 3.0)
+                restore_snapshot!(store, snapshot.id)
+                copy(store.current_state)
+            end
+
+            with_recovered_store(directory) do store
+                @test store.current_state == restored
+                @test !haskey(store.current_state, "balance:0xabc:2")
+            end
+        end
+
+        # A restore that never reached the log is not applied either
+        mktempdir() do directory
+            with_recovered_store(directory) do store
+                update_state!(store, "pool:1", [1000.0, 2000.0])
+                snapshot = take_snapshot(store)
+                update_state!(store, "pool:1", [900.0, 2250.0])
+                before, version = copy(store.current_state), store.current_version[]
+
+                store.wal.crash_hook = crash_at(:before_append)
+                @test_throws SimulatedCrash restore_snapshot!(store, snapshot.id)
+                @test store.current_state == before
+                @test store.current_version[] == version
+                @test get_state(store, "pool:1") == [900.0, 2250.0]
+                store.wal.crash_hook = nothing
+            end
+        end
+    end
+
+    @testset "Fsync policies" begin
+        for policy in (:always, :interval, :never)
+            mktempdir() do directory
+                with_recovered_store(directory; fsync_policy = policy) do store
+                    update_state!(store, "balance:0xabc:1", 1.0)
+                end
+                with_recovered_store(directory) do store
+                    @test store.current_state["balance:0xabc:1"] == 1.0
+                end
+            end
+        end
+        mktempdir() do directory
+            @test_throws ArgumentError open_state_store(directory; fsync_policy = :sometimes)
+        end
+    end
+
+    @testset "Checksums" begin
+        # CRC32c of the encoded state with its keys sorted, however the state was built
+        state = StateDict("b" => 1, "a" => "x", "c" => nothing)
+        @test calculate_state_checksum(state) ==
+              crc32c("{\"a\":[\"String\",\"x\"],\"b\":[\"Int64\",1],\"c\":[\"Nothing\",null]}")
+        reordered = StateDict("c" => nothing, "a" => "x", "b" => 1)
+        @test calculate_state_checksum(state) == calculate_state_checksum(reordered)
+
+        # Checkpoints carry one; commits log only their writes
+        mktempdir() do directory
+            with_recovered_store(directory) do store
+                update_state!(store, "balance:0xabc:1", 1.0)
+                compact_state_log!(store)
+                update_state!(store, "balance:0xabc:1", 2.0)
+            end
+            files = readdir(directory; join = true)
+            segment = only(filter(name -> endswith(name, ".log"), files))
+            checkpoint = only(filter(name -> endswith(name, ".json"), files))
+            @test !any(line -> occursin("\"checksum\"", line), readlines(segment))
+            @test occursin("\"checksum\"", read(checkpoint, String))
+        end
+    end
+
+    @testset "Corruption" begin
+        mktempdir() do directory
+            with_recovered_store(directory) do store
+                for i in 1:3
+                    update_state!(store, "balance:0xabc:1", Float64(i))
+                end
+            end
+
+            # Damage before the last record is not a torn append
+            path = only(filter(name -> endswith(name, ".log"), readdir(directory; join = true)))
+            lines = readlines(path)
+            lines[2] = replace(lines[2], "balance" => "bal4nce")
+            write(path, join(lines, "\n") * "\n")
+            @test_throws ErrorException open_state_store(directory)
+        end
+    end
+end